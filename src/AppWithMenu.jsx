@@ -1,14 +1,23 @@
 // src/AppWithMenu.jsx
 // Alternative App component with clean tool menu instead of cards
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, Suspense } from "react";
 import { ThemeProvider } from "./components/ui/ThemeProvider";
 import { useTheme } from "./hooks/useTheme";
 import ToolMenu from "./components/ui/ToolMenu";
+import AssignmentPanel from "./components/ui/AssignmentPanel";
 import Footer from "./components/ui/Footer";
 
 // Import centralized tool system
 import { getToolsByVisibility, getToolById } from "./data/tools";
+import { getShellParams } from "./utils/urlState";
+import { loadToolPlugins } from "./utils/toolPlugins";
+import {
+  loadAssignment,
+  getAssignmentStep,
+  getAssignmentStepParams,
+} from "./utils/assignments";
+import { useToolRegistry } from "./hooks/useToolRegistry";
 
 // Theme selector component
 const ThemeSelector = () => {
@@ -62,6 +71,12 @@ const AppContent = () => {
   const { theme, currentTheme, themes, setCurrentTheme } = useTheme();
   const [currentTool, setCurrentTool] = useState(null);
   const [isDevMode, setIsDevMode] = useState(false);
+  const [pluginsLoaded, setPluginsLoaded] = useState(false);
+  const [assignment, setAssignment] = useState(null);
+  const [assignmentError, setAssignmentError] = useState(null);
+
+  // Re-render when plugins add tools
+  useToolRegistry();
 
   // Read URL parameters for tool selection, theme, and dev mode
   useEffect(() => {
@@ -76,20 +91,66 @@ const AppContent = () => {
     }
   }, [themes, setCurrentTheme]);
 
+  // Register tools from public/plugins.json and `layout` URL parameters. A
+  // layout link without a tool opens the layout's tool directly.
+  useEffect(() => {
+    const urlParams = new URLSearchParams(window.location.search);
+    loadToolPlugins(urlParams).then(({ layoutIds }) => {
+      setPluginsLoaded(true);
+      if (!urlParams.get("tool") && layoutIds.length > 0) {
+        urlParams.set("tool", layoutIds[0]);
+        window.location.search = urlParams.toString();
+      }
+    });
+  }, []);
+
+  // Load the assignment named by the `assignment` URL parameter
+  useEffect(() => {
+    const path = new URLSearchParams(window.location.search).get("assignment");
+    if (!path) return;
+    loadAssignment(path)
+      .then(setAssignment)
+      .catch((err) => setAssignmentError(err.message));
+  }, []);
+
   // Handle tool selection by updating URL
   const handleToolSelect = (toolId) => {
     const urlParams = new URLSearchParams(window.location.search);
     urlParams.set("tool", toolId);
+    urlParams.delete("step");
     window.location.search = urlParams.toString();
   };
 
-  // Handle back to menu by removing tool parameter
+  // Handle back to menu by removing tool parameter (and the tool's settings)
   const handleBackToMenu = () => {
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = getShellParams(
+      new URLSearchParams(window.location.search),
+    );
     urlParams.delete("tool");
+    urlParams.delete("step");
     window.location.search = urlParams.toString();
   };
 
+  // Open an assignment step: its tool with the step's preset parameters
+  const handleStepSelect = (index) => {
+    window.location.search = getAssignmentStepParams(
+      new URLSearchParams(window.location.search),
+      assignment,
+      index,
+    ).toString();
+  };
+
+  const handleExitAssignment = () => {
+    const urlParams = new URLSearchParams(window.location.search);
+    urlParams.delete("assignment");
+    urlParams.delete("step");
+    window.location.search = urlParams.toString();
+  };
+
+  const assignmentStep = assignment
+    ? getAssignmentStep(new URLSearchParams(window.location.search), assignment)
+    : null;
+
   // Get tools from centralized metadata system
   const availableTools = getToolsByVisibility(isDevMode ? "dev" : "student");
 
@@ -135,16 +196,48 @@ const AppContent = () => {
           <ThemeSelector />
         </div>
 
+        {assignmentError && (
+          <div className="w-full max-w-4xl mx-auto mb-6 p-4 rounded-lg border-2 border-red-300 bg-red-50 text-red-700">
+            Could not load the assignment: {assignmentError}
+          </div>
+        )}
+
+        {/* Prompt and navigation for the current assignment step */}
+        {currentTool && assignmentStep !== null && (
+          <AssignmentPanel
+            assignment={assignment}
+            stepIndex={assignmentStep}
+            onStepSelect={handleStepSelect}
+          />
+        )}
+
         {/* Main content */}
         {!currentTool ? (
           <ToolMenu
             onToolSelect={handleToolSelect}
             availableTools={availableTools}
             currentTool={currentTool}
+            assignment={assignment}
+            onAssignmentStepSelect={handleStepSelect}
+            onExitAssignment={handleExitAssignment}
           />
         ) : CurrentToolComponent ? (
           <div className="flex justify-center">
-            <CurrentToolComponent />
+            <Suspense
+              fallback={
+                <p className={`text-lg ${theme.text} opacity-75 py-12`}>
+                  Loading tool...
+                </p>
+              }
+            >
+              <CurrentToolComponent />
+            </Suspense>
+          </div>
+        ) : !pluginsLoaded ? (
+          <div className="text-center py-12">
+            <p className={`text-lg ${theme.text} opacity-75`}>
+              Loading tool...
+            </p>
           </div>
         ) : (
           <div className="text-center py-12">
@@ -0,0 +1,42 @@
+// src/components/ModelCurves.jsx
+import React from "react";
+import { MODEL_COLORS } from "../utils/modelBinding";
+
+/**
+ * Simulated model outputs drawn as lines inside a GridGraph
+ * Use from GridGraph's render prop: {(transform) => <ModelCurves ... />}
+ *
+ * @param {Object} transform - GridGraph transform (dataToPixel, plotStyle, ...)
+ * @param {Array<Object>} points - Simulated points {t, [variable]: value}
+ * @param {Array<string>} names - Variables to draw against t
+ * @param {Array<string>} allNames - All model variables (fixes each color)
+ */
+const ModelCurves = ({ transform, points, names, allNames = names }) => {
+  const { plotWidth, plotHeight, plotStyle, dataToPixel } = transform;
+
+  return (
+    <svg
+      style={{ ...plotStyle, pointerEvents: "none", overflow: "hidden" }}
+      width={plotWidth}
+      height={plotHeight}
+    >
+      {names.map((name) => (
+        <polyline
+          key={name}
+          fill="none"
+          stroke={MODEL_COLORS[allNames.indexOf(name) % MODEL_COLORS.length]}
+          strokeWidth={2}
+          points={points
+            .filter((point) => Number.isFinite(point[name]))
+            .map((point) => {
+              const { x, y } = dataToPixel(point.t, point[name]);
+              return `${x.toFixed(1)},${y.toFixed(1)}`;
+            })
+            .join(" ")}
+        />
+      ))}
+    </svg>
+  );
+};
+
+export default ModelCurves;
@@ -0,0 +1,41 @@
+// src/components/TryLink.jsx
+import React from "react";
+import { useTheme } from "../hooks/useTheme";
+import { applyUrlParams } from "../utils/urlState";
+
+/**
+ * Button for "try this" links in help text: sets parameters of the open tool
+ *
+ * @param {Object} values - Parameter values to apply, e.g. {beta: "2.7"}
+ * @param {Function} onApply - Called after applying (e.g. to close the help)
+ */
+const TryLink = ({ values, onApply, children }) => {
+  const { currentTheme } = useTheme();
+
+  const colorClass =
+    currentTheme === "unicorn"
+      ? "bg-pink-100 border-pink-300 text-pink-800 hover:bg-pink-200"
+      : currentTheme === "dark"
+        ? "bg-blue-900 border-blue-600 text-blue-200 hover:bg-blue-800"
+        : "bg-blue-50 border-blue-300 text-blue-800 hover:bg-blue-100";
+
+  const handleClick = () => {
+    applyUrlParams(values);
+    onApply?.();
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      className={`inline px-2 py-0.5 mx-0.5 rounded border font-medium transition-colors ${colorClass}`}
+      title={Object.entries(values)
+        .map(([key, value]) => `${key} = ${value}`)
+        .join(", ")}
+    >
+      ▶ {children}
+    </button>
+  );
+};
+
+export default TryLink;
@@ -0,0 +1,68 @@
+// src/components/grid/GraphExportButton.jsx
+
+import React, { useState } from "react";
+import { exportFigure } from "../../utils/figureExport";
+
+/**
+ * Small "save figure" button shown in the corner of GridGraph and
+ * GridGraphDualY. Saves the graph area referenced by targetRef (axes,
+ * labels and the tool's data canvases) as PNG or SVG.
+ */
+const GraphExportButton = ({ targetRef, name, isDarkMode, isUnicornMode }) => {
+  const [showMenu, setShowMenu] = useState(false);
+
+  const colors = isUnicornMode
+    ? "bg-pink-50 border-pink-300 text-pink-800"
+    : isDarkMode
+      ? "bg-gray-700 border-gray-500 text-gray-100"
+      : "bg-white border-gray-300 text-gray-800";
+
+  const handleExport = (format) => {
+    setShowMenu(false);
+    if (!targetRef.current) return;
+    exportFigure(targetRef.current, format, name).catch((err) =>
+      console.warn("Could not export figure:", err),
+    );
+  };
+
+  // Keep clicks from reaching tool handlers on the graph (e.g. adding points)
+  const stop = (e) => e.stopPropagation();
+
+  return (
+    <div
+      data-figure-ignore="true"
+      className="absolute z-20"
+      style={{ top: "1px", right: "1px" }}
+      onMouseDown={stop}
+      onClick={stop}
+    >
+      <button
+        onClick={() => setShowMenu(!showMenu)}
+        className={`w-5 h-5 flex items-center justify-center text-xs rounded border opacity-40 hover:opacity-100 transition-opacity duration-150 ${colors}`}
+        title="Save figure (PNG or SVG)"
+      >
+        ⤓
+      </button>
+      {showMenu && (
+        <div
+          className={`absolute right-0 top-6 flex flex-col rounded border text-xs shadow-lg ${colors}`}
+        >
+          <button
+            onClick={() => handleExport("png")}
+            className="px-3 py-1 text-left whitespace-nowrap hover:opacity-70"
+          >
+            Save PNG
+          </button>
+          <button
+            onClick={() => handleExport("svg")}
+            className="px-3 py-1 text-left whitespace-nowrap hover:opacity-70"
+          >
+            Save SVG
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GraphExportButton;
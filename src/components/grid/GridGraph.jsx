@@ -2,6 +2,7 @@
 
 import React, { useRef, useMemo } from "react";
 import GridComponent from "./GridComponent";
+import GraphExportButton from "./GraphExportButton";
 import { LIGHT_NOISE_TEXTURE, DARK_NOISE_TEXTURE } from "../../themes/textures";
 import { getFontStyle } from "../../utils/typography";
 import { CELL_SIZE } from "../../themes";
@@ -27,6 +28,7 @@ const GridGraph = React.memo(
     xRange = [0, 1], // [min, max] for x-axis
     yRange = [0, 1], // [min, max] for y-axis
     tooltip,
+    exportable = true, // Show the save-figure (PNG/SVG) button
     theme,
     children,
   }) => {
@@ -38,6 +40,7 @@ const GridGraph = React.memo(
       ? DARK_NOISE_TEXTURE
       : LIGHT_NOISE_TEXTURE;
     const canvasRef = useRef(null);
+    const graphAreaRef = useRef(null);
 
     // Theme-adaptive colors
     const graphBg = isDarkMode ? "#1f2937" : "#f9fafb"; // Very dark gray / very light gray
@@ -361,6 +364,7 @@ const GridGraph = React.memo(
       >
         {/* Inner graph area */}
         <div
+          ref={graphAreaRef}
           className="w-full h-full rounded border relative"
           style={{
             backgroundColor: graphBg,
@@ -493,6 +497,15 @@ const GridGraph = React.memo(
             {/* Custom graph content - supports both regular children and render prop pattern */}
             {typeof children === "function" ? children(transform) : children}
           </div>
+
+          {exportable && (
+            <GraphExportButton
+              targetRef={graphAreaRef}
+              name={`${yLabel} vs ${xLabel}`}
+              isDarkMode={isDarkMode}
+              isUnicornMode={isUnicornMode}
+            />
+          )}
         </div>
       </GridComponent>
     );
@@ -2,6 +2,7 @@
 
 import React, { useRef, useMemo } from "react";
 import GridComponent from "./GridComponent";
+import GraphExportButton from "./GraphExportButton";
 import { LIGHT_NOISE_TEXTURE, DARK_NOISE_TEXTURE } from "../../themes/textures";
 import { getFontStyle } from "../../utils/typography";
 import { CELL_SIZE } from "../../themes";
@@ -31,6 +32,7 @@ const GridGraphDualY = React.memo(
     rightAxisColor = "#4444ff", // Blue for insulin
 
     tooltip,
+    exportable = true, // Show the save-figure (PNG/SVG) button
     theme,
     children,
   }) => {
@@ -43,6 +45,7 @@ const GridGraphDualY = React.memo(
       ? DARK_NOISE_TEXTURE
       : LIGHT_NOISE_TEXTURE;
     const canvasRef = useRef(null);
+    const graphAreaRef = useRef(null);
 
     // Theme-adaptive colors
     const graphBg = isDarkMode ? "#1f2937" : "#f9fafb";
@@ -357,6 +360,7 @@ const GridGraphDualY = React.memo(
         }}
       >
         <div
+          ref={graphAreaRef}
           className="w-full h-full rounded border relative"
           style={{
             backgroundColor: graphBg,
@@ -528,6 +532,15 @@ const GridGraphDualY = React.memo(
             {/* Custom graph content - supports both regular children and render prop pattern */}
             {typeof children === "function" ? children(transform) : children}
           </div>
+
+          {exportable && (
+            <GraphExportButton
+              targetRef={graphAreaRef}
+              name={`${yLabelLeft} and ${yLabelRight} vs ${xLabel}`}
+              isDarkMode={isDarkMode}
+              isUnicornMode={isUnicornMode}
+            />
+          )}
         </div>
       </GridComponent>
     );
@@ -60,7 +60,9 @@ const GridTableInput = ({
   // Calculate cell dimensions
   const headerHeight = 40;
   const rowHeight = Math.max(20, (contentHeight - headerHeight) / maxRows);
-  const colWidth = contentWidth / columns.length;
+  // Columns share the width in proportion to their optional `width` weight (default 1)
+  const totalWeight = columns.reduce((sum, col) => sum + (col.width ?? 1), 0);
+  const getColWidth = (column) => (contentWidth * (column.width ?? 1)) / totalWeight;
 
   // Handle cell value change
   const handleCellChange = useCallback(
@@ -135,7 +137,7 @@ const GridTableInput = ({
     const isComputed = column.type === "computed";
 
     return {
-      width: `${colWidth - 2}px`,
+      width: `${getColWidth(column) - 2}px`,
       height: `${rowHeight - 2}px`,
       border: "1px solid",
       borderColor: hasAnyError
@@ -160,7 +162,7 @@ const GridTableInput = ({
       fontSize: "12px",
       fontWeight: isComputed ? "600" : "normal",
       padding: "2px 4px",
-      textAlign: "center",
+      textAlign: column.align ?? "center",
       outline: "none",
       borderRadius: "2px",
       cursor: isComputed ? "default" : "text",
@@ -168,8 +170,8 @@ const GridTableInput = ({
   };
 
   // Get header cell styles
-  const getHeaderStyles = () => ({
-    width: `${colWidth}px`,
+  const getHeaderStyles = (column) => ({
+    width: `${getColWidth(column)}px`,
     height: `${headerHeight}px`,
     backgroundColor: isDarkMode ? "#4a5568" : "#e2e8f0",
     color: isDarkMode ? "#e2e8f0" : "#2d3748",
@@ -213,10 +215,10 @@ const GridTableInput = ({
               <div
                 key={column.key}
                 style={{
-                  ...getHeaderStyles(),
+                  ...getHeaderStyles(column),
                   borderRight:
                     colIndex < columns.length - 1
-                      ? getHeaderStyles().borderRight
+                      ? getHeaderStyles(column).borderRight
                       : "none",
                 }}
               >
@@ -235,7 +237,7 @@ const GridTableInput = ({
                   <div
                     key={`${rowIndex}-${column.key}`}
                     style={{
-                      width: `${colWidth}px`,
+                      width: `${getColWidth(column)}px`,
                       height: `${rowHeight}px`,
                       display: "flex",
                       alignItems: "center",
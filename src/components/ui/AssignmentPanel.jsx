@@ -0,0 +1,127 @@
+// src/components/ui/AssignmentPanel.jsx
+
+import React from "react";
+import { useTheme } from "../../hooks/useTheme";
+import { getToolById } from "../../data/tools";
+import PromptMarkdown from "./PromptMarkdown";
+
+// Assignment navigation. With a step index it shows that step's prompt with
+// previous/next buttons (above the tool); without one it lists every step
+// (on the menu page).
+const AssignmentPanel = ({
+  assignment,
+  stepIndex = null,
+  onStepSelect,
+  onExit,
+}) => {
+  const { theme, currentTheme } = useTheme();
+  const isDark = currentTheme === "dark";
+  const isUnicorn = currentTheme === "unicorn";
+
+  const panelClass = isUnicorn
+    ? "bg-pink-50 border-pink-300"
+    : isDark
+      ? "bg-gray-800 border-gray-600"
+      : "bg-white border-gray-300";
+  const buttonClass = `px-4 py-2 rounded-lg font-medium transition-all border disabled:opacity-40 ${
+    isUnicorn
+      ? "bg-pink-100 border-pink-300 text-pink-800 hover:bg-pink-200"
+      : isDark
+        ? "bg-gray-700 border-gray-600 text-gray-200 hover:bg-gray-600"
+        : "bg-gray-50 border-gray-300 text-gray-700 hover:bg-gray-100"
+  }`;
+  const linkClass = isUnicorn
+    ? "text-pink-600 hover:text-pink-800"
+    : isDark
+      ? "text-blue-400 hover:text-blue-300"
+      : "text-blue-600 hover:text-blue-800";
+
+  const stepTitle = (step, index) =>
+    step.title || getToolById(step.tool)?.name || `Step ${index + 1}`;
+
+  const step = stepIndex !== null ? assignment.steps[stepIndex] : null;
+
+  return (
+    <div
+      className={`w-full max-w-4xl mx-auto mb-6 p-5 rounded-xl border-2 shadow-sm ${panelClass} ${theme.text}`}
+    >
+      <div className="flex items-start justify-between gap-4 mb-3">
+        <div>
+          <div className="text-sm opacity-60">
+            {step
+              ? `${assignment.title} · Step ${stepIndex + 1} of ${assignment.steps.length}`
+              : "Assignment"}
+          </div>
+          <h2 className="text-xl font-semibold">
+            {step ? stepTitle(step, stepIndex) : assignment.title}
+          </h2>
+        </div>
+        {onExit && (
+          <button
+            onClick={onExit}
+            className={`text-sm underline whitespace-nowrap ${linkClass}`}
+          >
+            Leave assignment
+          </button>
+        )}
+      </div>
+
+      {step ? (
+        <>
+          {step.prompt && (
+            <div className="text-sm leading-relaxed mb-4">
+              <PromptMarkdown>{step.prompt}</PromptMarkdown>
+            </div>
+          )}
+          {!getToolById(step.tool) && (
+            <p className="text-sm text-red-500 mb-4">
+              This step uses a tool that is not available: "{step.tool}"
+            </p>
+          )}
+          <div className="flex justify-between">
+            <button
+              onClick={() => onStepSelect(stepIndex - 1)}
+              disabled={stepIndex === 0}
+              className={buttonClass}
+            >
+              ← Previous
+            </button>
+            <button
+              onClick={() => onStepSelect(stepIndex + 1)}
+              disabled={stepIndex === assignment.steps.length - 1}
+              className={buttonClass}
+            >
+              Next →
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          {assignment.description && (
+            <div className="text-sm leading-relaxed mb-4">
+              <PromptMarkdown>{assignment.description}</PromptMarkdown>
+            </div>
+          )}
+          <ol className="space-y-2 mb-4">
+            {assignment.steps.map((assignmentStep, index) => (
+              <li key={index}>
+                <button
+                  onClick={() => onStepSelect(index)}
+                  className={`w-full text-left ${buttonClass}`}
+                >
+                  <span className="font-semibold mr-2">{index + 1}.</span>
+                  {stepTitle(assignmentStep, index)}
+                </button>
+              </li>
+            ))}
+          </ol>
+          <button onClick={() => onStepSelect(0)} className={buttonClass}>
+            Start →
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AssignmentPanel;
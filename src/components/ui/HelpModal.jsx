@@ -3,6 +3,14 @@
 import React, { useEffect, useState } from "react";
 import ReactMarkdown from "react-markdown";
 import { useTheme } from "../../hooks/useTheme";
+import { getHelpUrl } from "../../data/tools";
+import Equation from "../Equation";
+import TryLink from "../TryLink";
+import {
+  helpUrlTransform,
+  parseEquationSource,
+  parseTryLink,
+} from "../../utils/helpMarkdown";
 
 const HelpModal = ({ toolId, onClose }) => {
   const { theme, currentTheme } = useTheme();
@@ -17,7 +25,7 @@ const HelpModal = ({ toolId, onClose }) => {
   useEffect(() => {
     const loadHelpContent = async () => {
       try {
-        const response = await fetch(`/modeling-synthesizer/help/${toolId}.md`);
+        const response = await fetch(getHelpUrl(toolId));
         if (!response.ok) {
           throw new Error("Help file not found");
         }
@@ -158,6 +166,7 @@ const HelpModal = ({ toolId, onClose }) => {
               }}
             >
               <ReactMarkdown
+                urlTransform={helpUrlTransform}
                 components={{
                   h1: ({ node, ...props }) => (
                     <h1
@@ -222,20 +231,42 @@ const HelpModal = ({ toolId, onClose }) => {
                       </code>
                     );
                   },
-                  a: ({ node, ...props }) => (
-                    <a
-                      className={`underline ${
-                        isUnicorn
-                          ? "text-pink-600 hover:text-pink-800"
-                          : isDark
-                            ? "text-blue-400 hover:text-blue-300"
-                            : "text-blue-600 hover:text-blue-800"
-                      }`}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      {...props}
-                    />
-                  ),
+                  // "Try this" links set the tool's parameters and close help
+                  a: ({ href, title, children }) => {
+                    const values = parseTryLink(href);
+                    return values ? (
+                      <TryLink values={values} onApply={onClose}>
+                        {children}
+                      </TryLink>
+                    ) : (
+                      <a
+                        href={href}
+                        className={`underline ${
+                          isUnicorn
+                            ? "text-pink-600 hover:text-pink-800"
+                            : isDark
+                              ? "text-blue-400 hover:text-blue-300"
+                              : "text-blue-600 hover:text-blue-800"
+                        }`}
+                        title={title}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        {children}
+                      </a>
+                    );
+                  },
+                  // Equations from src/equations: ![alt](equation:name)
+                  img: ({ src, alt, title }) => {
+                    const equation = parseEquationSource(src);
+                    return equation ? (
+                      <span className="block my-3" role="img" aria-label={alt}>
+                        <Equation name={equation} size="large" />
+                      </span>
+                    ) : (
+                      <img src={src} alt={alt} title={title} />
+                    );
+                  },
                 }}
               >
                 {helpContent}
@@ -0,0 +1,79 @@
+// src/components/ui/PromptMarkdown.jsx
+
+import React from "react";
+import ReactMarkdown from "react-markdown";
+import { useTheme } from "../../hooks/useTheme";
+import Equation from "../Equation";
+import TryLink from "../TryLink";
+import {
+  helpUrlTransform,
+  parseEquationSource,
+  parseTryLink,
+} from "../../utils/helpMarkdown";
+
+// Compact markdown for short instructor-written text (assignment prompts,
+// tutorial callouts), with the help pages' "try this" links and equations
+const PromptMarkdown = ({ children, onTry }) => {
+  const { currentTheme } = useTheme();
+  const isDark = currentTheme === "dark";
+  const linkClass =
+    currentTheme === "unicorn"
+      ? "text-pink-600 hover:text-pink-800"
+      : isDark
+        ? "text-blue-400 hover:text-blue-300"
+        : "text-blue-600 hover:text-blue-800";
+
+  const components = {
+    p: ({ children }) => <p className="mb-2">{children}</p>,
+    ul: ({ children }) => (
+      <ul className="list-disc list-outside mb-2 ml-5">{children}</ul>
+    ),
+    ol: ({ children }) => (
+      <ol className="list-decimal list-outside mb-2 ml-5">{children}</ol>
+    ),
+    strong: ({ children }) => <strong className="font-bold">{children}</strong>,
+    code: ({ children }) => (
+      <code
+        className={`px-1 rounded ${isDark ? "bg-gray-700" : "bg-gray-100"}`}
+        style={{ fontFamily: "monospace", fontSize: "0.9em" }}
+      >
+        {children}
+      </code>
+    ),
+    a: ({ href, children }) => {
+      const values = parseTryLink(href);
+      return values ? (
+        <TryLink values={values} onApply={onTry}>
+          {children}
+        </TryLink>
+      ) : (
+        <a
+          href={href}
+          className={`underline ${linkClass}`}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          {children}
+        </a>
+      );
+    },
+    img: ({ src, alt }) => {
+      const equation = parseEquationSource(src);
+      return equation ? (
+        <span className="block my-2" role="img" aria-label={alt}>
+          <Equation name={equation} />
+        </span>
+      ) : (
+        <img src={src} alt={alt} />
+      );
+    },
+  };
+
+  return (
+    <ReactMarkdown components={components} urlTransform={helpUrlTransform}>
+      {children}
+    </ReactMarkdown>
+  );
+};
+
+export default PromptMarkdown;
@@ -3,6 +3,11 @@
 import React, { useState, useEffect } from "react";
 import { useTheme } from "../../hooks/useTheme";
 import HelpModal from "./HelpModal";
+import TutorialOverlay from "./TutorialOverlay";
+import { getTutorialUrl } from "../../data/tools";
+import { loadTutorial } from "../../utils/tutorials";
+import { getShellParams } from "../../utils/urlState";
+import { exportDataset } from "../../utils/dataExport";
 import {
   LIGHT_NOISE_TEXTURE,
   DARK_NOISE_TEXTURE,
@@ -10,9 +15,21 @@ import {
 } from "../../themes/textures";
 
 const ToolContainer = React.memo(
-  ({ title, children, canvasWidth = 10, canvasHeight = 5 }) => {
+  ({
+    title,
+    children,
+    canvasWidth = 10,
+    canvasHeight = 5,
+    seed,
+    lastSeed,
+    onSeedChange,
+    exportData,
+  }) => {
     const { theme } = useTheme();
     const [showHelp, setShowHelp] = useState(false);
+    const [linkCopied, setLinkCopied] = useState(false);
+    const [showExportMenu, setShowExportMenu] = useState(false);
+    const [tutorial, setTutorial] = useState(null);
     const isDarkMode = theme.component.includes("gray-700");
     const isUnicornMode = theme.text.includes("purple-800");
     const currentTexture = isDarkMode
@@ -25,6 +42,7 @@ const ToolContainer = React.memo(
     // Get current tool ID from URL
     const urlParams = new URLSearchParams(window.location.search);
     const toolId = urlParams.get("tool");
+    const tutorialUrl = toolId ? getTutorialUrl(toolId) : null;
 
     // Handle keyboard shortcut (?) for help
     useEffect(() => {
@@ -37,6 +55,33 @@ const ToolContainer = React.memo(
       return () => window.removeEventListener("keypress", handleKeyPress);
     }, [showHelp]);
 
+    // Start the tool's guided tutorial
+    const handleStartTutorial = async () => {
+      try {
+        setTutorial(await loadTutorial(tutorialUrl));
+      } catch (err) {
+        console.warn("Could not load tutorial:", err);
+      }
+    };
+
+    // Copy a link that reproduces the current tool settings
+    const handleCopyLink = async () => {
+      try {
+        await navigator.clipboard.writeText(window.location.href);
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 1500);
+      } catch (err) {
+        console.warn("Could not copy link:", err);
+      }
+    };
+
+    // Download the tool's simulation output (see utils/dataExport.js)
+    const hasExportData = Boolean(exportData && exportData.rows.length > 0);
+    const handleExport = (format) => {
+      setShowExportMenu(false);
+      if (hasExportData) exportDataset(exportData, toolId, format);
+    };
+
     // Calculate dynamic dimensions based on canvas size
     const CELL_SIZE = 100;
     const PADDING = 50;
@@ -106,8 +151,107 @@ const ToolContainer = React.memo(
               {title}
             </h1>
 
-            {/* Help and reload buttons */}
-            <div className="flex gap-2">
+            {/* Seed, export, help, share and reload buttons */}
+            <div className="flex gap-2 items-center">
+              {/* Random seed field (stochastic tools only) */}
+              {onSeedChange && (
+                <label
+                  className={`flex items-center gap-1 mr-2 text-sm ${theme.text}`}
+                  title="Random seed: enter a number or word to replay a run exactly. Leave blank for a new random run each time."
+                >
+                  <span className="opacity-75">seed</span>
+                  <input
+                    type="text"
+                    value={seed}
+                    onChange={(e) => onSeedChange(e.target.value)}
+                    placeholder="random"
+                    className={`w-24 px-2 py-0.5 rounded border text-sm ${
+                      isUnicornMode
+                        ? "bg-pink-50 border-pink-300 text-pink-800"
+                        : isDarkMode
+                          ? "bg-gray-700 border-gray-500 text-gray-100"
+                          : "bg-white border-gray-300 text-gray-800"
+                    }`}
+                    style={{ fontFamily: "monospace" }}
+                  />
+                  {!seed && lastSeed !== null && lastSeed !== undefined && (
+                    <button
+                      type="button"
+                      onClick={() => onSeedChange(String(lastSeed))}
+                      className="text-xs opacity-60 hover:opacity-100 underline"
+                      title="Use the seed from the last run"
+                    >
+                      last: {lastSeed}
+                    </button>
+                  )}
+                </label>
+              )}
+
+              {/* Export data button (tools that provide exportData only) */}
+              {exportData !== undefined && (
+                <div className="relative">
+                  <button
+                    onClick={() => setShowExportMenu(!showExportMenu)}
+                    disabled={!hasExportData}
+                    className={`w-8 h-8 flex items-center justify-center text-lg font-bold rounded-full ${
+                      isUnicornMode
+                        ? "bg-pink-100 hover:bg-pink-200 text-pink-800 border border-pink-300"
+                        : isDarkMode
+                          ? "bg-gray-600 hover:bg-gray-500 text-gray-100 border border-gray-500"
+                          : "bg-gray-100 hover:bg-gray-200 text-gray-700 border border-gray-300"
+                    } transition-colors duration-150 disabled:opacity-40 disabled:cursor-not-allowed`}
+                    title={
+                      hasExportData
+                        ? "Export data (CSV or JSON)"
+                        : "Run the simulation to export data"
+                    }
+                  >
+                    ⤓
+                  </button>
+                  {showExportMenu && hasExportData && (
+                    <div
+                      className={`absolute right-0 top-10 z-50 flex flex-col rounded border text-sm shadow-lg ${
+                        isUnicornMode
+                          ? "bg-pink-50 border-pink-300 text-pink-800"
+                          : isDarkMode
+                            ? "bg-gray-700 border-gray-500 text-gray-100"
+                            : "bg-white border-gray-300 text-gray-800"
+                      }`}
+                    >
+                      <button
+                        onClick={() => handleExport("csv")}
+                        className="px-4 py-1 text-left whitespace-nowrap hover:opacity-70"
+                      >
+                        Export CSV
+                      </button>
+                      <button
+                        onClick={() => handleExport("json")}
+                        className="px-4 py-1 text-left whitespace-nowrap hover:opacity-70"
+                      >
+                        Export JSON
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Tutorial button (tools with a tutorial file only) */}
+              {tutorialUrl && (
+                <button
+                  onClick={handleStartTutorial}
+                  className={`w-8 h-8 flex items-center justify-center text-sm font-bold rounded-full ${
+                    isUnicornMode
+                      ? "bg-pink-100 hover:bg-pink-200 text-pink-800 border border-pink-300"
+                      : isDarkMode
+                        ? "bg-gray-600 hover:bg-gray-500 text-gray-100 border border-gray-500"
+                        : "bg-gray-100 hover:bg-gray-200 text-gray-700 border border-gray-300"
+                  } transition-colors duration-150`}
+                  title="Start guided tutorial"
+                >
+                  🎓
+                </button>
+              )}
+
               {/* Help button */}
               <button
                 onClick={() => setShowHelp(true)}
@@ -123,20 +267,30 @@ const ToolContainer = React.memo(
                 ?
               </button>
 
+              {/* Share link button */}
+              <button
+                onClick={handleCopyLink}
+                className={`w-8 h-8 flex items-center justify-center text-sm font-bold rounded-full ${
+                  isUnicornMode
+                    ? "bg-pink-100 hover:bg-pink-200 text-pink-800 border border-pink-300"
+                    : isDarkMode
+                      ? "bg-gray-600 hover:bg-gray-500 text-gray-100 border border-gray-500"
+                      : "bg-gray-100 hover:bg-gray-200 text-gray-700 border border-gray-300"
+                } transition-colors duration-150`}
+                title={
+                  linkCopied ? "Link copied!" : "Copy link to these settings"
+                }
+              >
+                {linkCopied ? "✓" : "🔗"}
+              </button>
+
               {/* Universal reset button */}
               <button
                 onClick={() => {
-                  const urlParams = new URLSearchParams(window.location.search);
-                  const currentTool = urlParams.get("tool");
-                  const currentTheme = urlParams.get("theme");
-
                   // Reconstruct URL with preserved theme but fresh tool state
-                  const newParams = new URLSearchParams();
-                  if (currentTool) newParams.set("tool", currentTool);
-                  if (currentTheme) newParams.set("theme", currentTheme);
-                  if (urlParams.get("dev") === "true")
-                    newParams.set("dev", "true");
-
+                  const newParams = getShellParams(
+                    new URLSearchParams(window.location.search),
+                  );
                   window.location.search = newParams.toString();
                 }}
                 className={`w-8 h-8 flex items-center justify-center text-lg font-bold rounded-full ${
@@ -164,6 +318,14 @@ const ToolContainer = React.memo(
             }}
           >
             {children}
+            {tutorial && (
+              <TutorialOverlay
+                tutorial={tutorial}
+                canvasWidth={canvasWidth}
+                canvasHeight={canvasHeight}
+                onClose={() => setTutorial(null)}
+              />
+            )}
           </div>
         </div>
 
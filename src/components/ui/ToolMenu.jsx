@@ -2,13 +2,21 @@
 
 import React, { useState } from "react";
 import { useTheme } from "../../hooks/useTheme";
+import AssignmentPanel from "./AssignmentPanel";
 import {
   generateTopicCategories,
   generateToolTypeCategories,
   generateLabCategories,
 } from "../../data/tools";
 
-const ToolMenu = ({ onToolSelect, availableTools, currentTool }) => {
+const ToolMenu = ({
+  onToolSelect,
+  availableTools,
+  currentTool,
+  assignment = null,
+  onAssignmentStepSelect,
+  onExitAssignment,
+}) => {
   const { theme, currentTheme } = useTheme();
   const [selectedLab, setSelectedLab] = useState("all");
   const [selectedTopic, setSelectedTopic] = useState("all");
@@ -109,6 +117,15 @@ const ToolMenu = ({ onToolSelect, availableTools, currentTool }) => {
         </p>
       </div>
 
+      {/* Assignment opened from an `assignment` link */}
+      {assignment && (
+        <AssignmentPanel
+          assignment={assignment}
+          onStepSelect={onAssignmentStepSelect}
+          onExit={onExitAssignment}
+        />
+      )}
+
       {/* Lab Manual Categories */}
       <div className="mb-6">
         <div className="flex flex-wrap justify-center gap-2 mb-4">
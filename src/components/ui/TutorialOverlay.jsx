@@ -0,0 +1,262 @@
+// src/components/ui/TutorialOverlay.jsx
+
+import React, { useState, useEffect, useRef } from "react";
+import { useTheme } from "../../hooks/useTheme";
+import PromptMarkdown from "./PromptMarkdown";
+import { URL_STATE_EVENT, URL_WRITE_EVENT } from "../../utils/urlState";
+import {
+  describeCondition,
+  getClickRegion,
+  isParamConditionMet,
+} from "../../utils/tutorials";
+
+const CELL_SIZE = 100;
+const CALLOUT_WIDTH = 280;
+const GAP = 8;
+
+// Pixel box of a cell region
+const cellBox = (rect) => ({
+  left: rect.x * CELL_SIZE,
+  top: rect.y * CELL_SIZE,
+  width: rect.w * CELL_SIZE,
+  height: rect.h * CELL_SIZE,
+});
+
+// Place the callout beside the highlight where there is room: right, left,
+// below, above, and otherwise along the bottom edge of the tool
+const calloutPosition = (highlight, gridWidth, gridHeight) => {
+  if (!highlight) {
+    return { left: "50%", top: "50%", transform: "translate(-50%, -50%)" };
+  }
+
+  const box = cellBox(highlight);
+  const right = box.left + box.width;
+  const bottom = box.top + box.height;
+  // Anchor to the highlight's top in the upper half, its bottom otherwise
+  const vertical =
+    box.top < gridHeight / 2
+      ? { top: box.top + GAP }
+      : { bottom: gridHeight - bottom + GAP };
+  const alignedLeft = Math.max(
+    GAP,
+    Math.min(box.left, gridWidth - CALLOUT_WIDTH - GAP),
+  );
+
+  if (gridWidth - right >= CALLOUT_WIDTH + 2 * GAP) {
+    return { left: right + GAP, ...vertical };
+  }
+  if (box.left >= CALLOUT_WIDTH + 2 * GAP) {
+    return { left: box.left - CALLOUT_WIDTH - GAP, ...vertical };
+  }
+  if (gridHeight - bottom >= 1.5 * CELL_SIZE) {
+    return { left: alignedLeft, top: bottom + GAP };
+  }
+  if (box.top >= 1.5 * CELL_SIZE) {
+    return { left: alignedLeft, bottom: gridHeight - box.top + GAP };
+  }
+  return { left: alignedLeft, bottom: GAP };
+};
+
+// Step-by-step tutorial drawn over a tool's grid (see utils/tutorials.js).
+// The tool stays usable underneath: steps with a waitFor condition move on
+// by themselves once the student changes the parameter or clicks the cells.
+const TutorialOverlay = ({ tutorial, canvasWidth, canvasHeight, onClose }) => {
+  const { currentTheme } = useTheme();
+  const [stepIndex, setStepIndex] = useState(0);
+  const [completedStep, setCompletedStep] = useState(null);
+  const [startParams, setStartParams] = useState(
+    () => new URLSearchParams(window.location.search),
+  );
+  const rootRef = useRef(null);
+
+  const step = tutorial.steps[stepIndex];
+  const waitFor = step.waitFor;
+  const isLast = stepIndex === tutorial.steps.length - 1;
+  const isComplete = !waitFor || completedStep === stepIndex;
+  const clickRegion = getClickRegion(step);
+  const gridWidth = canvasWidth * CELL_SIZE;
+  const gridHeight = canvasHeight * CELL_SIZE;
+
+  const goToStep = (index) => {
+    setStartParams(new URLSearchParams(window.location.search));
+    setStepIndex(index);
+  };
+
+  // Watch the tool's URL parameters for parameter conditions
+  useEffect(() => {
+    if (!waitFor?.param) return;
+    const check = () => {
+      const urlParams = new URLSearchParams(window.location.search);
+      if (isParamConditionMet(waitFor, urlParams, startParams)) {
+        setCompletedStep(stepIndex);
+      }
+    };
+    check();
+    window.addEventListener(URL_WRITE_EVENT, check);
+    window.addEventListener(URL_STATE_EVENT, check);
+    return () => {
+      window.removeEventListener(URL_WRITE_EVENT, check);
+      window.removeEventListener(URL_STATE_EVENT, check);
+    };
+  }, [waitFor, startParams, stepIndex]);
+
+  // Watch for clicks in the step's cells. Listening on the document in the
+  // capture phase sees the click before the tool handles it.
+  useEffect(() => {
+    if (!clickRegion) return;
+    const handlePointerDown = (e) => {
+      const rect = rootRef.current?.getBoundingClientRect();
+      if (!rect) return;
+      const x = (e.clientX - rect.left) / CELL_SIZE;
+      const y = (e.clientY - rect.top) / CELL_SIZE;
+      if (
+        x >= clickRegion.x &&
+        x <= clickRegion.x + clickRegion.w &&
+        y >= clickRegion.y &&
+        y <= clickRegion.y + clickRegion.h
+      ) {
+        setCompletedStep(stepIndex);
+      }
+    };
+    document.addEventListener("pointerdown", handlePointerDown, true);
+    return () =>
+      document.removeEventListener("pointerdown", handlePointerDown, true);
+  }, [clickRegion, stepIndex]);
+
+  // Move on shortly after the student does what the step asked, leaving
+  // time to see the effect
+  useEffect(() => {
+    if (!waitFor || completedStep !== stepIndex || isLast) return;
+    const timer = setTimeout(() => {
+      setStartParams(new URLSearchParams(window.location.search));
+      setStepIndex(stepIndex + 1);
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [waitFor, completedStep, stepIndex, isLast]);
+
+  // Escape ends the tutorial
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const isDark = currentTheme === "dark";
+  const isUnicorn = currentTheme === "unicorn";
+  const calloutClass = isUnicorn
+    ? "bg-pink-50 border-pink-300 text-pink-900"
+    : isDark
+      ? "bg-gray-800 border-gray-500 text-gray-100"
+      : "bg-white border-gray-400 text-gray-800";
+  const buttonClass = `px-3 py-1 text-sm rounded border transition-colors disabled:opacity-40 ${
+    isUnicorn
+      ? "bg-pink-100 border-pink-300 hover:bg-pink-200"
+      : isDark
+        ? "bg-gray-700 border-gray-500 hover:bg-gray-600"
+        : "bg-gray-50 border-gray-300 hover:bg-gray-100"
+  }`;
+
+  return (
+    <div
+      ref={rootRef}
+      className="absolute inset-0 pointer-events-none"
+      style={{ zIndex: 40 }}
+    >
+      {/* Dim everything except the highlighted cells */}
+      {step.highlight ? (
+        <div
+          className="absolute rounded-lg border-4 border-yellow-400 transition-all duration-300"
+          style={{
+            ...cellBox(step.highlight),
+            boxShadow: "0 0 0 9999px rgba(0, 0, 0, 0.35)",
+          }}
+        />
+      ) : (
+        <div
+          className="absolute inset-0"
+          style={{ backgroundColor: "rgba(0, 0, 0, 0.35)" }}
+        />
+      )}
+
+      {/* Cells to click, when they differ from the highlight */}
+      {clickRegion && clickRegion !== step.highlight && (
+        <div
+          className="absolute rounded-lg border-4 border-dashed border-yellow-400"
+          style={cellBox(clickRegion)}
+        />
+      )}
+
+      {/* Callout */}
+      <div
+        className={`absolute pointer-events-auto rounded-lg border-2 shadow-lg p-4 overflow-y-auto ${calloutClass}`}
+        style={{
+          width: CALLOUT_WIDTH,
+          maxHeight: gridHeight - 2 * GAP,
+          ...calloutPosition(step.highlight, gridWidth, gridHeight),
+        }}
+        role="dialog"
+        aria-label={tutorial.title}
+      >
+        <div className="flex justify-between items-start mb-2 text-xs opacity-70">
+          <span>
+            {tutorial.title} · {stepIndex + 1}/{tutorial.steps.length}
+          </span>
+          <button
+            onClick={onClose}
+            className="ml-2 font-bold hover:opacity-70"
+            title="End tutorial (Esc)"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="text-sm leading-relaxed">
+          <PromptMarkdown>{step.text}</PromptMarkdown>
+        </div>
+
+        {waitFor && (
+          <p
+            className={`text-xs mb-2 ${
+              isComplete ? "text-green-600 font-semibold" : "italic opacity-70"
+            }`}
+          >
+            {isComplete
+              ? "✓ Done!"
+              : `${describeCondition(waitFor)} to continue`}
+          </p>
+        )}
+
+        <div className="flex justify-between mt-2">
+          <button
+            onClick={() => goToStep(stepIndex - 1)}
+            disabled={stepIndex === 0}
+            className={buttonClass}
+          >
+            ← Back
+          </button>
+          {isLast ? (
+            <button
+              onClick={onClose}
+              disabled={!isComplete}
+              className={buttonClass}
+            >
+              Finish
+            </button>
+          ) : (
+            <button
+              onClick={() => goToStep(stepIndex + 1)}
+              disabled={!isComplete}
+              className={buttonClass}
+            >
+              Next →
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TutorialOverlay;
@@ -1,514 +1,137 @@
 // src/data/tools.js
 // Centralized tool metadata for the Modeling Synthesizer
 
-import InsulinGlucoseTool from "../tools/InsulinGlucoseTool";
-import CaffeineMetabolismTool from "../tools/CaffeineMetabolismTool";
-import GentamicinDosageTool from "../tools/GentamicinDosageTool";
-import GlycolysisTool from "../tools/GlycolysisTool";
-import HollingTannerTool from "../tools/HollingTannerTool";
-import SharkTunaInteractionTool from "../tools/SharkTunaInteractionTool";
-import SharkTunaTrajectoryTool from "../tools/SharkTunaTrajectoryTool";
-import DynamicalSystemsCalculator from "../tools/DynamicalSystemsCalculator";
-import ComponentTestTool from "../tools/ComponentTestTool";
-import GridLabelTest from "../tools/GridLabelTest";
-import VisualToolBuilder from "../tools/VisualToolBuilder";
-import LinearRegressionLogScalingTool from "../tools/LinearRegressionLogScalingTool";
-import DiscreteModelingPracticeTool from "../tools/DiscreteModelingPracticeTool";
-import TrajectoryTimeSeriesPracticeTool from "../tools/TrajectoryTimeSeriesPracticeTool";
-import SelfInteractionSimulatorTool from "../tools/SelfInteractionSimulatorTool";
-import LogisticGrowthExplorerTool from "../tools/LogisticGrowthExplorerTool";
-import GeneralizedLotkaVolterraTool from "../tools/GeneralizedLotkaVolterraTool";
-import OneDimensionalCalculator from "../tools/OneDimensionalCalculator";
-import SimpleHarmonicOscillatorTool from "../tools/SimpleHarmonicOscillatorTool";
-import MuscleTremorSimulatorTool from "../tools/MuscleTremorSimulatorTool";
-import FitzHughNagumoTool from "../tools/FitzHughNagumoTool";
-import DiscreteLogisticExplorerTool from "../tools/DiscreteLogisticExplorerTool";
-import HutchinsonGrowthTool from "../tools/HutchinsonGrowthTool";
-import RapidCoinFlipperTool from "../tools/RapidCoinFlipperTool";
-import TreeRingSimulatorTool from "../tools/TreeRingSimulatorTool";
-import GrowthCollapseSimulatorTool from "../tools/GrowthCollapseSimulatorTool";
-import YuleProcessSimulatorTool from "../tools/YuleProcessSimulatorTool";
-import BrownianMotionSimulator from "../tools/BrownianMotionSimulator";
-import GeneticDriftSimulator from "../tools/GeneticDriftSimulator";
-import AtmosphericMoleculeSimulator from "../tools/AtmosphericMoleculeSimulator";
-import IonChannelSimulatorTool from "../tools/IonChannelSimulatorTool";
-import TwoCompartmentMarkovTool from "../tools/TwoCompartmentMarkovTool";
-import MatrixVectorCalculatorTool from "../tools/MatrixVectorCalculatorTool";
-import ThreeCompartmentMatrixTool from "../tools/ThreeCompartmentMatrixTool";
-import TwoDimensionalMatrixVisualizerTool from "../tools/TwoDimensionalMatrixVisualizerTool";
-import LeslieMatrixTool from "../tools/LeslieMatrixTool";
+import { createElement, lazy } from "react";
 
 /**
- * Complete tool definitions with all metadata
- * Single source of truth for tool information
+ * Tool registry
+ * Each tool registers a definition: id, name, description, categories
+ * ({topics, toolType, lab or labs}), visibility ("student", "dev" or "both"),
+ * optional help and tutorial files, and either a component or a `load` function that
+ * imports one. Loaded components are code-split and fetched on first use.
  */
-export const toolDefinitions = {
-  "insulin-glucose": {
-    name: "Insulin-Glucose Regulation",
-    description:
-      "Explore glucose homeostasis and insulin response dynamics with customizable parameters and meal challenges.",
-    component: InsulinGlucoseTool,
-    categories: {
-      topics: ["physiology"],
-      toolType: "simulation",
-      labs: ["lab1", "lab4"],
-    },
-    visibility: "student",
-  },
-
-  "caffeine-metabolism": {
-    name: "Caffeine Metabolism",
-    description:
-      "Model exponential decay of caffeine in the bloodstream with multiple daily doses and adjustable metabolic rates.",
-    component: CaffeineMetabolismTool,
-    categories: {
-      topics: ["physiology"],
-      toolType: "simulation",
-      lab: "lab1",
-    },
-    visibility: "student",
-  },
-
-  "gentamicin-dosage": {
-    name: "Gentamicin Dosage Simulator",
-    description:
-      "Pharmacokinetic modeling of gentamicin antibiotic levels with dosing parameters, therapeutic ranges, and toxicity thresholds.",
-    component: GentamicinDosageTool,
-    categories: {
-      topics: ["physiology"],
-      toolType: "simulation",
-      lab: "lab2",
-    },
-    visibility: "student",
-  },
-
-  glycolysis: {
-    name: "Higgins-Sel'kov Glycolysis Model",
-    description:
-      "Interactive biochemical simulation of glycolytic oscillations with vector fields, nullclines, and metabolite trajectory analysis.",
-    component: GlycolysisTool,
-    categories: {
-      topics: ["molecular"],
-      toolType: "simulation",
-      lab: "lab4",
-    },
-    visibility: "student",
-  },
-
-  "holling-tanner": {
-    name: "Holling-Tanner Predator-Prey Model",
-    description:
-      "Advanced predator-prey dynamics with Holling Type II functional response, showing complex population interactions between sharks and tuna.",
-    component: HollingTannerTool,
-    categories: {
-      topics: ["ecology"],
-      toolType: "simulation",
-      lab: "lab4",
-    },
-    visibility: "student",
-  },
-
-  "shark-tuna-interaction": {
-    name: "Shark-Tuna Interactions",
-    description:
-      "Spatial predator-prey simulation showing real-time predation events in an ocean ecosystem.",
-    component: SharkTunaInteractionTool,
-    categories: {
-      topics: ["ecology"],
-      toolType: "explorer",
-      lab: "lab1",
-    },
-    visibility: "student",
-  },
-
-  "shark-tuna-trajectory": {
-    name: "Shark-Tuna Trajectories",
-    description:
-      "Phase space visualization of predator-prey dynamics with vector fields and trajectory plotting.",
-    component: SharkTunaTrajectoryTool,
-    categories: {
-      topics: ["ecology"],
-      toolType: "simulation",
-      lab: "lab1",
-    },
-    visibility: "student",
-  },
-
-  "dynamical-systems-calculator": {
-    name: "Dynamical Systems Calculator",
-    description:
-      "General-purpose calculator for exploring vector fields and particle trajectories with custom differential equations.",
-    component: DynamicalSystemsCalculator,
-    categories: {
-      topics: [],
-      toolType: "calculator",
-      lab: null,
-    },
-    visibility: "student",
-  },
-
-  "component-test": {
-    name: "Component Test",
-    description: "Test individual grid components and their interactions.",
-    component: ComponentTestTool,
-    categories: {
-      topics: [],
-      toolType: "development",
-      lab: null,
-    },
-    visibility: "dev",
-  },
-
-  "grid-label-test": {
-    name: "Grid Label Test",
-    description: "Typography and labeling system testing interface.",
-    component: GridLabelTest,
-    categories: {
-      topics: [],
-      toolType: "development",
-      lab: null,
-    },
-    visibility: "dev",
-  },
-
-  "visual-tool-builder": {
-    name: "Visual Tool Builder",
-    description: "Drag-and-drop interface for creating new modeling tools.",
-    component: VisualToolBuilder,
-    categories: {
-      topics: [],
-      toolType: "development",
-      lab: null,
-    },
-    visibility: "dev",
-  },
-
-  "linear-regression-log-scaling": {
-    name: "Linear Regression with Log Scaling",
-    description:
-      "Interactive data visualization tool with linear and logarithmic scaling options, plus linear regression analysis for exploring data relationships.",
-    component: LinearRegressionLogScalingTool,
-    categories: {
-      topics: [],
-      toolType: "calculator",
-      lab: null,
-    },
-    visibility: "student",
-  },
-
-  "discrete-modeling-practice": {
-    name: "Discrete Modeling Practice",
-    description:
-      "Interactive study aide for practicing discrete-time modeling with randomized linear and exponential growth scenarios.",
-    component: DiscreteModelingPracticeTool,
-    categories: {
-      topics: [],
-      toolType: "study",
-      lab: null,
-    },
-    visibility: "student",
-  },
-
-  "trajectory-time-series-practice": {
-    name: "Trajectory & Time Series Practice",
-    description:
-      "Interactive study aide for understanding the relationship between trajectory plots and time series plots in population dynamics.",
-    component: TrajectoryTimeSeriesPracticeTool,
-    categories: {
-      topics: [],
-      toolType: "study",
-      lab: null,
-    },
-    visibility: "student",
-  },
-
-  "self-interaction-simulator": {
-    name: "Self-Interaction Explorer",
-    description:
-      "Particle collision simulator showing random motion and interactions in a circular space. Track collision frequency over time.",
-    component: SelfInteractionSimulatorTool,
-    categories: {
-      topics: [],
-      toolType: "explorer",
-      lab: "lab3",
-    },
-    visibility: "student",
-  },
-
-  "logistic-growth-explorer": {
-    name: "Logistic Growth Explorer",
-    description:
-      "Interactive tool for exploring logistic growth dynamics with data fitting. Adjust carrying capacity, growth rate, and time shift to match experimental population data.",
-    component: LogisticGrowthExplorerTool,
-    categories: {
-      topics: ["ecology"],
-      toolType: "explorer",
-      lab: "lab3",
-    },
-    visibility: "student",
-  },
-
-  "generalized-lotka-volterra": {
-    name: "Generalized Lotka-Volterra Model",
-    description:
-      "Explore general two-species population dynamics with customizable growth, competition, and interaction parameters. Includes phase portraits, nullclines, and time series analysis.",
-    component: GeneralizedLotkaVolterraTool,
-    categories: {
-      topics: ["ecology"],
-      toolType: "simulation",
-      lab: "lab3",
-    },
-    visibility: "student",
-  },
-
-  "one-dimensional-calculator": {
-    name: "1D Dynamical System Calculator",
-    description:
-      "Explore single-variable dynamical systems with phase line analysis and time series visualization. Adjust parameters to see equilibria, stability, and flow dynamics.",
-    component: OneDimensionalCalculator,
-    categories: {
-      topics: [],
-      toolType: "calculator",
-      lab: "lab3",
-    },
-    visibility: "student",
-  },
-
-  "simple-harmonic-oscillator": {
-    name: "Simple Harmonic Oscillator",
-    description:
-      "Explore classical harmonic motion with position and momentum phase space visualization. Observe circular trajectories and perfect periodic oscillations.",
-    component: SimpleHarmonicOscillatorTool,
-    categories: {
-      topics: ["physical"],
-      toolType: "explorer",
-      lab: "lab4",
-    },
-    visibility: "student",
-  },
-
-  "muscle-tremor-simulator": {
-    name: "Muscle Tremor Simulator",
-    description:
-      "Explore delay differential equations in muscle physiology. Model the reflex arc with adjustable neural delay to observe tremor dynamics and stability boundaries.",
-    component: MuscleTremorSimulatorTool,
-    categories: {
-      topics: ["physiology"],
-      toolType: "simulation",
-      lab: "lab4",
-    },
-    visibility: "student",
-  },
+const registry = new Map();
+const listeners = new Set();
+let registryVersion = 0;
 
-  "fitzhugh-nagumo": {
-    name: "FitzHugh-Nagumo Neuron Model",
-    description:
-      "Explore action potential dynamics with the FitzHugh-Nagumo neuron model. Visualize membrane potential and recovery variable interactions in phase space with nullclines and trajectories.",
-    component: FitzHughNagumoTool,
-    categories: {
-      topics: ["physiology"],
-      toolType: "simulation",
-      lab: "lab4",
-    },
-    visibility: "student",
-  },
+const notifyListeners = () => {
+  registryVersion++;
+  listeners.forEach((listener) => listener());
+};
 
-  "discrete-logistic-explorer": {
-    name: "Discrete Logistic Model Explorer",
-    description:
-      "Explore discrete-time logistic population growth with bifurcation diagrams. Observe period-doubling cascades and chaotic dynamics as the birth rate parameter varies.",
-    component: DiscreteLogisticExplorerTool,
-    categories: {
-      topics: ["ecology"],
-      toolType: "explorer",
-      lab: "lab5",
-    },
-    visibility: "student",
-  },
+// Component shown when a tool's code cannot be fetched
+const LoadFailed = () =>
+  createElement(
+    "div",
+    { className: "text-center py-12 text-red-500" },
+    "This tool could not be loaded. Check your connection and reload the page.",
+  );
 
-  "hutchinson-growth": {
-    name: "Hutchinson Population Growth Simulator",
-    description:
-      "Explore time-delayed population dynamics with the Hutchinson model. Observe how past population values influence current growth through adjustable delay parameter.",
-    component: HutchinsonGrowthTool,
-    categories: {
-      topics: ["ecology"],
-      toolType: "simulation",
-      lab: "lab4",
-    },
-    visibility: "student",
-  },
+// Wrap a loader in React.lazy. Loaders may resolve to a module with a
+// default export or to the component itself.
+const lazyComponent = (load) =>
+  lazy(() =>
+    Promise.resolve()
+      .then(load)
+      .then((loaded) =>
+        loaded && loaded.default ? loaded : { default: loaded },
+      )
+      .catch((error) => {
+        console.warn("Could not load tool:", error);
+        return { default: LoadFailed };
+      }),
+  );
 
-  "rapid-coin-flipper": {
-    name: "Rapid Coin Flipper",
-    description:
-      "Simulate coin flips with adjustable probabilities. Visualize random walks and compare observed outcomes with expected values and standard deviations.",
-    component: RapidCoinFlipperTool,
+/**
+ * Add a tool to the menu, replacing any tool with the same id
+ * @param {Object} definition - Tool definition (see above)
+ * @returns {string} - The registered tool id
+ */
+export const registerTool = (definition) => {
+  const { id, name, component, load } = definition || {};
+  if (typeof id !== "string" || !id) {
+    throw new Error("Tool definition needs a string id");
+  }
+  if (typeof name !== "string" || !name) {
+    throw new Error(`Tool "${id}" needs a name`);
+  }
+  if (!component && typeof load !== "function") {
+    throw new Error(`Tool "${id}" needs a component or a load function`);
+  }
+
+  registry.set(id, {
+    description: "",
+    visibility: "student",
+    ...definition,
     categories: {
       topics: [],
       toolType: "explorer",
-      lab: "lab5",
-    },
-    visibility: "student",
-  },
-
-  "tree-ring-simulator": {
-    name: "Tree Ring Simulator",
-    description:
-      "Simulate annual tree ring growth with random variation. Visualize growth patterns and compare total growth with expected values using z-scores.",
-    component: TreeRingSimulatorTool,
-    categories: {
-      topics: ["ecology"],
-      toolType: "simulation",
-      lab: "lab5",
-    },
-    visibility: "student",
-  },
-
-  "growth-collapse-simulator": {
-    name: "Growth & Collapse Simulator",
-    description:
-      "Simulate a Markov process where height grows by 1 with probability p or collapses to 0. Visualize sample outcomes and histogram across many trials.",
-    component: GrowthCollapseSimulatorTool,
-    categories: {
-      topics: [],
-      toolType: "simulation",
-      lab: "lab5",
-    },
-    visibility: "student",
-  },
-
-  "yule-process-simulator": {
-    name: "Yule Process Simulator",
-    description:
-      "Simulate stochastic birth-death branching processes. Watch multiple population trajectories with adjustable division and death probabilities.",
-    component: YuleProcessSimulatorTool,
-    categories: {
-      topics: ["ecology"],
-      toolType: "simulation",
-      lab: "lab5",
-    },
-    visibility: "student",
-  },
-
-  "brownian-motion": {
-    name: "Brownian Motion Simulator",
-    description:
-      "Visualize random molecular motion with adjustable particle radius, fluid viscosity, and temperature. Track displacement over time using the Einstein-Stokes diffusion equation.",
-    component: BrownianMotionSimulator,
-    categories: {
-      topics: ["molecular", "physical"],
-      toolType: "simulation",
-      lab: "lab5",
-    },
-    visibility: "student",
-  },
-
-  "genetic-drift": {
-    name: "Genetic Drift Simulator",
-    description:
-      "Simulate stochastic changes in allele frequencies over generations in a finite population. Observe how random sampling leads to allele fixation or loss.",
-    component: GeneticDriftSimulator,
-    categories: {
-      topics: ["evolution"],
-      toolType: "simulation",
-      lab: "lab5",
-    },
-    visibility: "student",
-  },
-
-  "atmospheric-molecule": {
-    name: "Atmospheric Molecule Simulator",
-    description:
-      "Visualize gas molecules undergoing random thermal motion with gravitational bias. Observe how temperature and gravity affect the density distribution in an atmosphere.",
-    component: AtmosphericMoleculeSimulator,
-    categories: {
-      topics: ["physical"],
-      toolType: "simulation",
-      lab: "lab5",
+      lab: null,
+      ...definition.categories,
     },
-    visibility: "student",
-  },
+    component: component || lazyComponent(load),
+  });
+  notifyListeners();
+  return id;
+};
 
-  "ion-channel-simulator": {
-    name: "Ion Channel Simulator",
-    description:
-      "Simulate single ion channel patch clamp recordings with stochastic open/closed gating transitions and Gaussian noise.",
-    component: IonChannelSimulatorTool,
-    categories: {
-      topics: ["physiology"],
-      toolType: "simulation",
-      lab: "lab6",
-    },
-    visibility: "student",
-  },
+/**
+ * Remove a tool from the menu
+ * @param {string} id - Tool id
+ */
+export const unregisterTool = (id) => {
+  if (registry.delete(id)) notifyListeners();
+};
 
-  "two-compartment-markov": {
-    name: "Two Compartment Markov Model",
-    description:
-      "Visualize stochastic transitions between two compartments with particle animation and population tracking.",
-    component: TwoCompartmentMarkovTool,
-    categories: {
-      topics: ["physiology"],
-      toolType: "explorer",
-      lab: "lab6",
-    },
-    visibility: "student",
-  },
+/**
+ * Listen for tools being registered or removed (for useSyncExternalStore)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToTools = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
 
-  "matrix-vector-calculator": {
-    name: "Matrix & Vector Calculator",
-    description:
-      "Matrix addition, multiplication, and matrix-vector operations for 2x2, 3x3, and 4x4 dimensions.",
-    component: MatrixVectorCalculatorTool,
-    categories: {
-      topics: ["physical"],
-      toolType: "calculator",
-      lab: "lab1",
-    },
-    visibility: "dev",
-  },
+/**
+ * Counter that changes whenever the registry does
+ * @returns {number} - Registry version
+ */
+export const getToolsVersion = () => registryVersion;
 
-  "three-compartment-matrix": {
-    name: "Three-Compartment Matrix Model",
-    description:
-      "Explore discrete-time dynamics of three interacting compartments using matrix multiplication. Set transition probabilities and initial populations, then watch the time series evolve.",
-    component: ThreeCompartmentMatrixTool,
-    categories: {
-      topics: ["ecology", "physiology"],
-      toolType: "explorer",
-      lab: "lab6",
-    },
-    visibility: "student",
-  },
+// Resolve a file named in a tool definition: full URLs and absolute paths
+// are kept, bare names are looked up in the given public/ folder
+const publicFileUrl = (file, folder) =>
+  /^(https?:)?\/\//.test(file) || file.startsWith("/")
+    ? file
+    : `/modeling-synthesizer/${folder}/${file}`;
 
-  "2d-matrix-visualizer": {
-    name: "2D Matrix Visualizer",
-    description:
-      "Visualize how a 2×2 matrix acts as a linear map on the plane. Choose a shape, watch it transform in real time, iterate M repeatedly, and explore eigenvectors and matrix properties.",
-    component: TwoDimensionalMatrixVisualizerTool,
-    categories: {
-      topics: ["physical"],
-      toolType: "explorer",
-      lab: "lab6",
-    },
-    visibility: "student",
-  },
+/**
+ * URL of a tool's help markdown. Tools may name a file in public/help or
+ * give a full URL; the default is help/<id>.md.
+ * @param {string} id - Tool id
+ * @returns {string} - Help file URL
+ */
+export const getHelpUrl = (id) =>
+  publicFileUrl(registry.get(id)?.help || `${id}.md`, "help");
 
-  "leslie-matrix": {
-    name: "Leslie Matrix Population Model",
-    description:
-      "Explore age-structured population dynamics using the Leslie matrix. Set fecundity and survival rates for each age class and watch the population evolve over time.",
-    component: LeslieMatrixTool,
-    categories: {
-      topics: ["ecology"],
-      toolType: "explorer",
-      lab: "lab6",
-    },
-    visibility: "student",
-  },
+/**
+ * URL of a tool's guided tutorial, if it declares one (a file in
+ * public/tutorials or a full URL)
+ * @param {string} id - Tool id
+ * @returns {string|null} - Tutorial file URL, or null for none
+ */
+export const getTutorialUrl = (id) => {
+  const tutorial = registry.get(id)?.tutorial;
+  return tutorial ? publicFileUrl(tutorial, "tutorials") : null;
 };
 
+// Built-in tools declare their menu entries in src/tools/*.tool.js next to
+// the tool component, so adding a tool needs no edits here
+Object.values(
+  import.meta.glob("../tools/*.tool.js", { eager: true, import: "default" }),
+).forEach(registerTool);
+
 /**
  * Category metadata - define available categories and their properties
  */
@@ -543,6 +166,15 @@ export const categoryMetadata = {
  * Helper functions to generate category structures dynamically
  */
 
+/**
+ * Labs a tool belongs to. Tools declare either a single `lab` or a `labs`
+ * array.
+ * @param {Object} tool - Tool definition
+ * @returns {string[]} - Lab keys
+ */
+export const getToolLabs = (tool) =>
+  tool.categories.labs || (tool.categories.lab ? [tool.categories.lab] : []);
+
 export const generateTopicCategories = () => {
   const categories = {};
 
@@ -555,7 +187,7 @@ export const generateTopicCategories = () => {
   });
 
   // Populate tools into categories
-  Object.entries(toolDefinitions).forEach(([toolId, tool]) => {
+  getAllTools().forEach(({ id: toolId, ...tool }) => {
     tool.categories.topics.forEach((topic) => {
       if (categories[topic]) {
         categories[topic].tools.push(toolId);
@@ -578,7 +210,7 @@ export const generateToolTypeCategories = () => {
   });
 
   // Populate tools into categories
-  Object.entries(toolDefinitions).forEach(([toolId, tool]) => {
+  getAllTools().forEach(({ id: toolId, ...tool }) => {
     const toolType = tool.categories.toolType;
     if (categories[toolType]) {
       categories[toolType].tools.push(toolId);
@@ -600,12 +232,8 @@ export const generateLabCategories = () => {
   });
 
   // Populate tools into categories
-  Object.entries(toolDefinitions).forEach(([toolId, tool]) => {
-    // Handle both single 'lab' and multiple 'labs' properties
-    const labs =
-      tool.categories.labs ||
-      (tool.categories.lab ? [tool.categories.lab] : []);
-    labs.forEach((lab) => {
+  getAllTools().forEach(({ id: toolId, ...tool }) => {
+    getToolLabs(tool).forEach((lab) => {
       if (categories[lab]) {
         categories[lab].tools.push(toolId);
       }
@@ -620,20 +248,18 @@ export const generateLabCategories = () => {
  */
 
 export const getToolsByVisibility = (visibility) => {
-  return Object.entries(toolDefinitions)
-    .filter(([, tool]) => {
-      if (visibility === "dev") return true; // Dev mode shows all
-      return tool.visibility === "student" || tool.visibility === "both";
-    })
-    .map(([id, tool]) => ({ id, ...tool }));
+  return getAllTools().filter((tool) => {
+    if (visibility === "dev") return true; // Dev mode shows all
+    return tool.visibility === "student" || tool.visibility === "both";
+  });
 };
 
 export const getToolById = (id) => {
-  return toolDefinitions[id] || null;
+  return registry.get(id) || null;
 };
 
 export const getAllTools = () => {
-  return Object.entries(toolDefinitions).map(([id, tool]) => ({ id, ...tool }));
+  return Array.from(registry.values());
 };
 
 /**
@@ -668,7 +294,7 @@ export const getToolsByCategory = (
       case "toolType":
         return tool.categories.toolType === categoryValue;
       case "lab":
-        return tool.categories.lab === categoryValue;
+        return getToolLabs(tool).includes(categoryValue);
       default:
         return false;
     }
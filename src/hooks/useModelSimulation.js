@@ -0,0 +1,25 @@
+// src/hooks/useModelSimulation.js
+// React hook that runs a declarative model (see utils/modelBinding)
+
+import { useMemo } from "react";
+import { simulateModel, withEquations } from "../utils/modelBinding";
+
+/**
+ * Simulate a model whenever its parameters or equations change
+ * Controls pass their current parameter values; equation inputs may replace
+ * a variable's right-hand side. Results are memoized on the actual values,
+ * so callers can build the objects inline on every render.
+ *
+ * @param {Object} model - Model object {variables, parameters, tEnd, dt}
+ * @param {Object} values - Parameter values by name, e.g. {r: 0.5}
+ * @param {Object} equations - Replacement equations by variable name
+ * @returns {Object} - {points, variableNames, parameterNames, params, error}
+ */
+export const useModelSimulation = (model, values = {}, equations = {}) => {
+  const inputsKey = JSON.stringify({ values, equations });
+
+  return useMemo(() => {
+    const inputs = JSON.parse(inputsKey);
+    return simulateModel(withEquations(model, inputs.equations), inputs.values);
+  }, [model, inputsKey]);
+};
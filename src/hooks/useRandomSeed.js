@@ -0,0 +1,31 @@
+// src/hooks/useRandomSeed.js
+// React hook giving stochastic tools a replayable random number generator
+
+import { useState, useCallback } from "react";
+import { useUrlState } from "./useUrlState";
+import { createRandom, parseSeed, randomSeed } from "../utils/random";
+
+/**
+ * Hook for seeded randomness in simulators
+ * The seed is stored in the URL like other tool parameters. When the seed
+ * field is blank, each run draws a fresh seed and reports it as lastSeed so
+ * an interesting run can still be replayed.
+ *
+ * @returns {Object} - {seed, setSeed, lastSeed, createRng}
+ *   - seed: seed text as entered by the user ("" for a fresh seed each run)
+ *   - setSeed: update the seed text
+ *   - lastSeed: integer seed used by the most recent run (or null)
+ *   - createRng: start a run; returns rng() in [0, 1) seeded for this run
+ */
+export const useRandomSeed = () => {
+  const [seed, setSeed] = useUrlState("seed", "");
+  const [lastSeed, setLastSeed] = useState(null);
+
+  const createRng = useCallback(() => {
+    const runSeed = parseSeed(seed) ?? randomSeed();
+    setLastSeed(runSeed);
+    return createRandom(runSeed);
+  }, [seed]);
+
+  return { seed, setSeed, lastSeed, createRng };
+};
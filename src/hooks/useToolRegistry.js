@@ -0,0 +1,15 @@
+// src/hooks/useToolRegistry.js
+// React hook that re-renders when tools are registered at runtime
+
+import { useSyncExternalStore } from "react";
+import { getToolsVersion, subscribeToTools } from "../data/tools";
+
+/**
+ * Subscribe a component to the tool registry
+ * Call it in components that list or look up tools, so tools added later
+ * (plugin bundles, layout files) appear without a reload.
+ *
+ * @returns {number} - Registry version, changing with every update
+ */
+export const useToolRegistry = () =>
+  useSyncExternalStore(subscribeToTools, getToolsVersion, getToolsVersion);
@@ -0,0 +1,90 @@
+// src/hooks/useUrlState.js
+// React hooks that keep tool parameters in sync with the URL query string
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import {
+  readUrlParam,
+  writeUrlParams,
+  URL_STATE_EVENT,
+} from "../utils/urlState";
+
+/**
+ * Subscribe to URL changes made outside the hook (back/forward, links)
+ * @param {Function} onChange - Called when the URL may hold new values
+ */
+const useUrlChangeListener = (onChange) => {
+  useEffect(() => {
+    window.addEventListener("popstate", onChange);
+    window.addEventListener(URL_STATE_EVENT, onChange);
+    return () => {
+      window.removeEventListener("popstate", onChange);
+      window.removeEventListener(URL_STATE_EVENT, onChange);
+    };
+  }, [onChange]);
+};
+
+/**
+ * Drop-in replacement for useState that stores the value in the URL
+ * The initial value is read from the query string (falling back to the
+ * default), and every change is written back so the link can be shared.
+ *
+ * @param {string} key - Query parameter name (must be unique within a tool)
+ * @param {*} defaultValue - Default value; its type decides how the URL is parsed
+ * @param {Object} limits - Optional {min, max, integer} for a number read
+ *   from the URL; use them for sizes and counts. Values set by the tool
+ *   itself are not checked.
+ * @returns {Array} - [value, setValue] like useState
+ */
+export const useUrlState = (key, defaultValue, limits) => {
+  const defaultRef = useRef(defaultValue);
+  const limitsRef = useRef(limits);
+  const [value, setValue] = useState(() =>
+    readUrlParam(key, defaultValue, limits),
+  );
+
+  useEffect(() => {
+    writeUrlParams({ [key]: value }, { [key]: defaultRef.current });
+  }, [key, value]);
+
+  const syncFromUrl = useCallback(() => {
+    setValue(readUrlParam(key, defaultRef.current, limitsRef.current));
+  }, [key]);
+  useUrlChangeListener(syncFromUrl);
+
+  return [value, setValue];
+};
+
+/**
+ * URL-backed state for a flat parameter object (e.g. a tool's uiParams)
+ * Each field is stored under its own query parameter name.
+ *
+ * @param {Object} defaultParams - Default values for every field
+ * @param {Object} limits - Optional {field: {min, max, integer}} for fields
+ *   read from the URL, as for useUrlState
+ * @returns {Array} - [params, setParams] like useState
+ */
+export const useUrlParams = (defaultParams, limits = {}) => {
+  const defaultsRef = useRef(defaultParams);
+  const limitsRef = useRef(limits);
+
+  const readAll = useCallback(() => {
+    const defaults = defaultsRef.current;
+    return Object.fromEntries(
+      Object.entries(defaults).map(([key, fallback]) => [
+        key,
+        readUrlParam(key, fallback, limitsRef.current[key]),
+      ]),
+    );
+  }, []);
+
+  const [params, setParams] = useState(readAll);
+
+  useEffect(() => {
+    writeUrlParams(params, defaultsRef.current);
+  }, [params]);
+
+  const syncFromUrl = useCallback(() => setParams(readAll()), [readAll]);
+  useUrlChangeListener(syncFromUrl);
+
+  return [params, setParams];
+};
@@ -9,6 +9,8 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState } from "../hooks/useUrlState";
 
 const NUM_PARTICLES = 200;
 const NUM_BINS = 16; // More bins, visually same size after 2x zoom
@@ -28,8 +30,9 @@ const AtmosphericMoleculeSimulator = () => {
   const lastHistogramUpdateRef = useRef(0);
 
   // Parameters
-  const [gravity, setGravity] = useState(-10);
-  const [temperature, setTemperature] = useState(300);
+  const [gravity, setGravity] = useUrlState("gravity", -10);
+  const [temperature, setTemperature] = useUrlState("temperature", 300);
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
 
   // Simulation state
   const [isRunning, setIsRunning] = useState(false);
@@ -47,12 +50,16 @@ const AtmosphericMoleculeSimulator = () => {
   const normalCacheRef = useRef([]);
   const normalIndexRef = useRef(0);
 
+  // Random source for the current run; replaced by a seeded one on a fresh start
+  const rngRef = useRef(Math.random);
+  const isFreshRef = useRef(true);
+
   // Generate normal random values using Box-Muller transform
   const generateNormalCache = useCallback(() => {
     const cache = [];
     for (let i = 0; i < 1000; i += 2) {
-      const u1 = Math.random();
-      const u2 = Math.random();
+      const u1 = 1 - rngRef.current();
+      const u2 = rngRef.current();
       const r = Math.sqrt(-2.0 * Math.log(u1));
       const theta = 2.0 * Math.PI * u2;
       cache.push(r * Math.cos(theta));
@@ -359,10 +366,20 @@ const AtmosphericMoleculeSimulator = () => {
       }
       setIsRunning(false);
     } else {
+      if (isFreshRef.current) {
+        // Regenerate the starting state from the run's seed so it can be replayed
+        const rng = createRng();
+        rngRef.current = rng;
+        isFreshRef.current = false;
+        setParticleHeights(
+          Array.from({ length: NUM_PARTICLES }, () => 7.5 + (rng() * 2 - 1)),
+        );
+        generateNormalCache();
+      }
       setIsRunning(true);
       animationRef.current = requestAnimationFrame(animate);
     }
-  }, [isRunning, animate]);
+  }, [isRunning, animate, createRng, generateNormalCache]);
 
   // Reset simulation
   const resetSimulation = useCallback(() => {
@@ -371,6 +388,8 @@ const AtmosphericMoleculeSimulator = () => {
       animationRef.current = null;
     }
     setIsRunning(false);
+    rngRef.current = Math.random;
+    isFreshRef.current = true;
     // Reset particles near the ground (height ~7.5 with small random offset)
     setParticleHeights(
       Array.from(
@@ -444,6 +463,9 @@ const AtmosphericMoleculeSimulator = () => {
       title="Atmospheric Molecule Simulator"
       canvasWidth={10}
       canvasHeight={5}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
     >
       {/* Main simulation display */}
       <GridWindow x={0} y={0} w={6} h={5} title="Atmosphere" theme={theme}>
@@ -0,0 +1,17 @@
+// src/tools/AtmosphericMoleculeSimulator.tool.js
+// Menu entry for AtmosphericMoleculeSimulator; the component itself loads on first use
+
+export default {
+  id: "atmospheric-molecule",
+  name: "Atmospheric Molecule Simulator",
+  description:
+    "Visualize gas molecules undergoing random thermal motion with gravitational bias. Observe how temperature and gravity affect the density distribution in an atmosphere.",
+  categories: {
+    topics: ["physical"],
+    toolType: "simulation",
+    lab: "lab5",
+  },
+  visibility: "student",
+  help: "atmospheric-molecule.md",
+  load: () => import("./AtmosphericMoleculeSimulator"),
+};
@@ -10,6 +10,9 @@ import {
 import ToolContainer from "../components/ui/ToolContainer";
 import Equation from "../components/Equation";
 import { useTheme } from "../hooks/useTheme";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState, useUrlParams } from "../hooks/useUrlState";
+import { randomNormal } from "../utils/random";
 import { CELL_SIZE } from "../themes";
 
 const BrownianMotionSimulator = () => {
@@ -20,7 +23,7 @@ const BrownianMotionSimulator = () => {
   const TIME_STEP = 0.05; // seconds per simulation step
 
   // UI State - React state for controls
-  const [uiParams, setUiParams] = useState({
+  const [uiParams, setUiParams] = useUrlParams({
     radius: 0.5, // particle radius in microns
     viscosity: 1.0, // viscosity in centiPoise
     temperature: 25, // temperature in Celsius
@@ -28,7 +31,11 @@ const BrownianMotionSimulator = () => {
 
   const [isSimulating, setIsSimulating] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
-  const [showExpectation, setShowExpectation] = useState(false);
+  const [showExpectation, setShowExpectation] = useUrlState(
+    "showExpectation",
+    false,
+  );
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
 
   // Ref to track showExpectation for animation loop (avoids stale closure)
   const showExpectationRef = useRef(false);
@@ -56,6 +63,7 @@ const BrownianMotionSimulator = () => {
     isRunning: false,
     params: { ...uiParams },
     recordedData: emptyTableData(),
+    rng: Math.random,
   });
 
   // Update animation parameters when UI changes
@@ -89,13 +97,6 @@ const BrownianMotionSimulator = () => {
     [TIME_STEP],
   );
 
-  // Generate a random number from normal distribution (Box-Muller transform)
-  const randomNormal = useCallback(() => {
-    const u1 = Math.random();
-    const u2 = Math.random();
-    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-  }, []);
-
   // Draw the particle and trajectory on canvas
   const drawCanvas = useCallback(() => {
     const canvas = canvasRef.current;
@@ -307,8 +308,8 @@ const BrownianMotionSimulator = () => {
     const sigma = calculateStepSize(temperature, viscosity, radius);
 
     // Random displacement using normal distribution
-    const dx = randomNormal() * sigma;
-    const dy = randomNormal() * sigma;
+    const dx = randomNormal(state.rng) * sigma;
+    const dy = randomNormal(state.rng) * sigma;
 
     // Update position
     state.position.x += dx;
@@ -358,7 +359,7 @@ const BrownianMotionSimulator = () => {
     drawCanvas();
 
     state.animationId = requestAnimationFrame(animationLoop);
-  }, [calculateStepSize, randomNormal, drawCanvas, TIME_STEP]);
+  }, [calculateStepSize, drawCanvas, TIME_STEP]);
 
   // Start/Stop simulation
   const toggleSimulation = useCallback(() => {
@@ -381,13 +382,14 @@ const BrownianMotionSimulator = () => {
       const initialData = emptyTableData();
       initialData[0] = { time: 0, x: 0, y: 0, d2: 0 };
       state.recordedData = initialData;
+      state.rng = createRng();
       state.isRunning = true;
       setIsSimulating(true);
       setCurrentTime(0);
       setTableData(initialData);
       animationLoop();
     }
-  }, [animationLoop]);
+  }, [animationLoop, createRng]);
 
   // Reset simulation
   const resetSimulation = useCallback(() => {
@@ -414,9 +416,12 @@ const BrownianMotionSimulator = () => {
   }, [drawCanvas]);
 
   // Update parameter helper
-  const updateParam = useCallback((param, value) => {
-    setUiParams((prev) => ({ ...prev, [param]: value }));
-  }, []);
+  const updateParam = useCallback(
+    (param, value) => {
+      setUiParams((prev) => ({ ...prev, [param]: value }));
+    },
+    [setUiParams],
+  );
 
   // Initialize canvas
   useEffect(() => {
@@ -484,6 +489,9 @@ const BrownianMotionSimulator = () => {
       title="Brownian Motion Simulator"
       canvasWidth={11}
       canvasHeight={7}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
     >
       {/* Circular viewport for Brownian motion */}
       <GridWindow x={0} y={0} w={6} h={6} variant="circular" theme={theme}>
@@ -0,0 +1,17 @@
+// src/tools/BrownianMotionSimulator.tool.js
+// Menu entry for BrownianMotionSimulator; the component itself loads on first use
+
+export default {
+  id: "brownian-motion",
+  name: "Brownian Motion Simulator",
+  description:
+    "Visualize random molecular motion with adjustable particle radius, fluid viscosity, and temperature. Track displacement over time using the Einstein-Stokes diffusion equation.",
+  categories: {
+    topics: ["molecular", "physical"],
+    toolType: "simulation",
+    lab: "lab5",
+  },
+  visibility: "student",
+  help: "brownian-motion.md",
+  load: () => import("./BrownianMotionSimulator"),
+};
@@ -1,10 +1,10 @@
 // src/tools/CaffeineMetabolismTool.jsx
 
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, { useEffect, useCallback, useMemo, useRef } from "react";
 import {
+  GridTableInput,
   GridTimePicker,
-  GridStaircase,
-  GridLabel,
+  GridInput,
   GridGraph,
   GridSliderHorizontal,
   GridDisplay,
@@ -12,6 +12,115 @@ import {
 import ToolContainer from "../components/ui/ToolContainer";
 import Equation from "../components/Equation";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
+import {
+  calculateCaffeineLevels,
+  caffeineLevelAt,
+  steadyStateCaffeineLevel,
+} from "../utils/mathHelpers";
+
+// Three coffees a day, every day
+const DEFAULT_SCHEDULE = [
+  { day: "daily", time: "7:00 AM", mg: "120" },
+  { day: "daily", time: "12:00 PM", mg: "80" },
+  { day: "daily", time: "4:00 PM", mg: "40" },
+];
+
+// Runs start on a Monday, so day 6 of a run is a Saturday
+const DAY_NAMES = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+// Parse a clock time such as "7:00 AM", "7pm" or "19:30" to hours (0-24)
+const parseTimeToHours = (text) => {
+  const match = String(text)
+    .trim()
+    .match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const period = match[3]?.toLowerCase();
+  if (minute > 59) return null;
+  if (period) {
+    if (hour < 1 || hour > 12) return null;
+    if (period === "pm" && hour !== 12) hour += 12;
+    if (period === "am" && hour === 12) hour = 0;
+  } else if (hour > 23) {
+    return null;
+  }
+  return hour + minute / 60;
+};
+
+// Read a schedule row's Day entry. Returns how the dose repeats and which
+// days of a run it is taken on, or null if the entry is not understood.
+//   blank / daily - every day          weekdays / weekends
+//   mon ... sun   - that day each week  1, 2, ...  - only that day of the run
+const parseDayRule = (text) => {
+  const rule = String(text ?? "")
+    .trim()
+    .toLowerCase();
+
+  if (rule === "" || rule === "daily" || rule === "every day") {
+    return { repeat: "daily", appliesTo: () => true };
+  }
+  if (rule === "weekday" || rule === "weekdays") {
+    return { repeat: "weekly", appliesTo: (day) => day % 7 < 5 };
+  }
+  if (rule === "weekend" || rule === "weekends") {
+    return { repeat: "weekly", appliesTo: (day) => day % 7 >= 5 };
+  }
+  const dayName = DAY_NAMES.indexOf(rule.slice(0, 3));
+  if (dayName !== -1 && DAY_NAMES[dayName].startsWith(rule.slice(0, 3))) {
+    return { repeat: "weekly", appliesTo: (day) => day % 7 === dayName };
+  }
+  if (/^\d+$/.test(rule) && parseInt(rule, 10) >= 1) {
+    const only = parseInt(rule, 10) - 1;
+    return { repeat: "once", appliesTo: (day) => day === only };
+  }
+  return null;
+};
+
+// Check the schedule table. Returns the usable doses and the cells to flag.
+const parseSchedule = (rows) => {
+  const doses = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const dayRule = parseDayRule(row.day);
+    const hours = parseTimeToHours(row.time);
+    const mg = parseFloat(row.mg);
+
+    if (!dayRule) errors.push({ index, field: "day" });
+    if (hours === null) errors.push({ index, field: "time" });
+    if (!(mg >= 0)) errors.push({ index, field: "mg" });
+    if (dayRule && hours !== null && mg >= 0) {
+      doses.push({ ...dayRule, hours, mg });
+    }
+  });
+
+  return { doses, errors };
+};
+
+// Lay a schedule out over days 0 .. days - 1 of a run
+const expandSchedule = (doses, days) => {
+  const expanded = [];
+  for (let day = 0; day < days; day++) {
+    doses.forEach((dose) => {
+      if (dose.appliesTo(day)) {
+        expanded.push({ timeHours: day * 24 + dose.hours, mg: dose.mg });
+      }
+    });
+  }
+  return expanded.sort((a, b) => a.timeHours - b.timeHours);
+};
+
+// Round an axis maximum up to a tidy value, with a matching tick step
+const niceAxis = (largest, minimum) => {
+  const step = largest <= 400 ? 100 : largest <= 1000 ? 200 : 500;
+  const max = Math.max(minimum, Math.ceil((largest * 1.1) / step) * step);
+  const ticks = [];
+  for (let t = 0; t <= max; t += step) ticks.push(t);
+  return { max, ticks };
+};
 
 const CaffeineMetabolismTool = () => {
   const { theme, currentTheme } = useTheme();
@@ -20,257 +129,218 @@ const CaffeineMetabolismTool = () => {
   const canvasRef = useRef(null);
   const transformRef = useRef(null);
 
-  // Caffeine doses - using time strings and dose levels (0-5 = 0mg, 40mg, 80mg, 120mg, 160mg, 200mg)
-  const [dose1Time, setDose1Time] = useState("7:00 AM");
-  const [dose1Level, setDose1Level] = useState(3); // 120mg
-  const [dose2Time, setDose2Time] = useState("12:00 PM");
-  const [dose2Level, setDose2Level] = useState(2); // 80mg
-  const [dose3Time, setDose3Time] = useState("4:00 PM");
-  const [dose3Level, setDose3Level] = useState(1); // 40mg
+  // Dose schedule: one row per dose, as typed in the table
+  const [storedSchedule, setSchedule] = useUrlState("doses", DEFAULT_SCHEDULE);
+  // A link can put anything in the array; keep the rows the table can show
+  const schedule = useMemo(
+    () =>
+      storedSchedule.filter((row) => row !== null && typeof row === "object"),
+    [storedSchedule],
+  );
+  const [days, setDays] = useUrlState("days", 3, {
+    min: 1,
+    max: 14,
+    integer: true,
+  });
+  const [bedtime, setBedtime] = useUrlState("bedtime", "11:00 PM");
 
   // Metabolic rate (controlled by slider, default 0.2 for 3.5 hour half-life)
-  const [metabolicRate, setMetabolicRate] = useState(0.2);
-
-  // Calculated values
-  const [timeSeriesData, setTimeSeriesData] = useState([]);
-
-  // Convert dose level (0-5) to mg
-  const doseLevelToMg = (level) => {
-    const doses = [0, 40, 80, 120, 160, 200];
-    return doses[level] || 0;
-  };
-
-  // Parse time string to hours (24-hour format)
-  const parseTimeToHours = (timeStr) => {
-    const timeMatch = timeStr.match(/(\d+):(\d+)\s*(AM|PM)/);
-    if (timeMatch) {
-      let hour = parseInt(timeMatch[1]);
-      const minute = parseInt(timeMatch[2]);
-      const period = timeMatch[3];
-
-      if (period === "PM" && hour !== 12) hour += 12;
-      if (period === "AM" && hour === 12) hour = 0;
-
-      return hour + minute / 60;
-    }
-    return 0;
-  };
-
-  // Generate 72-hour (3-day) time series with daily dose repetition
-  const generateTimeSeries = useCallback(() => {
-    const dailyDoses = [
-      { timeHours: parseTimeToHours(dose1Time), mg: doseLevelToMg(dose1Level) },
-      { timeHours: parseTimeToHours(dose2Time), mg: doseLevelToMg(dose2Level) },
-      { timeHours: parseTimeToHours(dose3Time), mg: doseLevelToMg(dose3Level) },
-    ];
-
-    // Create 3 days worth of doses
-    const doses = [];
-    for (let day = 0; day < 3; day++) {
-      dailyDoses.forEach((dose) => {
-        doses.push({
-          timeHours: dose.timeHours + day * 24,
-          mg: dose.mg,
-        });
-      });
-    }
-
-    const dataPoints = [];
-    const timeStep = 0.25; // 15-minute intervals
-
-    // Generate 72 hours of data
-    for (let t = 0; t <= 72; t += timeStep) {
-      let totalLevel = 0;
-
-      doses.forEach((dose) => {
-        if (dose.mg > 0) {
-          const hoursElapsed = t - dose.timeHours;
-
-          if (hoursElapsed > 0) {
-            // Exponential decay: C(t) = C0 * e^(-kt)
-            const decayedAmount =
-              dose.mg * Math.exp(-metabolicRate * hoursElapsed);
-            totalLevel += Math.max(0, decayedAmount);
-          }
-        }
+  const [metabolicRate, setMetabolicRate] = useUrlState("metabolicRate", 0.2);
+
+  const { doses, errors } = useMemo(() => parseSchedule(schedule), [schedule]);
+
+  // The schedule repeats every day, every week, or (with day numbers) not at
+  // all, in which case it has no steady state
+  const period = doses.some((dose) => dose.repeat === "once")
+    ? null
+    : doses.some((dose) => dose.repeat === "weekly")
+      ? 7 * 24
+      : 24;
+
+  // Bedtimes before 6 AM are after midnight, at the end of that day's night
+  const bedtimeHours = parseTimeToHours(bedtime) ?? 23;
+  const bedtimeOffset = bedtimeHours < 6 ? bedtimeHours + 24 : bedtimeHours;
+  const runHours = Math.max(days * 24, (days - 1) * 24 + bedtimeOffset);
+
+  const simulation = useMemo(() => {
+    const runDoses = expandSchedule(doses, Math.ceil(runHours / 24));
+    const levels = calculateCaffeineLevels(runDoses, metabolicRate, runHours);
+
+    // One period of the schedule, for the steady state
+    const periodDoses = period ? expandSchedule(doses, period / 24) : [];
+    const steadyState = period
+      ? levels.map(({ time }) => ({
+          time,
+          level: steadyStateCaffeineLevel(
+            periodDoses,
+            metabolicRate,
+            period,
+            time,
+          ),
+        }))
+      : [];
+
+    // Level at each night's bedtime
+    const bedtimes = [];
+    for (let day = 0; day < days; day++) {
+      const time = day * 24 + bedtimeOffset;
+      bedtimes.push({
+        time,
+        level: caffeineLevelAt(runDoses, metabolicRate, time),
       });
-
-      dataPoints.push({ time: t, level: totalLevel });
     }
-
-    setTimeSeriesData(dataPoints);
-  }, [
-    dose1Time,
-    dose1Level,
-    dose2Time,
-    dose2Level,
-    dose3Time,
-    dose3Level,
-    metabolicRate,
-  ]);
+    const lastBedtime = bedtimes[bedtimes.length - 1];
+    const steadyBedtime = period
+      ? steadyStateCaffeineLevel(
+          periodDoses,
+          metabolicRate,
+          period,
+          lastBedtime.time,
+        )
+      : null;
+
+    const totalMg = runDoses.reduce((sum, dose) => sum + dose.mg, 0);
+
+    return {
+      levels,
+      steadyState,
+      bedtimes,
+      lastBedtime,
+      steadyBedtime,
+      averageDailyMg: totalMg / Math.ceil(runHours / 24),
+    };
+  }, [doses, period, metabolicRate, days, runHours, bedtimeOffset]);
+
+  const largestLevel = Math.max(
+    ...simulation.levels.map((point) => point.level),
+    ...simulation.steadyState
+      .map((point) => point.level)
+      .filter(Number.isFinite),
+  );
+  const yAxis = niceAxis(largestLevel, 100);
+  const xTickStep = days <= 3 ? 12 : days <= 7 ? 24 : 48;
+  const xTicks = [];
+  for (let t = xTickStep; t <= runHours; t += xTickStep) xTicks.push(t);
 
   // Draw the time series on the graph canvas
   const drawTimeSeries = useCallback(() => {
     const transform = transformRef.current;
     const canvas = canvasRef.current;
-    if (!canvas || !transform || timeSeriesData.length === 0) return;
+    if (!canvas || !transform) return;
 
     const ctx = canvas.getContext("2d");
     const { dataToPixel } = transform;
+    const isDark = currentTheme === "dark";
 
     // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
+    const drawCurve = (points) => {
+      ctx.beginPath();
+      points.forEach((point, index) => {
+        const pixel = dataToPixel(point.time, point.level);
+        if (index === 0) ctx.moveTo(pixel.x, pixel.y);
+        else ctx.lineTo(pixel.x, pixel.y);
+      });
+      ctx.stroke();
+    };
+
+    // Steady state the schedule settles into (dashed)
+    if (simulation.steadyState.length > 0) {
+      ctx.strokeStyle = isDark ? "#fbbf24" : "#d97706";
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([6, 4]);
+      drawCurve(simulation.steadyState.filter((p) => Number.isFinite(p.level)));
+      ctx.setLineDash([]);
+    }
+
     // Draw caffeine curve
     ctx.strokeStyle = "#4682b4"; // Steelblue for caffeine
     ctx.lineWidth = 2;
-    ctx.beginPath();
+    drawCurve(simulation.levels);
 
-    timeSeriesData.forEach((point, index) => {
+    // Bedtime markers
+    ctx.fillStyle = isDark ? "#c084fc" : "#7e22ce";
+    simulation.bedtimes.forEach((point) => {
       const pixel = dataToPixel(point.time, point.level);
-
-      if (index === 0) {
-        ctx.moveTo(pixel.x, pixel.y);
-      } else {
-        ctx.lineTo(pixel.x, pixel.y);
-      }
+      ctx.beginPath();
+      ctx.arc(pixel.x, pixel.y, 4, 0, 2 * Math.PI);
+      ctx.fill();
     });
-
-    ctx.stroke();
-  }, [timeSeriesData]);
-
-  // Auto-update and regenerate time series
-  useEffect(() => {
-    generateTimeSeries();
-  }, [generateTimeSeries]);
+  }, [simulation, currentTheme]);
 
   // Draw graph when data changes
   useEffect(() => {
-    if (
-      timeSeriesData.length > 0 &&
-      transformRef.current &&
-      canvasRef.current
-    ) {
+    if (transformRef.current && canvasRef.current) {
       drawTimeSeries();
     }
-  }, [timeSeriesData, drawTimeSeries]);
+  }, [drawTimeSeries, yAxis.max, runHours]);
+
+  const { lastBedtime, steadyBedtime } = simulation;
+  const steadyText =
+    steadyBedtime === null
+      ? "No steady state (schedule uses day numbers)"
+      : !Number.isFinite(steadyBedtime)
+        ? "No steady state (no elimination)"
+        : `Steady state: ${Math.round(steadyBedtime)}mg${
+            steadyBedtime > 0
+              ? ` (${Math.round((lastBedtime.level / steadyBedtime) * 100)}% reached)`
+              : ""
+          }`;
 
   return (
     <ToolContainer
       title="Caffeine Metabolism Simulator"
       canvasWidth={10}
-      canvasHeight={4}
+      canvasHeight={5}
     >
-      {/* Row 0: Dose 1 */}
-      <GridLabel
+      {/* Dose Schedule (3x4) */}
+      <GridTableInput
         x={0}
         y={0}
-        w={1}
-        h={1}
-        text="Dose 1"
-        fontSize="medium"
-        tooltip="Dose 1"
-        theme={theme}
-      />
-
-      <GridTimePicker
-        x={1}
-        y={0}
-        value={dose1Time}
-        onChange={setDose1Time}
-        tooltip="Morning dose"
-        theme={theme}
-      />
-
-      <GridStaircase
-        x={2}
-        y={0}
-        value={dose1Level}
-        onChange={setDose1Level}
-        customLevels={["0mg", "40mg", "80mg", "120mg", "160mg", "200mg"]}
-        tooltip={`Dose 1: ${doseLevelToMg(dose1Level)}mg`}
-        theme={theme}
-      />
-
-      {/* Row 1: Dose 2 */}
-      <GridLabel
-        x={0}
-        y={1}
-        w={1}
-        h={1}
-        text="Dose 2"
-        fontSize="medium"
-        tooltip="Dose 2"
-        theme={theme}
-      />
-
-      <GridTimePicker
-        x={1}
-        y={1}
-        value={dose2Time}
-        onChange={setDose2Time}
-        tooltip="Lunch dose"
-        theme={theme}
-      />
-
-      <GridStaircase
-        x={2}
-        y={1}
-        value={dose2Level}
-        onChange={setDose2Level}
-        customLevels={["0mg", "40mg", "80mg", "120mg", "160mg", "200mg"]}
-        tooltip={`Dose 2: ${doseLevelToMg(dose2Level)}mg`}
-        theme={theme}
-      />
-
-      {/* Row 2: Dose 3 */}
-      <GridLabel
-        x={0}
-        y={2}
-        w={1}
-        h={1}
-        text="Dose 3"
-        fontSize="medium"
-        tooltip="Dose 3"
-        theme={theme}
-      />
-
-      <GridTimePicker
-        x={1}
-        y={2}
-        value={dose3Time}
-        onChange={setDose3Time}
-        tooltip="Afternoon dose"
-        theme={theme}
-      />
-
-      <GridStaircase
-        x={2}
-        y={2}
-        value={dose3Level}
-        onChange={setDose3Level}
-        customLevels={["0mg", "40mg", "80mg", "120mg", "160mg", "200mg"]}
-        tooltip={`Dose 3: ${doseLevelToMg(dose3Level)}mg`}
+        w={3}
+        h={4}
+        data={schedule}
+        onDataChange={setSchedule}
+        columns={[
+          {
+            key: "day",
+            label: "Day\n(daily, Sat, 2…)",
+            type: "text",
+            width: 1.3,
+          },
+          { key: "time", label: "Time", type: "text", width: 1.1 },
+          {
+            key: "mg",
+            label: "Caffeine\n(mg)",
+            type: "number",
+            min: 0,
+            width: 0.9,
+          },
+        ]}
+        maxRows={24}
+        errorHighlights={errors}
+        title="Dose schedule. Day: daily, weekdays, weekends, Mon-Sun, or a day number of the run (day 1 is a Monday)"
         theme={theme}
       />
 
-      {/* Main Graph (7x3) */}
+      {/* Main Graph (7x4) */}
       <GridGraph
         x={3}
         y={0}
         w={7}
-        h={3}
+        h={4}
         xLabel="time"
         yLabel="caffeine"
         xUnit="hours"
         yUnit="mg"
         variant="time-series-static"
         xAxisPosition="bottom"
-        xTicks={[12, 24, 36, 48, 60, 72]}
-        yTicks={[0, 100, 200, 300]}
-        xRange={[0, 72]}
-        yRange={[0, 320]}
-        tooltip="Caffeine in bloodstream"
+        xTicks={xTicks}
+        yTicks={yAxis.ticks}
+        xRange={[0, runHours]}
+        yRange={[0, yAxis.max]}
+        tooltip="Caffeine in bloodstream (dashed: steady state; dots: bedtime)"
         theme={theme}
       >
         {(transform) => {
@@ -287,38 +357,59 @@ const CaffeineMetabolismTool = () => {
         }}
       </GridGraph>
 
-      {/* Row 3: Bottom labels and controls */}
-      <GridDisplay
-        x={1}
-        y={3}
-        w={2}
+      {/* Row 4: Run length, bedtime and results */}
+      <GridInput
+        x={0}
+        y={4}
+        w={1}
         h={1}
-        value={`Daily\ncaffeine\n${doseLevelToMg(dose1Level) + doseLevelToMg(dose2Level) + doseLevelToMg(dose3Level)}mg`}
-        variant="status"
-        align="center"
-        fontSize="xs"
-        tooltip={`Total daily caffeine: ${doseLevelToMg(dose1Level) + doseLevelToMg(dose2Level) + doseLevelToMg(dose3Level)}mg`}
+        value={days}
+        onChange={(value) =>
+          setDays(Math.max(1, Math.min(14, Math.round(value))))
+        }
+        min={1}
+        max={14}
+        step={1}
+        variable="days"
+        title="Number of days to simulate"
         theme={theme}
       />
 
-      {/* Metabolic Rate Horizontal Slider */}
-      <GridSliderHorizontal
-        x={7}
-        y={3}
+      <GridTimePicker
+        x={1}
+        y={4}
+        value={bedtime}
+        onChange={setBedtime}
+        tooltip="Bedtime"
+        theme={theme}
+      />
+
+      <GridDisplay
+        x={2}
+        y={4}
         w={3}
         h={1}
-        value={metabolicRate * 200} // Convert 0.0-0.5 to 0-100 scale
-        onChange={(value) => setMetabolicRate(value / 200)} // Convert back to 0.0-0.5
-        variant="unipolar"
-        label={`Metabolic rate {mu} = ${metabolicRate.toFixed(2)} hr⁻¹`}
-        tooltip={`Metabolic rate: ${metabolicRate.toFixed(2)} (0.0 to 0.5)`}
+        variant="status"
+        align="left"
+        fontSize="xs"
+        tooltip={`Average intake: ${Math.round(simulation.averageDailyMg)}mg per day`}
         theme={theme}
-      />
+      >
+        <div style={{ padding: "4px 8px", lineHeight: "1.4" }}>
+          <div>
+            Bedtime, day {days}: <b>{Math.round(lastBedtime.level)}mg</b>
+          </div>
+          <div>{steadyText}</div>
+          <div style={{ opacity: 0.8 }}>
+            Average intake: {Math.round(simulation.averageDailyMg)}mg/day
+          </div>
+        </div>
+      </GridDisplay>
 
       {/* Differential Equation Formula */}
       <GridDisplay
-        x={4}
-        y={3}
+        x={5}
+        y={4}
         w={2}
         h={1}
         variant="info"
@@ -337,6 +428,20 @@ const CaffeineMetabolismTool = () => {
           <Equation name="caffeine-metabolism" size="small" />
         </div>
       </GridDisplay>
+
+      {/* Metabolic Rate Horizontal Slider */}
+      <GridSliderHorizontal
+        x={7}
+        y={4}
+        w={3}
+        h={1}
+        value={metabolicRate * 200} // Convert 0.0-0.5 to 0-100 scale
+        onChange={(value) => setMetabolicRate(value / 200)} // Convert back to 0.0-0.5
+        variant="unipolar"
+        label={`Metabolic rate {mu} = ${metabolicRate.toFixed(2)} hr⁻¹`}
+        tooltip={`Metabolic rate: ${metabolicRate.toFixed(2)} (0.0 to 0.5)`}
+        theme={theme}
+      />
     </ToolContainer>
   );
 };
@@ -0,0 +1,17 @@
+// src/tools/CaffeineMetabolismTool.tool.js
+// Menu entry for CaffeineMetabolismTool; the component itself loads on first use
+
+export default {
+  id: "caffeine-metabolism",
+  name: "Caffeine Metabolism",
+  description:
+    "Model exponential decay of caffeine in the bloodstream over a multi-day dose schedule, with steady-state accumulation and the level left at bedtime.",
+  categories: {
+    topics: ["physiology"],
+    toolType: "simulation",
+    lab: "lab1",
+  },
+  visibility: "student",
+  help: "caffeine-metabolism.md",
+  load: () => import("./CaffeineMetabolismTool"),
+};
@@ -0,0 +1,15 @@
+// src/tools/ComponentTestTool.tool.js
+// Menu entry for ComponentTestTool; the component itself loads on first use
+
+export default {
+  id: "component-test",
+  name: "Component Test",
+  description: "Test individual grid components and their interactions.",
+  categories: {
+    topics: [],
+    toolType: "development",
+    lab: null,
+  },
+  visibility: "dev",
+  load: () => import("./ComponentTestTool"),
+};
@@ -1,62 +1,153 @@
 // src/tools/DiscreteLogisticExplorerTool.jsx
 
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import {
   GridSliderHorizontal,
   GridInput,
   GridButton,
   GridGraph,
   GridDisplay,
-  GridLabel,
-  GridWindow,
+  GridEquationInput,
+  GridWheelSelector,
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
+import { CompiledEquation1D } from "../utils/equationParser";
+import { findFixedPoints1D, findTwoCycles1D } from "../utils/mathHelpers";
+
+const NUM_ITERATIONS = 50;
+const ANIMATION_STEP_MS = 250;
+const CUSTOM_MAP = "Custom";
+
+// Maps P(n+1) = f(P(n)) from the population-ecology unit, with a population
+// axis that fits their orbits for 0 <= beta <= 3
+const MAP_PRESETS = {
+  Logistic: { equation: "X + beta*X*(1-X)", pMax: 1.5 },
+  Ricker: { equation: "X*exp(beta*(1-X))", pMax: 2.5 },
+  "Beverton-Holt": { equation: "beta*X/(1+(beta-1)*X)", pMax: 1.5 },
+  Tent: { equation: "beta*min(X, 1-X)", pMax: 1.0 },
+};
+
+// Population axis ticks. One-decimal labels are always three characters
+// (pMax < 10), which keeps the bifurcation and Lyapunov plots' left margins
+// equal so their beta axes line up.
+const populationTicks = (pMax) => {
+  const step = pMax <= 2 ? 0.5 : pMax <= 5 ? 1 : 2;
+  const ticks = [];
+  for (let t = 0; t <= pMax + 1e-9; t += step) {
+    ticks.push(Math.round(t * 100) / 100);
+  }
+  return ticks;
+};
 
 const DiscreteLogisticExplorerTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // UI State
-  const [initialPopulation, setInitialPopulation] = useState(0.1);
-  const [beta, setBeta] = useState(2.0);
-  const [betaMin, setBetaMin] = useState(0.0);
-  const [betaMax, setBetaMax] = useState(3.0);
+  const [initialPopulation, setInitialPopulation] = useUrlState(
+    "initialPopulation",
+    0.1,
+  );
+  const [beta, setBeta] = useUrlState("beta", 2.0);
+  const [betaMin, setBetaMin] = useUrlState("betaMin", 0.0);
+  const [betaMax, setBetaMax] = useUrlState("betaMax", 3.0);
+  const [mapEquation, setMapEquation] = useUrlState(
+    "map",
+    MAP_PRESETS.Logistic.equation,
+  );
+  const [pMax, setPMax] = useUrlState("pMax", 1.5);
   const [bifurcationVersion, setBifurcationVersion] = useState(0);
 
+  // Iteration animation: number of iterations shown in the time series and
+  // cobweb (all of them unless an animation is running)
+  const [shownIterations, setShownIterations] = useState(NUM_ITERATIONS);
+  const [isAnimating, setIsAnimating] = useState(false);
+
   // Canvas refs
   const timeSeriesCanvasRef = useRef(null);
   const bifurcationCanvasRef = useRef(null);
+  const lyapunovCanvasRef = useRef(null);
+  const cobwebCanvasRef = useRef(null);
 
   // Transform refs for coordinate conversion
   const timeSeriesTransformRef = useRef(null);
   const bifurcationTransformRef = useRef(null);
+  const lyapunovTransformRef = useRef(null);
+  const cobwebTransformRef = useRef(null);
 
-  // Bifurcation data cache and range
+  // Bifurcation and Lyapunov data cache and range
   const bifurcationDataRef = useRef(null);
-  const bifurcationRangeRef = useRef({ min: 0.0, max: 3.0 });
+  const lyapunovDataRef = useRef(null);
+  const bifurcationRangeRef = useRef({ min: 0.0, max: 3.0, initialP: 0.5 });
   const [timeSeriesData, setTimeSeriesData] = useState([]);
 
-  // Discrete logistic model: P_new = P + beta * P * (1 - P)
-  const iterateLogistic = useCallback((P, beta) => {
-    const deltaP = beta * P * (1 - P);
-    return P + deltaP;
-  }, []);
+  // The map P(n+1) = f(P(n); beta), entered with X for P(n)
+  const map = useMemo(
+    () => new CompiledEquation1D(mapEquation, ["beta"]),
+    [mapEquation],
+  );
+  const selectedPreset =
+    Object.keys(MAP_PRESETS).find(
+      (name) => MAP_PRESETS[name].equation === mapEquation,
+    ) || CUSTOM_MAP;
+
+  const iterateMap = useCallback((P, beta) => map.evaluate(P, { beta }), [map]);
+
+  // Long-term behavior from one starting value: the orbit after transients
+  // die out, and its Lyapunov exponent, the average of ln|f'(P)| along it.
+  // Negative for stable cycles, positive for chaos; NaN when the orbit
+  // escapes to infinity or leaves the map's domain.
+  const analyzeOrbit = useCallback(
+    (initialP, beta) => {
+      const warmupIterations = 150; // Discard transient behavior
+      const recordIterations = 100; // Record steady-state values
+      const h = 1e-7; // Step for the slope
+      const points = [];
+      let P = initialP;
+
+      for (let j = 0; j < warmupIterations; j++) {
+        P = iterateMap(P, beta);
+      }
+
+      let sum = 0;
+      for (let j = 0; j < recordIterations; j++) {
+        if (!Number.isFinite(P) || Math.abs(P) > 1e6) {
+          return { points, lambda: NaN };
+        }
+        points.push(P);
+        const next = iterateMap(P, beta);
+        const slope = (iterateMap(P + h, beta) - next) / h;
+        sum += Math.log(Math.max(Math.abs(slope), 1e-12));
+        P = next;
+      }
+      return { points, lambda: sum / recordIterations };
+    },
+    [iterateMap],
+  );
 
   // Run simulation for time series
   const runSimulation = useCallback(() => {
-    const numIterations = 50;
+    // Keep showing the last valid map while an equation is being edited
+    if (!map.isValid) return;
     const data = [];
     let P = initialPopulation;
 
-    for (let t = 0; t <= numIterations; t++) {
+    for (let t = 0; t <= NUM_ITERATIONS; t++) {
       data.push({ t, P });
-      if (t < numIterations) {
-        P = iterateLogistic(P, beta);
+      if (t < NUM_ITERATIONS) {
+        P = iterateMap(P, beta);
       }
     }
 
     setTimeSeriesData(data);
-  }, [initialPopulation, beta, iterateLogistic]);
+  }, [initialPopulation, beta, iterateMap, map]);
 
   // Generate bifurcation diagram data
   const generateBifurcationData = useCallback(
@@ -64,31 +155,23 @@ const DiscreteLogisticExplorerTool = () => {
       const betaSteps = 650;
       const deltaBeta = (maxBeta - minBeta) / betaSteps;
 
-      const warmupIterations = 150; // Discard transient behavior
-      const recordIterations = 100; // Record steady-state values
-
       const data = [];
+      const lyapunovData = [];
 
       for (let i = 0; i <= betaSteps; i++) {
         const currentBeta = minBeta + i * deltaBeta;
-        let P = initialP; // Use provided initial condition
+        // Use provided initial condition
+        const { points, lambda } = analyzeOrbit(initialP, currentBeta);
 
-        // Warmup iterations
-        for (let j = 0; j < warmupIterations; j++) {
-          P = iterateLogistic(P, currentBeta);
-        }
-
-        // Record steady-state values
-        for (let j = 0; j < recordIterations; j++) {
-          data.push({ beta: currentBeta, P });
-          P = iterateLogistic(P, currentBeta);
-        }
+        points.forEach((P) => data.push({ beta: currentBeta, P }));
+        lyapunovData.push({ beta: currentBeta, lambda });
       }
 
       bifurcationDataRef.current = data;
-      bifurcationRangeRef.current = { min: minBeta, max: maxBeta };
+      lyapunovDataRef.current = lyapunovData;
+      bifurcationRangeRef.current = { min: minBeta, max: maxBeta, initialP };
     },
-    [iterateLogistic],
+    [analyzeOrbit],
   );
 
   // Recreate bifurcation diagram with current P0 and beta range
@@ -103,7 +186,14 @@ const DiscreteLogisticExplorerTool = () => {
 
     generateBifurcationData(initialPopulation, min, max);
     setBifurcationVersion((v) => v + 1); // Trigger redraw
-  }, [generateBifurcationData, initialPopulation, betaMin, betaMax]);
+  }, [
+    generateBifurcationData,
+    initialPopulation,
+    betaMin,
+    betaMax,
+    setBetaMax,
+    setBetaMin,
+  ]);
 
   // Draw time series
   const drawTimeSeries = useCallback(
@@ -119,8 +209,11 @@ const DiscreteLogisticExplorerTool = () => {
       ctx.fillStyle = currentTheme === "dark" ? "#60a5fa" : "#3b82f6";
       ctx.lineWidth = 2;
 
+      // Only the iterations revealed so far by the animation
+      const shownData = timeSeriesData.slice(0, shownIterations + 1);
+
       ctx.beginPath();
-      timeSeriesData.forEach((point, index) => {
+      shownData.forEach((point, index) => {
         const pixel = dataToPixel(point.t, point.P);
 
         // Draw point
@@ -129,8 +222,8 @@ const DiscreteLogisticExplorerTool = () => {
         ctx.fill();
 
         // Draw line to next point
-        if (index < timeSeriesData.length - 1) {
-          const nextPoint = timeSeriesData[index + 1];
+        if (index < shownData.length - 1) {
+          const nextPoint = shownData[index + 1];
           const nextPixel = dataToPixel(nextPoint.t, nextPoint.P);
 
           ctx.beginPath();
@@ -139,8 +232,146 @@ const DiscreteLogisticExplorerTool = () => {
           ctx.stroke();
         }
       });
+
+      // Ring the current iteration while animating (matches the cobweb)
+      if (isAnimating && shownData.length > 0) {
+        const last = shownData[shownData.length - 1];
+        const pixel = dataToPixel(last.t, last.P);
+        ctx.strokeStyle = currentTheme === "dark" ? "#f87171" : "#dc2626";
+        ctx.beginPath();
+        ctx.arc(pixel.x, pixel.y, 6, 0, 2 * Math.PI);
+        ctx.stroke();
+      }
+    },
+    [timeSeriesData, currentTheme, shownIterations, isAnimating],
+  );
+
+  // Draw cobweb: the map P(n+1) = f(P(n)), the diagonal, and the orbit
+  // bouncing between them one iteration at a time
+  const drawCobweb = useCallback(
+    (canvas, ctx) => {
+      const transform = cobwebTransformRef.current;
+      if (!canvas || !transform || timeSeriesData.length === 0) return;
+
+      const { dataToPixel } = transform;
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      const isDark = currentTheme === "dark";
+
+      // Diagonal P(n+1) = P(n): equilibria lie where the map crosses it
+      ctx.strokeStyle = isDark
+        ? "rgba(255, 255, 255, 0.5)"
+        : "rgba(0, 0, 0, 0.4)";
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(dataToPixel(0, 0).x, dataToPixel(0, 0).y);
+      ctx.lineTo(dataToPixel(pMax, pMax).x, dataToPixel(pMax, pMax).y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      // The map itself
+      ctx.strokeStyle = isDark ? "#a78bfa" : "#7c3aed";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      let penDown = false;
+      for (let i = 0; i <= 300; i++) {
+        const P = (i / 300) * pMax;
+        const next = iterateMap(P, beta);
+        if (!Number.isFinite(next)) {
+          penDown = false;
+          continue;
+        }
+        const pixel = dataToPixel(P, next);
+        if (penDown) ctx.lineTo(pixel.x, pixel.y);
+        else ctx.moveTo(pixel.x, pixel.y);
+        penDown = true;
+      }
+      ctx.stroke();
+
+      // Orbit: up/down to the map, then across to the diagonal
+      ctx.strokeStyle = isDark ? "#60a5fa" : "#3b82f6";
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      const start = dataToPixel(timeSeriesData[0].P, 0);
+      ctx.moveTo(start.x, start.y);
+      for (
+        let n = 0;
+        n < shownIterations && n < timeSeriesData.length - 1;
+        n++
+      ) {
+        const P = timeSeriesData[n].P;
+        const nextP = timeSeriesData[n + 1].P;
+        const onMap = dataToPixel(P, nextP);
+        const onDiagonal = dataToPixel(nextP, nextP);
+        ctx.lineTo(onMap.x, onMap.y);
+        ctx.lineTo(onDiagonal.x, onDiagonal.y);
+      }
+      ctx.stroke();
+
+      // Current point
+      const current =
+        timeSeriesData[Math.min(shownIterations, timeSeriesData.length - 1)];
+      const pixel = dataToPixel(current.P, current.P);
+      ctx.fillStyle = isDark ? "#f87171" : "#dc2626";
+      ctx.beginPath();
+      ctx.arc(pixel.x, pixel.y, 4, 0, 2 * Math.PI);
+      ctx.fill();
+    },
+    [timeSeriesData, currentTheme, shownIterations, beta, iterateMap, pMax],
+  );
+
+  // Draw Lyapunov exponent curve over the bifurcation window
+  const drawLyapunov = useCallback(
+    (canvas, ctx) => {
+      const transform = lyapunovTransformRef.current;
+      if (!canvas || !transform || !lyapunovDataRef.current) return;
+
+      const { dataToPixel } = transform;
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      const isDark = currentTheme === "dark";
+      const { min, max } = bifurcationRangeRef.current;
+
+      // Zero line: the boundary between stable (below) and chaotic (above)
+      ctx.strokeStyle = isDark
+        ? "rgba(255, 255, 255, 0.5)"
+        : "rgba(0, 0, 0, 0.4)";
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(dataToPixel(min, 0).x, dataToPixel(min, 0).y);
+      ctx.lineTo(dataToPixel(max, 0).x, dataToPixel(max, 0).y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      // Curve, clipped to the plot range (superstable cycles dip to -infinity)
+      // and broken where orbits escape
+      ctx.strokeStyle = isDark ? "#f87171" : "#dc2626";
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      let penDown = false;
+      lyapunovDataRef.current.forEach(({ beta, lambda }) => {
+        if (!Number.isFinite(lambda)) {
+          penDown = false;
+          return;
+        }
+        const pixel = dataToPixel(beta, Math.max(-1, Math.min(1, lambda)));
+        if (penDown) ctx.lineTo(pixel.x, pixel.y);
+        else ctx.moveTo(pixel.x, pixel.y);
+        penDown = true;
+      });
+      ctx.stroke();
+
+      // Current beta marker, as on the bifurcation diagram
+      const top = dataToPixel(beta, 1);
+      const bottom = dataToPixel(beta, -1);
+      ctx.strokeStyle = isDark ? "#22c55e" : "#16a34a";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(top.x, top.y);
+      ctx.lineTo(bottom.x, bottom.y);
+      ctx.stroke();
     },
-    [timeSeriesData, currentTheme],
+    [beta, currentTheme],
   );
 
   // Draw bifurcation diagram
@@ -168,12 +399,9 @@ const DiscreteLogisticExplorerTool = () => {
       // Use the range that was used to generate the bifurcation data
       const betaMin = bifurcationRangeRef.current.min;
       const betaMax = bifurcationRangeRef.current.max;
-      const PMin = 0;
-      const PMax = 1.5;
-
       // Get x position from dataToPixel using a y value in range
-      const topPixel = dataToPixel(beta, PMax);
-      const bottomPixel = dataToPixel(beta, PMin);
+      const topPixel = dataToPixel(beta, pMax);
+      const bottomPixel = dataToPixel(beta, 0);
       const currentBetaX = topPixel.x;
 
       ctx.fillStyle = currentTheme === "dark" ? "#22c55e" : "#16a34a";
@@ -205,20 +433,93 @@ const DiscreteLogisticExplorerTool = () => {
       ctx.lineTo(currentBetaX, triangleY + 5);
       ctx.stroke();
     },
-    [beta, currentTheme, bifurcationVersion],
+    [beta, currentTheme, bifurcationVersion, pMax],
   );
 
-  // Initialize bifurcation data on mount only
+  // Compute the bifurcation data on mount and again for each new map, over
+  // the current window. Wait for a pause in typing before recomputing, since
+  // a sweep evaluates the map a few hundred thousand times.
   useEffect(() => {
-    generateBifurcationData(0.5, 0.0, 3.0);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+    if (!map.isValid) return;
+    const timeoutId = setTimeout(
+      () => {
+        const { min, max, initialP } = bifurcationRangeRef.current;
+        generateBifurcationData(initialP, min, max);
+        setBifurcationVersion((v) => v + 1); // Trigger redraw
+      },
+      bifurcationDataRef.current ? 400 : 0,
+    );
+    return () => clearTimeout(timeoutId);
+  }, [map, generateBifurcationData]);
 
   // Run simulation on mount and when parameters change
   useEffect(() => {
     runSimulation();
   }, [runSimulation]);
 
+  // Reveal one more iteration per tick while animating
+  useEffect(() => {
+    if (!isAnimating) return;
+    const intervalId = setInterval(() => {
+      setShownIterations((n) => Math.min(n + 1, NUM_ITERATIONS));
+    }, ANIMATION_STEP_MS);
+    return () => clearInterval(intervalId);
+  }, [isAnimating]);
+
+  useEffect(() => {
+    if (isAnimating && shownIterations >= NUM_ITERATIONS) {
+      setIsAnimating(false);
+    }
+  }, [isAnimating, shownIterations]);
+
+  // Start the iteration animation from P0, or stop it and show every iteration
+  const toggleAnimation = () => {
+    if (isAnimating) {
+      setIsAnimating(false);
+      setShownIterations(NUM_ITERATIONS);
+    } else {
+      setShownIterations(0);
+      setIsAnimating(true);
+    }
+  };
+
+  // Lyapunov exponent at the current beta, for the time series' P0
+  const currentLyapunov = useMemo(
+    () => analyzeOrbit(initialPopulation, beta).lambda,
+    [analyzeOrbit, initialPopulation, beta],
+  );
+
+  // Fixed points and 2-cycles at the current beta. The search starts just
+  // below 0 so that the extinction fixed point is bracketed.
+  const fixedPointAnalysis = useMemo(() => {
+    if (!map.isValid) return null;
+    const params = { beta };
+    return {
+      fixedPoints: findFixedPoints1D(map, params, -0.05 * pMax, pMax),
+      twoCycles: findTwoCycles1D(map, params, -0.05 * pMax, pMax),
+    };
+  }, [map, beta, pMax]);
+
+  // Choose a preset map, with a population axis that fits it
+  const handlePresetChange = (name) => {
+    const preset = MAP_PRESETS[name];
+    if (!preset) return;
+    setMapEquation(preset.equation);
+    setPMax(preset.pMax);
+    if (initialPopulation > preset.pMax) setInitialPopulation(preset.pMax / 2);
+  };
+
+  // Fit the population axis to the orbits currently shown
+  const fitPopulationAxis = () => {
+    const values = [
+      ...(bifurcationDataRef.current || []).map((point) => point.P),
+      ...timeSeriesData.map((point) => point.P),
+    ].filter(Number.isFinite);
+    if (values.length === 0) return;
+    const largest = Math.max(...values);
+    setPMax(Math.min(9.5, Math.max(0.5, Math.ceil(largest * 1.1 * 2) / 2)));
+  };
+
   // Initialize canvases
   useEffect(() => {
     // Set canvas sizes from transforms
@@ -234,6 +535,15 @@ const DiscreteLogisticExplorerTool = () => {
       bifurcationCanvasRef.current.height =
         bifurcationTransformRef.current.plotHeight;
     }
+    if (lyapunovCanvasRef.current && lyapunovTransformRef.current) {
+      lyapunovCanvasRef.current.width = lyapunovTransformRef.current.plotWidth;
+      lyapunovCanvasRef.current.height =
+        lyapunovTransformRef.current.plotHeight;
+    }
+    if (cobwebCanvasRef.current && cobwebTransformRef.current) {
+      cobwebCanvasRef.current.width = cobwebTransformRef.current.plotWidth;
+      cobwebCanvasRef.current.height = cobwebTransformRef.current.plotHeight;
+    }
 
     // Draw initial data
     if (timeSeriesCanvasRef.current && timeSeriesTransformRef.current) {
@@ -245,7 +555,17 @@ const DiscreteLogisticExplorerTool = () => {
       const ctx = bifurcationCanvasRef.current.getContext("2d");
       drawBifurcation(bifurcationCanvasRef.current, ctx);
     }
-  }, [drawTimeSeries, drawBifurcation]);
+
+    if (lyapunovCanvasRef.current && lyapunovTransformRef.current) {
+      const ctx = lyapunovCanvasRef.current.getContext("2d");
+      drawLyapunov(lyapunovCanvasRef.current, ctx);
+    }
+
+    if (cobwebCanvasRef.current && cobwebTransformRef.current) {
+      const ctx = cobwebCanvasRef.current.getContext("2d");
+      drawCobweb(cobwebCanvasRef.current, ctx);
+    }
+  }, [drawTimeSeries, drawBifurcation, drawLyapunov, drawCobweb]);
 
   // Redraw when data or theme changes
   useEffect(() => {
@@ -262,11 +582,46 @@ const DiscreteLogisticExplorerTool = () => {
     }
   }, [drawBifurcation]);
 
+  useEffect(() => {
+    if (lyapunovCanvasRef.current && lyapunovTransformRef.current) {
+      const ctx = lyapunovCanvasRef.current.getContext("2d");
+      drawLyapunov(lyapunovCanvasRef.current, ctx);
+    }
+  }, [drawLyapunov]);
+
+  useEffect(() => {
+    if (cobwebCanvasRef.current && cobwebTransformRef.current) {
+      const ctx = cobwebCanvasRef.current.getContext("2d");
+      drawCobweb(cobwebCanvasRef.current, ctx);
+    }
+  }, [drawCobweb]);
+
+  // Beta axis ticks for the current window, shared by the bifurcation and
+  // Lyapunov plots so they line up
+  const betaTicks = (() => {
+    const min = bifurcationRangeRef.current.min;
+    const max = bifurcationRangeRef.current.max;
+    const range = max - min;
+    const step = range <= 1 ? 0.1 : range <= 2 ? 0.25 : 0.5;
+    const ticks = [];
+    for (let t = Math.ceil(min / step) * step; t <= max; t += step) {
+      ticks.push(Math.round(t * 100) / 100);
+    }
+    return ticks;
+  })();
+  const pTicks = populationTicks(pMax);
+  const pTickLabels = pTicks.map((t) => t.toFixed(1));
+
+  const formatValue = (value) =>
+    Number.isFinite(value) ? value.toFixed(3) : "—";
+  const stabilityText = (stable) => (stable ? "stable" : "unstable");
+  const errorColor = currentTheme === "dark" ? "#f87171" : "#dc2626";
+
   return (
     <ToolContainer
       title="Discrete Logistic Model Explorer"
-      canvasWidth={10}
-      canvasHeight={6}
+      canvasWidth={12}
+      canvasHeight={8}
     >
       {/* Bifurcation Diagram (7x4) */}
       <GridGraph
@@ -276,23 +631,14 @@ const DiscreteLogisticExplorerTool = () => {
         h={4}
         xLabel="β (Birth Rate)"
         yLabel="Population (P)"
-        xTicks={(() => {
-          const min = bifurcationRangeRef.current.min;
-          const max = bifurcationRangeRef.current.max;
-          const range = max - min;
-          const step = range <= 1 ? 0.1 : range <= 2 ? 0.25 : 0.5;
-          const ticks = [];
-          for (let t = Math.ceil(min / step) * step; t <= max; t += step) {
-            ticks.push(Math.round(t * 100) / 100);
-          }
-          return ticks;
-        })()}
-        yTicks={[0, 0.5, 1.0, 1.5]}
+        xTicks={betaTicks}
+        yTicks={pTicks}
+        yTickLabels={pTickLabels}
         xRange={[
           bifurcationRangeRef.current.min,
           bifurcationRangeRef.current.max,
         ]}
-        yRange={[0, 1.5]}
+        yRange={[0, pMax]}
         leftAxisColor={currentTheme === "dark" ? "#ffffff" : "#000000"}
         tooltip="Bifurcation Diagram"
         theme={theme}
@@ -328,18 +674,54 @@ const DiscreteLogisticExplorerTool = () => {
         }}
       </GridGraph>
 
-      {/* Time Series Graph (7x2) */}
+      {/* Lyapunov Exponent (7x2), same beta axis as the bifurcation plot */}
       <GridGraph
         x={0}
         y={4}
         w={7}
         h={2}
+        xLabel="β (Birth Rate)"
+        yLabel="Lyapunov λ"
+        xTicks={betaTicks}
+        yTicks={[-1, -0.5, 0, 0.5, 1]}
+        // Three-character labels, like the bifurcation plot's (see
+        // populationTicks)
+        yTickLabels={["-1", "-.5", "0", ".5", "1"]}
+        xRange={[
+          bifurcationRangeRef.current.min,
+          bifurcationRangeRef.current.max,
+        ]}
+        yRange={[-1, 1]}
+        tooltip="Lyapunov exponent: λ > 0 means chaos"
+        theme={theme}
+      >
+        {(transform) => {
+          lyapunovTransformRef.current = transform;
+          return (
+            <canvas
+              ref={lyapunovCanvasRef}
+              className="absolute pointer-events-none"
+              style={transform.plotStyle}
+              width={transform.plotWidth}
+              height={transform.plotHeight}
+            />
+          );
+        }}
+      </GridGraph>
+
+      {/* Time Series Graph (7x2) */}
+      <GridGraph
+        x={0}
+        y={6}
+        w={7}
+        h={2}
         xLabel="Time (t)"
         yLabel="Population (P)"
         xTicks={[0, 10, 20, 30, 40, 50]}
-        yTicks={[0, 0.5, 1.0, 1.5]}
+        yTicks={pTicks}
+        yTickLabels={pTickLabels}
         xRange={[0, 50]}
-        yRange={[0, 1.5]}
+        yRange={[0, pMax]}
         leftAxisColor={currentTheme === "dark" ? "#ffffff" : "#000000"}
         tooltip="Time Series"
         theme={theme}
@@ -358,16 +740,20 @@ const DiscreteLogisticExplorerTool = () => {
         }}
       </GridGraph>
 
-      {/* Instruction Label */}
-      <GridLabel
+      {/* Map Equation Input */}
+      <GridEquationInput
         x={7}
         y={0}
         w={3}
         h={1}
-        text="Change view window of bifurcation plot with the buttons below."
-        textAlign="center"
-        fontSize={14}
+        value={mapEquation}
+        onChange={setMapEquation}
+        label="Map: next population from X"
+        variable="Pₙ₊₁"
+        placeholder="e.g., X*exp(beta*(1-X))"
+        tooltip="Enter P(n+1) = f(X) using X for P(n) and beta for β"
         theme={theme}
+        fontSize="sm"
       />
 
       {/* Beta Min Input */}
@@ -453,11 +839,11 @@ const DiscreteLogisticExplorerTool = () => {
         y={3}
         w={3}
         h={1}
-        value={(initialPopulation / 1.5) * 100}
-        onChange={(value) => setInitialPopulation((value / 100) * 1.5)}
+        value={(initialPopulation / pMax) * 100}
+        onChange={(value) => setInitialPopulation((value / 100) * pMax)}
         variant="unipolar"
         label={`Initial population: P₀ = ${initialPopulation.toFixed(2)}`}
-        tooltip="Initial population (0 to 1.5)"
+        tooltip={`Initial population (0 to ${pMax})`}
         theme={theme}
       />
 
@@ -465,28 +851,204 @@ const DiscreteLogisticExplorerTool = () => {
       <GridDisplay
         x={7}
         y={4}
-        w={3}
-        h={2}
+        w={2}
+        h={1}
         variant="info"
         align="left"
         fontSize="small"
         theme={theme}
       >
-        <div style={{ padding: "8px" }}>
-          <div style={{ fontWeight: "bold", marginBottom: "8px" }}>
-            Discrete Logistic Model
+        <div style={{ padding: "4px 8px", lineHeight: "1.4" }}>
+          <div>Lyapunov exponent</div>
+          <div>λ = {formatValue(currentLyapunov)}</div>
+          <div style={{ fontSize: "0.85em", opacity: 0.8 }}>
+            {!map.isValid
+              ? "No valid map"
+              : !Number.isFinite(currentLyapunov)
+                ? "Population escapes"
+                : currentLyapunov > 0.01
+                  ? "Chaotic"
+                  : currentLyapunov < -0.01
+                    ? "Stable"
+                    : "Borderline"}
           </div>
-          <div style={{ fontSize: "0.9em", marginBottom: "8px" }}>
-            ΔP/Δt = βP(1 - P)
+        </div>
+      </GridDisplay>
+
+      {/* Animate Button */}
+      <GridButton
+        x={9}
+        y={4}
+        w={1}
+        h={1}
+        onPress={toggleAnimation}
+        theme={theme}
+      >
+        <div
+          style={{ fontSize: "14px", lineHeight: "1.1", textAlign: "center" }}
+        >
+          {isAnimating ? "Stop" : "Animate"}
+        </div>
+      </GridButton>
+
+      {/* Cobweb Plot (3x3) */}
+      <GridGraph
+        x={7}
+        y={5}
+        w={3}
+        h={3}
+        xLabel="Pₙ"
+        yLabel="Pₙ₊₁"
+        xTicks={pTicks}
+        yTicks={pTicks}
+        xRange={[0, pMax]}
+        yRange={[0, pMax]}
+        tooltip="Cobweb plot"
+        theme={theme}
+      >
+        {(transform) => {
+          cobwebTransformRef.current = transform;
+          return (
+            <>
+              <canvas
+                ref={cobwebCanvasRef}
+                className="absolute pointer-events-none"
+                style={transform.plotStyle}
+                width={transform.plotWidth}
+                height={transform.plotHeight}
+              />
+              <div
+                className="absolute pointer-events-none"
+                style={{
+                  top: "16px",
+                  right: "20px",
+                  fontSize: "12px",
+                  color: currentTheme === "dark" ? "#ffffff" : "#000000",
+                }}
+              >
+                n = {shownIterations}
+              </div>
+            </>
+          );
+        }}
+      </GridGraph>
+
+      {/* Map Presets */}
+      <GridWheelSelector
+        x={10}
+        y={0}
+        w={2}
+        h={1}
+        value={selectedPreset}
+        onChange={handlePresetChange}
+        options={[...Object.keys(MAP_PRESETS), CUSTOM_MAP]}
+        title="Map"
+        theme={theme}
+      />
+
+      {/* Population Axis Input */}
+      <GridInput
+        x={10}
+        y={1}
+        w={1}
+        h={1}
+        value={pMax}
+        onChange={(value) => setPMax(Math.max(0.5, Math.min(9.5, value)))}
+        min={0.5}
+        max={9.5}
+        step={0.5}
+        variable="Pₘₐₓ"
+        title="Top of the population axes"
+        theme={theme}
+      />
+
+      {/* Fit Axis Button */}
+      <GridButton
+        x={11}
+        y={1}
+        w={1}
+        h={1}
+        onPress={fitPopulationAxis}
+        tooltip="Fit the population axes to the orbits"
+        theme={theme}
+      >
+        <div
+          style={{ fontSize: "14px", lineHeight: "1.1", textAlign: "center" }}
+        >
+          <div>Fit</div>
+          <div>Axis</div>
+        </div>
+      </GridButton>
+
+      {/* Fixed Point Analysis */}
+      <GridDisplay
+        x={10}
+        y={2}
+        w={2}
+        h={6}
+        variant={map.isValid ? "info" : "status"}
+        align="left"
+        fontSize="small"
+        theme={theme}
+      >
+        {!map.isValid ? (
+          <div style={{ padding: "8px", color: errorColor }}>
+            <div style={{ fontWeight: "bold", marginBottom: "8px" }}>
+              Equation error
+            </div>
+            <div style={{ fontSize: "0.85em" }}>{map.getError()}</div>
           </div>
-          <div style={{ fontSize: "0.85em", lineHeight: "1.6" }}>
-            <div>Initial Population: {initialPopulation.toFixed(2)}</div>
-            <div>Birth Rate: β = {beta.toPrecision(5)}</div>
-            <div style={{ marginTop: "8px", fontSize: "0.8em", opacity: 0.8 }}>
-              Range: β ∈ [{betaMin.toFixed(2)}, {betaMax.toFixed(2)}]
+        ) : (
+          <div
+            style={{ padding: "8px", fontSize: "0.85em", lineHeight: "1.5" }}
+          >
+            <div style={{ fontWeight: "bold", marginBottom: "4px" }}>
+              Fixed points at β = {beta.toFixed(2)}
+            </div>
+            {fixedPointAnalysis.fixedPoints.length === 0 && (
+              <div style={{ opacity: 0.7 }}>None in 0 ≤ P ≤ {pMax}</div>
+            )}
+            {fixedPointAnalysis.fixedPoints.map((point) => (
+              <div key={point.x} style={{ marginBottom: "4px" }}>
+                <div>
+                  P* = {formatValue(Math.abs(point.x) < 1e-9 ? 0 : point.x)}
+                </div>
+                <div style={{ opacity: 0.8 }}>
+                  f′(P*) = {formatValue(point.slope)},{" "}
+                  {stabilityText(point.stable)}
+                </div>
+              </div>
+            ))}
+            <div
+              style={{
+                fontWeight: "bold",
+                marginTop: "8px",
+                marginBottom: "4px",
+              }}
+            >
+              2-cycles
+            </div>
+            {fixedPointAnalysis.twoCycles.length === 0 && (
+              <div style={{ opacity: 0.7 }}>None</div>
+            )}
+            {fixedPointAnalysis.twoCycles.map((cycle) => (
+              <div key={cycle.points[0]} style={{ marginBottom: "4px" }}>
+                <div>
+                  {formatValue(cycle.points[0])} ⇄{" "}
+                  {formatValue(cycle.points[1])}
+                </div>
+                <div style={{ opacity: 0.8 }}>
+                  multiplier {formatValue(cycle.slope)},{" "}
+                  {stabilityText(cycle.stable)}
+                </div>
+              </div>
+            ))}
+            <div style={{ marginTop: "8px", fontSize: "0.85em", opacity: 0.7 }}>
+              Stable when |f′| &lt; 1 (for a 2-cycle, the product of f′ at both
+              points)
             </div>
           </div>
-        </div>
+        )}
       </GridDisplay>
     </ToolContainer>
   );
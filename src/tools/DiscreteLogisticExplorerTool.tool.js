@@ -0,0 +1,18 @@
+// src/tools/DiscreteLogisticExplorerTool.tool.js
+// Menu entry for DiscreteLogisticExplorerTool; the component itself loads on first use
+
+export default {
+  id: "discrete-logistic-explorer",
+  name: "Discrete Logistic Model Explorer",
+  description:
+    "Explore discrete-time population growth with bifurcation diagrams, cobweb plots, Lyapunov exponents and fixed-point analysis. Use the logistic map or enter your own, such as Ricker or Beverton-Holt, and observe period-doubling cascades and chaos as the birth rate varies.",
+  categories: {
+    topics: ["ecology"],
+    toolType: "explorer",
+    lab: "lab5",
+  },
+  visibility: "student",
+  help: "discrete-logistic-explorer.md",
+  tutorial: "discrete-logistic-explorer.json",
+  load: () => import("./DiscreteLogisticExplorerTool"),
+};
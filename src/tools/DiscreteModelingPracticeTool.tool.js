@@ -0,0 +1,17 @@
+// src/tools/DiscreteModelingPracticeTool.tool.js
+// Menu entry for DiscreteModelingPracticeTool; the component itself loads on first use
+
+export default {
+  id: "discrete-modeling-practice",
+  name: "Discrete Modeling Practice",
+  description:
+    "Interactive study aide for practicing discrete-time modeling with randomized linear and exponential growth scenarios.",
+  categories: {
+    topics: [],
+    toolType: "study",
+    lab: null,
+  },
+  visibility: "student",
+  help: "discrete-modeling-practice.md",
+  load: () => import("./DiscreteModelingPracticeTool"),
+};
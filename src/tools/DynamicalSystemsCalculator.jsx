@@ -1,6 +1,12 @@
 // src/tools/DynamicalSystemsCalculator.jsx
 
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import {
   GridSliderHorizontal,
   GridButton,
@@ -11,28 +17,117 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
-import { DynamicalSystem } from "../utils/equationParser";
+import { useUrlState } from "../hooks/useUrlState";
+import { DynamicalSystem, detectParameters } from "../utils/equationParser";
+import {
+  findEquilibria,
+  classifyEquilibrium,
+  traceSaddleManifolds,
+} from "../utils/odeSolver";
+
+// Starting value and slider range for a newly typed parameter
+const DEFAULT_PARAMETER = { value: 1, min: 0, max: 5 };
+// Parameter controls (input + slider) per row below the phase plane
+const PARAMETERS_PER_ROW = 4;
+
+// Manifolds are only traced for the first few saddles to keep redraws fast
+const MAX_MANIFOLD_SADDLES = 8;
+
+/**
+ * Format a number compactly for the equilibria panel
+ */
+const formatValue = (value) => {
+  if (Math.abs(value) < 5e-4) return "0";
+  if (Math.abs(value) >= 1000) return value.toExponential(1);
+  return value.toFixed(Math.abs(value) >= 100 ? 1 : 3).replace(/\.?0+$/, "");
+};
+
+/**
+ * Format a pair of eigenvalues, e.g. "-0.15 ± 1i" or "2, -1"
+ */
+const formatEigenvalues = ([l1, l2]) =>
+  l1.im !== 0
+    ? `${formatValue(l1.re)} ± ${formatValue(Math.abs(l1.im))}i`
+    : `${formatValue(l1.re)}, ${formatValue(l2.re)}`;
 
 const DynamicalSystemsCalculator = () => {
   const { theme, currentTheme } = useTheme();
 
   // Viewport parameters
-  const [xMin, setXMin] = useState(-5);
-  const [xMax, setXMax] = useState(5);
-  const [yMin, setYMin] = useState(-5);
-  const [yMax, setYMax] = useState(5);
+  const [xMin, setXMin] = useUrlState("xMin", -5);
+  const [xMax, setXMax] = useUrlState("xMax", 5);
+  const [yMin, setYMin] = useUrlState("yMin", -5);
+  const [yMax, setYMax] = useUrlState("yMax", 5);
 
   // Equation strings
-  const [xPrimeEquation, setXPrimeEquation] = useState("Y");
-  const [yPrimeEquation, setYPrimeEquation] = useState("-X");
+  const [xPrimeEquation, setXPrimeEquation] = useUrlState(
+    "xPrimeEquation",
+    "Y",
+  );
+  const [yPrimeEquation, setYPrimeEquation] = useUrlState(
+    "yPrimeEquation",
+    "-X",
+  );
 
   // Simulation parameters
-  const [particleGridSize, setParticleGridSize] = useState(75);
-  const [animationSpeed, setAnimationSpeed] = useState(100); // 0-100, default full speed
-  const [showVectorField, setShowVectorField] = useState(true);
-  const [showGrid, setShowGrid] = useState(true);
+  const [particleGridSize, setParticleGridSize] = useUrlState(
+    "particleGridSize",
+    75,
+    { min: 20, max: 100, integer: true },
+  );
+  const [animationSpeed, setAnimationSpeed] = useUrlState(
+    "animationSpeed",
+    100,
+  ); // 0-100, default full speed
+  const [showVectorField, setShowVectorField] = useUrlState(
+    "showVectorField",
+    true,
+  );
+  const [showGrid, setShowGrid] = useUrlState("showGrid", true);
+  const [showEquilibria, setShowEquilibria] = useUrlState(
+    "showEquilibria",
+    true,
+  );
+  const [showManifolds, setShowManifolds] = useUrlState("showManifolds", true);
   const [isRunning, setIsRunning] = useState(false);
 
+  // User-defined parameters: any extra symbol in the equations (e.g. a, b in
+  // a*X - b*X*Y) gets a slider. Stored as {name: {value, min, max}}; names
+  // without an entry use DEFAULT_PARAMETER.
+  const [parameters, setParameters] = useUrlState("parameters", {});
+  const parameterNames = useMemo(
+    () => detectParameters([xPrimeEquation, yPrimeEquation]),
+    [xPrimeEquation, yPrimeEquation],
+  );
+  const parameterValues = useMemo(
+    () =>
+      Object.fromEntries(
+        parameterNames.map((name) => [
+          name,
+          (parameters[name] ?? DEFAULT_PARAMETER).value,
+        ]),
+      ),
+    [parameterNames, parameters],
+  );
+
+  // Update one parameter, dropping entries for symbols no longer in use
+  const updateParameter = useCallback(
+    (name, changes) => {
+      setParameters((prev) =>
+        Object.fromEntries(
+          parameterNames.map((other) => {
+            const current = prev[other] ?? DEFAULT_PARAMETER;
+            return [
+              other,
+              other === name ? { ...current, ...changes } : current,
+            ];
+          }),
+        ),
+      );
+    },
+    [parameterNames, setParameters],
+  );
+
   // Dynamical system and error handling
   const [dynamicalSystem, setDynamicalSystem] = useState(null);
   const [equationError, setEquationError] = useState("");
@@ -48,6 +143,7 @@ const DynamicalSystemsCalculator = () => {
     isRunning: false,
     time: 0,
     params: { xMin, xMax, yMin, yMax, particleGridSize },
+    modelParams: {},
   });
 
   // Sync UI state to animation state
@@ -62,10 +158,19 @@ const DynamicalSystemsCalculator = () => {
     };
   }, [xMin, xMax, yMin, yMax, particleGridSize, animationSpeed]);
 
+  // Particles read parameters from the ref so slider moves apply mid-flight
+  useEffect(() => {
+    animationStateRef.current.modelParams = parameterValues;
+  }, [parameterValues]);
+
   // Update dynamical system when equations change
   useEffect(() => {
     try {
-      const system = new DynamicalSystem(xPrimeEquation, yPrimeEquation);
+      const system = new DynamicalSystem(
+        xPrimeEquation,
+        yPrimeEquation,
+        parameterNames,
+      );
       setDynamicalSystem(system);
 
       if (system.isValidSystem()) {
@@ -77,7 +182,34 @@ const DynamicalSystemsCalculator = () => {
       setEquationError(`Unexpected error: ${error.message}`);
       setDynamicalSystem(null);
     }
-  }, [xPrimeEquation, yPrimeEquation]);
+  }, [xPrimeEquation, yPrimeEquation, parameterNames]);
+
+  // Equilibria in the viewport, classified by the Jacobian's eigenvalues
+  const equilibria = useMemo(() => {
+    if (!dynamicalSystem || !dynamicalSystem.isValidSystem()) return [];
+
+    const f = (t, [x, y]) => {
+      const { vx, vy } = dynamicalSystem.evaluateField(x, y, parameterValues);
+      return [vx, vy];
+    };
+    const jacobian = (x, y) => dynamicalSystem.jacobian(x, y, parameterValues);
+    const xRange = [xMin, xMax];
+    const yRange = [yMin, yMax];
+
+    let saddleCount = 0;
+    return findEquilibria(f, xRange, yRange, 1e-9, jacobian).map((point) => {
+      const classification = classifyEquilibrium(
+        jacobian(point.x, point.y),
+        undefined,
+        point.multipleRoot,
+      );
+      const manifolds =
+        classification.type === "saddle" && saddleCount++ < MAX_MANIFOLD_SADDLES
+          ? traceSaddleManifolds(f, point, classification, xRange, yRange)
+          : null;
+      return { ...point, ...classification, manifolds };
+    });
+  }, [dynamicalSystem, parameterValues, xMin, xMax, yMin, yMax]);
 
   // Static drawing function - vector field and grid (drawable area only)
   const drawStaticElements = useCallback(
@@ -144,7 +276,11 @@ const DynamicalSystemsCalculator = () => {
             // Calculate vector field values from compiled equations
             let vx, vy;
             if (dynamicalSystem && dynamicalSystem.isValidSystem()) {
-              const field = dynamicalSystem.evaluateField(x, y);
+              const field = dynamicalSystem.evaluateField(
+                x,
+                y,
+                parameterValues,
+              );
               vx = field.vx;
               vy = field.vy;
             } else {
@@ -195,8 +331,70 @@ const DynamicalSystemsCalculator = () => {
           }
         }
       }
+
+      // Draw equilibria: saddle manifolds first, then markers on top
+      if (showEquilibria) {
+        const isDark = currentTheme === "dark";
+
+        if (showManifolds) {
+          const drawBranch = (branch) => {
+            ctx.beginPath();
+            branch.forEach(([x, y], i) => {
+              const pos = dataToPixel(x, y);
+              if (i === 0) ctx.moveTo(pos.x, pos.y);
+              else ctx.lineTo(pos.x, pos.y);
+            });
+            ctx.stroke();
+          };
+
+          ctx.lineWidth = 2;
+          equilibria.forEach(({ manifolds }) => {
+            if (!manifolds) return;
+            ctx.strokeStyle = isDark ? "#4ade80" : "#16a34a";
+            manifolds.stable.forEach(drawBranch);
+            ctx.strokeStyle = isDark ? "#fb923c" : "#ea580c";
+            manifolds.unstable.forEach(drawBranch);
+          });
+        }
+
+        // Filled = stable, open = unstable, half-filled = saddle
+        const ink = isDark ? "#f9fafb" : "#111827";
+        const paper = isDark ? "#1f2937" : "#ffffff";
+        const radius = 6;
+        ctx.lineWidth = 2;
+        equilibria.forEach(({ x, y, type, stable }) => {
+          const pos = dataToPixel(x, y);
+          ctx.strokeStyle = ink;
+          ctx.fillStyle = stable ? ink : paper;
+          ctx.beginPath();
+          ctx.arc(pos.x, pos.y, radius, 0, 2 * Math.PI);
+          ctx.fill();
+          if (type === "saddle") {
+            ctx.fillStyle = ink;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, radius, Math.PI / 2, (3 * Math.PI) / 2);
+            ctx.fill();
+          }
+          if (type === "center" || type === "degenerate") {
+            ctx.setLineDash([2, 2]);
+          }
+          ctx.beginPath();
+          ctx.arc(pos.x, pos.y, radius, 0, 2 * Math.PI);
+          ctx.stroke();
+          ctx.setLineDash([]);
+        });
+      }
     },
-    [currentTheme, showVectorField, showGrid, dynamicalSystem],
+    [
+      currentTheme,
+      showVectorField,
+      showGrid,
+      dynamicalSystem,
+      parameterValues,
+      showEquilibria,
+      showManifolds,
+      equilibria,
+    ],
   );
 
   // Wind-js inspired particle system
@@ -417,9 +615,16 @@ const DynamicalSystemsCalculator = () => {
 
     // Wind-js technique: Calculate next positions first, then draw trails
     if (dynamicalSystem && dynamicalSystem.isValidSystem()) {
+      const { modelParams } = state;
+
       // ALWAYS update red click particles (independent of Start/Pause)
       clickParticles.forEach((particle) => {
-        const newPos = dynamicalSystem.rk4Step(particle.x, particle.y, dt);
+        const newPos = dynamicalSystem.rk4Step(
+          particle.x,
+          particle.y,
+          dt,
+          modelParams,
+        );
 
         if (isFinite(newPos.x) && isFinite(newPos.y)) {
           // Set next position (wind-js style)
@@ -442,7 +647,12 @@ const DynamicalSystemsCalculator = () => {
         } else {
           // Calculate next positions for existing grid particles (NO individual regeneration)
           gridParticles.forEach((particle) => {
-            const newPos = dynamicalSystem.rk4Step(particle.x, particle.y, dt);
+            const newPos = dynamicalSystem.rk4Step(
+              particle.x,
+              particle.y,
+              dt,
+              modelParams,
+            );
 
             if (isFinite(newPos.x) && isFinite(newPos.y)) {
               particle.xt = newPos.x;
@@ -629,6 +839,10 @@ const DynamicalSystemsCalculator = () => {
     showVectorField,
     showGrid,
     dynamicalSystem,
+    parameterValues,
+    showEquilibria,
+    showManifolds,
+    equilibria,
     drawStaticElements,
   ]);
 
@@ -642,11 +856,14 @@ const DynamicalSystemsCalculator = () => {
     };
   }, []);
 
+  // One extra row of controls per PARAMETERS_PER_ROW parameters
+  const parameterRows = Math.ceil(parameterNames.length / PARAMETERS_PER_ROW);
+
   return (
     <ToolContainer
       title="Dynamical Systems Calculator"
-      canvasWidth={10}
-      canvasHeight={6}
+      canvasWidth={12}
+      canvasHeight={6 + parameterRows}
     >
       {/* Main Vector Field Area (6x6) */}
       <GridGraph
@@ -936,6 +1153,130 @@ const DynamicalSystemsCalculator = () => {
           }}
         />
       )}
+
+      {/* Equilibria panel (2x5) */}
+      <GridDisplay
+        x={10}
+        y={0}
+        w={2}
+        h={5}
+        variant="status"
+        align="left"
+        fontSize="text-xs"
+        tooltip="Equilibria in view, with Jacobian eigenvalues and classification"
+        theme={theme}
+      >
+        <div
+          style={{
+            lineHeight: "1.35",
+            maxHeight: "460px",
+            overflowY: "auto",
+            whiteSpace: "normal",
+          }}
+        >
+          <div style={{ fontWeight: "bold", marginBottom: "4px" }}>
+            Equilibria ({equilibria.length})
+          </div>
+          {equilibria.length === 0 && <div>None in view</div>}
+          {equilibria.map((eq, i) => (
+            <div key={i} style={{ marginBottom: "6px" }}>
+              <div style={{ fontFamily: "monospace" }}>
+                ({formatValue(eq.x)}, {formatValue(eq.y)})
+              </div>
+              <div style={{ fontWeight: "bold" }}>{eq.type}</div>
+              <div style={{ fontFamily: "monospace" }}>
+                λ = {formatEigenvalues(eq.eigenvalues)}
+              </div>
+            </div>
+          ))}
+        </div>
+      </GridDisplay>
+
+      <GridButton
+        x={10}
+        y={5}
+        type="toggle"
+        variant="function"
+        active={showEquilibria}
+        onToggle={setShowEquilibria}
+        tooltip="Toggle equilibrium markers on the phase plane"
+        theme={theme}
+        fontSize="xs"
+      >
+        <div style={{ textAlign: "center", lineHeight: "1.1" }}>
+          <div>{showEquilibria ? "Hide" : "Show"}</div>
+          <div>Equilibria</div>
+        </div>
+      </GridButton>
+
+      <GridButton
+        x={11}
+        y={5}
+        type="toggle"
+        variant="function"
+        active={showManifolds}
+        onToggle={setShowManifolds}
+        tooltip="Toggle stable (green) and unstable (orange) manifolds of saddles"
+        theme={theme}
+        fontSize="xs"
+      >
+        <div style={{ textAlign: "center", lineHeight: "1.1" }}>
+          <div>{showManifolds ? "Hide" : "Show"}</div>
+          <div>Manifolds</div>
+        </div>
+      </GridButton>
+
+      {/* Rows 6+: one input (1x1) and slider (2x1) per parameter */}
+      {parameterNames.map((name, i) => {
+        const { value, min, max } = parameters[name] ?? DEFAULT_PARAMETER;
+        const x = (i % PARAMETERS_PER_ROW) * 3;
+        const y = 6 + Math.floor(i / PARAMETERS_PER_ROW);
+        const span = max - min || 1;
+
+        return (
+          <React.Fragment key={name}>
+            <GridInput
+              x={x}
+              y={y}
+              w={1}
+              h={1}
+              value={value}
+              onChange={(newValue) =>
+                // Typing a value outside the slider range widens the range
+                updateParameter(name, {
+                  value: newValue,
+                  min: Math.min(min, newValue),
+                  max: Math.max(max, newValue),
+                })
+              }
+              min={-1000}
+              max={1000}
+              step={span / 100}
+              variable={name}
+              title={`Parameter ${name} (slider range ${min} to ${max})`}
+              theme={theme}
+            />
+            <GridSliderHorizontal
+              x={x + 1}
+              y={y}
+              w={2}
+              h={1}
+              value={((value - min) / span) * 100}
+              onChange={(sliderValue) =>
+                updateParameter(name, {
+                  value: Number(
+                    (min + (sliderValue / 100) * span).toPrecision(4),
+                  ),
+                })
+              }
+              variant="unipolar"
+              label={`${name} = ${Number(value.toPrecision(4))}`}
+              tooltip={`Parameter ${name}: drag between ${min} and ${max}, or type a value in the box`}
+              theme={theme}
+            />
+          </React.Fragment>
+        );
+      })}
     </ToolContainer>
   );
 };
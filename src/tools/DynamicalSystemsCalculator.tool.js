@@ -0,0 +1,17 @@
+// src/tools/DynamicalSystemsCalculator.tool.js
+// Menu entry for DynamicalSystemsCalculator; the component itself loads on first use
+
+export default {
+  id: "dynamical-systems-calculator",
+  name: "Dynamical Systems Calculator",
+  description:
+    "General-purpose calculator for exploring vector fields and particle trajectories with custom differential equations.",
+  categories: {
+    topics: [],
+    toolType: "calculator",
+    lab: null,
+  },
+  visibility: "student",
+  help: "dynamical-systems-calculator.md",
+  load: () => import("./DynamicalSystemsCalculator"),
+};
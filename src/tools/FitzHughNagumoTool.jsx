@@ -13,16 +13,19 @@ import {
   GridDisplay,
   GridGraph,
   GridInput,
+  GridWheelSelector,
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import Equation from "../components/Equation";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState, useUrlParams } from "../hooks/useUrlState";
+import { advanceODE, ODE_METHODS } from "../utils/odeSolver";
 
 const FitzHughNagumoTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // UI State - parameters for FitzHugh-Nagumo model
-  const [uiParams, setUiParams] = useState({
+  const [uiParams, setUiParams] = useUrlParams({
     u: 0.1, // Time-scale separation parameter
     a: 0.7, // X-axis shift
     b: 0.8, // Y feedback coefficient
@@ -32,7 +35,12 @@ const FitzHughNagumoTool = () => {
 
   const [isAnimating, setIsAnimating] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
-  const [showNullclines, setShowNullclines] = useState(false);
+  const [showNullclines, setShowNullclines] = useUrlState(
+    "showNullclines",
+    false,
+  );
+  // Integration method; large u makes the model stiff for explicit methods
+  const [solver, setSolver] = useUrlState("solver", "rk4");
 
   // Canvas refs - separate static and dynamic layers for performance
   const staticCanvasRef = useRef(null);
@@ -52,6 +60,7 @@ const FitzHughNagumoTool = () => {
     timeSeriesData: [],
     params: { ...uiParams },
     showNullclines: showNullclines,
+    solver: solver,
   });
 
   // Update animation parameters when UI changes
@@ -62,7 +71,8 @@ const FitzHughNagumoTool = () => {
   // Sync UI state to animation state
   useEffect(() => {
     animationStateRef.current.showNullclines = showNullclines;
-  }, [showNullclines]);
+    animationStateRef.current.solver = solver;
+  }, [showNullclines, solver]);
 
   // Display constants for X and Y
   const xmin = -3,
@@ -466,28 +476,20 @@ const FitzHughNagumoTool = () => {
       if (!traj.isActive) return traj;
 
       // FitzHugh-Nagumo differential equations
-      const computeDerivatives = (x, y) => {
+      const computeDerivatives = (t, [x, y]) => {
         const dxdt = -y + x - (x * x * x) / 3 + z;
         const dydt = u * (x + a - b * y);
         return [dxdt, dydt];
       };
 
-      const [x_curr, y_curr] = [traj.x, traj.y];
-
-      // RK4 integration
-      const k1 = computeDerivatives(x_curr, y_curr);
-      const k2 = computeDerivatives(
-        x_curr + (dt * k1[0]) / 2,
-        y_curr + (dt * k1[1]) / 2,
-      );
-      const k3 = computeDerivatives(
-        x_curr + (dt * k2[0]) / 2,
-        y_curr + (dt * k2[1]) / 2,
+      // Integrate with the selected method (RK4 by default)
+      let [newX, newY] = advanceODE(
+        computeDerivatives,
+        state.time,
+        [traj.x, traj.y],
+        dt,
+        state.solver,
       );
-      const k4 = computeDerivatives(x_curr + dt * k3[0], y_curr + dt * k3[1]);
-
-      let newX = x_curr + (dt / 6) * (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]);
-      let newY = y_curr + (dt / 6) * (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1]);
 
       const isInBounds =
         newX >= xmin && newX <= xmax && newY >= ymin && newY <= ymax;
@@ -636,9 +638,12 @@ const FitzHughNagumoTool = () => {
     }
   }, [stopAnimation, drawStaticElements]);
 
-  const updateParam = useCallback((param, value) => {
-    setUiParams((prev) => ({ ...prev, [param]: value }));
-  }, []);
+  const updateParam = useCallback(
+    (param, value) => {
+      setUiParams((prev) => ({ ...prev, [param]: value }));
+    },
+    [setUiParams],
+  );
 
   // Preset parameter functions
   const loadDefaultPreset = useCallback(() => {
@@ -649,7 +654,7 @@ const FitzHughNagumoTool = () => {
       z: 0.0,
       speed: 2,
     });
-  }, []);
+  }, [setUiParams]);
 
   const loadVanDerPolPreset = useCallback(() => {
     setUiParams({
@@ -659,7 +664,7 @@ const FitzHughNagumoTool = () => {
       z: 0.0,
       speed: 2,
     });
-  }, []);
+  }, [setUiParams]);
 
   // Initialize canvases
   useEffect(() => {
@@ -814,7 +819,7 @@ const FitzHughNagumoTool = () => {
         value={uiParams.u}
         onChange={(value) => updateParam("u", value)}
         min={0.01}
-        max={1.0}
+        max={10.0}
         step={0.01}
         variable="u"
         title="Time-scale separation"
@@ -940,7 +945,7 @@ const FitzHughNagumoTool = () => {
         x={7}
         y={2}
         w={3}
-        h={3}
+        h={2}
         variant="status"
         align="center"
         fontSize="small"
@@ -971,6 +976,25 @@ const FitzHughNagumoTool = () => {
         </div>
       </GridDisplay>
 
+      {/* Solver selector */}
+      <GridWheelSelector
+        x={7}
+        y={4}
+        w={3}
+        h={1}
+        value={ODE_METHODS[solver]?.label ?? ODE_METHODS.rk4.label}
+        onChange={(label) =>
+          setSolver(
+            Object.keys(ODE_METHODS).find(
+              (key) => ODE_METHODS[key].label === label,
+            ),
+          )
+        }
+        options={Object.values(ODE_METHODS).map((method) => method.label)}
+        title="Solver"
+        theme={theme}
+      />
+
       {/* Status Display */}
       <GridDisplay
         x={5}
@@ -0,0 +1,17 @@
+// src/tools/FitzHughNagumoTool.tool.js
+// Menu entry for FitzHughNagumoTool; the component itself loads on first use
+
+export default {
+  id: "fitzhugh-nagumo",
+  name: "FitzHugh-Nagumo Neuron Model",
+  description:
+    "Explore action potential dynamics with the FitzHugh-Nagumo neuron model. Visualize membrane potential and recovery variable interactions in phase space with nullclines and trajectories.",
+  categories: {
+    topics: ["physiology"],
+    toolType: "simulation",
+    lab: "lab4",
+  },
+  visibility: "student",
+  help: "fitzhugh-nagumo.md",
+  load: () => import("./FitzHughNagumoTool"),
+};
@@ -19,12 +19,14 @@ import {
 import ToolContainer from "../components/ui/ToolContainer";
 import Equation from "../components/Equation";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState, useUrlParams } from "../hooks/useUrlState";
+import { advanceODE } from "../utils/odeSolver";
 
 const GeneralizedLotkaVolterraTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // UI State - parameters for Generalized Lotka-Volterra model
-  const [uiParams, setUiParams] = useState({
+  const [uiParams, setUiParams] = useUrlParams({
     alpha: 1.5,
     beta: -2.0,
     gamma: 0.0,
@@ -36,11 +38,20 @@ const GeneralizedLotkaVolterraTool = () => {
     speed: 1,
   });
 
-  const [showNullclines, setShowNullclines] = useState(false);
-  const [showVectorField, setShowVectorField] = useState(true);
+  const [showNullclines, setShowNullclines] = useUrlState(
+    "showNullclines",
+    false,
+  );
+  const [showVectorField, setShowVectorField] = useUrlState(
+    "showVectorField",
+    true,
+  );
   const [isRunning, setIsRunning] = useState(false); // Start button state
   const [trajectoryCount, setTrajectoryCount] = useState(0); // Track red particle count
-  const [selectedExample, setSelectedExample] = useState("Default");
+  const [selectedExample, setSelectedExample] = useUrlState(
+    "selectedExample",
+    "Default",
+  );
 
   // Example presets
   const examplePresets = {
@@ -737,21 +748,14 @@ const GeneralizedLotkaVolterraTool = () => {
 
   // RK4 integration
   const rk4Step = useCallback((p, q, dt, alpha, beta, gamma, delta, u, v) => {
-    const computeDerivatives = (p, q) => {
+    const computeDerivatives = (t, [p, q]) => {
       const dpdt = alpha * p - gamma * p * p + u * p * q;
       const dqdt = beta * q - delta * q * q + v * p * q;
       return [dpdt, dqdt];
     };
 
-    const k1 = computeDerivatives(p, q);
-    const k2 = computeDerivatives(p + (dt * k1[0]) / 2, q + (dt * k1[1]) / 2);
-    const k3 = computeDerivatives(p + (dt * k2[0]) / 2, q + (dt * k2[1]) / 2);
-    const k4 = computeDerivatives(p + dt * k3[0], q + dt * k3[1]);
-
-    return {
-      p: p + (dt / 6) * (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]),
-      q: q + (dt / 6) * (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1]),
-    };
+    const [newP, newQ] = advanceODE(computeDerivatives, 0, [p, q], dt, "rk4");
+    return { p: newP, q: newQ };
   }, []);
 
   // Animation loop - EXACT copy from DSC
@@ -1004,9 +1008,12 @@ const GeneralizedLotkaVolterraTool = () => {
     [addClickParticle],
   );
 
-  const updateParam = useCallback((param, value) => {
-    setUiParams((prev) => ({ ...prev, [param]: value }));
-  }, []);
+  const updateParam = useCallback(
+    (param, value) => {
+      setUiParams((prev) => ({ ...prev, [param]: value }));
+    },
+    [setUiParams],
+  );
 
   // Handle example selection - reset simulation with new parameters
   const handleExampleChange = useCallback(
@@ -1053,7 +1060,7 @@ const GeneralizedLotkaVolterraTool = () => {
         }
       }
     },
-    [examplePresets, uiParams.speed],
+    [examplePresets, uiParams.speed, setSelectedExample, setUiParams],
   );
 
   // Initial draw of static elements
@@ -0,0 +1,17 @@
+// src/tools/GeneralizedLotkaVolterraTool.tool.js
+// Menu entry for GeneralizedLotkaVolterraTool; the component itself loads on first use
+
+export default {
+  id: "generalized-lotka-volterra",
+  name: "Generalized Lotka-Volterra Model",
+  description:
+    "Explore general two-species population dynamics with customizable growth, competition, and interaction parameters. Includes phase portraits, nullclines, and time series analysis.",
+  categories: {
+    topics: ["ecology"],
+    toolType: "simulation",
+    lab: "lab3",
+  },
+  visibility: "student",
+  help: "generalized-lotka-volterra.md",
+  load: () => import("./GeneralizedLotkaVolterraTool"),
+};
@@ -1,6 +1,12 @@
 // src/tools/GeneticDriftSimulator.jsx
 
-import React, { useState, useCallback, useRef, useEffect } from "react";
+import React, {
+  useState,
+  useCallback,
+  useRef,
+  useEffect,
+  useMemo,
+} from "react";
 import {
   GridSliderHorizontal,
   GridButton,
@@ -11,6 +17,8 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState } from "../hooks/useUrlState";
 
 const NUM_GENERATIONS = 300;
 const ANIMATION_DURATION_MS = 5000; // 5 seconds for full simulation
@@ -24,28 +32,43 @@ const GeneticDriftSimulator = () => {
   const animationRef = useRef(null);
 
   // Parameters
-  const [populationSize, setPopulationSize] = useState(100);
-  const [perCapitaBirths, setPerCapitaBirths] = useState(1);
-  const [typeAName, setTypeAName] = useState("Type A");
-  const [typeBName, setTypeBName] = useState("Type B");
-  const [percentageA, setPercentageA] = useState(70);
+  const [populationSize, setPopulationSize] = useUrlState(
+    "populationSize",
+    100,
+    { min: 10, max: 1000, integer: true },
+  );
+  const [perCapitaBirths, setPerCapitaBirths] = useUrlState(
+    "perCapitaBirths",
+    1,
+  );
+  const [typeAName, setTypeAName] = useUrlState("typeAName", "Type A");
+  const [typeBName, setTypeBName] = useUrlState("typeBName", "Type B");
+  const [percentageA, setPercentageA] = useUrlState("percentageA", 70);
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
 
   // Simulation state
   const [isSimulating, setIsSimulating] = useState(false);
   const [simulationData, setSimulationData] = useState(null);
+  const [runParameters, setRunParameters] = useState(null); // Settings that produced simulationData
   const [currentGeneration, setCurrentGeneration] = useState(0);
 
   // Derived percentage
   const percentageB = 100 - percentageA;
 
   // Linked slider handlers
-  const handlePercentageAChange = useCallback((value) => {
-    setPercentageA(value);
-  }, []);
+  const handlePercentageAChange = useCallback(
+    (value) => {
+      setPercentageA(value);
+    },
+    [setPercentageA],
+  );
 
-  const handlePercentageBChange = useCallback((value) => {
-    setPercentageA(100 - value);
-  }, []);
+  const handlePercentageBChange = useCallback(
+    (value) => {
+      setPercentageA(100 - value);
+    },
+    [setPercentageA],
+  );
 
   // Colors for the two types - chosen for perceptual distinctiveness
   // Using a blue-orange complementary pair with moderate saturation
@@ -63,6 +86,7 @@ const GeneticDriftSimulator = () => {
 
   // Run the genetic drift simulation (generate all data at once)
   const runSimulation = useCallback(() => {
+    const rng = createRng();
     const data = [];
 
     // Initial counts based on percentage
@@ -91,7 +115,7 @@ const GeneticDriftSimulator = () => {
 
       // Fisher-Yates shuffle
       for (let i = pool.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng() * (i + 1));
         [pool[i], pool[j]] = [pool[j], pool[i]];
       }
 
@@ -127,7 +151,7 @@ const GeneticDriftSimulator = () => {
     }
 
     return data;
-  }, [populationSize, perCapitaBirths, percentageA]);
+  }, [populationSize, perCapitaBirths, percentageA, createRng]);
 
   // Draw the stacked bar chart
   const drawStackedBars = useCallback(
@@ -244,6 +268,13 @@ const GeneticDriftSimulator = () => {
     // Generate all simulation data
     const data = runSimulation();
     setSimulationData(data);
+    setRunParameters({
+      populationSize,
+      perCapitaBirths,
+      typeAName,
+      typeBName,
+      "initial % A": percentageA,
+    });
 
     // Animate the drawing
     const startTime = performance.now();
@@ -269,7 +300,15 @@ const GeneticDriftSimulator = () => {
     };
 
     animationRef.current = requestAnimationFrame(animate);
-  }, [runSimulation, drawStackedBars]);
+  }, [
+    runSimulation,
+    drawStackedBars,
+    populationSize,
+    perCapitaBirths,
+    typeAName,
+    typeBName,
+    percentageA,
+  ]);
 
   // Cleanup animation on unmount
   useEffect(() => {
@@ -309,11 +348,30 @@ const GeneticDriftSimulator = () => {
 
   const stats = getFinalStats();
 
+  // Generation-by-generation counts offered by the export button
+  const exportData = useMemo(() => {
+    if (!simulationData || !runParameters) return null;
+    return {
+      columns: [
+        { key: "generation", label: "generation" },
+        { key: "typeA", label: `${runParameters.typeAName} count` },
+        { key: "typeB", label: `${runParameters.typeBName} count` },
+        { key: "freqA", label: `${runParameters.typeAName} frequency` },
+      ],
+      rows: simulationData,
+      parameters: { ...runParameters, seed: lastSeed },
+    };
+  }, [simulationData, runParameters, lastSeed]);
+
   return (
     <ToolContainer
       title="Genetic Drift Simulator"
       canvasWidth={10}
       canvasHeight={6}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
+      exportData={exportData}
     >
       {/* Main stacked bar chart */}
       <GridGraph
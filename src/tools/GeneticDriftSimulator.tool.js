@@ -0,0 +1,17 @@
+// src/tools/GeneticDriftSimulator.tool.js
+// Menu entry for GeneticDriftSimulator; the component itself loads on first use
+
+export default {
+  id: "genetic-drift",
+  name: "Genetic Drift Simulator",
+  description:
+    "Simulate stochastic changes in allele frequencies over generations in a finite population. Observe how random sampling leads to allele fixation or loss.",
+  categories: {
+    topics: ["evolution"],
+    toolType: "simulation",
+    lab: "lab5",
+  },
+  visibility: "student",
+  help: "genetic-drift.md",
+  load: () => import("./GeneticDriftSimulator"),
+};
@@ -1,13 +1,42 @@
 // src/tools/GentamicinDosageTool.jsx
 
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, { useEffect, useCallback, useRef, useMemo } from "react";
 import {
   GridSliderHorizontal,
   GridGraph,
   GridDisplay,
+  GridInput,
+  GridWheelSelector,
+  GridButton,
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
+import {
+  createPKModel,
+  creatinineClearanceFromHalfLife,
+  halfLifeFromCreatinineClearance,
+  regimenDoses,
+  regimenMetrics,
+  simulateConcentrations,
+  suggestRegimen,
+  terminalHalfLife,
+} from "../utils/pharmacokinetics";
+
+const TOTAL_HOURS = 48;
+
+// Vd ≈ 0.25 L/kg for a 70 kg adult is 17.5 L, simplified to ~14 L
+const CENTRAL_VOLUME = 1 / 0.07;
+
+// Distribution into the tissues for the two-compartment model (per hour)
+const K12 = 0.3;
+const K21 = 0.6;
+
+// Steady-state targets: peak and trough in mg/L, AUC over 24 h in mg·h/L
+const TARGETS = { peak: [4, 10], trough: [null, 2], auc24: [70, 120] };
+
+const MODEL_OPTIONS = ["1-compartment", "2-compartment"];
+const ROUTE_OPTIONS = { Infusion: "infusion", "IV bolus": "bolus" };
 
 const GentamicinDosageTool = () => {
   const { theme, currentTheme } = useTheme();
@@ -17,78 +46,91 @@ const GentamicinDosageTool = () => {
   const transformRef = useRef(null);
 
   // Parameters with defaults at 3/4 up sliders to show problems
-  const [dosage, setDosage] = useState(240); // mg (3/4 up 30-300 range)
-  const [frequency, setFrequency] = useState(18); // hours (3/4 up 4-24 range)
-  const [halfLife, setHalfLife] = useState(3); // hours (center of 1-8 range)
-  const [infusionTime, setInfusionTime] = useState(60); // minutes (center of 15-180 range)
-
-  // Calculated values
-  const [timeSeriesData, setTimeSeriesData] = useState([]);
-  const [therapeuticInfo, setTherapeuticInfo] = useState({});
-
-  // Generate 48-hour time series with multiple doses
-  const generateTimeSeries = useCallback(() => {
-    const dataPoints = [];
-    const timeStep = 0.25; // 15-minute intervals
-    const totalHours = 48;
-    const infusionHours = infusionTime / 60;
-    const decayConstant = Math.log(2) / halfLife; // k = ln(2) / t_half
-
-    // Calculate how many doses in 48 hours
-    const numDoses = Math.floor(totalHours / frequency) + 1;
-
-    for (let t = 0; t <= totalHours; t += timeStep) {
-      let totalConcentration = 0;
-
-      // Add contribution from each dose
-      for (let doseNum = 0; doseNum < numDoses; doseNum++) {
-        const doseTime = doseNum * frequency;
-
-        if (t >= doseTime) {
-          const timeAfterDose = t - doseTime;
-
-          if (timeAfterDose <= infusionHours) {
-            // During infusion: concentration builds up linearly
-            const peakConc = dosage * 0.07; // Rough conversion mg -> mg/L (Vd ≈ 0.25 L/kg, 70kg = 17.5L, simplified to ~14L)
-            const currentConc = peakConc * (timeAfterDose / infusionHours);
-            totalConcentration += currentConc;
-          } else {
-            // After infusion: exponential decay from peak
-            const timeAfterInfusion = timeAfterDose - infusionHours;
-            const peakConc = dosage * 0.07;
-            const decayedConc =
-              peakConc * Math.exp(-decayConstant * timeAfterInfusion);
-            totalConcentration += decayedConc;
-          }
-        }
-      }
+  const [dosage, setDosage] = useUrlState("dosage", 240); // mg
+  // Dosing interval in hours
+  const [frequency, setFrequency] = useUrlState("frequency", 18, {
+    min: 4,
+    max: 48,
+  });
+  const [halfLife, setHalfLife] = useUrlState("halfLife", 3); // hours
+  const [infusionTime, setInfusionTime] = useUrlState("infusionTime", 60); // minutes
+  const [compartments, setCompartments] = useUrlState("compartments", 1, {
+    min: 1,
+    max: MODEL_OPTIONS.length,
+    integer: true,
+  });
+  const [route, setRoute] = useUrlState("route", "infusion");
+
+  // Half-life sets elimination from the central compartment
+  const model = useMemo(
+    () =>
+      createPKModel({
+        compartments,
+        volume: CENTRAL_VOLUME,
+        eliminationRate: Math.LN2 / halfLife,
+        k12: K12,
+        k21: K21,
+      }),
+    [compartments, halfLife],
+  );
 
-      dataPoints.push({ time: t, concentration: totalConcentration });
-    }
+  const regimen = useMemo(
+    () => ({
+      dose: dosage,
+      interval: frequency,
+      route,
+      duration: infusionTime / 60,
+    }),
+    [dosage, frequency, route, infusionTime],
+  );
 
-    setTimeSeriesData(dataPoints);
+  // 48-hour time series with repeated doses
+  const timeSeriesData = useMemo(
+    () =>
+      simulateConcentrations(
+        model,
+        regimenDoses(regimen, TOTAL_HOURS),
+        TOTAL_HOURS,
+      ),
+    [model, regimen],
+  );
 
-    // Calculate therapeutic information
-    const maxConc = Math.max(...dataPoints.map((p) => p.concentration));
-    const minConc = Math.min(
-      ...dataPoints
-        .slice(Math.floor(frequency / timeStep))
-        .map((p) => p.concentration),
-    );
+  // Levels once the regimen has reached steady state
+  const metrics = useMemo(
+    () => regimenMetrics(model, regimen, TARGETS),
+    [model, regimen],
+  );
 
-    setTherapeuticInfo({
-      peakLevel: maxConc.toFixed(1),
-      troughLevel: minConc.toFixed(1),
-      idealRange: "4-10 mg/L",
-      toxicLevel: "> 12 mg/L",
-    });
-  }, [dosage, frequency, halfLife, infusionTime]);
+  // Regimen meeting the targets for this patient and route
+  const suggestion = useMemo(
+    () =>
+      suggestRegimen(model, TARGETS, {
+        route,
+        duration: infusionTime / 60,
+        maxDose: 600,
+      }),
+    [model, route, infusionTime],
+  );
+
+  const applySuggestion = useCallback(() => {
+    if (!suggestion) return;
+    setDosage(suggestion.regimen.dose);
+    setFrequency(suggestion.regimen.interval);
+  }, [suggestion, setDosage, setFrequency]);
+
+  const maxConcentration = Math.max(
+    ...timeSeriesData.map((p) => p.concentration),
+  );
+  const yMax = Math.max(20, Math.ceil(maxConcentration / 5) * 5);
+  const yStep = yMax <= 30 ? 5 : 10;
+  const yTicks = [];
+  for (let c = 0; c <= yMax; c += yStep) yTicks.push(c);
 
   // Draw the time series on the graph canvas
   const drawTimeSeries = useCallback(() => {
     const canvas = canvasRef.current;
     const transform = transformRef.current;
-    if (!canvas || !transform || timeSeriesData.length === 0) return;
+    if (!canvas || !transform) return;
 
     const ctx = canvas.getContext("2d");
     const { dataToPixel, plotWidth, plotHeight } = transform;
@@ -106,7 +148,7 @@ const GentamicinDosageTool = () => {
         ? "rgba(34, 197, 94, 0.25)"
         : "rgba(34, 197, 94, 0.15)";
     const thMinPos = dataToPixel(0, therapeuticMin);
-    const thMaxPos = dataToPixel(48, therapeuticMax);
+    const thMaxPos = dataToPixel(TOTAL_HOURS, therapeuticMax);
     ctx.fillRect(0, thMaxPos.y, plotWidth, thMinPos.y - thMaxPos.y);
 
     // Toxic range (red background)
@@ -136,31 +178,62 @@ const GentamicinDosageTool = () => {
 
     // Draw dose markers
     ctx.fillStyle = currentTheme === "dark" ? "#fbbf24" : "#f59e0b";
-    const numDoses = Math.floor(48 / frequency) + 1;
-    for (let i = 0; i < numDoses; i++) {
-      const doseTime = i * frequency;
-      const pos = dataToPixel(doseTime, 0);
+    regimenDoses(regimen, TOTAL_HOURS).forEach((dose) => {
+      const pos = dataToPixel(dose.time, 0);
       ctx.fillRect(pos.x - 1, 0, 2, plotHeight);
-    }
-  }, [timeSeriesData, currentTheme, frequency]);
-
-  // Auto-update and regenerate time series
-  useEffect(() => {
-    generateTimeSeries();
-  }, [generateTimeSeries]);
+    });
+  }, [timeSeriesData, currentTheme, regimen]);
 
   // Draw graph when data changes
   useEffect(() => {
-    if (timeSeriesData.length > 0) {
-      drawTimeSeries();
-    }
-  }, [timeSeriesData, drawTimeSeries]);
+    drawTimeSeries();
+  }, [drawTimeSeries, yMax]);
+
+  // Concentration curve offered by the export button
+  const exportData = useMemo(
+    () => ({
+      columns: [
+        { key: "time", label: "time (h)" },
+        { key: "concentration", label: "concentration (mg/L)" },
+      ],
+      rows: timeSeriesData,
+      parameters: {
+        "dosage (mg)": dosage,
+        "frequency (h)": frequency,
+        "half-life (h)": halfLife,
+        "infusion time (min)": infusionTime,
+        compartments,
+        route,
+      },
+    }),
+    [
+      timeSeriesData,
+      dosage,
+      frequency,
+      halfLife,
+      infusionTime,
+      compartments,
+      route,
+    ],
+  );
+
+  // Status colors for targets met or missed
+  const goodColor = currentTheme === "dark" ? "#34d399" : "#059669";
+  const badColor = currentTheme === "dark" ? "#f87171" : "#dc2626";
+  const targetStyle = (key) => ({
+    color: metrics.meets[key] ? goodColor : badColor,
+  });
+  const creatinineClearance = creatinineClearanceFromHalfLife(halfLife);
+  const routeLabel = Object.keys(ROUTE_OPTIONS).find(
+    (label) => ROUTE_OPTIONS[label] === route,
+  );
 
   return (
     <ToolContainer
       title="Gentamicin Dosage Simulator"
       canvasWidth={10}
-      canvasHeight={4}
+      canvasHeight={5}
+      exportData={exportData}
     >
       {/* Row 0: Dosage */}
       <GridSliderHorizontal
@@ -168,8 +241,8 @@ const GentamicinDosageTool = () => {
         y={0}
         w={3}
         h={1}
-        value={((dosage - 30) / (300 - 30)) * 100} // Map 30-300mg to 0-100%
-        onChange={(value) => setDosage(30 + (value / 100) * (300 - 30))}
+        value={((dosage - 30) / (600 - 30)) * 100} // Map 30-600mg to 0-100%
+        onChange={(value) => setDosage(30 + (value / 100) * (600 - 30))}
         variant="unipolar"
         label={`Dosage: ${dosage.toFixed(0)} mg`}
         tooltip={`Gentamicin dose: ${dosage.toFixed(0)}mg`}
@@ -182,8 +255,8 @@ const GentamicinDosageTool = () => {
         y={1}
         w={3}
         h={1}
-        value={((frequency - 4) / (24 - 4)) * 100} // Map 4-24hrs to 0-100%
-        onChange={(value) => setFrequency(4 + (value / 100) * (24 - 4))}
+        value={((frequency - 4) / (48 - 4)) * 100} // Map 4-48hrs to 0-100%
+        onChange={(value) => setFrequency(4 + (value / 100) * (48 - 4))}
         variant="unipolar"
         label={`Frequency: ${frequency.toFixed(1)} hrs`}
         tooltip={`Dosing interval: ${frequency.toFixed(1)} hours`}
@@ -200,7 +273,11 @@ const GentamicinDosageTool = () => {
         onChange={(value) => setInfusionTime(15 + (value / 100) * (180 - 15))}
         variant="unipolar"
         label={`Infusion duration: ${infusionTime.toFixed(0)} min`}
-        tooltip={`Infusion duration: ${infusionTime.toFixed(0)} minutes`}
+        tooltip={
+          route === "infusion"
+            ? `Infusion duration: ${infusionTime.toFixed(0)} minutes`
+            : "Not used for IV bolus doses"
+        }
         theme={theme}
       />
 
@@ -210,14 +287,56 @@ const GentamicinDosageTool = () => {
         y={3}
         w={3}
         h={1}
-        value={((halfLife - 1) / (8 - 1)) * 100} // Map 1-8hrs to 0-100%
-        onChange={(value) => setHalfLife(1 + (value / 100) * (8 - 1))}
+        value={((halfLife - 1) / (24 - 1)) * 100} // Map 1-24hrs to 0-100%
+        onChange={(value) => setHalfLife(1 + (value / 100) * (24 - 1))}
         variant="unipolar"
         label={`Half-life: ${halfLife.toFixed(1)} hrs`}
         tooltip={`Elimination half-life: ${halfLife.toFixed(1)} hours`}
         theme={theme}
       />
 
+      {/* Row 4: Renal function, model and route */}
+      <GridInput
+        x={0}
+        y={4}
+        value={Math.round(creatinineClearance)}
+        onChange={(value) =>
+          setHalfLife(
+            Math.min(24, Math.max(1, halfLifeFromCreatinineClearance(value))),
+          )
+        }
+        min={0}
+        max={200}
+        step={5}
+        variable="CrCl"
+        title="Creatinine clearance (mL/min); sets the half-life"
+        theme={theme}
+      />
+
+      <GridWheelSelector
+        x={1}
+        y={4}
+        w={1}
+        h={1}
+        value={MODEL_OPTIONS[compartments - 1]}
+        onChange={(value) => setCompartments(MODEL_OPTIONS.indexOf(value) + 1)}
+        options={MODEL_OPTIONS}
+        title="Model"
+        theme={theme}
+      />
+
+      <GridWheelSelector
+        x={2}
+        y={4}
+        w={1}
+        h={1}
+        value={routeLabel}
+        onChange={(value) => setRoute(ROUTE_OPTIONS[value])}
+        options={Object.keys(ROUTE_OPTIONS)}
+        title="Route"
+        theme={theme}
+      />
+
       {/* Main Graph (7x3) */}
       <GridGraph
         x={3}
@@ -231,9 +350,9 @@ const GentamicinDosageTool = () => {
         variant="time-series-static"
         xAxisPosition="bottom"
         xTicks={[0, 12, 24, 36, 48]}
-        yTicks={[0, 5, 10, 15, 20]}
-        xRange={[0, 48]}
-        yRange={[0, 20]}
+        yTicks={yTicks}
+        xRange={[0, TOTAL_HOURS]}
+        yRange={[0, yMax]}
         tooltip="Gentamicin concentration over time"
         theme={theme}
       >
@@ -251,7 +370,7 @@ const GentamicinDosageTool = () => {
         }}
       </GridGraph>
 
-      {/* Therapeutic Information Display */}
+      {/* Steady-state levels against the targets */}
       <GridDisplay
         x={3}
         y={3}
@@ -260,34 +379,93 @@ const GentamicinDosageTool = () => {
         variant="info"
         align="left"
         fontSize="small"
+        tooltip="Levels once the regimen has reached steady state"
         theme={theme}
       >
         <div
           style={{
             padding: "8px",
             display: "grid",
-            gridTemplateColumns: "1fr 1fr 1fr 1fr",
+            gridTemplateColumns: "1fr 1fr 1.3fr 1fr",
             gap: "12px",
           }}
         >
-          <div>
-            <strong>Peak:</strong> {therapeuticInfo.peakLevel} mg/L
+          <div style={targetStyle("peak")}>
+            <strong>Peak:</strong> {metrics.peak.toFixed(1)} mg/L
+            <div style={{ fontSize: "0.85em" }}>target 4-10</div>
           </div>
-          <div>
-            <strong>Trough:</strong> {therapeuticInfo.troughLevel} mg/L
+          <div style={targetStyle("trough")}>
+            <strong>Trough:</strong> {metrics.trough.toFixed(1)} mg/L
+            <div style={{ fontSize: "0.85em" }}>target &lt; 2</div>
           </div>
-          <div
-            style={{ color: currentTheme === "dark" ? "#34d399" : "#059669" }}
-          >
-            <strong>Ideal:</strong> {therapeuticInfo.idealRange}
+          <div style={targetStyle("auc24")}>
+            <strong>AUC₂₄:</strong> {metrics.auc24.toFixed(0)} mg·h/L
+            <div style={{ fontSize: "0.85em" }}>target 70-120</div>
           </div>
-          <div
-            style={{ color: currentTheme === "dark" ? "#f87171" : "#dc2626" }}
-          >
-            <strong>Toxic:</strong> {therapeuticInfo.toxicLevel}
+          <div>
+            <strong>Terminal t½:</strong> {terminalHalfLife(model).toFixed(1)} h
+            <div style={{ fontSize: "0.85em", color: badColor }}>
+              Toxic: &gt; 12 mg/L
+            </div>
           </div>
         </div>
       </GridDisplay>
+
+      {/* Suggested regimen */}
+      <GridButton
+        x={3}
+        y={4}
+        w={1}
+        h={1}
+        onPress={applySuggestion}
+        tooltip="Use the suggested dose and interval"
+        theme={theme}
+      >
+        <div
+          style={{ fontSize: "14px", lineHeight: "1.1", textAlign: "center" }}
+        >
+          <div>Use</div>
+          <div>Suggestion</div>
+        </div>
+      </GridButton>
+
+      <GridDisplay
+        x={4}
+        y={4}
+        w={6}
+        h={1}
+        variant="status"
+        align="left"
+        fontSize="small"
+        theme={theme}
+      >
+        <div style={{ padding: "8px" }}>
+          {suggestion ? (
+            <>
+              <div>
+                <strong>
+                  {suggestion.metrics.meetsAll ? "Suggested" : "Closest"}:
+                </strong>{" "}
+                {suggestion.regimen.dose} mg every {suggestion.regimen.interval}{" "}
+                h
+                {route === "infusion"
+                  ? ` over ${infusionTime.toFixed(0)} min`
+                  : ""}
+              </div>
+              <div style={{ fontSize: "0.85em", opacity: 0.8 }}>
+                Steady state: peak {suggestion.metrics.peak.toFixed(1)}, trough{" "}
+                {suggestion.metrics.trough.toFixed(1)} mg/L, AUC₂₄{" "}
+                {suggestion.metrics.auc24.toFixed(0)} mg·h/L
+                {suggestion.metrics.meetsAll
+                  ? ""
+                  : " (no regimen meets every target)"}
+              </div>
+            </>
+          ) : (
+            "No regimen found"
+          )}
+        </div>
+      </GridDisplay>
     </ToolContainer>
   );
 };
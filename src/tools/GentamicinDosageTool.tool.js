@@ -0,0 +1,17 @@
+// src/tools/GentamicinDosageTool.tool.js
+// Menu entry for GentamicinDosageTool; the component itself loads on first use
+
+export default {
+  id: "gentamicin-dosage",
+  name: "Gentamicin Dosage Simulator",
+  description:
+    "Pharmacokinetic modeling of gentamicin antibiotic levels with one- or two-compartment models, infusion or bolus dosing, kidney function, steady-state targets and a suggested regimen.",
+  categories: {
+    topics: ["physiology"],
+    toolType: "simulation",
+    lab: "lab2",
+  },
+  visibility: "student",
+  help: "gentamicin-dosage.md",
+  load: () => import("./GentamicinDosageTool"),
+};
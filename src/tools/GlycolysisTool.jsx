@@ -12,16 +12,19 @@ import {
   GridButton,
   GridDisplay,
   GridGraph,
+  GridWheelSelector,
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import Equation from "../components/Equation";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState, useUrlParams } from "../hooks/useUrlState";
+import { advanceODE, ODE_METHODS } from "../utils/odeSolver";
 
 const GlycolysisTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // UI State - only for React components
-  const [uiParams, setUiParams] = useState({
+  const [uiParams, setUiParams] = useUrlParams({
     v: 1.0, // Glucose input rate
     c: 1.0, // Enzyme rate constant
     k: 1.0, // ADP utilization rate
@@ -30,8 +33,13 @@ const GlycolysisTool = () => {
 
   const [isAnimating, setIsAnimating] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
-  const [showNullclines, setShowNullclines] = useState(false);
-  const [showPeriod, setShowPeriod] = useState(false);
+  const [showNullclines, setShowNullclines] = useUrlState(
+    "showNullclines",
+    false,
+  );
+  const [showPeriod, setShowPeriod] = useUrlState("showPeriod", false);
+  // Integration method; an implicit solver keeps large c stable
+  const [solver, setSolver] = useUrlState("solver", "rk4");
   const [detectedPeriod, setDetectedPeriod] = useState(null);
 
   // Canvas refs - separate static and dynamic layers for performance
@@ -53,6 +61,7 @@ const GlycolysisTool = () => {
     params: { ...uiParams },
     showNullclines: showNullclines,
     showPeriod: showPeriod,
+    solver: solver,
     periodData: {
       crossingTimes: [],
       lastF: null,
@@ -70,7 +79,8 @@ const GlycolysisTool = () => {
   useEffect(() => {
     animationStateRef.current.showNullclines = showNullclines;
     animationStateRef.current.showPeriod = showPeriod;
-  }, [showNullclines, showPeriod]);
+    animationStateRef.current.solver = solver;
+  }, [showNullclines, showPeriod, solver]);
 
   // Display constants for F6P and ADP concentrations
   const fmin = 0,
@@ -383,28 +393,23 @@ const GlycolysisTool = () => {
     state.trajectories = state.trajectories.map((traj) => {
       if (!traj.isActive) return traj;
 
-      const f = (f_val, a_val) => [
+      const f = (t, [f_val, a_val]) => [
         v - c * f_val * a_val * a_val, // dF/dt
         c * f_val * a_val * a_val - k * a_val, // dA/dt
       ];
 
-      const [f_curr, a_curr] = [traj.f, traj.a];
-
-      // RK4 integration
-      const k1 = f(f_curr, a_curr);
-      const k2 = f(f_curr + (h * k1[0]) / 2, a_curr + (h * k1[1]) / 2);
-      const k3 = f(f_curr + (h * k2[0]) / 2, a_curr + (h * k2[1]) / 2);
-      const k4 = f(f_curr + h * k3[0], a_curr + h * k3[1]);
-
-      let newF = Math.max(
-        0,
-        f_curr + (h / 6) * (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]),
-      );
-      let newA = Math.max(
-        0,
-        a_curr + (h / 6) * (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1]),
+      // Integrate with the selected method (RK4 by default)
+      const [nextF, nextA] = advanceODE(
+        f,
+        state.time,
+        [traj.f, traj.a],
+        h,
+        state.solver,
       );
 
+      let newF = Math.max(0, nextF);
+      let newA = Math.max(0, nextA);
+
       const isInBounds = newF <= fmax && newA <= amax;
       const newTrail = [...traj.trail.slice(-150), { x: newF, y: newA }];
 
@@ -574,9 +579,12 @@ const GlycolysisTool = () => {
     }
   }, [stopAnimation, drawStaticElements]);
 
-  const updateParam = useCallback((param, value) => {
-    setUiParams((prev) => ({ ...prev, [param]: value }));
-  }, []);
+  const updateParam = useCallback(
+    (param, value) => {
+      setUiParams((prev) => ({ ...prev, [param]: value }));
+    },
+    [setUiParams],
+  );
 
   // Draw static elements when transform becomes available
   useEffect(() => {
@@ -777,6 +785,25 @@ const GlycolysisTool = () => {
         </div>
       </GridButton>
 
+      {/* Solver selector */}
+      <GridWheelSelector
+        x={8}
+        y={4}
+        w={3}
+        h={1}
+        value={ODE_METHODS[solver]?.label ?? ODE_METHODS.rk4.label}
+        onChange={(label) =>
+          setSolver(
+            Object.keys(ODE_METHODS).find(
+              (key) => ODE_METHODS[key].label === label,
+            ),
+          )
+        }
+        options={Object.values(ODE_METHODS).map((method) => method.label)}
+        title="Solver"
+        theme={theme}
+      />
+
       {/* Equations Display */}
       <GridDisplay
         x={8}
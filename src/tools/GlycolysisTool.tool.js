@@ -0,0 +1,17 @@
+// src/tools/GlycolysisTool.tool.js
+// Menu entry for GlycolysisTool; the component itself loads on first use
+
+export default {
+  id: "glycolysis",
+  name: "Higgins-Sel'kov Glycolysis Model",
+  description:
+    "Interactive biochemical simulation of glycolytic oscillations with vector fields, nullclines, and metabolite trajectory analysis.",
+  categories: {
+    topics: ["molecular"],
+    toolType: "simulation",
+    lab: "lab4",
+  },
+  visibility: "student",
+  help: "glycolysis.md",
+  load: () => import("./GlycolysisTool"),
+};
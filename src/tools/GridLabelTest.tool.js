@@ -0,0 +1,15 @@
+// src/tools/GridLabelTest.tool.js
+// Menu entry for GridLabelTest; the component itself loads on first use
+
+export default {
+  id: "grid-label-test",
+  name: "Grid Label Test",
+  description: "Typography and labeling system testing interface.",
+  categories: {
+    topics: [],
+    toolType: "development",
+    lab: null,
+  },
+  visibility: "dev",
+  load: () => import("./GridLabelTest"),
+};
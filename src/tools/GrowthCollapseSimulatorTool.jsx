@@ -10,13 +10,20 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState } from "../hooks/useUrlState";
 
 const GrowthCollapseSimulatorTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // Parameters - linked probabilities
-  const [probGrowth, setProbGrowth] = useState(0.9);
-  const [timeSpan, setTimeSpan] = useState(50);
+  const [probGrowth, setProbGrowth] = useUrlState("probGrowth", 0.9);
+  const [timeSpan, setTimeSpan] = useUrlState("timeSpan", 50, {
+    min: 1,
+    max: 100,
+    integer: true,
+  });
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
 
   // Fixed number of trials
   const numTrials = 500;
@@ -40,9 +47,12 @@ const GrowthCollapseSimulatorTool = () => {
   });
 
   // Linked probability handler
-  const handleProbGrowthChange = useCallback((value) => {
-    setProbGrowth(value / 100);
-  }, []);
+  const handleProbGrowthChange = useCallback(
+    (value) => {
+      setProbGrowth(value / 100);
+    },
+    [setProbGrowth],
+  );
 
   // Get color for height value using 10-step "hot" gradient
   // M is the range maximum (smallest multiple of 10 > max height)
@@ -446,11 +456,12 @@ const GrowthCollapseSimulatorTool = () => {
     setStatistics(null);
 
     // Pre-generate all random values for deterministic playback
+    const rng = createRng();
     const randomSeeds = [];
     for (let trial = 0; trial < numTrials; trial++) {
       const trialSeeds = [];
       for (let t = 0; t < timeSpan; t++) {
-        trialSeeds.push(Math.random());
+        trialSeeds.push(rng());
       }
       randomSeeds.push(trialSeeds);
     }
@@ -529,7 +540,7 @@ const GrowthCollapseSimulatorTool = () => {
     }, 100);
 
     animationStateRef.current.animationId = intervalId;
-  }, [probGrowth, timeSpan, numTrials, drawAnimatedSamples]);
+  }, [probGrowth, timeSpan, numTrials, drawAnimatedSamples, createRng]);
 
   // Cleanup animation on unmount
   useEffect(() => {
@@ -547,6 +558,9 @@ const GrowthCollapseSimulatorTool = () => {
       title="Growth & Collapse Simulator"
       canvasWidth={10}
       canvasHeight={4}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
     >
       {/* Samples visualization - full width */}
       <GridWindow x={0} y={0} w={10} h={2} theme={theme}>
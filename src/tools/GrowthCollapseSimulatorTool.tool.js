@@ -0,0 +1,17 @@
+// src/tools/GrowthCollapseSimulatorTool.tool.js
+// Menu entry for GrowthCollapseSimulatorTool; the component itself loads on first use
+
+export default {
+  id: "growth-collapse-simulator",
+  name: "Growth & Collapse Simulator",
+  description:
+    "Simulate a Markov process where height grows by 1 with probability p or collapses to 0. Visualize sample outcomes and histogram across many trials.",
+  categories: {
+    topics: [],
+    toolType: "simulation",
+    lab: "lab5",
+  },
+  visibility: "student",
+  help: "growth-collapse-simulator.md",
+  load: () => import("./GrowthCollapseSimulatorTool"),
+};
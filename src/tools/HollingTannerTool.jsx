@@ -17,12 +17,13 @@ import {
 import ToolContainer from "../components/ui/ToolContainer";
 import Equation from "../components/Equation";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState, useUrlParams } from "../hooks/useUrlState";
 
 const HollingTannerTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // UI State - parameters for Holling-Tanner model
-  const [uiParams, setUiParams] = useState({
+  const [uiParams, setUiParams] = useUrlParams({
     alpha: 0.1, // α - Shark population growth rate
     beta: 1.0, // β - Tuna population growth rate
     c: 0.5, // c - Predation rate
@@ -34,7 +35,10 @@ const HollingTannerTool = () => {
 
   const [isAnimating, setIsAnimating] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
-  const [showNullclines, setShowNullclines] = useState(false);
+  const [showNullclines, setShowNullclines] = useUrlState(
+    "showNullclines",
+    false,
+  );
 
   // Canvas refs - separate static and dynamic layers for performance
   const staticCanvasRef = useRef(null);
@@ -571,9 +575,12 @@ const HollingTannerTool = () => {
     }
   }, [stopAnimation, drawStaticElements]);
 
-  const updateParam = useCallback((param, value) => {
-    setUiParams((prev) => ({ ...prev, [param]: value }));
-  }, []);
+  const updateParam = useCallback(
+    (param, value) => {
+      setUiParams((prev) => ({ ...prev, [param]: value }));
+    },
+    [setUiParams],
+  );
 
   // Draw static elements when transform becomes available or parameters change
   useEffect(() => {
@@ -0,0 +1,17 @@
+// src/tools/HollingTannerTool.tool.js
+// Menu entry for HollingTannerTool; the component itself loads on first use
+
+export default {
+  id: "holling-tanner",
+  name: "Holling-Tanner Predator-Prey Model",
+  description:
+    "Advanced predator-prey dynamics with Holling Type II functional response, showing complex population interactions between sharks and tuna.",
+  categories: {
+    topics: ["ecology"],
+    toolType: "simulation",
+    lab: "lab4",
+  },
+  visibility: "student",
+  help: "holling-tanner.md",
+  load: () => import("./HollingTannerTool"),
+};
@@ -10,12 +10,14 @@ import {
 import ToolContainer from "../components/ui/ToolContainer";
 import Equation from "../components/Equation";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlParams } from "../hooks/useUrlState";
+import { DelayHistory, advanceDDE } from "../utils/ddeSolver";
 
 const HutchinsonGrowthTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // UI State
-  const [uiParams, setUiParams] = useState({
+  const [uiParams, setUiParams] = useUrlParams({
     k: 100, // Carrying capacity
     beta: 0.1, // Birth rate
     tau: 10, // Time delay
@@ -34,6 +36,7 @@ const HutchinsonGrowthTool = () => {
     time: 0,
     population: 50,
     history: [], // Store [time, population] pairs
+    delayHistory: null, // Interpolated past states for P(t-τ)
     animationId: null,
     isRunning: false,
     params: { ...uiParams },
@@ -45,29 +48,11 @@ const HutchinsonGrowthTool = () => {
   }, [uiParams]);
 
   // Update parameter helper
-  const updateParam = useCallback((key, value) => {
-    setUiParams((prev) => ({ ...prev, [key]: value }));
-  }, []);
-
-  // Get past population value for delay differential equation
-  const getPastValue = useCallback(
-    (history, currentTime, delay, initialValue) => {
-      const targetTime = currentTime - delay;
-
-      if (targetTime <= 0) {
-        return initialValue;
-      }
-
-      // Find the closest historical value
-      for (let i = history.length - 1; i >= 0; i--) {
-        if (history[i][0] <= targetTime) {
-          return history[i][1];
-        }
-      }
-
-      return initialValue;
+  const updateParam = useCallback(
+    (key, value) => {
+      setUiParams((prev) => ({ ...prev, [key]: value }));
     },
-    [],
+    [setUiParams],
   );
 
   // Hutchinson delay differential equation: P'(t) = β P(t) (1 - P(t-τ)/k)
@@ -75,26 +60,19 @@ const HutchinsonGrowthTool = () => {
     return beta * P * (1 - PDelayed / k);
   }, []);
 
-  // RK4 integration step
+  // RK4 integration step; P(t-τ) comes from the interpolated history
   const rk4Step = useCallback(
-    (P, t, dt, history, params) => {
-      const { beta, k, tau, P0 } = params;
-
-      const PDelayed = getPastValue(history, t, tau, P0);
-      const k1 = hutchinsonDerivative(P, PDelayed, beta, k);
-
-      const PDelayed_k2 = getPastValue(history, t + dt / 2, tau, P0);
-      const k2 = hutchinsonDerivative(P + (dt / 2) * k1, PDelayed_k2, beta, k);
-
-      const PDelayed_k3 = getPastValue(history, t + dt / 2, tau, P0);
-      const k3 = hutchinsonDerivative(P + (dt / 2) * k2, PDelayed_k3, beta, k);
-
-      const PDelayed_k4 = getPastValue(history, t + dt, tau, P0);
-      const k4 = hutchinsonDerivative(P + dt * k3, PDelayed_k4, beta, k);
-
-      return P + (dt / 6) * (k1 + 2 * k2 + 2 * k3 + k4);
+    (delayHistory, dt, params) => {
+      const { beta, k, tau } = params;
+      const [newP] = advanceDDE(
+        (t, [P], [[PDelayed]]) => [hutchinsonDerivative(P, PDelayed, beta, k)],
+        delayHistory,
+        dt,
+        [tau],
+      );
+      return newP;
     },
-    [getPastValue, hutchinsonDerivative],
+    [hutchinsonDerivative],
   );
 
   // Draw the simulation
@@ -165,9 +143,9 @@ const HutchinsonGrowthTool = () => {
           ctx.fill();
 
           // Draw gray "ghost" dot at t-tau (only if t > tau)
-          const { tau, P0 } = state.params;
-          if (currentTime > tau) {
-            const delayedP = getPastValue(history, currentTime, tau, P0);
+          const { tau } = state.params;
+          if (currentTime > tau && state.delayHistory) {
+            const [delayedP] = state.delayHistory.evaluate(currentTime - tau);
             const ghostPixel = dataToPixel(currentTime - tau, delayedP);
 
             ctx.fillStyle =
@@ -181,7 +159,7 @@ const HutchinsonGrowthTool = () => {
         }
       }
     },
-    [currentTheme, uiParams.k, uiParams.P0, redrawTrigger, getPastValue],
+    [currentTheme, uiParams.k, uiParams.P0, redrawTrigger],
   );
 
   // Animation loop
@@ -200,13 +178,7 @@ const HutchinsonGrowthTool = () => {
         break;
       }
 
-      const newP = rk4Step(
-        state.population,
-        state.time,
-        dt,
-        state.history,
-        state.params,
-      );
+      const newP = rk4Step(state.delayHistory, dt, state.params);
 
       state.time += dt;
       state.population = newP;
@@ -232,6 +204,8 @@ const HutchinsonGrowthTool = () => {
     state.time = 0;
     state.population = state.params.P0;
     state.history = [[0, state.params.P0]];
+    state.delayHistory = new DelayHistory([state.params.P0], 0);
+    state.delayHistory.push(0, [state.params.P0]);
     state.isRunning = true;
 
     setIsAnimating(true);
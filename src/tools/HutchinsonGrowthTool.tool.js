@@ -0,0 +1,17 @@
+// src/tools/HutchinsonGrowthTool.tool.js
+// Menu entry for HutchinsonGrowthTool; the component itself loads on first use
+
+export default {
+  id: "hutchinson-growth",
+  name: "Hutchinson Population Growth Simulator",
+  description:
+    "Explore time-delayed population dynamics with the Hutchinson model. Observe how past population values influence current growth through adjustable delay parameter.",
+  categories: {
+    topics: ["ecology"],
+    toolType: "simulation",
+    lab: "lab4",
+  },
+  visibility: "student",
+  help: "hutchinson-growth.md",
+  load: () => import("./HutchinsonGrowthTool"),
+};
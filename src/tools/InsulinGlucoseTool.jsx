@@ -1,179 +1,303 @@
 // src/tools/InsulinGlucoseTool.jsx
 
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useRef,
+  useMemo,
+} from "react";
 import {
   GridSliderHorizontal,
   GridButton,
   GridGraphDualY,
-  GridLabel,
   GridDisplay,
   GridInput,
+  GridTableInput,
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import Equation from "../components/Equation";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
+import { solveDDE } from "../utils/ddeSolver";
+import { parseCsv } from "../utils/dataExport";
+
+// Model units: glucose 1 = 5 mmol/L, insulin 1 = 6 pmol/L, time in hours
+const GLUCOSE_UNIT = 5;
+const INSULIN_UNIT = 6;
+const MG_DL_PER_MMOL = 18;
+
+// Glucose input per gram of carbohydrate, insulin input per unit injected
+const CARB_SCALE = 0.02;
+const INSULIN_SCALE = 0.4;
+
+// Meals: hours until carbohydrate absorption peaks
+const MEAL_PROFILES = { fast: 0.25, medium: 0.5, slow: 1 };
+
+// Injections: hours until absorption peaks, or a flat release over a day
+const INSULIN_PROFILES = {
+  rapid: { peak: 1 },
+  regular: { peak: 2.5 },
+  long: { duration: 24 },
+};
+
+// Exercise: extra glucose uptake per hour, proportional to glucose
+const EXERCISE_INTENSITY = { light: 0.1, moderate: 0.25, hard: 0.5 };
+
+// Profile used when the Profile cell is left blank
+const DEFAULT_PROFILES = {
+  meal: "medium",
+  exercise: "moderate",
+  insulin: "rapid",
+};
+
+// Schedules filled in by the Baseline, Meals and Challenge buttons
+const SCHEDULE_PRESETS = {
+  baseline: [],
+  meals: [
+    { time: "6", event: "meal", amount: "40", profile: "medium" },
+    { time: "10", event: "meal", amount: "60", profile: "medium" },
+    { time: "16", event: "meal", amount: "60", profile: "medium" },
+  ],
+  challenge: [{ time: "5", event: "meal", amount: "75", profile: "fast" }],
+};
+
+// Absorption that rises and falls, peaking `peak` hours after t = 0, with
+// unit area
+const peakedRate = (peak, t) =>
+  t <= 0 ? 0 : (t * Math.exp(-t / peak)) / (peak * peak);
+
+// Check the schedule table. Returns the usable events and the cells to flag.
+// Times are hours from midnight at the start of the run.
+const parseSchedule = (rows, hours) => {
+  const events = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const time = parseFloat(row.time);
+    const type = String(row.event ?? "")
+      .trim()
+      .toLowerCase();
+    const amount = parseFloat(row.amount);
+    const profile =
+      String(row.profile ?? "")
+        .trim()
+        .toLowerCase() || DEFAULT_PROFILES[type];
+    const profiles =
+      type === "meal"
+        ? MEAL_PROFILES
+        : type === "exercise"
+          ? EXERCISE_INTENSITY
+          : INSULIN_PROFILES;
+
+    const timeOk = time >= 0 && time <= hours;
+    const typeOk = type in DEFAULT_PROFILES;
+    const amountOk = amount >= 0;
+    const profileOk = !typeOk || profile in profiles;
+    if (!timeOk) errors.push({ index, field: "time" });
+    if (!typeOk) errors.push({ index, field: "event" });
+    if (!amountOk) errors.push({ index, field: "amount" });
+    if (!profileOk) errors.push({ index, field: "profile" });
+    if (timeOk && typeOk && amountOk && profileOk) {
+      events.push({ time, type, amount, profile });
+    }
+  });
+
+  return { events, errors };
+};
+
+// Rates the schedule adds to the model at time t
+const scheduleInputs = (events) => {
+  const meals = events.filter((e) => e.type === "meal");
+  const injections = events.filter((e) => e.type === "insulin");
+  const bouts = events.filter((e) => e.type === "exercise");
+
+  return {
+    // Carbohydrate absorbed from the gut
+    glucose: (t) =>
+      meals.reduce(
+        (sum, meal) =>
+          sum +
+          CARB_SCALE *
+            meal.amount *
+            peakedRate(MEAL_PROFILES[meal.profile], t - meal.time),
+        0,
+      ),
+    // Injected insulin absorbed from under the skin
+    insulin: (t) =>
+      injections.reduce((sum, dose) => {
+        const { peak, duration } = INSULIN_PROFILES[dose.profile];
+        const elapsed = t - dose.time;
+        const rate = peak
+          ? peakedRate(peak, elapsed)
+          : elapsed > 0 && elapsed <= duration
+            ? 1 / duration
+            : 0;
+        return sum + INSULIN_SCALE * dose.amount * rate;
+      }, 0),
+    // Uptake by working muscle, tailing off over an hour afterwards
+    uptake: (t) =>
+      bouts.reduce((sum, bout) => {
+        const end = bout.time + bout.amount / 60;
+        const level = EXERCISE_INTENSITY[bout.profile];
+        if (t < bout.time) return sum;
+        return sum + (t <= end ? level : level * Math.exp(-(t - end)));
+      }, 0),
+  };
+};
+
+// Read CGM-style glucose readings from CSV text. Times may be hours or
+// date-times (converted to hours from midnight of the first reading's day);
+// values in mg/dL are converted to mmol/L.
+const parseGlucoseReadings = (text) => {
+  const { columns, rows } = parseCsv(text);
+  if (columns.length < 2) {
+    throw new Error("Expected a time column and a glucose column");
+  }
+  const find = (pattern) => columns.findIndex((name) => pattern.test(name));
+
+  let timeColumn = find(/time|date|hour/i);
+  let glucoseColumn = find(/glucose|sgv|\bbg\b|mmol|mg\/dl/i);
+  if (timeColumn === -1 || glucoseColumn === -1) {
+    timeColumn = 0;
+    glucoseColumn = 1;
+  }
+
+  const times = rows.map((row) => String(row[timeColumn] ?? "").trim());
+  const numericTimes = times.every((time) => time === "" || isFinite(time));
+  let toHours = (time) => parseFloat(time);
+  if (!numericTimes) {
+    const first = times.map(Date.parse).find(isFinite);
+    if (first === undefined) throw new Error("Could not read the times");
+    const midnight = new Date(first).setHours(0, 0, 0, 0);
+    toHours = (time) => (Date.parse(time) - midnight) / 3600000;
+  }
+
+  const readings = rows
+    .map((row, i) => ({
+      time: toHours(times[i]),
+      glucose: parseFloat(row[glucoseColumn]),
+    }))
+    .filter((r) => isFinite(r.time) && isFinite(r.glucose))
+    .sort((a, b) => a.time - b.time);
+  if (readings.length === 0) throw new Error("No glucose readings found");
+
+  const values = readings.map((r) => r.glucose).sort((a, b) => a - b);
+  const inMgPerDl =
+    /mg\/dl/i.test(columns[glucoseColumn]) ||
+    (!/mmol/i.test(columns[glucoseColumn]) &&
+      values[Math.floor(values.length / 2)] > 30);
+  return inMgPerDl
+    ? readings.map((r) => ({ ...r, glucose: r.glucose / MG_DL_PER_MMOL }))
+    : readings;
+};
 
 const InsulinGlucoseTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // Model parameters
-  const [m, setM] = useState(0.5); // Glucose production
-  const [s, setS] = useState(1.0); // Insulin sensitivity
-  const [q, setQ] = useState(1.0); // Insulin production rate
-  const [B, setB] = useState(1.0); // Beta cell mass
-  const [gamma, setGamma] = useState(1.0); // Insulin degradation rate
-  const [tau, setTau] = useState(0); // Time delay parameter (minutes)
+  const [m, setM] = useUrlState("m", 0.5); // Glucose production
+  const [s, setS] = useUrlState("s", 1.0); // Insulin sensitivity
+  const [q, setQ] = useUrlState("q", 1.0); // Insulin production rate
+  const [B, setB] = useUrlState("B", 1.0); // Beta cell mass
+  const [gamma, setGamma] = useUrlState("gamma", 1.0); // Insulin degradation rate
+  const [tau, setTau] = useUrlState("tau", 0); // Time delay parameter (minutes)
 
   // Liver glucose production parameters
-  const [alpha, setAlpha] = useState(0.0); // Liver production amplitude
-  const [k, setK] = useState(1.0); // Insulin sensitivity of liver
-  const [c, setC] = useState(1.0); // Threshold parameter
+  const [alpha, setAlpha] = useUrlState("alpha", 0.0); // Liver production amplitude
+  const [k, setK] = useUrlState("k", 1.0); // Insulin sensitivity of liver
+  const [c, setC] = useUrlState("c", 1.0); // Threshold parameter
 
   // Time delay parameters
-  const [sigma, setSigma] = useState(0); // Insulin effect on glucose delay (minutes)
+  const [sigma, setSigma] = useUrlState("sigma", 0); // Insulin effect on glucose delay (minutes)
+
+  // Meals, exercise and injections, and the length of the run
+  const [storedSchedule, setSchedule] = useUrlState("schedule", []);
+  // A link can put anything in the array; keep the rows the table can show
+  const schedule = useMemo(
+    () =>
+      storedSchedule.filter((row) => row !== null && typeof row === "object"),
+    [storedSchedule],
+  );
+  const [hours, setHours] = useUrlState("hours", 24, {
+    min: 24,
+    max: 72,
+    integer: true,
+  });
 
-  // Simulation state
-  const [isRunning, setIsRunning] = useState(false);
-  const [timeSeriesData, setTimeSeriesData] = useState([]);
-  const [currentMode, setCurrentMode] = useState("baseline"); // "baseline", "meals", or "challenge"
+  // Uploaded CGM readings shown for comparison: {name, readings}
+  const [cgm, setCgm] = useState(null);
+  const fileInputRef = useRef(null);
 
   // Canvas and transform refs
   const canvasRef = useRef(null);
   const transformRef = useRef(null);
 
-  // Differential equation solver using Euler's method with delay support
-  const runSimulation = useCallback(
-    (mode = "baseline", params = null) => {
-      // Use provided params or current state values
-      const currentParams = params || {
-        m,
-        s,
-        q,
-        B,
-        gamma,
-        tau,
-        alpha,
-        k,
-        c,
-        sigma,
-      };
-      const dt = 0.1; // Time step in hours
-      const tMax = 20;
-      const steps = tMax / dt;
-
-      let G = 1; // Initial glucose concentration (normalized)
-      let I = 0.5; // Initial insulin concentration (normalized)
-
-      // History buffer for delayed glucose values (G --> I delay)
-      // Convert tau from minutes to hours
-      const tauHours = currentParams.tau / 60;
-      const tauDelaySteps = Math.round(tauHours / dt);
-      const glucoseHistory = [];
-
-      // Initialize glucose history with initial glucose value
-      for (let i = 0; i <= tauDelaySteps; i++) {
-        glucoseHistory.push(G);
-      }
-
-      // History buffer for delayed insulin values (I --> G delay)
-      // Convert sigma from minutes to hours
-      const sigmaHours = currentParams.sigma / 60;
-      const sigmaDelaySteps = Math.round(sigmaHours / dt);
-      const insulinHistory = [];
-
-      // Initialize insulin history with initial insulin value
-      for (let i = 0; i <= sigmaDelaySteps; i++) {
-        insulinHistory.push(I);
-      }
-
-      const dataPoints = [];
-
-      for (let i = 0; i <= steps; i++) {
-        const t = i * dt;
-
-        // Store data (convert to real units)
-        dataPoints.push({
-          time: t,
-          glucose: G * 5, // Convert to mmol/L
-          insulin: I * 6, // Convert to pmol/L
-        });
-
-        // Get delayed glucose value G_tau (for insulin production)
-        let G_tau;
-        if (tauDelaySteps === 0 || glucoseHistory.length <= tauDelaySteps) {
-          // No delay or not enough history yet - use current value
-          G_tau = G;
-        } else {
-          // Look back tau time units in history
-          G_tau = glucoseHistory[glucoseHistory.length - tauDelaySteps - 1];
-        }
-
-        // Get delayed insulin value I_sigma (for liver glucose production)
-        let I_sigma;
-        if (sigmaDelaySteps === 0 || insulinHistory.length <= sigmaDelaySteps) {
-          // No delay or not enough history yet - use current value
-          I_sigma = I;
-        } else {
-          // Look back sigma time units in history
-          I_sigma = insulinHistory[insulinHistory.length - sigmaDelaySteps - 1];
-        }
-
-        // Hill equation for insulin production with delayed glucose
-        const f = (G_tau * G_tau) / (1 + G_tau * G_tau);
-
-        // Glucose production based on mode
-        let mEffective = currentParams.m;
-        if (mode === "challenge") {
-          // Add glucose spike at t=5
-          mEffective += Math.exp(-Math.pow(t - 5, 2));
-        } else if (mode === "meals") {
-          // Add meal surges at t=6, 10, 16 (30-minute duration each)
-          const mealSurge = (mealTime) => {
-            const timeDiff = Math.abs(t - mealTime);
-            return timeDiff < 0.25
-              ? 0.8 * Math.exp(-Math.pow((t - mealTime) * 4, 2))
-              : 0;
-          };
-          mEffective += mealSurge(6) + mealSurge(10) + mealSurge(16);
-        }
-
-        // Liver glucose production term: alpha / (1 + e^(kI_sigma - c))
-        // Uses delayed insulin I_sigma
-        const liverProduction =
-          currentParams.alpha /
-          (1 + Math.exp(currentParams.k * I_sigma - currentParams.c));
-
-        // Differential equations - glucose uses current insulin, insulin uses delayed glucose
-        const dGdt = mEffective + liverProduction - currentParams.s * I * G;
-        const dIdt =
-          currentParams.q * currentParams.B * f - currentParams.gamma * I;
-
-        // Update using Euler's method
-        G += dGdt * dt;
-        I += dIdt * dt;
-
-        // Prevent negative values
-        G = Math.max(0, G);
-        I = Math.max(0, I);
-
-        // Add current values to history buffers
-        glucoseHistory.push(G);
-        insulinHistory.push(I);
+  const { events, errors } = useMemo(
+    () => parseSchedule(schedule, hours),
+    [schedule, hours],
+  );
 
-        // Keep history buffers from growing unboundedly
-        if (glucoseHistory.length > tauDelaySteps + 50) {
-          glucoseHistory.shift();
-        }
-        if (insulinHistory.length > sigmaDelaySteps + 50) {
-          insulinHistory.shift();
-        }
-      }
+  // Delay differential equation solver (RK4 with interpolated history)
+  const timeSeriesData = useMemo(() => {
+    const dt = 0.1; // Time step in hours
+
+    const G0 = 1; // Initial glucose concentration (normalized)
+    const I0 = 0.5; // Initial insulin concentration (normalized)
+
+    // Delays in hours: tau (G --> I) and sigma (I --> G), converted from minutes
+    const delays = [tau / 60, sigma / 60];
+    const inputs = scheduleInputs(events);
+
+    // Glucose uses current insulin, insulin uses delayed glucose G_tau,
+    // liver production uses delayed insulin I_sigma
+    const derivatives = (t, [G, I], [[G_tau], [, I_sigma]]) => {
+      // Hill equation for insulin production with delayed glucose
+      const f = (G_tau * G_tau) / (1 + G_tau * G_tau);
+
+      // Liver glucose production term: alpha / (1 + e^(kI_sigma - c))
+      const liverProduction = alpha / (1 + Math.exp(k * I_sigma - c));
+
+      return [
+        m +
+          inputs.glucose(t) +
+          liverProduction -
+          s * I * G -
+          inputs.uptake(t) * G,
+        q * B * f - gamma * I + inputs.insulin(t),
+      ];
+    };
+
+    // History before t = 0 holds the initial values
+    const history = solveDDE(derivatives, [G0, I0], 0, hours, dt, delays, {
+      // Prevent negative values
+      adjust: (state) => state.map((value) => Math.max(0, value)),
+    });
 
-      setTimeSeriesData(dataPoints);
-      setCurrentMode(mode);
-    },
-    [m, s, q, B, gamma, tau, alpha, k, c, sigma],
+    // Store data (convert to real units)
+    return history.points.map(({ t, y: [G, I] }) => ({
+      time: t,
+      glucose: G * GLUCOSE_UNIT, // Convert to mmol/L
+      insulin: I * INSULIN_UNIT, // Convert to pmol/L
+    }));
+  }, [m, s, q, B, gamma, tau, alpha, k, c, sigma, events, hours]);
+
+  // Axes grow to fit high glucose and long runs
+  const cgmInRange = useMemo(
+    () => (cgm ? cgm.readings.filter((r) => r.time <= hours) : []),
+    [cgm, hours],
+  );
+  const highest = Math.max(
+    ...timeSeriesData.map((p) => p.glucose),
+    ...cgmInRange.map((r) => r.glucose),
   );
+  const yMax = Math.min(30, Math.max(12, Math.ceil(highest / 3) * 3));
+  const yStep = yMax <= 15 ? 3 : 6;
+  const yTicks = [];
+  for (let y = 0; y <= yMax; y += yStep) yTicks.push(y);
+  const xStep = hours <= 36 ? 6 : 12;
+  const xTicks = [];
+  for (let t = 0; t <= hours; t += xStep) xTicks.push(t);
 
   // Draw the time series on the dual Y-axis graph canvas
   const drawTimeSeries = useCallback(() => {
@@ -183,6 +307,7 @@ const InsulinGlucoseTool = () => {
 
     const ctx = canvas.getContext("2d");
     const { plotWidth, plotHeight, dataToPixelLeft } = transform;
+    const textColor = currentTheme === "dark" ? "#ffffff" : "#000000";
 
     // Clear canvas
     ctx.clearRect(0, 0, plotWidth, plotHeight);
@@ -201,13 +326,47 @@ const InsulinGlucoseTool = () => {
       normalLowPos.y - normalHighPos.y,
     );
 
+    // Exercise bouts as shaded bands
+    events
+      .filter((event) => event.type === "exercise")
+      .forEach((bout) => {
+        const start = dataToPixelLeft(bout.time, 0);
+        const end = dataToPixelLeft(bout.time + bout.amount / 60, 0);
+        ctx.fillStyle = "rgba(59, 130, 246, 0.12)";
+        ctx.fillRect(start.x, 20, Math.max(2, end.x - start.x), plotHeight);
+        ctx.fillStyle = textColor;
+        ctx.font = "11px Arial";
+        ctx.textAlign = "center";
+        ctx.fillText("Exercise", (start.x + end.x) / 2, 15);
+      });
+
+    // Meal and injection markers
+    events
+      .filter((event) => event.type !== "exercise")
+      .forEach((event) => {
+        const pos = dataToPixelLeft(event.time, 0);
+        ctx.fillStyle = textColor;
+        ctx.font = "11px Arial";
+        ctx.textAlign = "center";
+        ctx.fillText(event.type === "meal" ? "Meal" : "Insulin", pos.x, 15);
+
+        ctx.strokeStyle = event.type === "meal" ? textColor : "#9333ea";
+        ctx.setLineDash(event.type === "meal" ? [2, 2] : [6, 3]);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(pos.x, 20);
+        ctx.lineTo(pos.x, plotHeight);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      });
+
     // Draw glucose curve (red) - uses left Y axis
     ctx.strokeStyle = "#ff4444";
     ctx.lineWidth = 3;
     ctx.beginPath();
 
     timeSeriesData.forEach((point, index) => {
-      const pos = dataToPixelLeft(point.time, Math.min(point.glucose, 12));
+      const pos = dataToPixelLeft(point.time, Math.min(point.glucose, yMax));
       if (index === 0) {
         ctx.moveTo(pos.x, pos.y);
       } else {
@@ -222,8 +381,8 @@ const InsulinGlucoseTool = () => {
     ctx.beginPath();
 
     timeSeriesData.forEach((point, index) => {
-      // Using dataToPixelLeft since both axes have same range [0, 12]
-      const pos = dataToPixelLeft(point.time, Math.min(point.insulin, 12));
+      // Using dataToPixelLeft since both axes have the same range
+      const pos = dataToPixelLeft(point.time, Math.min(point.insulin, yMax));
       if (index === 0) {
         ctx.moveTo(pos.x, pos.y);
       } else {
@@ -232,49 +391,22 @@ const InsulinGlucoseTool = () => {
     });
     ctx.stroke();
 
-    // Draw mode indicators
-    if (currentMode === "challenge") {
-      const challengePos = dataToPixelLeft(5, 12); // t=5, top of graph
-      ctx.fillStyle = currentTheme === "dark" ? "#ffffff" : "#000000";
-      ctx.font = "12px Arial";
-      ctx.textAlign = "center";
-      ctx.fillText("Challenge", challengePos.x, 15);
-
-      // Draw challenge marker line
-      ctx.strokeStyle = currentTheme === "dark" ? "#ffffff" : "#000000";
-      ctx.setLineDash([3, 3]);
-      ctx.lineWidth = 1;
+    // Uploaded CGM readings
+    ctx.fillStyle = currentTheme === "dark" ? "#fbbf24" : "#b45309";
+    cgmInRange.forEach((reading) => {
+      const pos = dataToPixelLeft(
+        reading.time,
+        Math.min(reading.glucose, yMax),
+      );
       ctx.beginPath();
-      ctx.moveTo(challengePos.x, 20);
-      ctx.lineTo(challengePos.x, plotHeight);
-      ctx.stroke();
-      ctx.setLineDash([]);
-    } else if (currentMode === "meals") {
-      // Draw meal indicators at t=6, 10, 16
-      const mealTimes = [6, 10, 16];
-      mealTimes.forEach((mealTime) => {
-        const mealPos = dataToPixelLeft(mealTime, 12);
-        ctx.fillStyle = currentTheme === "dark" ? "#ffffff" : "#000000";
-        ctx.font = "11px Arial";
-        ctx.textAlign = "center";
-        ctx.fillText("Meal", mealPos.x, 15);
-
-        // Draw meal marker line
-        ctx.strokeStyle = currentTheme === "dark" ? "#ffffff" : "#000000";
-        ctx.setLineDash([2, 2]);
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(mealPos.x, 20);
-        ctx.lineTo(mealPos.x, plotHeight);
-        ctx.stroke();
-        ctx.setLineDash([]);
-      });
-    }
+      ctx.arc(pos.x, pos.y, 2.5, 0, 2 * Math.PI);
+      ctx.fill();
+    });
 
     // Legend in top-middle of graph
-    const legendCenterPos = dataToPixelLeft(12.5, 12);
+    const legendCenterPos = dataToPixelLeft(hours / 2, yMax);
     const legendWidth = 126;
-    const legendHeight = 45;
+    const legendHeight = cgmInRange.length > 0 ? 64 : 45;
     const legendX = legendCenterPos.x - legendWidth / 2;
     const legendY = 40;
 
@@ -303,7 +435,7 @@ const InsulinGlucoseTool = () => {
     ctx.lineTo(legendX + 35, legendY + 6);
     ctx.stroke();
 
-    ctx.fillStyle = currentTheme === "dark" ? "#ffffff" : "#000000";
+    ctx.fillStyle = textColor;
     ctx.fillText("Glucose", legendX + 40, legendY + 11);
 
     // Blue line for insulin
@@ -314,44 +446,76 @@ const InsulinGlucoseTool = () => {
     ctx.lineTo(legendX + 35, legendY + 25);
     ctx.stroke();
 
-    ctx.fillStyle = currentTheme === "dark" ? "#ffffff" : "#000000";
+    ctx.fillStyle = textColor;
     ctx.fillText("Insulin", legendX + 40, legendY + 30);
-  }, [timeSeriesData, currentMode, currentTheme]);
 
-  // Run initial simulation only once on mount
-  useEffect(() => {
-    runSimulation("baseline");
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
-
-  // Re-run simulation when parameters change (keeping current mode)
-  useEffect(() => {
-    if (timeSeriesData.length > 0) {
-      // Only re-run if we already have data (skip initial render)
-      runSimulation(currentMode);
+    // Dots for CGM readings
+    if (cgmInRange.length > 0) {
+      ctx.fillStyle = currentTheme === "dark" ? "#fbbf24" : "#b45309";
+      [19, 25, 31].forEach((x) => {
+        ctx.beginPath();
+        ctx.arc(legendX + x, legendY + 44, 2.5, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+      ctx.fillStyle = textColor;
+      ctx.fillText("CGM", legendX + 40, legendY + 49);
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [m, s, q, B, gamma, tau, alpha, k, c, sigma]);
+  }, [timeSeriesData, events, cgmInRange, hours, yMax, currentTheme]);
 
   // Draw graph when data changes
   useEffect(() => {
-    if (timeSeriesData.length > 0) {
-      drawTimeSeries();
+    drawTimeSeries();
+  }, [drawTimeSeries]);
+
+  // Read an uploaded CSV of glucose readings
+  const handleOpenCgm = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow opening the same file again
+    if (!file) return;
+
+    try {
+      setCgm({
+        name: file.name,
+        readings: parseGlucoseReadings(await file.text()),
+      });
+    } catch (error) {
+      alert(`Could not read ${file.name}: ${error.message}`);
     }
-  }, [timeSeriesData, drawTimeSeries]);
-
-  // Handle simulation
-  const handleSimulate = (mode = "baseline") => {
-    setIsRunning(true);
-    runSimulation(mode);
-    setTimeout(() => setIsRunning(false), 1000);
   };
 
+  // Time series offered by the export button
+  const exportData = useMemo(
+    () => ({
+      columns: [
+        { key: "time", label: "time (h)" },
+        { key: "glucose", label: "glucose (mmol/L)" },
+        { key: "insulin", label: "insulin (pmol/L)" },
+      ],
+      rows: timeSeriesData,
+      parameters: {
+        hours,
+        schedule: events,
+        m,
+        s,
+        q,
+        B,
+        gamma,
+        "tau (min)": tau,
+        alpha,
+        k,
+        c,
+        "sigma (min)": sigma,
+      },
+    }),
+    [timeSeriesData, hours, events, m, s, q, B, gamma, tau, alpha, k, c, sigma],
+  );
+
   return (
     <ToolContainer
       title="Insulin-Glucose Regulation"
-      canvasWidth={11}
+      canvasWidth={14}
       canvasHeight={5}
+      exportData={exportData}
     >
       {/* Row 0: First 3 parameters */}
       <GridInput
@@ -447,6 +611,21 @@ const InsulinGlucoseTool = () => {
         theme={theme}
       />
 
+      <GridInput
+        x={2}
+        y={1}
+        value={hours}
+        onChange={(value) =>
+          setHours(Math.max(24, Math.min(72, Math.round(value))))
+        }
+        min={24}
+        max={72}
+        step={6}
+        variable="hours"
+        title="Length of the run (24-72 hours from midnight)"
+        theme={theme}
+      />
+
       <GridInput
         x={2}
         y={2}
@@ -472,12 +651,12 @@ const InsulinGlucoseTool = () => {
         xUnit="hours"
         yUnitLeft="mmol/L"
         yUnitRight="pmol/L"
-        xTicks={[0, 5, 10, 15, 20]}
-        yTicksLeft={[0, 3, 6, 9, 12]}
-        yTicksRight={[0, 3, 6, 9, 12]}
-        xRange={[0, 20]}
-        yRangeLeft={[0, 12]}
-        yRangeRight={[0, 12]}
+        xTicks={xTicks}
+        yTicksLeft={yTicks}
+        yTicksRight={yTicks}
+        xRange={[0, hours]}
+        yRangeLeft={[0, yMax]}
+        yRangeRight={[0, yMax]}
         leftAxisColor={currentTheme === "dark" ? "#ffffff" : "#000000"}
         rightAxisColor={currentTheme === "dark" ? "#ffffff" : "#000000"}
         tooltip="Insulin-Glucose Dynamics"
@@ -538,19 +717,18 @@ const InsulinGlucoseTool = () => {
         </div>
       </GridDisplay>
 
-      {/* Control buttons */}
+      {/* Schedule presets */}
       <GridButton
         x={3}
         y={4}
         type="momentary"
         variant="function"
-        onPress={() => handleSimulate("baseline")}
-        disabled={isRunning}
-        tooltip="Run baseline simulation"
+        onPress={() => setSchedule(SCHEDULE_PRESETS.baseline)}
+        tooltip="Clear the schedule: no meals, exercise or injections"
         theme={theme}
         fontSize="xs"
       >
-        {isRunning && currentMode === "baseline" ? "..." : "Baseline"}
+        Baseline
       </GridButton>
 
       <GridButton
@@ -558,13 +736,12 @@ const InsulinGlucoseTool = () => {
         y={4}
         type="momentary"
         variant="function"
-        onPress={() => handleSimulate("meals")}
-        disabled={isRunning}
-        tooltip="Run meals simulation with 3 daily meals"
+        onPress={() => setSchedule(SCHEDULE_PRESETS.meals)}
+        tooltip="Schedule three meals at 6, 10 and 16 hours"
         theme={theme}
         fontSize="xs"
       >
-        {isRunning && currentMode === "meals" ? "..." : "Meals"}
+        Meals
       </GridButton>
 
       <GridButton
@@ -572,13 +749,12 @@ const InsulinGlucoseTool = () => {
         y={4}
         type="momentary"
         variant="function"
-        onPress={() => handleSimulate("challenge")}
-        disabled={isRunning}
-        tooltip="Run glucose challenge test"
+        onPress={() => setSchedule(SCHEDULE_PRESETS.challenge)}
+        tooltip="Schedule a 75 g glucose challenge at 5 hours"
         theme={theme}
         fontSize="xs"
       >
-        {isRunning && currentMode === "challenge" ? "..." : "Challenge"}
+        Challenge
       </GridButton>
 
       {/* G --> I delay (tau) slider */}
@@ -608,6 +784,63 @@ const InsulinGlucoseTool = () => {
         tooltip={`Insulin to glucose delay (sigma): ${sigma.toFixed(0)} minutes`}
         theme={theme}
       />
+
+      {/* CGM readings overlay */}
+      <GridButton
+        x={10}
+        y={4}
+        type="momentary"
+        variant="function"
+        onPress={() => (cgm ? setCgm(null) : fileInputRef.current?.click())}
+        tooltip={
+          cgm
+            ? `Remove ${cgm.name} (${cgm.readings.length} readings)`
+            : "Overlay glucose readings from a CSV file (time, glucose)"
+        }
+        theme={theme}
+        fontSize="xs"
+      >
+        {cgm ? "Clear CGM" : "Load CGM"}
+      </GridButton>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".csv,text/csv"
+        className="hidden"
+        onChange={handleOpenCgm}
+      />
+
+      {/* Meal, exercise and insulin schedule */}
+      <GridTableInput
+        x={11}
+        y={0}
+        w={3}
+        h={5}
+        data={schedule}
+        onDataChange={setSchedule}
+        columns={[
+          {
+            key: "time",
+            label: "Time\n(h)",
+            type: "number",
+            min: 0,
+            width: 0.8,
+          },
+          { key: "event", label: "Event", type: "text", width: 1.1 },
+          {
+            key: "amount",
+            label: "Amount\n(g/min/U)",
+            type: "number",
+            min: 0,
+            width: 1,
+          },
+          { key: "profile", label: "Profile", type: "text", width: 1 },
+        ]}
+        maxRows={30}
+        errorHighlights={errors}
+        title="Schedule. Event: meal (g carbs; fast, medium, slow), exercise (minutes; light, moderate, hard) or insulin (units; rapid, regular, long). Time in hours from midnight."
+        theme={theme}
+      />
     </ToolContainer>
   );
 };
@@ -0,0 +1,17 @@
+// src/tools/InsulinGlucoseTool.tool.js
+// Menu entry for InsulinGlucoseTool; the component itself loads on first use
+
+export default {
+  id: "insulin-glucose",
+  name: "Insulin-Glucose Regulation",
+  description:
+    "Explore glucose homeostasis and insulin response dynamics over a 24-72 hour schedule of meals, exercise and insulin injections, with optional CGM readings for comparison.",
+  categories: {
+    topics: ["physiology"],
+    toolType: "simulation",
+    labs: ["lab1", "lab4"],
+  },
+  visibility: "student",
+  help: "insulin-glucose.md",
+  load: () => import("./InsulinGlucoseTool"),
+};
@@ -7,14 +7,9 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
-
-// Box-Muller transform for Gaussian random numbers
-function gaussianRandom(mean, stdev) {
-  const u = 1 - Math.random();
-  const v = Math.random();
-  const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-  return z * stdev + mean;
-}
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState } from "../hooks/useUrlState";
+import { randomNormal } from "../utils/random";
 
 const SIMULATION_STEPS = 350;
 
@@ -61,8 +56,15 @@ const IonChannelSimulatorTool = () => {
   const canvasRef = useRef(null);
 
   // Parameters
-  const [probOpenToClosed, setProbOpenToClosed] = useState(0.05);
-  const [probClosedToOpen, setProbClosedToOpen] = useState(0.05);
+  const [probOpenToClosed, setProbOpenToClosed] = useUrlState(
+    "probOpenToClosed",
+    0.05,
+  );
+  const [probClosedToOpen, setProbClosedToOpen] = useUrlState(
+    "probClosedToOpen",
+    0.05,
+  );
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
 
   // Results
   const [stats, setStats] = useState(null);
@@ -270,6 +272,7 @@ const IonChannelSimulatorTool = () => {
 
   // Run simulation
   const simulate = useCallback(() => {
+    const rng = createRng();
     let currentState = 0; // Start closed
     const stateHistory = [];
     const traceData = [];
@@ -277,13 +280,13 @@ const IonChannelSimulatorTool = () => {
     for (let step = 0; step < SIMULATION_STEPS; step++) {
       let current;
       if (currentState === 0) {
-        current = gaussianRandom(0, 0.2);
-        if (Math.random() < probClosedToOpen) {
+        current = randomNormal(rng) * 0.2;
+        if (rng() < probClosedToOpen) {
           currentState = 1;
         }
       } else {
-        current = gaussianRandom(2, 0.2);
-        if (Math.random() < probOpenToClosed) {
+        current = 2 + randomNormal(rng) * 0.2;
+        if (rng() < probOpenToClosed) {
           currentState = 0;
         }
       }
@@ -297,7 +300,7 @@ const IonChannelSimulatorTool = () => {
     setHasSimulated(true);
     traceDataRef.current = traceData;
     drawAll(traceData);
-  }, [probOpenToClosed, probClosedToOpen, drawAll]);
+  }, [probOpenToClosed, probClosedToOpen, drawAll, createRng]);
 
   // Reset
   const handleReset = useCallback(() => {
@@ -312,6 +315,9 @@ const IonChannelSimulatorTool = () => {
       title="Ion Channel Simulator"
       canvasWidth={10}
       canvasHeight={4}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
     >
       {/* Patch Clamp Recording - Custom Canvas in GridWindow */}
       <GridWindow
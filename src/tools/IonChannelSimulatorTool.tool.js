@@ -0,0 +1,17 @@
+// src/tools/IonChannelSimulatorTool.tool.js
+// Menu entry for IonChannelSimulatorTool; the component itself loads on first use
+
+export default {
+  id: "ion-channel-simulator",
+  name: "Ion Channel Simulator",
+  description:
+    "Simulate single ion channel patch clamp recordings with stochastic open/closed gating transitions and Gaussian noise.",
+  categories: {
+    topics: ["physiology"],
+    toolType: "simulation",
+    lab: "lab6",
+  },
+  visibility: "student",
+  help: "ion-channel-simulator.md",
+  load: () => import("./IonChannelSimulatorTool"),
+};
@@ -10,6 +10,7 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
 import { CELL_SIZE } from "../themes";
 
 const DEFAULT_STRATA   = 5;
@@ -315,7 +316,7 @@ const drawLeslieMatrixOnCanvas = (canvas, paramsRef, numStrata, currentTheme, cu
 
 const LeslieMatrixTool = () => {
   const { theme, currentTheme } = useTheme();
-  const [numStrata, setNumStrata]   = useState(DEFAULT_STRATA);
+  const [numStrata, setNumStrata]   = useUrlState("numStrata", DEFAULT_STRATA, { min: 2, max: 10, integer: true });
   const [isRunning, setIsRunning]   = useState(false);
   const [yAxis, setYAxis]           = useState(DEFAULT_Y_AXIS);
   const [xAxis, setXAxis]           = useState(DEFAULT_X_AXIS);
@@ -327,7 +328,7 @@ const LeslieMatrixTool = () => {
   const timeSeriesCanvasRef = useRef(null);
   const transformRef       = useRef(null);
   const drawTSRef          = useRef(null);
-  const numStrataRef       = useRef(DEFAULT_STRATA);
+  const numStrataRef       = useRef(numStrata);
   const simRef             = useRef({ t: 0, n: null, history: [], isRunning: false, intervalId: null });
 
   // Keep numStrataRef current
@@ -519,7 +520,7 @@ const LeslieMatrixTool = () => {
     setXAxis(DEFAULT_X_AXIS);
     setSimTick((c) => c + 1);
     setNumStrata(n);
-  }, []);
+  }, [setNumStrata]);
 
   return (
     <ToolContainer title="Leslie Matrix Population Model" canvasWidth={9} canvasHeight={6}>
@@ -0,0 +1,17 @@
+// src/tools/LeslieMatrixTool.tool.js
+// Menu entry for LeslieMatrixTool; the component itself loads on first use
+
+export default {
+  id: "leslie-matrix",
+  name: "Leslie Matrix Population Model",
+  description:
+    "Explore age-structured population dynamics using the Leslie matrix. Set fecundity and survival rates for each age class and watch the population evolve over time.",
+  categories: {
+    topics: ["ecology"],
+    toolType: "explorer",
+    lab: "lab6",
+  },
+  visibility: "student",
+  help: "leslie-matrix.md",
+  load: () => import("./LeslieMatrixTool"),
+};
@@ -1,6 +1,12 @@
 // src/tools/LinearRegressionLogScalingTool.jsx
 
-import React, { useState, useCallback, useRef, useEffect } from "react";
+import React, {
+  useState,
+  useCallback,
+  useRef,
+  useEffect,
+  useMemo,
+} from "react";
 import {
   GridTableInput,
   GridGraph,
@@ -11,11 +17,109 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
 import {
   calculateLinearRegression,
   generateRegressionLine,
   validateRegressionData,
 } from "../utils/mathHelpers";
+import { fitCurve, informationCriteria } from "../utils/curveFitting";
+
+const formatNumber = (value) => parseFloat(value.toPrecision(3)).toString();
+
+// AIC and BIC are compared by difference, so one decimal place
+const formatCriterion = (value) => {
+  if (value === -Infinity) return "−∞";
+  if (value === Infinity) return "∞";
+  return value.toFixed(1);
+};
+
+// Candidate models for the comparison panel. Each is fitted to the raw data
+// by nonlinear least squares, starting from the line through its linearized
+// data, so RSS, AIC and BIC all measure error in the original y units.
+const COMPARISON_MODELS = [
+  {
+    key: "linear",
+    name: "Linear",
+    color: "#dc2626", // red
+    needsPositiveX: false,
+    linearize: ({ x, y }) => ({ x, y }),
+    fromLine: ({ slope, intercept }) => ({ a: intercept, b: slope }),
+    predict: (x, { a, b }) => a + b * x,
+    equation: ({ a, b }) =>
+      `y = ${formatNumber(a)} ${b < 0 ? "−" : "+"} ${formatNumber(Math.abs(b))}x`,
+  },
+  {
+    key: "exponential",
+    name: "Exponential",
+    color: "#16a34a", // green
+    needsPositiveX: false,
+    linearize: ({ x, y }) => (y > 0 ? { x, y: Math.log(y) } : null),
+    fromLine: ({ slope, intercept }) => ({ a: Math.exp(intercept), b: slope }),
+    predict: (x, { a, b }) => a * Math.exp(b * x),
+    equation: ({ a, b }) => `y = ${formatNumber(a)}·e^(${formatNumber(b)}x)`,
+  },
+  {
+    key: "power",
+    name: "Power",
+    color: "#7c3aed", // violet
+    needsPositiveX: true,
+    linearize: ({ x, y }) =>
+      y > 0 ? { x: Math.log(x), y: Math.log(y) } : null,
+    fromLine: ({ slope, intercept }) => ({ a: Math.exp(intercept), b: slope }),
+    predict: (x, { a, b }) => a * Math.pow(x, b),
+    equation: ({ a, b }) => `y = ${formatNumber(a)}·x^${formatNumber(b)}`,
+  },
+  {
+    key: "logarithmic",
+    name: "Logarithmic",
+    color: "#d97706", // amber
+    needsPositiveX: true,
+    linearize: ({ x, y }) => ({ x: Math.log(x), y }),
+    fromLine: ({ slope, intercept }) => ({ a: intercept, b: slope }),
+    predict: (x, { a, b }) => a + b * Math.log(x),
+    equation: ({ a, b }) =>
+      `y = ${formatNumber(a)} ${b < 0 ? "−" : "+"} ${formatNumber(Math.abs(b))}·ln x`,
+  },
+];
+
+/**
+ * Fit one comparison model to raw (x, y) points
+ * @param {Object} model - Entry of COMPARISON_MODELS
+ * @param {Array<Object>} points - [{x, y}, ...], at least 3
+ * @returns {Object} - {model, params, rss, rSquared, aic, bic, residuals}
+ *   or {model, error} when the model does not apply to the data
+ */
+const fitComparisonModel = (model, points) => {
+  if (model.needsPositiveX && points.some((point) => point.x <= 0)) {
+    return { model, error: "needs x > 0" };
+  }
+
+  // Start from the regression line of the linearized data when there is one
+  const linearized = points.map(model.linearize).filter(Boolean);
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  let initial = { a: meanY, b: 0 };
+  if (validateRegressionData(linearized).isValid) {
+    const line = calculateLinearRegression(linearized);
+    if (isFinite(line.slope) && isFinite(line.intercept)) {
+      initial = model.fromLine(line);
+    }
+  }
+
+  try {
+    const fit = fitCurve(model.predict, points, initial);
+    return {
+      model,
+      params: fit.estimates,
+      rss: fit.rss,
+      rSquared: fit.rSquared,
+      ...informationCriteria(fit.rss, points.length, 2),
+      residuals: fit.residuals,
+    };
+  } catch {
+    return { model, error: "fit failed" };
+  }
+};
 
 const LinearRegressionLogScalingTool = () => {
   const { theme, currentTheme } = useTheme();
@@ -24,9 +128,12 @@ const LinearRegressionLogScalingTool = () => {
   const canvasRef = useRef(null);
   // Transform ref for coordinate conversion
   const transformRef = useRef(null);
+  // Residual plots, one per comparison model
+  const residualCanvasRefs = useRef([]);
+  const residualTransformRefs = useRef([]);
 
   // Data state
-  const [tableData, setTableData] = useState([
+  const [tableData, setTableData] = useUrlState("tableData", [
     { x: 1, y: 2 },
     { x: 2, y: 4 },
     { x: 3, y: 8 },
@@ -35,23 +142,29 @@ const LinearRegressionLogScalingTool = () => {
   ]);
 
   // Scaling options state
-  const [xScale, setXScale] = useState("linear"); // "linear" or "log"
-  const [yScale, setYScale] = useState("linear"); // "linear" or "log"
-  const [logBase, setLogBase] = useState("log10"); // "log10", "log2", "ln"
+  const [xScale, setXScale] = useUrlState("xScale", "linear"); // "linear" or "log"
+  const [yScale, setYScale] = useUrlState("yScale", "linear"); // "linear" or "log"
+  const [logBase, setLogBase] = useUrlState("logBase", "log10"); // "log10", "log2", "ln"
 
   // Error state for invalid log operations
   const [logErrors, setLogErrors] = useState([]);
 
   // Regression state
-  const [showRegression, setShowRegression] = useState(false);
-  const [showVariance, setShowVariance] = useState(false);
-  const [showRSS, setShowRSS] = useState(false);
+  const [showRegression, setShowRegression] = useUrlState(
+    "showRegression",
+    false,
+  );
+  const [showVariance, setShowVariance] = useUrlState("showVariance", false);
+  const [showRSS, setShowRSS] = useUrlState("showRSS", false);
   const [regressionStats, setRegressionStats] = useState({
     slope: 0,
     intercept: 0,
     rSquared: 0,
   });
 
+  // Overlay the fitted comparison models on the data plot
+  const [showModels, setShowModels] = useUrlState("showModels", false);
+
   // Helper function to compute logarithm based on current base
   const computeLog = useCallback(
     (value) => {
@@ -63,6 +176,57 @@ const LinearRegressionLogScalingTool = () => {
     [logBase],
   );
 
+  // Inverse of computeLog, for mapping plot coordinates back to data
+  const inverseLog = useCallback(
+    (value) => {
+      if (logBase === "log2") return Math.pow(2, value);
+      if (logBase === "ln") return Math.exp(value);
+      return Math.pow(10, value);
+    },
+    [logBase],
+  );
+
+  // Fit every comparison model to the raw data, whatever the axis scaling
+  const comparison = useMemo(() => {
+    const points = tableData
+      .map((row) => ({ x: parseFloat(row.x), y: parseFloat(row.y) }))
+      .filter((point) => isFinite(point.x) && isFinite(point.y));
+    if (points.length < 3) return { points, fits: [] };
+
+    const fits = COMPARISON_MODELS.map((model) =>
+      fitComparisonModel(model, points),
+    );
+    const valid = fits.filter((fit) => !fit.error);
+    const bestBy = (key) =>
+      valid.reduce(
+        (best, fit) => (fit[key] < best[key] ? fit : best),
+        valid[0],
+      );
+    return {
+      points,
+      fits,
+      bestAic: bestBy("aic"),
+      bestBic: bestBy("bic"),
+    };
+  }, [tableData]);
+
+  // Shared residual axis so the plots can be compared by eye
+  const residualLimit =
+    1.1 *
+    (Math.max(
+      0,
+      ...comparison.fits.flatMap((fit) =>
+        fit.error ? [] : fit.residuals.map((r) => Math.abs(r.residual)),
+      ),
+    ) || 1);
+  const residualXRange = useMemo(() => {
+    const xs = comparison.points.map((point) => point.x);
+    if (xs.length === 0) return [0, 10];
+    const [min, max] = [Math.min(...xs), Math.max(...xs)];
+    const margin = (max - min) * 0.1 || 1;
+    return [min - margin, max + margin];
+  }, [comparison]);
+
   // Process data and check for log errors
   const processedData = useCallback(() => {
     const errors = [];
@@ -312,7 +476,7 @@ const LinearRegressionLogScalingTool = () => {
         }, 0);
       }
     },
-    [showRegression, calculateRegression],
+    [showRegression, calculateRegression, setTableData],
   );
 
   // Handle scaling changes - toggle off regression when changing scales
@@ -320,18 +484,21 @@ const LinearRegressionLogScalingTool = () => {
     setXScale((prev) => (prev === "linear" ? "log" : "linear"));
     // Turn off regression when changing scales
     setShowRegression(false);
-  }, []);
+  }, [setShowRegression, setXScale]);
 
   const handleYScaleToggle = useCallback(() => {
     setYScale((prev) => (prev === "linear" ? "log" : "linear"));
     // Turn off regression when changing scales
     setShowRegression(false);
-  }, []);
+  }, [setShowRegression, setYScale]);
 
   // Handle log base changes
-  const handleLogBaseChange = useCallback((base) => {
-    setLogBase(base);
-  }, []);
+  const handleLogBaseChange = useCallback(
+    (base) => {
+      setLogBase(base);
+    },
+    [setLogBase],
+  );
 
   // Update errors when data processing changes (including logarithm base changes)
   useEffect(() => {
@@ -357,7 +524,7 @@ const LinearRegressionLogScalingTool = () => {
       const regression = calculateRegression();
       setRegressionStats(regression);
     }
-  }, [showRegression, calculateRegression]);
+  }, [showRegression, calculateRegression, setShowRegression]);
 
   // Draw data points on canvas
   const drawDataPoints = useCallback(() => {
@@ -431,6 +598,37 @@ const LinearRegressionLogScalingTool = () => {
       ctx.stroke();
     }
 
+    // Draw the comparison models, mapped into the current axis scaling
+    if (showModels) {
+      comparison.fits.forEach((fit) => {
+        if (fit.error) return;
+        ctx.strokeStyle = fit.model.color;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([5, 3]);
+        ctx.beginPath();
+        let penDown = false;
+        for (let i = 0; i <= 200; i++) {
+          const plotX = xRange[0] + ((xRange[1] - xRange[0]) * i) / 200;
+          const x = xScale === "log" ? inverseLog(plotX) : plotX;
+          const y =
+            fit.model.needsPositiveX && x <= 0
+              ? NaN
+              : fit.model.predict(x, fit.params);
+          const plotY = yScale === "log" ? computeLog(y) : y;
+          if (!isFinite(plotY)) {
+            penDown = false;
+            continue;
+          }
+          const pixel = dataToPixel(plotX, plotY);
+          if (penDown) ctx.lineTo(pixel.x, pixel.y);
+          else ctx.moveTo(pixel.x, pixel.y);
+          penDown = true;
+        }
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+    }
+
     // Draw TSS visualization if enabled
     if (showVariance) {
       // Calculate mean Y value (based on current scaling)
@@ -552,8 +750,49 @@ const LinearRegressionLogScalingTool = () => {
     showVariance,
     showRSS,
     regressionStats,
+    showModels,
+    comparison,
+    inverseLog,
+    computeLog,
   ]);
 
+  // Draw each model's residuals as stems from zero
+  useEffect(() => {
+    comparison.fits.forEach((fit, index) => {
+      const canvas = residualCanvasRefs.current[index];
+      const transform = residualTransformRefs.current[index];
+      if (!canvas || !transform) return;
+
+      const ctx = canvas.getContext("2d");
+      const { dataToPixel } = transform;
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      if (fit.error) return;
+
+      const zeroLeft = dataToPixel(residualXRange[0], 0);
+      const zeroRight = dataToPixel(residualXRange[1], 0);
+      ctx.strokeStyle = currentTheme === "dark" ? "#9ca3af" : "#6b7280";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(zeroLeft.x, zeroLeft.y);
+      ctx.lineTo(zeroRight.x, zeroRight.y);
+      ctx.stroke();
+
+      ctx.strokeStyle = fit.model.color;
+      ctx.fillStyle = fit.model.color;
+      fit.residuals.forEach(({ x, residual }) => {
+        const base = dataToPixel(x, 0);
+        const pos = dataToPixel(x, residual);
+        ctx.beginPath();
+        ctx.moveTo(base.x, base.y);
+        ctx.lineTo(pos.x, pos.y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, 3, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+    });
+  }, [comparison, residualXRange, residualLimit, currentTheme]);
+
   // Initialize canvas and draw points when data or scaling changes
   useEffect(() => {
     if (canvasRef.current && transformRef.current) {
@@ -710,7 +949,7 @@ const LinearRegressionLogScalingTool = () => {
     <ToolContainer
       title="Linear Regression with Log Scaling"
       canvasWidth={11}
-      canvasHeight={6}
+      canvasHeight={9}
     >
       {/* Main Data Table */}
       <GridTableInput
@@ -960,6 +1199,158 @@ const LinearRegressionLogScalingTool = () => {
           <div>Model</div>
         </div>
       </GridButton>
+
+      {/* Comparison Models Overlay Toggle */}
+      <GridButton
+        x={9}
+        y={5}
+        w={2}
+        h={1}
+        type="toggle"
+        variant="function"
+        active={showModels}
+        onToggle={setShowModels}
+        tooltip="Draw the fitted linear, exponential, power and logarithmic models on the plot"
+        theme={theme}
+      >
+        <div style={{ textAlign: "center", lineHeight: "1.1" }}>
+          <div>{showModels ? "Hide" : "Show"}</div>
+          <div>Model Curves</div>
+        </div>
+      </GridButton>
+
+      {/* Model Comparison Panel */}
+      <GridDisplay
+        x={0}
+        y={6}
+        w={3}
+        h={3}
+        variant="info"
+        align="left"
+        fontSize="small"
+        tooltip="Models fitted to the raw data by least squares. Lower AIC and BIC are better."
+        theme={theme}
+      >
+        <div style={{ padding: "4px" }}>
+          <div style={{ fontWeight: "bold", marginBottom: "4px" }}>
+            Model Comparison
+          </div>
+          {comparison.fits.length === 0 ? (
+            <div style={{ fontSize: "0.85em" }}>
+              Enter at least 3 points to compare models.
+            </div>
+          ) : (
+            <div style={{ fontSize: "0.8em", lineHeight: "1.3" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ textAlign: "right" }}>
+                    <th style={{ textAlign: "left" }}>Model</th>
+                    <th>R²</th>
+                    <th>RSS</th>
+                    <th>AIC</th>
+                    <th>BIC</th>
+                    <th>ΔAIC</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.fits.map((fit) => (
+                    <tr
+                      key={fit.model.key}
+                      style={{
+                        textAlign: "right",
+                        fontWeight:
+                          fit === comparison.bestAic ? "bold" : "normal",
+                      }}
+                    >
+                      <td style={{ textAlign: "left", color: fit.model.color }}>
+                        {fit.model.name}
+                      </td>
+                      {fit.error ? (
+                        <td colSpan={5} style={{ textAlign: "center" }}>
+                          {fit.error}
+                        </td>
+                      ) : (
+                        <>
+                          <td>{fit.rSquared.toFixed(3)}</td>
+                          <td>{formatNumber(fit.rss)}</td>
+                          <td>{formatCriterion(fit.aic)}</td>
+                          <td>{formatCriterion(fit.bic)}</td>
+                          <td>
+                            {fit === comparison.bestAic
+                              ? "0.0"
+                              : formatCriterion(
+                                  fit.aic - comparison.bestAic.aic,
+                                )}
+                          </td>
+                        </>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div style={{ marginTop: "4px", fontFamily: "monospace" }}>
+                {comparison.fits
+                  .filter((fit) => !fit.error)
+                  .map((fit) => (
+                    <div key={fit.model.key} style={{ color: fit.model.color }}>
+                      {fit.model.equation(fit.params)}
+                    </div>
+                  ))}
+              </div>
+              {comparison.bestAic && (
+                <div style={{ marginTop: "4px" }}>
+                  Best by AIC: {comparison.bestAic.model.name}
+                  {comparison.bestBic !== comparison.bestAic &&
+                    ` (BIC: ${comparison.bestBic.model.name})`}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </GridDisplay>
+
+      {/* Residual Plots, one per model */}
+      {COMPARISON_MODELS.map((model, index) => {
+        const fit = comparison.fits[index];
+        return (
+          <GridGraph
+            key={model.key}
+            x={3 + 2 * index}
+            y={6}
+            w={2}
+            h={3}
+            title={
+              fit?.error ? `${model.name} (${fit.error})` : `${model.name}`
+            }
+            xLabel="X"
+            yLabel="residual"
+            xRange={residualXRange}
+            yRange={[-residualLimit, residualLimit]}
+            xTicks={generateLinearTicks(...residualXRange, 4)}
+            yTicks={[
+              parseFloat((-residualLimit / 1.1).toPrecision(2)),
+              0,
+              parseFloat((residualLimit / 1.1).toPrecision(2)),
+            ]}
+            tooltip={`Residuals (Y minus fitted value) of the ${model.name.toLowerCase()} model, on a scale shared by all four plots`}
+            theme={theme}
+          >
+            {(transform) => {
+              residualTransformRefs.current[index] = transform;
+              return (
+                <canvas
+                  ref={(canvas) => {
+                    residualCanvasRefs.current[index] = canvas;
+                  }}
+                  style={{ ...transform.plotStyle, pointerEvents: "none" }}
+                  width={transform.plotWidth}
+                  height={transform.plotHeight}
+                />
+              );
+            }}
+          </GridGraph>
+        );
+      })}
     </ToolContainer>
   );
 };
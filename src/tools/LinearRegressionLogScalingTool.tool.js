@@ -0,0 +1,17 @@
+// src/tools/LinearRegressionLogScalingTool.tool.js
+// Menu entry for LinearRegressionLogScalingTool; the component itself loads on first use
+
+export default {
+  id: "linear-regression-log-scaling",
+  name: "Linear Regression with Log Scaling",
+  description:
+    "Interactive data visualization tool with linear and logarithmic scaling options, plus linear regression analysis and a comparison of linear, exponential, power-law and logarithmic models by R², AIC and BIC.",
+  categories: {
+    topics: [],
+    toolType: "calculator",
+    lab: null,
+  },
+  visibility: "student",
+  help: "linear-regression-log-scaling.md",
+  load: () => import("./LinearRegressionLogScalingTool"),
+};
@@ -1,6 +1,12 @@
 // src/tools/LogisticGrowthExplorerTool.jsx
 
-import React, { useState, useCallback, useRef, useEffect } from "react";
+import React, {
+  useState,
+  useCallback,
+  useRef,
+  useEffect,
+  useMemo,
+} from "react";
 import {
   GridTableInput,
   GridGraph,
@@ -13,6 +19,45 @@ import {
 import ToolContainer from "../components/ui/ToolContainer";
 import Equation from "../components/Equation";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
+import { fitCurve } from "../utils/curveFitting";
+
+const PARAMETER_LABELS = { C: "C", b: "b", t0: "t₀" };
+
+// P(t) = C * e^(b(t-t0)) / (1 + e^(b(t-t0))), guarded against overflow
+const logistic = (t, { C, b, t0 }) => {
+  const exponent = b * (t - t0);
+  if (exponent > 100) return C;
+  if (exponent < -100) return 0;
+  return (C * Math.exp(exponent)) / (1 + Math.exp(exponent));
+};
+
+/**
+ * Rough logistic parameters read off the data: C a little above the
+ * largest value, t0 where the data first cross C/2, and b giving a
+ * transition about as wide as the time span
+ * @param {Array<Object>} points - [{t, P}, ...] sorted by t
+ * @returns {Object} - {C, b, t0}
+ */
+const guessParameters = (points) => {
+  const C = 1.1 * Math.max(...points.map((p) => p.P));
+  const tSpan = points[points.length - 1].t - points[0].t || 1;
+  const crossing = points.findIndex((p) => p.P >= C / 2);
+  let t0 = points[0].t + tSpan / 2;
+  if (crossing > 0) {
+    const before = points[crossing - 1];
+    const after = points[crossing];
+    t0 =
+      before.t +
+      ((C / 2 - before.P) / (after.P - before.P)) * (after.t - before.t);
+  } else if (crossing === 0) {
+    t0 = points[0].t;
+  }
+  return { C, b: 8 / tSpan, t0 };
+};
+
+const formatNumber = (value) =>
+  isFinite(value) ? parseFloat(value.toPrecision(4)).toString() : "n/a";
 
 const LogisticGrowthExplorerTool = () => {
   const { theme, currentTheme } = useTheme();
@@ -20,15 +65,17 @@ const LogisticGrowthExplorerTool = () => {
   // Canvas and transform refs
   const canvasRef = useRef(null);
   const transformRef = useRef(null);
+  const residualCanvasRef = useRef(null);
+  const residualTransformRef = useRef(null);
 
   // Parameters for logistic growth model
   // P(t) = C * e^(b(t-t0)) / (1 + e^(b(t-t0)))
-  const [C, setC] = useState(100); // Carrying capacity
-  const [b, setB] = useState(0.5); // Growth rate (stretch parameter)
-  const [t0, setT0] = useState(10); // Time shift
+  const [C, setC] = useUrlState("C", 100); // Carrying capacity
+  const [b, setB] = useUrlState("b", 0.5); // Growth rate (stretch parameter)
+  const [t0, setT0] = useUrlState("t0", 10); // Time shift
 
   // Data table state - initial empty data
-  const [tableData, setTableData] = useState([
+  const [tableData, setTableData] = useUrlState("tableData", [
     { t: "", P: "" },
     { t: "", P: "" },
     { t: "", P: "" },
@@ -40,37 +87,33 @@ const LogisticGrowthExplorerTool = () => {
   ]);
 
   // RSS visualization toggle
-  const [showRSS, setShowRSS] = useState(false);
+  const [showRSS, setShowRSS] = useUrlState("showRSS", false);
 
   // RSS value for display
   const [rssValue, setRssValue] = useState(0);
 
+  // Result of the last Best Fit, with the data it was fitted to
+  const [fitResult, setFitResult] = useState(null);
+
   // Logistic growth function
   const logisticFunction = useCallback(
-    (t) => {
-      const exponent = b * (t - t0);
-      // Prevent overflow for large exponents
-      if (exponent > 100) return C;
-      if (exponent < -100) return 0;
-      return (C * Math.exp(exponent)) / (1 + Math.exp(exponent));
-    },
+    (t) => logistic(t, { C, b, t0 }),
     [C, b, t0],
   );
 
+  // Valid (t, P) pairs from the table, in time order
+  const validPoints = useMemo(
+    () =>
+      tableData
+        .map((row) => ({ t: parseFloat(row.t), P: parseFloat(row.P) }))
+        .filter((point) => !isNaN(point.t) && !isNaN(point.P))
+        .sort((p1, p2) => p1.t - p2.t),
+    [tableData],
+  );
+  const dataKey = JSON.stringify(validPoints);
+
   // Calculate axis ranges based on data and model
   const calculateAxisRanges = useCallback(() => {
-    // Get valid data points
-    const validPoints = tableData
-      .filter((row) => {
-        const t = parseFloat(row.t);
-        const P = parseFloat(row.P);
-        return !isNaN(t) && !isNaN(P);
-      })
-      .map((row) => ({
-        t: parseFloat(row.t),
-        P: parseFloat(row.P),
-      }));
-
     // Default ranges
     let tMin = 0;
     let tMax = 20;
@@ -96,21 +139,10 @@ const LogisticGrowthExplorerTool = () => {
       tRange: [tMin - tRange * 0.05, tMax + tRange * 0.1],
       PRange: [PMin, PMax + PRange * 0.1],
     };
-  }, [tableData, C]);
+  }, [validPoints, C]);
 
   // Calculate RSS
   const calculateRSS = useCallback(() => {
-    const validPoints = tableData
-      .filter((row) => {
-        const t = parseFloat(row.t);
-        const P = parseFloat(row.P);
-        return !isNaN(t) && !isNaN(P);
-      })
-      .map((row) => ({
-        t: parseFloat(row.t),
-        P: parseFloat(row.P),
-      }));
-
     if (validPoints.length === 0) {
       return 0;
     }
@@ -122,7 +154,7 @@ const LogisticGrowthExplorerTool = () => {
     }, 0);
 
     return rss;
-  }, [tableData, logisticFunction]);
+  }, [validPoints, logisticFunction]);
 
   // Update RSS when data or parameters change
   useEffect(() => {
@@ -131,9 +163,12 @@ const LogisticGrowthExplorerTool = () => {
   }, [calculateRSS]);
 
   // Handle data changes from table
-  const handleDataChange = useCallback((newData) => {
-    setTableData(newData);
-  }, []);
+  const handleDataChange = useCallback(
+    (newData) => {
+      setTableData(newData);
+    },
+    [setTableData],
+  );
 
   // Clear all data
   const handleClearData = useCallback(() => {
@@ -147,7 +182,62 @@ const LogisticGrowthExplorerTool = () => {
       { t: "", P: "" },
       { t: "", P: "" },
     ]);
-  }, []);
+  }, [setTableData]);
+
+  // Least-squares fit of C, b and t0, started from both the current
+  // parameters and a guess read off the data; the better fit wins
+  const handleBestFit = useCallback(() => {
+    if (validPoints.length < 3) {
+      alert("Enter at least 3 data points to fit the model.");
+      return;
+    }
+
+    const points = validPoints.map((point) => ({ x: point.t, y: point.P }));
+    const fits = [{ C, b, t0 }, guessParameters(validPoints)]
+      .map((initial) => {
+        try {
+          return fitCurve(logistic, points, initial, {
+            bounds: { C: [1e-9, null], b: [0, null] },
+          });
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    if (fits.length === 0) {
+      alert("Could not fit the model to this data.");
+      return;
+    }
+
+    const best = fits.reduce((a, c) => (c.rss < a.rss ? c : a));
+    setC(best.estimates.C);
+    setB(best.estimates.b);
+    setT0(best.estimates.t0);
+    setFitResult({ ...best, dataKey });
+  }, [validPoints, dataKey, C, b, t0, setC, setB, setT0]);
+
+  // The fit display goes stale once the data or parameters move away
+  const fitIsCurrent =
+    fitResult !== null &&
+    fitResult.dataKey === dataKey &&
+    Object.entries({ C, b, t0 }).every(
+      ([name, value]) =>
+        Math.abs(value - fitResult.estimates[name]) <=
+        1e-9 * Math.max(1, Math.abs(value)),
+    );
+
+  // Residuals of the current model
+  const residuals = useMemo(
+    () =>
+      validPoints.map((point) => ({
+        t: point.t,
+        residual: point.P - logisticFunction(point.t),
+      })),
+    [validPoints, logisticFunction],
+  );
+  const residualLimit =
+    1.1 * (Math.max(0, ...residuals.map((r) => Math.abs(r.residual))) || 1);
 
   // Draw visualization on canvas
   const drawVisualization = useCallback(() => {
@@ -193,18 +283,6 @@ const LogisticGrowthExplorerTool = () => {
     }
     ctx.stroke();
 
-    // Get valid data points
-    const validPoints = tableData
-      .filter((row) => {
-        const t = parseFloat(row.t);
-        const P = parseFloat(row.P);
-        return !isNaN(t) && !isNaN(P);
-      })
-      .map((row) => ({
-        t: parseFloat(row.t),
-        P: parseFloat(row.P),
-      }));
-
     // Draw RSS squares if enabled
     if (showRSS) {
       validPoints.forEach((point) => {
@@ -250,7 +328,7 @@ const LogisticGrowthExplorerTool = () => {
   }, [
     calculateAxisRanges,
     logisticFunction,
-    tableData,
+    validPoints,
     showRSS,
     currentTheme,
     C,
@@ -263,6 +341,43 @@ const LogisticGrowthExplorerTool = () => {
 
   const { tRange, PRange } = calculateAxisRanges();
 
+  // Draw residuals as stems from the zero line
+  useEffect(() => {
+    const canvas = residualCanvasRef.current;
+    const transform = residualTransformRef.current;
+    if (!canvas || !transform) return;
+
+    const ctx = canvas.getContext("2d");
+    const { plotWidth, plotHeight, dataToPixel } = transform;
+    const { tRange } = calculateAxisRanges();
+    ctx.clearRect(0, 0, plotWidth, plotHeight);
+
+    const zeroLeft = dataToPixel(tRange[0], 0);
+    const zeroRight = dataToPixel(tRange[1], 0);
+    ctx.strokeStyle = currentTheme === "dark" ? "#ef4444" : "#dc2626";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(zeroLeft.x, zeroLeft.y);
+    ctx.lineTo(zeroRight.x, zeroRight.y);
+    ctx.stroke();
+
+    const pointColor = currentTheme === "dark" ? "#60a5fa" : "#2563eb";
+    residuals.forEach(({ t, residual }) => {
+      const base = dataToPixel(t, 0);
+      const pos = dataToPixel(t, residual);
+      ctx.strokeStyle = pointColor;
+      ctx.beginPath();
+      ctx.moveTo(base.x, base.y);
+      ctx.lineTo(pos.x, pos.y);
+      ctx.stroke();
+
+      ctx.fillStyle = pointColor;
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, 4, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+  }, [residuals, residualLimit, calculateAxisRanges, currentTheme]);
+
   // Generate Y-axis ticks including carrying capacity C
   const generateYTicks = useCallback(() => {
     const [pMin, pMax] = PRange;
@@ -352,7 +467,7 @@ const LogisticGrowthExplorerTool = () => {
   return (
     <ToolContainer
       title="Logistic Growth Explorer"
-      canvasWidth={11}
+      canvasWidth={13}
       canvasHeight={6}
     >
       {/* Data Table */}
@@ -426,7 +541,7 @@ const LogisticGrowthExplorerTool = () => {
         x={2}
         y={0}
         w={7}
-        h={6}
+        h={4}
         title="Logistic Growth Model"
         xLabel="Time (t)"
         yLabel="Population (P)"
@@ -454,6 +569,43 @@ const LogisticGrowthExplorerTool = () => {
         }}
       </GridGraph>
 
+      {/* Residual Plot */}
+      <GridGraph
+        x={2}
+        y={4}
+        w={7}
+        h={2}
+        title="Residuals"
+        xLabel="Time (t)"
+        yLabel="P − model"
+        xRange={tRange}
+        yRange={[-residualLimit, residualLimit]}
+        xTicks={xTicks}
+        yTicks={[
+          parseFloat((-residualLimit / 1.1).toPrecision(2)),
+          0,
+          parseFloat((residualLimit / 1.1).toPrecision(2)),
+        ]}
+        theme={theme}
+      >
+        {(transform) => {
+          residualTransformRef.current = transform;
+          const { plotWidth, plotHeight, plotStyle } = transform;
+
+          return (
+            <canvas
+              ref={residualCanvasRef}
+              style={{
+                ...plotStyle,
+                pointerEvents: "none",
+              }}
+              width={plotWidth}
+              height={plotHeight}
+            />
+          );
+        }}
+      </GridGraph>
+
       {/* Parameter: Carrying Capacity (C) */}
       <GridInput
         x={9}
@@ -600,6 +752,73 @@ const LogisticGrowthExplorerTool = () => {
           <sup>2</sup>
         </div>
       </GridDisplay>
+
+      {/* Fit Results */}
+      <GridDisplay
+        x={11}
+        y={0}
+        w={2}
+        h={5}
+        variant="info"
+        align="left"
+        fontSize="small"
+        theme={theme}
+      >
+        <div style={{ padding: "4px", lineHeight: "1.4" }}>
+          <div style={{ fontWeight: "bold", marginBottom: "4px" }}>
+            Least-squares fit
+          </div>
+          {fitResult === null ? (
+            <div style={{ opacity: 0.7 }}>
+              Press Best Fit to estimate C, b and t₀ from the data.
+            </div>
+          ) : (
+            <div style={{ opacity: fitIsCurrent ? 1 : 0.5 }}>
+              {Object.keys(PARAMETER_LABELS).map((name) => (
+                <div key={name} style={{ marginBottom: "4px" }}>
+                  <div>
+                    {PARAMETER_LABELS[name]} ={" "}
+                    {formatNumber(fitResult.estimates[name])} ±{" "}
+                    {formatNumber(fitResult.standardErrors[name])}
+                  </div>
+                  <div style={{ fontSize: "0.85em" }}>
+                    95% CI [
+                    {formatNumber(fitResult.confidenceIntervals[name][0])},{" "}
+                    {formatNumber(fitResult.confidenceIntervals[name][1])}]
+                  </div>
+                </div>
+              ))}
+              <div>RSS = {formatNumber(fitResult.rss)}</div>
+              <div>R² = {formatNumber(fitResult.rSquared)}</div>
+              <div>
+                n = {fitResult.residuals.length}, df = {fitResult.dof}
+              </div>
+              {!fitIsCurrent && (
+                <div style={{ fontStyle: "italic" }}>
+                  Data or parameters changed since the fit
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </GridDisplay>
+
+      {/* Best Fit Button */}
+      <GridButton
+        x={11}
+        y={5}
+        w={2}
+        h={1}
+        variant="function"
+        onPress={handleBestFit}
+        tooltip="Fit C, b and t₀ to the data by nonlinear least squares"
+        theme={theme}
+      >
+        <div style={{ textAlign: "center", lineHeight: "1.1" }}>
+          <div>Best</div>
+          <div>Fit</div>
+        </div>
+      </GridButton>
     </ToolContainer>
   );
 };
@@ -0,0 +1,17 @@
+// src/tools/LogisticGrowthExplorerTool.tool.js
+// Menu entry for LogisticGrowthExplorerTool; the component itself loads on first use
+
+export default {
+  id: "logistic-growth-explorer",
+  name: "Logistic Growth Explorer",
+  description:
+    "Interactive tool for exploring logistic growth dynamics with data fitting. Adjust carrying capacity, growth rate, and time shift to match experimental population data, or find the least-squares best fit with standard errors and confidence intervals.",
+  categories: {
+    topics: ["ecology"],
+    toolType: "explorer",
+    lab: "lab3",
+  },
+  visibility: "student",
+  help: "logistic-growth-explorer.md",
+  load: () => import("./LogisticGrowthExplorerTool"),
+};
@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useCallback } from "react";
+import React, { useMemo, useCallback } from "react";
 import {
   GridButton,
   GridInput,
@@ -7,6 +7,7 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
 import {
   identity,
   zeros,
@@ -25,14 +26,20 @@ const MatrixVectorCalculatorTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // Dimension state
-  const [dim, setDim] = useState(2);
+  const [dim, setDim] = useUrlState("dim", 2, { min: 2, max: 4, integer: true });
 
   // Input state
-  const [matM, setMatM] = useState(identity(2));
-  const [matN, setMatN] = useState(zeros(2, 2));
-  const [vecV, setVecV] = useState(ones(2));
-  const [vecW, setVecW] = useState(zerosVec(2));
-  const [lambda, setLambda] = useState(1);
+  const [storedM, setMatM] = useUrlState("matM", identity(2));
+  const [storedN, setMatN] = useUrlState("matN", zeros(2, 2));
+  const [storedV, setVecV] = useUrlState("vecV", ones(2));
+  const [storedW, setVecW] = useUrlState("vecW", zerosVec(2));
+  const [lambda, setLambda] = useUrlState("lambda", 1);
+
+  // A link can pair any dimension with inputs of any shape, so fit them to it
+  const matM = useMemo(() => resizeMatrix(storedM, dim, dim, identity(dim)), [storedM, dim]);
+  const matN = useMemo(() => resizeMatrix(storedN, dim, dim, zeros(dim, dim)), [storedN, dim]);
+  const vecV = useMemo(() => resizeVector(storedV, dim, ones(dim)), [storedV, dim]);
+  const vecW = useMemo(() => resizeVector(storedW, dim, zerosVec(dim)), [storedW, dim]);
 
   // Dimension cycling
   const cycleDim = useCallback(() => {
@@ -42,7 +49,7 @@ const MatrixVectorCalculatorTool = () => {
     setMatN((prev) => resizeMatrix(prev, nextDim, nextDim, zeros(nextDim, nextDim)));
     setVecV((prev) => resizeVector(prev, nextDim, ones(nextDim)));
     setVecW((prev) => resizeVector(prev, nextDim, zerosVec(nextDim)));
-  }, [dim]);
+  }, [dim, setDim, setMatM, setMatN, setVecV, setVecW]);
 
   // Computed results (all 7 operations)
   const mPlusN = useMemo(() => matAdd(matM, matN), [matM, matN]);
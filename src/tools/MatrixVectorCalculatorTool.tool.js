@@ -0,0 +1,16 @@
+// src/tools/MatrixVectorCalculatorTool.tool.js
+// Menu entry for MatrixVectorCalculatorTool; the component itself loads on first use
+
+export default {
+  id: "matrix-vector-calculator",
+  name: "Matrix & Vector Calculator",
+  description:
+    "Matrix addition, multiplication, and matrix-vector operations for 2x2, 3x3, and 4x4 dimensions.",
+  categories: {
+    topics: ["physical"],
+    toolType: "calculator",
+    lab: "lab1",
+  },
+  visibility: "dev",
+  load: () => import("./MatrixVectorCalculatorTool"),
+};
@@ -12,16 +12,18 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
 import Equation from "../components/Equation";
+import { solveDDE } from "../utils/ddeSolver";
 
 const MuscleTremorSimulatorTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // UI State - Parameters
   const Leq = 20; // Equilibrium length (cm) - fixed at 20
-  const [r, setR] = useState(50); // Reflex magnitude (0-100, equation uses r/1000 for unit conversion)
-  const [tau, setTau] = useState(10); // Time delay (ms)
-  const [L0, setL0] = useState(25); // Initial length (cm)
+  const [r, setR] = useUrlState("r", 50); // Reflex magnitude (0-100, equation uses r/1000 for unit conversion)
+  const [tau, setTau] = useUrlState("tau", 10); // Time delay (ms)
+  const [L0, setL0] = useUrlState("L0", 25); // Initial length (cm)
 
   // Simulation state
   const [simulationData, setSimulationData] = useState([]);
@@ -37,60 +39,8 @@ const MuscleTremorSimulatorTool = () => {
   const forearmCanvasRef = useRef(null);
   const transformRef = useRef(null);
 
-  // RK4 integration for delay differential equation
-  // Adapted from OneDimensionalCalculator - proper RK4 for DDEs
-  const rk4Step = useCallback((history, dt, params) => {
-    const { r, Leq, tau } = params;
-    const currentL = history[history.length - 1].L;
-    const currentT = history[history.length - 1].t;
-
-    // Helper to get delayed value L(t - tau) at a specific time
-    const getDelayedL = (t) => {
-      if (tau === 0) return currentL;
-
-      const targetTime = t - tau;
-
-      // Find the closest history point to targetTime
-      // History is stored chronologically, so we search backwards
-      for (let i = history.length - 1; i >= 0; i--) {
-        if (history[i].t <= targetTime) {
-          // Linear interpolation for precision between timesteps
-          if (i < history.length - 1) {
-            const t0 = history[i].t;
-            const t1 = history[i + 1].t;
-            const L0 = history[i].L;
-            const L1 = history[i + 1].L;
-            const alpha = (targetTime - t0) / (t1 - t0);
-            return L0 + alpha * (L1 - L0);
-          }
-          return history[i].L;
-        }
-      }
-
-      // If we don't have enough history, use the initial value
-      return history[0].L;
-    };
-
-    // L'(t) = (r/1000) * (Leq - L(t - tau))
-    // r is 0-100, divided by 1000 to convert from cm/s to cm/ms
-    const derivative = (L, t) => {
-      const L_delayed = getDelayedL(t);
-      return (r / 1000) * (Leq - L_delayed);
-    };
-
-    // RK4 steps - each step evaluates derivative at different times
-    const k1 = derivative(currentL, currentT);
-    const k2 = derivative(currentL + 0.5 * dt * k1, currentT + 0.5 * dt);
-    const k3 = derivative(currentL + 0.5 * dt * k2, currentT + 0.5 * dt);
-    const k4 = derivative(currentL + dt * k3, currentT + dt);
-
-    let newL = currentL + (dt / 6) * (k1 + 2 * k2 + 2 * k3 + k4);
-
-    // Apply physical constraints: 10 cm <= L <= 30 cm
-    newL = Math.max(10, Math.min(30, newL));
-
-    return newL;
-  }, []);
+  // Interpolated solution history, used to place the delayed-state marker
+  const historyRef = useRef(null);
 
   // Oscillation detection state
   const [oscillationStats, setOscillationStats] = useState({
@@ -102,18 +52,21 @@ const MuscleTremorSimulatorTool = () => {
   const runSimulation = useCallback(() => {
     const dt = 1; // 1 ms timestep
     const tMax = 2000; // 2 seconds = 2000 ms
-    const params = { r, Leq, tau };
 
-    const data = [];
-    const history = [{ t: 0, L: L0 }];
-    data.push({ t: 0, L: L0 });
-
-    for (let t = dt; t <= tMax; t += dt) {
-      const newL = rk4Step(history, dt, params);
-      const newPoint = { t, L: newL };
-      history.push(newPoint);
-      data.push(newPoint);
-    }
+    // L'(t) = (r/1000) * (Leq - L(t - tau))
+    // r is 0-100, divided by 1000 to convert from cm/s to cm/ms
+    const history = solveDDE(
+      (t, L, [[L_delayed]]) => [(r / 1000) * (Leq - L_delayed)],
+      [L0],
+      0,
+      tMax,
+      dt,
+      [tau],
+      // Apply physical constraints: 10 cm <= L <= 30 cm
+      { adjust: ([L]) => [Math.max(10, Math.min(30, L))] },
+    );
+    const data = history.points.map((point) => ({ t: point.t, L: point.y[0] }));
+    historyRef.current = history;
 
     setSimulationData(data);
 
@@ -178,7 +131,7 @@ const MuscleTremorSimulatorTool = () => {
     } else {
       setOscillationStats({ period: null, frequency: null });
     }
-  }, [r, Leq, tau, L0, rk4Step]);
+  }, [r, Leq, tau, L0]);
 
   // Draw simulation on canvas
   const drawSimulation = useCallback(() => {
@@ -256,28 +209,10 @@ const MuscleTremorSimulatorTool = () => {
     }
 
     // Draw delayed state (red dot) if tau > 0
-    if (tau > 0 && simulationData.length > 0) {
+    if (tau > 0 && simulationData.length > 0 && historyRef.current) {
       const lastPoint = simulationData[simulationData.length - 1];
       const lastT = lastPoint.t;
-      const targetTime = lastT - tau;
-
-      // Find the delayed point using the same interpolation logic
-      let delayedL = L0; // Default to initial value
-      for (let i = simulationData.length - 1; i >= 0; i--) {
-        if (simulationData[i].t <= targetTime) {
-          if (i < simulationData.length - 1) {
-            const t0 = simulationData[i].t;
-            const t1 = simulationData[i + 1].t;
-            const L0_interp = simulationData[i].L;
-            const L1_interp = simulationData[i + 1].L;
-            const alpha = (targetTime - t0) / (t1 - t0);
-            delayedL = L0_interp + alpha * (L1_interp - L0_interp);
-          } else {
-            delayedL = simulationData[i].L;
-          }
-          break;
-        }
-      }
+      const [delayedL] = historyRef.current.evaluate(lastT - tau);
 
       const delayedPos = dataToPixel(lastT, delayedL);
 
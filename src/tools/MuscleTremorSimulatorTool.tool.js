@@ -0,0 +1,17 @@
+// src/tools/MuscleTremorSimulatorTool.tool.js
+// Menu entry for MuscleTremorSimulatorTool; the component itself loads on first use
+
+export default {
+  id: "muscle-tremor-simulator",
+  name: "Muscle Tremor Simulator",
+  description:
+    "Explore delay differential equations in muscle physiology. Model the reflex arc with adjustable neural delay to observe tremor dynamics and stability boundaries.",
+  categories: {
+    topics: ["physiology"],
+    toolType: "simulation",
+    lab: "lab4",
+  },
+  visibility: "student",
+  help: "muscle-tremor-simulator.md",
+  load: () => import("./MuscleTremorSimulatorTool"),
+};
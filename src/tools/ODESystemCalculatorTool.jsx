@@ -0,0 +1,1174 @@
+// src/tools/ODESystemCalculatorTool.jsx
+
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import {
+  GridTableInput,
+  GridGraph,
+  GridButton,
+  GridDisplay,
+  GridInput,
+  GridWheelSelector,
+} from "../components/grid";
+import ToolContainer from "../components/ui/ToolContainer";
+import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { DynamicalSystemND } from "../utils/equationParser";
+import { fitODEModel, interpolateTimeSeries } from "../utils/curveFitting";
+import { parseCsv } from "../utils/dataExport";
+
+// Largest number of RK4 steps per run (keeps the page responsive)
+const MAX_STEPS = 50000;
+
+// Line colors for state variables (cycled if there are more variables)
+const SERIES_COLORS = [
+  "#2563eb", // blue
+  "#dc2626", // red
+  "#16a34a", // green
+  "#d97706", // amber
+  "#7c3aed", // violet
+  "#db2777", // pink
+  "#0891b2", // cyan
+  "#65a30d", // lime
+  "#475569", // slate
+];
+
+// Example systems. Table cells are strings, as typed by the user.
+const EXAMPLE_SYSTEMS = {
+  SIR: {
+    variables: [
+      { name: "S", equation: "-b*S*I/N", initial: "990" },
+      { name: "I", equation: "b*S*I/N - g*I", initial: "10" },
+      { name: "R", equation: "g*I", initial: "0" },
+    ],
+    parameters: [
+      { name: "b", value: "0.3" },
+      { name: "g", value: "0.1" },
+      { name: "N", value: "1000" },
+    ],
+    tMax: 160,
+    dt: 0.1,
+    projection: ["S", "I"],
+  },
+  "Food Chain": {
+    variables: [
+      { name: "X", equation: "X*(1-X) - a1*X*Y/(1+b1*X)", initial: "0.8" },
+      {
+        name: "Y",
+        equation: "a1*X*Y/(1+b1*X) - a2*Y*Z/(1+b2*Y) - d1*Y",
+        initial: "0.2",
+      },
+      { name: "Z", equation: "a2*Y*Z/(1+b2*Y) - d2*Z", initial: "8" },
+    ],
+    parameters: [
+      { name: "a1", value: "5" },
+      { name: "b1", value: "3" },
+      { name: "a2", value: "0.1" },
+      { name: "b2", value: "2" },
+      { name: "d1", value: "0.4" },
+      { name: "d2", value: "0.01" },
+    ],
+    tMax: 1000,
+    dt: 0.05,
+    projection: ["X", "Y"],
+  },
+  Lorenz: {
+    variables: [
+      { name: "X", equation: "s*(Y - X)", initial: "1" },
+      { name: "Y", equation: "X*(r - Z) - Y", initial: "1" },
+      { name: "Z", equation: "X*Y - b*Z", initial: "1" },
+    ],
+    parameters: [
+      { name: "s", value: "10" },
+      { name: "r", value: "28" },
+      { name: "b", value: "2.667" },
+    ],
+    tMax: 40,
+    dt: 0.01,
+    projection: ["X", "Z"],
+  },
+  "Hodgkin-Huxley": {
+    variables: [
+      {
+        name: "V",
+        equation: "(I - gNa*m^3*h*(V-ENa) - gK*n^4*(V-EK) - gL*(V-EL))/C",
+        initial: "-65",
+      },
+      {
+        name: "m",
+        equation: "0.1*(V+40)/(1-exp(-(V+40)/10))*(1-m) - 4*exp(-(V+65)/18)*m",
+        initial: "0.05",
+      },
+      {
+        name: "h",
+        equation: "0.07*exp(-(V+65)/20)*(1-h) - h/(1+exp(-(V+35)/10))",
+        initial: "0.6",
+      },
+      {
+        name: "n",
+        equation:
+          "0.01*(V+55)/(1-exp(-(V+55)/10))*(1-n) - 0.125*exp(-(V+65)/80)*n",
+        initial: "0.32",
+      },
+    ],
+    parameters: [
+      { name: "I", value: "10" },
+      { name: "gNa", value: "120" },
+      { name: "gK", value: "36" },
+      { name: "gL", value: "0.3" },
+      { name: "ENa", value: "50" },
+      { name: "EK", value: "-77" },
+      { name: "EL", value: "-54.4" },
+      { name: "C", value: "1" },
+    ],
+    tMax: 50,
+    dt: 0.01,
+    projection: ["V", "n"],
+  },
+  // Prey regulation responds to the prey density tau time units ago
+  "Delayed Predator-Prey": {
+    variables: [
+      { name: "X", equation: "r*X*(1 - X(t - tau)/K) - a*X*Y", initial: "8" },
+      { name: "Y", equation: "b*X*Y - d*Y", initial: "1" },
+    ],
+    parameters: [
+      { name: "r", value: "1" },
+      { name: "K", value: "10" },
+      { name: "a", value: "0.5" },
+      { name: "b", value: "0.1" },
+      { name: "d", value: "0.5" },
+      { name: "tau", value: "2" },
+    ],
+    tMax: 200,
+    dt: 0.05,
+    projection: ["X", "Y"],
+  },
+};
+
+const EXAMPLE_NAMES = Object.keys(EXAMPLE_SYSTEMS);
+
+// Empty rows for the observed data table
+const EMPTY_OBSERVATIONS = Array.from({ length: 6 }, () => ({
+  t: "",
+  variable: "",
+  value: "",
+}));
+
+// Entries in the parameters table's Fit column that mark a parameter
+const isMarkedForFit = (cell) =>
+  /^\s*(y|yes|x|✓|1|true)\s*$/i.test(String(cell ?? ""));
+
+/**
+ * Read observations from CSV text, either wide (a time column followed by
+ * one column per state variable) or long (t, variable, value columns)
+ * @param {string} text - CSV text
+ * @param {Array<string>} names - State variable names
+ * @returns {Array<Object>} - Table rows {t, variable, value} as strings
+ */
+const readObservationsCsv = (text, names) => {
+  const { columns, rows } = parseCsv(text);
+  const header = columns.map((column) => column.trim());
+  const timeColumn = Math.max(
+    header.findIndex((column) => /^(t|time)\b/i.test(column)),
+    0,
+  );
+  const variableColumn = header.findIndex((column) =>
+    /^variable$/i.test(column),
+  );
+
+  let observations;
+  if (variableColumn >= 0) {
+    const valueColumn = header.findIndex((column) => /^value$/i.test(column));
+    if (valueColumn === -1) throw new Error("Expected a value column");
+    observations = rows.map((row) => ({
+      t: row[timeColumn],
+      variable: row[variableColumn]?.trim(),
+      value: row[valueColumn],
+    }));
+  } else {
+    const matched = header
+      .map((column, index) => ({
+        index,
+        name:
+          names.find((name) => name === column) ??
+          names.find((name) => name.toLowerCase() === column.toLowerCase()),
+      }))
+      .filter(({ index, name }) => index !== timeColumn && name);
+    if (matched.length === 0) {
+      throw new Error(
+        `No columns named after the variables (${names.join(", ")})`,
+      );
+    }
+    observations = rows.flatMap((row) =>
+      matched.map(({ index, name }) => ({
+        t: row[timeColumn],
+        variable: name,
+        value: row[index],
+      })),
+    );
+  }
+
+  const valid = observations.filter(
+    (row) => isFinite(parseFloat(row.t)) && isFinite(parseFloat(row.value)),
+  );
+  if (valid.length === 0) throw new Error("No observations found");
+  return valid;
+};
+
+const formatNumber = (value) =>
+  isFinite(value) ? parseFloat(value.toPrecision(4)).toString() : "n/a";
+
+/**
+ * Evenly spaced "nice" tick values (steps of 1, 2 or 5 x 10^n)
+ * @param {number} min - Axis minimum
+ * @param {number} max - Axis maximum
+ * @param {number} targetCount - Approximate number of ticks
+ * @returns {Array<number>} - Tick values within [min, max]
+ */
+const niceTicks = (min, max, targetCount = 5) => {
+  const range = max - min;
+  if (!(range > 0)) return [min];
+
+  const rawStep = range / targetCount;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const normalized = rawStep / magnitude;
+  const step =
+    (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) *
+    magnitude;
+
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max; tick += step) {
+    ticks.push(parseFloat(tick.toPrecision(10)));
+  }
+  return ticks;
+};
+
+/**
+ * Padded [min, max] range covering a set of values
+ * @param {Array<number>} values - Data values
+ * @returns {Array<number>} - [min, max] with 5% margin
+ */
+const paddedRange = (values) => {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach((value) => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  if (!isFinite(min) || !isFinite(max)) return [0, 1];
+  if (min === max) {
+    const margin = Math.abs(min) * 0.1 || 1;
+    return [min - margin, max + margin];
+  }
+  const margin = (max - min) * 0.05;
+  return [min - margin, max + margin];
+};
+
+const ODESystemCalculatorTool = () => {
+  const { theme, currentTheme } = useTheme();
+
+  // System definition (table rows hold the strings typed by the user)
+  const [selectedExample, setSelectedExample] = useUrlState(
+    "selectedExample",
+    "SIR",
+  );
+  const [variableRows, setVariableRows] = useUrlState(
+    "variables",
+    EXAMPLE_SYSTEMS.SIR.variables,
+  );
+  const [parameterRows, setParameterRows] = useUrlState(
+    "parameters",
+    EXAMPLE_SYSTEMS.SIR.parameters,
+  );
+
+  // Integration and display settings
+  const [tMax, setTMax] = useUrlState("tMax", EXAMPLE_SYSTEMS.SIR.tMax);
+  const [dt, setDt] = useUrlState("dt", EXAMPLE_SYSTEMS.SIR.dt);
+  const [xAxisVar, setXAxisVar] = useUrlState("xAxisVar", "S");
+  const [yAxisVar, setYAxisVar] = useUrlState("yAxisVar", "I");
+  const [scaleEach, setScaleEach] = useUrlState("scaleEach", false);
+
+  // Observed data to fit, one value per row
+  const [storedObservations, setObservationRows] = useUrlState(
+    "observations",
+    EMPTY_OBSERVATIONS,
+  );
+  // A link can put anything in the array; keep the rows the table can show
+  const observationRows = useMemo(
+    () =>
+      storedObservations.filter(
+        (row) => row !== null && typeof row === "object",
+      ),
+    [storedObservations],
+  );
+
+  // Seeded noise for practice data, so a class can share the same data set
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
+
+  // Result of the last parameter fit
+  const [fitResult, setFitResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Canvas and transform refs
+  const timeSeriesCanvasRef = useRef(null);
+  const timeSeriesTransformRef = useRef(null);
+  const phaseCanvasRef = useRef(null);
+  const phaseTransformRef = useRef(null);
+  const residualCanvasRef = useRef(null);
+  const residualTransformRef = useRef(null);
+
+  // Compile the system whenever the tables change
+  const model = useMemo(() => {
+    const variables = variableRows.filter((row) => row.name?.trim());
+    const parameters = parameterRows.filter((row) => row.name?.trim());
+    const names = variables.map((row) => row.name.trim());
+    const parameterNames = parameters.map((row) => row.name.trim());
+
+    const equations = variables.map((row) => row.equation || "");
+    const system = new DynamicalSystemND(equations, names, parameterNames);
+
+    const initialState = variables.map((row) => parseFloat(row.initial));
+    const params = {};
+    parameters.forEach((row, i) => {
+      params[parameterNames[i]] = parseFloat(row.value);
+    });
+
+    // Report the first problem found, equations first
+    let error = system.getError();
+    if (!error) {
+      const badInitial = initialState.findIndex((value) => !isFinite(value));
+      const badParam = parameterNames.find((name) => !isFinite(params[name]));
+      if (badInitial >= 0) {
+        error = `Initial value of ${names[badInitial]} must be a number`;
+      } else if (badParam) {
+        error = `Value of parameter ${badParam} must be a number`;
+      } else if (!(dt > 0) || !(tMax > 0)) {
+        error = "t max and dt must be positive";
+      } else if (tMax / dt > MAX_STEPS) {
+        error = `Too many steps (${Math.round(tMax / dt)}). Increase dt or reduce t max.`;
+      }
+    }
+
+    return { system, names, equations, initialState, params, error };
+  }, [variableRows, parameterRows, tMax, dt]);
+
+  // Integrate with RK4
+  const timeSeries = useMemo(() => {
+    if (model.error) return [];
+    return model.system.generateTimeSeries(
+      model.initialState,
+      model.params,
+      tMax,
+      dt,
+    );
+  }, [model, tMax, dt]);
+
+  // Observations of known variables, and the current model's residuals
+  const observations = useMemo(
+    () =>
+      observationRows
+        .map((row) => ({
+          t: parseFloat(row.t),
+          variable: String(row.variable ?? "").trim(),
+          value: parseFloat(row.value),
+        }))
+        .filter(
+          (row) =>
+            row.t >= 0 &&
+            isFinite(row.value) &&
+            model.names.includes(row.variable),
+        ),
+    [observationRows, model.names],
+  );
+  const residuals = useMemo(
+    () =>
+      observations
+        .map((row) => ({
+          ...row,
+          residual:
+            row.value - interpolateTimeSeries(timeSeries, row.t, row.variable),
+        }))
+        .filter((row) => isFinite(row.residual)),
+    [observations, timeSeries],
+  );
+  const residualLimit =
+    1.1 * (Math.max(0, ...residuals.map((r) => Math.abs(r.residual))) || 1);
+
+  // Projection axes fall back to the first variables if a name disappears
+  const { names } = model;
+  const xVar = names.includes(xAxisVar) ? xAxisVar : names[0];
+  const yVar = names.includes(yAxisVar) ? yAxisVar : (names[1] ?? names[0]);
+
+  // Per-variable ranges, used for min-max scaling and the phase portrait
+  const ranges = useMemo(() => {
+    const result = {};
+    names.forEach((name) => {
+      const values = timeSeries.map((point) => point[name]);
+      result[name] = values.length > 0 ? paddedRange(values) : [0, 1];
+    });
+    return result;
+  }, [names, timeSeries]);
+
+  // Time series axis ranges
+  const timeRange = [0, tMax];
+  const valueRange = useMemo(() => {
+    if (scaleEach || names.length === 0) return [0, 1];
+    const lows = names.map((name) => ranges[name][0]);
+    const highs = names.map((name) => ranges[name][1]);
+    return [Math.min(...lows), Math.max(...highs)];
+  }, [scaleEach, names, ranges]);
+  const xRange = ranges[xVar] ?? [0, 1];
+  const yRange = ranges[yVar] ?? [0, 1];
+
+  // Scale a value into [0, 1] using its variable's range
+  const scaleValue = useCallback(
+    (name, value) => {
+      const [min, max] = ranges[name];
+      return (value - min) / (max - min);
+    },
+    [ranges],
+  );
+
+  // Draw all state variables against time
+  const drawTimeSeries = useCallback(() => {
+    const canvas = timeSeriesCanvasRef.current;
+    const transform = timeSeriesTransformRef.current;
+    if (!canvas || !transform) return;
+
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (timeSeries.length === 0) return;
+
+    const { dataToPixel } = transform;
+    const isDark = currentTheme === "dark";
+
+    names.forEach((name, index) => {
+      ctx.strokeStyle = SERIES_COLORS[index % SERIES_COLORS.length];
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      timeSeries.forEach((point, i) => {
+        const value = scaleEach ? scaleValue(name, point[name]) : point[name];
+        const pos = dataToPixel(point.t, value);
+        if (i === 0) ctx.moveTo(pos.x, pos.y);
+        else ctx.lineTo(pos.x, pos.y);
+      });
+      ctx.stroke();
+    });
+
+    // Observed data as dots in the variable's color
+    observations.forEach(({ t, variable, value }) => {
+      const index = names.indexOf(variable);
+      const pos = dataToPixel(
+        t,
+        scaleEach ? scaleValue(variable, value) : value,
+      );
+      ctx.fillStyle = SERIES_COLORS[index % SERIES_COLORS.length];
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, 4, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.strokeStyle = isDark ? "#1e293b" : "#ffffff";
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    });
+
+    // Legend (top-left)
+    ctx.font = "12px monospace";
+    ctx.textBaseline = "middle";
+    names.forEach((name, index) => {
+      const y = 12 + index * 16;
+      ctx.fillStyle = SERIES_COLORS[index % SERIES_COLORS.length];
+      ctx.fillRect(8, y - 1, 16, 3);
+      ctx.fillStyle = isDark ? "#e5e7eb" : "#1f2937";
+      ctx.fillText(name, 30, y);
+    });
+
+    // Note when the solution stopped early (blow-up or domain error)
+    const lastPoint = timeSeries[timeSeries.length - 1];
+    if (lastPoint.t < tMax - dt / 2) {
+      ctx.fillStyle = isDark ? "#f87171" : "#dc2626";
+      ctx.textAlign = "right";
+      ctx.fillText(
+        `stopped at t = ${lastPoint.t.toFixed(2)}`,
+        canvas.width - 8,
+        12,
+      );
+      ctx.textAlign = "left";
+    }
+  }, [
+    timeSeries,
+    observations,
+    names,
+    scaleEach,
+    scaleValue,
+    currentTheme,
+    tMax,
+    dt,
+  ]);
+
+  // Draw the chosen 2D projection of the trajectory
+  const drawPhasePortrait = useCallback(() => {
+    const canvas = phaseCanvasRef.current;
+    const transform = phaseTransformRef.current;
+    if (!canvas || !transform) return;
+
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (timeSeries.length === 0 || !xVar || !yVar) return;
+
+    const { dataToPixel } = transform;
+    const isDark = currentTheme === "dark";
+
+    ctx.strokeStyle = isDark ? "#60a5fa" : "#2563eb";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    timeSeries.forEach((point, i) => {
+      const pos = dataToPixel(point[xVar], point[yVar]);
+      if (i === 0) ctx.moveTo(pos.x, pos.y);
+      else ctx.lineTo(pos.x, pos.y);
+    });
+    ctx.stroke();
+
+    // Start (green) and end (red) markers
+    const first = timeSeries[0];
+    const last = timeSeries[timeSeries.length - 1];
+    [
+      [first, "#16a34a"],
+      [last, "#dc2626"],
+    ].forEach(([point, color]) => {
+      const pos = dataToPixel(point[xVar], point[yVar]);
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, 4, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+  }, [timeSeries, xVar, yVar, currentTheme]);
+
+  // Draw residuals (observed - model) against time
+  const drawResiduals = useCallback(() => {
+    const canvas = residualCanvasRef.current;
+    const transform = residualTransformRef.current;
+    if (!canvas || !transform) return;
+
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const { dataToPixel } = transform;
+    const isDark = currentTheme === "dark";
+
+    const zeroLeft = dataToPixel(0, 0);
+    const zeroRight = dataToPixel(tMax, 0);
+    ctx.strokeStyle = isDark ? "#9ca3af" : "#6b7280";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(zeroLeft.x, zeroLeft.y);
+    ctx.lineTo(zeroRight.x, zeroRight.y);
+    ctx.stroke();
+
+    residuals.forEach(({ t, variable, residual }) => {
+      const color =
+        SERIES_COLORS[names.indexOf(variable) % SERIES_COLORS.length];
+      const base = dataToPixel(t, 0);
+      const pos = dataToPixel(t, residual);
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(base.x, base.y);
+      ctx.lineTo(pos.x, pos.y);
+      ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, 3, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+  }, [residuals, names, currentTheme, tMax]);
+
+  // Redraw when data or display options change
+  useEffect(() => {
+    drawTimeSeries();
+    drawPhasePortrait();
+    drawResiduals();
+  }, [drawTimeSeries, drawPhasePortrait, drawResiduals, residualLimit]);
+
+  // Estimate the parameters marked in the Fit column from the observations,
+  // then write the estimates back into the parameters table
+  const handleFit = () => {
+    const fitNames = parameterRows
+      .filter((row) => row.name?.trim() && isMarkedForFit(row.fit))
+      .map((row) => row.name.trim());
+    const tEnd = Math.max(0, ...observations.map((row) => row.t));
+
+    let problem = null;
+    if (model.error) {
+      problem = `Fix the system first: ${model.error}`;
+    } else if (fitNames.length === 0) {
+      problem = 'Mark the parameters to estimate with "y" in the Fit column.';
+    } else if (observations.length <= fitNames.length) {
+      problem = `Enter more observations than parameters to fit (${fitNames.length}).`;
+    } else if (tEnd / dt > MAX_STEPS) {
+      problem = `Too many steps to reach t = ${tEnd}. Increase dt.`;
+    }
+    if (problem) {
+      alert(problem);
+      return;
+    }
+
+    try {
+      const fit = fitODEModel(model.system, observations, {
+        initialState: model.initialState,
+        params: model.params,
+        fitNames,
+        dt,
+      });
+      const applied = Object.fromEntries(
+        fitNames.map((name) => [
+          name,
+          parseFloat(fit.estimates[name].toPrecision(6)).toString(),
+        ]),
+      );
+      setParameterRows(
+        parameterRows.map((row) =>
+          applied[row.name?.trim()] !== undefined
+            ? { ...row, value: applied[row.name.trim()] }
+            : row,
+        ),
+      );
+      setFitResult({
+        ...fit,
+        fitNames,
+        applied,
+        dataKey: JSON.stringify([observations, variableRows]),
+      });
+    } catch (error) {
+      alert(`Could not fit the parameters: ${error.message}`);
+    }
+  };
+
+  // The fit display goes stale once the data, equations or fitted values change
+  const fitIsCurrent =
+    fitResult !== null &&
+    fitResult.dataKey === JSON.stringify([observations, variableRows]) &&
+    fitResult.fitNames.every((name) =>
+      parameterRows.some(
+        (row) =>
+          row.name?.trim() === name && row.value === fitResult.applied[name],
+      ),
+    );
+
+  // Sample the current solution with 5% noise as practice data
+  const simulateObservations = () => {
+    if (timeSeries.length < 2) return;
+    const rng = createRng();
+    const lastT = timeSeries[timeSeries.length - 1].t;
+    const rows = [];
+    for (let i = 1; i <= 10; i++) {
+      // Rounding can push the last time past the end of the solution
+      const t = Math.min(parseFloat(((lastT * i) / 10).toPrecision(4)), lastT);
+      names.forEach((name) => {
+        const value =
+          interpolateTimeSeries(timeSeries, t, name) *
+          (1 + 0.05 * (2 * rng() - 1));
+        rows.push({
+          t: String(t),
+          variable: name,
+          value: parseFloat(value.toPrecision(4)).toString(),
+        });
+      });
+    }
+    setObservationRows(rows);
+  };
+
+  // Load observations from a CSV file
+  const handleOpenData = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow opening the same file again
+    if (!file) return;
+
+    try {
+      setObservationRows(readObservationsCsv(await file.text(), names));
+    } catch (error) {
+      alert(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  // Load an example system
+  const loadExample = useCallback(
+    (exampleName) => {
+      const example = EXAMPLE_SYSTEMS[exampleName];
+      if (!example) return;
+      setSelectedExample(exampleName);
+      setVariableRows(example.variables);
+      setParameterRows(example.parameters);
+      setTMax(example.tMax);
+      setDt(example.dt);
+      setXAxisVar(example.projection[0]);
+      setYAxisVar(example.projection[1]);
+    },
+    [
+      setSelectedExample,
+      setVariableRows,
+      setParameterRows,
+      setTMax,
+      setDt,
+      setXAxisVar,
+      setYAxisVar,
+    ],
+  );
+
+  // Time series offered by the export button
+  const exportData = useMemo(
+    () => ({
+      columns: [
+        { key: "t", label: "t" },
+        ...names.map((name) => ({ key: name, label: name })),
+      ],
+      rows: timeSeries,
+      parameters: {
+        ...Object.fromEntries(
+          names.map((name, i) => [`${name}'`, model.equations[i]]),
+        ),
+        ...Object.fromEntries(
+          names.map((name, i) => [`${name}(0)`, model.initialState[i]]),
+        ),
+        ...model.params,
+        dt,
+      },
+    }),
+    [names, timeSeries, model, dt],
+  );
+
+  // Final state summary
+  const lastPoint = timeSeries[timeSeries.length - 1];
+
+  return (
+    <ToolContainer
+      title="ODE System Calculator"
+      canvasWidth={11}
+      canvasHeight={10}
+      exportData={exportData}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
+    >
+      {/* State variables: name, equation, initial value */}
+      <GridTableInput
+        x={0}
+        y={0}
+        w={5}
+        h={3}
+        data={variableRows}
+        onDataChange={setVariableRows}
+        columns={[
+          { key: "name", label: "Variable", type: "text", width: 0.8 },
+          {
+            key: "equation",
+            label: "Rate of change\n(d/dt)",
+            type: "text",
+            width: 3,
+            align: "left",
+          },
+          { key: "initial", label: "Initial\nvalue", type: "text", width: 1 },
+        ]}
+        title="State variables: name, equation for its rate of change, and initial value"
+        theme={theme}
+      />
+
+      {/* Parameters: name, value */}
+      <GridTableInput
+        x={0}
+        y={3}
+        w={3}
+        h={3}
+        data={parameterRows}
+        onDataChange={setParameterRows}
+        columns={[
+          { key: "name", label: "Parameter", type: "text" },
+          { key: "value", label: "Value", type: "text" },
+          { key: "fit", label: "Fit", type: "text", width: 0.5 },
+        ]}
+        title='Parameters used in the equations ("y" under Fit marks a parameter to estimate from observed data)'
+        theme={theme}
+      />
+
+      {/* Status */}
+      <GridDisplay
+        x={0}
+        y={6}
+        w={3}
+        h={1}
+        value={
+          model.error ||
+          `System Valid ✓ | ${names.length} variables, ${timeSeries.length - 1} steps`
+        }
+        variant="status"
+        align={model.error ? "left" : "center"}
+        fontSize="text-xs"
+        tooltip={model.error || "The system is integrated with RK4"}
+        theme={theme}
+      />
+
+      {/* Example systems */}
+      <GridWheelSelector
+        x={3}
+        y={3}
+        w={2}
+        h={1}
+        value={selectedExample}
+        onChange={loadExample}
+        options={EXAMPLE_NAMES}
+        title="Examples"
+        theme={theme}
+      />
+
+      {/* Integration settings */}
+      <GridInput
+        x={3}
+        y={4}
+        value={tMax}
+        onChange={(value) => {
+          const num = parseFloat(value);
+          if (!isNaN(num) && num > 0) setTMax(num);
+        }}
+        min={0.1}
+        max={100000}
+        step={10}
+        variable="t max"
+        title="Length of the simulation"
+        theme={theme}
+      />
+      <GridInput
+        x={4}
+        y={4}
+        value={dt}
+        onChange={(value) => {
+          const num = parseFloat(value);
+          if (!isNaN(num) && num > 0) setDt(num);
+        }}
+        min={0.0001}
+        max={10}
+        step={0.01}
+        variable="dt"
+        title="RK4 time step"
+        theme={theme}
+      />
+
+      {/* Phase portrait projection */}
+      {names.length > 0 && (
+        <>
+          <GridWheelSelector
+            x={3}
+            y={5}
+            w={2}
+            h={1}
+            value={`x-axis: ${xVar}`}
+            onChange={(option) => setXAxisVar(option.replace("x-axis: ", ""))}
+            options={names.map((name) => `x-axis: ${name}`)}
+            title="Variable on the phase portrait's horizontal axis"
+            theme={theme}
+          />
+          <GridWheelSelector
+            x={3}
+            y={6}
+            w={2}
+            h={1}
+            value={`y-axis: ${yVar}`}
+            onChange={(option) => setYAxisVar(option.replace("y-axis: ", ""))}
+            options={names.map((name) => `y-axis: ${name}`)}
+            title="Variable on the phase portrait's vertical axis"
+            theme={theme}
+          />
+        </>
+      )}
+
+      {/* Time series of all variables */}
+      <GridGraph
+        x={5}
+        y={0}
+        w={6}
+        h={3}
+        xLabel="t"
+        yLabel={scaleEach ? "scaled value" : "value"}
+        variant="time-series-static"
+        xRange={timeRange}
+        yRange={valueRange}
+        xTicks={niceTicks(...timeRange)}
+        yTicks={niceTicks(...valueRange, 4)}
+        tooltip="Time series of every state variable"
+        theme={theme}
+      >
+        {(transform) => {
+          timeSeriesTransformRef.current = transform;
+          return (
+            <canvas
+              ref={timeSeriesCanvasRef}
+              style={{ ...transform.plotStyle, pointerEvents: "none" }}
+              width={transform.plotWidth}
+              height={transform.plotHeight}
+            />
+          );
+        }}
+      </GridGraph>
+
+      {/* Phase portrait (2D projection) */}
+      <GridGraph
+        x={5}
+        y={3}
+        w={4}
+        h={4}
+        xLabel={xVar ?? ""}
+        yLabel={yVar ?? ""}
+        xRange={xRange}
+        yRange={yRange}
+        xTicks={niceTicks(...xRange, 4)}
+        yTicks={niceTicks(...yRange, 4)}
+        tooltip="Trajectory projected onto the chosen pair of variables (green: start, red: end)"
+        theme={theme}
+      >
+        {(transform) => {
+          phaseTransformRef.current = transform;
+          return (
+            <canvas
+              ref={phaseCanvasRef}
+              style={{ ...transform.plotStyle, pointerEvents: "none" }}
+              width={transform.plotWidth}
+              height={transform.plotHeight}
+            />
+          );
+        }}
+      </GridGraph>
+
+      {/* Final values */}
+      <GridDisplay
+        x={9}
+        y={3}
+        w={2}
+        h={3}
+        align="left"
+        fontSize="text-sm"
+        tooltip="State at the end of the simulation"
+        theme={theme}
+      >
+        {lastPoint ? (
+          <div style={{ fontFamily: "monospace", lineHeight: "1.4" }}>
+            <div style={{ fontWeight: "bold", marginBottom: "4px" }}>
+              t = {lastPoint.t.toFixed(2)}
+            </div>
+            {names.map((name, index) => (
+              <div
+                key={name}
+                style={{ color: SERIES_COLORS[index % SERIES_COLORS.length] }}
+              >
+                {name} = {lastPoint[name].toPrecision(4)}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div>No solution</div>
+        )}
+      </GridDisplay>
+
+      {/* Scale each variable to its own range */}
+      <GridButton
+        x={9}
+        y={6}
+        type="toggle"
+        variant="function"
+        active={scaleEach}
+        onToggle={setScaleEach}
+        tooltip="Scale each time series to its own min-max range"
+        theme={theme}
+      >
+        <div style={{ textAlign: "center", lineHeight: "1.1" }}>
+          <div>Scale</div>
+          <div>{scaleEach ? "Each" : "Shared"}</div>
+        </div>
+      </GridButton>
+
+      {/* Reload the selected example */}
+      <GridButton
+        x={10}
+        y={6}
+        onPress={() => loadExample(selectedExample)}
+        tooltip="Restore the selected example's equations and parameters"
+        theme={theme}
+      >
+        <div style={{ textAlign: "center", lineHeight: "1.1" }}>
+          <div>Reload</div>
+          <div>Example</div>
+        </div>
+      </GridButton>
+
+      {/* Observed data: time, variable, value */}
+      <GridTableInput
+        x={0}
+        y={7}
+        w={3}
+        h={3}
+        data={observationRows}
+        onDataChange={setObservationRows}
+        columns={[
+          { key: "t", label: "t", type: "text" },
+          { key: "variable", label: "Variable", type: "text" },
+          { key: "value", label: "Observed", type: "text" },
+        ]}
+        maxRows={200}
+        title="Observed values of the state variables, used to fit the parameters"
+        theme={theme}
+      />
+
+      {/* Fitting controls */}
+      <GridButton
+        x={3}
+        y={7}
+        variant="function"
+        onPress={handleFit}
+        tooltip="Estimate the parameters marked in the Fit column by nonlinear least squares"
+        theme={theme}
+      >
+        <div style={{ textAlign: "center", lineHeight: "1.1" }}>
+          <div>Fit</div>
+          <div>Params</div>
+        </div>
+      </GridButton>
+      <GridButton
+        x={4}
+        y={7}
+        onPress={() => fileInputRef.current?.click()}
+        tooltip="Load observations from a CSV file (a t column and one column per variable, or t, variable, value)"
+        theme={theme}
+      >
+        <div style={{ textAlign: "center", lineHeight: "1.1" }}>
+          <div>Load</div>
+          <div>Data</div>
+        </div>
+      </GridButton>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".csv,text/csv"
+        className="hidden"
+        onChange={handleOpenData}
+      />
+      <GridButton
+        x={3}
+        y={8}
+        onPress={simulateObservations}
+        tooltip="Replace the observations with samples of the current solution plus 5% noise"
+        theme={theme}
+      >
+        <div style={{ textAlign: "center", lineHeight: "1.1" }}>
+          <div>Simulate</div>
+          <div>Data</div>
+        </div>
+      </GridButton>
+      <GridButton
+        x={4}
+        y={8}
+        onPress={() => setObservationRows(EMPTY_OBSERVATIONS)}
+        tooltip="Remove all observations"
+        theme={theme}
+      >
+        <div style={{ textAlign: "center", lineHeight: "1.1" }}>
+          <div>Clear</div>
+          <div>Data</div>
+        </div>
+      </GridButton>
+      <GridDisplay
+        x={3}
+        y={9}
+        w={2}
+        h={1}
+        value={`${observations.length} observations | RSS ${formatNumber(
+          residuals.reduce((sum, r) => sum + r.residual * r.residual, 0),
+        )}`}
+        variant="status"
+        align="center"
+        fontSize="text-xs"
+        tooltip="Observations of known variables, and the residual sum of squares of the current solution"
+        theme={theme}
+      />
+
+      {/* Residuals of the current solution */}
+      <GridGraph
+        x={5}
+        y={7}
+        w={4}
+        h={3}
+        xLabel="t"
+        yLabel="observed − model"
+        xRange={timeRange}
+        yRange={[-residualLimit, residualLimit]}
+        xTicks={niceTicks(...timeRange)}
+        yTicks={niceTicks(-residualLimit, residualLimit, 4)}
+        tooltip="Residuals of the observations, colored by variable"
+        theme={theme}
+      >
+        {(transform) => {
+          residualTransformRef.current = transform;
+          return (
+            <canvas
+              ref={residualCanvasRef}
+              style={{ ...transform.plotStyle, pointerEvents: "none" }}
+              width={transform.plotWidth}
+              height={transform.plotHeight}
+            />
+          );
+        }}
+      </GridGraph>
+
+      {/* Fit results */}
+      <GridDisplay
+        x={9}
+        y={7}
+        w={2}
+        h={3}
+        align="left"
+        fontSize="text-sm"
+        tooltip="Estimates ± standard errors with 95% confidence intervals"
+        theme={theme}
+      >
+        {fitResult ? (
+          <div
+            style={{
+              fontFamily: "monospace",
+              lineHeight: "1.3",
+              opacity: fitIsCurrent ? 1 : 0.5,
+            }}
+          >
+            {fitResult.fitNames.map((name) => (
+              <div key={name} style={{ marginBottom: "3px" }}>
+                <div>
+                  {name} = {formatNumber(fitResult.estimates[name])} ±{" "}
+                  {formatNumber(fitResult.standardErrors[name])}
+                </div>
+                <div style={{ fontSize: "0.85em" }}>
+                  [{formatNumber(fitResult.confidenceIntervals[name][0])},{" "}
+                  {formatNumber(fitResult.confidenceIntervals[name][1])}]
+                </div>
+              </div>
+            ))}
+            <div>RSS = {formatNumber(fitResult.rss)}</div>
+            <div>
+              n = {fitResult.residuals.length}, df = {fitResult.dof}
+            </div>
+            {!fitResult.converged && <div>Not converged</div>}
+            {!fitIsCurrent && (
+              <div style={{ fontStyle: "italic" }}>Changed since the fit</div>
+            )}
+          </div>
+        ) : (
+          <div style={{ opacity: 0.7 }}>
+            Enter observations, mark parameters with &quot;y&quot; under Fit,
+            then press Fit Params.
+          </div>
+        )}
+      </GridDisplay>
+    </ToolContainer>
+  );
+};
+
+export default ODESystemCalculatorTool;
@@ -0,0 +1,17 @@
+// src/tools/ODESystemCalculatorTool.tool.js
+// Menu entry for ODESystemCalculatorTool; the component itself loads on first use
+
+export default {
+  id: "ode-system-calculator",
+  name: "ODE System Calculator",
+  description:
+    "Simulate systems of any number of differential equations with named variables and parameters, such as SIR epidemics, food chains and Hodgkin-Huxley neurons, and fit their parameters to observed time series.",
+  categories: {
+    topics: [],
+    toolType: "calculator",
+    lab: null,
+  },
+  visibility: "student",
+  help: "ode-system-calculator.md",
+  load: () => import("./ODESystemCalculatorTool"),
+};
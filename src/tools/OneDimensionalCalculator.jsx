@@ -1,6 +1,12 @@
 // src/tools/OneDimensionalExplorer.jsx
 
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import {
   GridEquationInput,
   GridSliderHorizontal,
@@ -12,24 +18,41 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState } from "../hooks/useUrlState";
 import { DynamicalSystem1D } from "../utils/equationParser";
+import { randomNormal } from "../utils/random";
+import { DelayHistory, advanceDDE } from "../utils/ddeSolver";
 import {
   analyzePhaseLine1D,
   findDegenerateIntervals1D,
   filterEquilibriaFromDegenerateIntervals,
+  computeBifurcationDiagram1D,
 } from "../utils/mathHelpers";
 
 const OneDimensionalCalculator = () => {
   const { theme, currentTheme } = useTheme();
 
   // UI State
-  const [equation, setEquation] = useState("k*X*(1-X)");
-  const [k, setK] = useState(0.5);
-  const [xMin, setXMin] = useState(-0.5);
-  const [xMax, setXMax] = useState(1.5);
-  const [tau, setTau] = useState(0);
-  const [epsilon, setEpsilon] = useState(0.0);
-  const [showDerivativePlot, setShowDerivativePlot] = useState(false);
+  const [equation, setEquation] = useUrlState("equation", "k*X*(1-X)");
+  const [k, setK] = useUrlState("k", 0.5);
+  const [xMin, setXMin] = useUrlState("xMin", -0.5);
+  const [xMax, setXMax] = useUrlState("xMax", 1.5);
+  const [tau, setTau] = useUrlState("tau", 0);
+  const [epsilon, setEpsilon] = useUrlState("epsilon", 0.0);
+  const [showDerivativePlot, setShowDerivativePlot] = useUrlState(
+    "showDerivativePlot",
+    false,
+  );
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
+
+  // Range of the k slider, also swept by the bifurcation diagram
+  const [kMin, setKMin] = useUrlState("kMin", -1);
+  const [kMax, setKMax] = useUrlState("kMax", 1);
+  const [showBifurcation, setShowBifurcation] = useUrlState(
+    "showBifurcation",
+    false,
+  );
 
   // Dynamical system and analysis
   const [dynamicalSystem, setDynamicalSystem] = useState(null);
@@ -44,14 +67,17 @@ const OneDimensionalCalculator = () => {
   const ballCanvasRef = useRef(null);
   const timeSeriesCanvasRef = useRef(null);
   const timeSeriesTransformRef = useRef(null);
+  const bifurcationCanvasRef = useRef(null);
+  const bifurcationTransformRef = useRef(null);
 
   // Animation state - pure refs for smooth performance
   const animationStateRef = useRef({
-    balls: [], // Array of {id, x, t, history: [{t, x}], active: boolean}
+    balls: [], // Array of {id, x, t, history: [{t, x}], delayHistory, active: boolean}
     animationId: null,
     isRunning: false,
     params: { k, tau, epsilon },
     nextBallId: 0,
+    rng: Math.random, // Seeded noise source, reset when the first ball is added
   });
 
   // Sync UI params to animation state
@@ -59,68 +85,40 @@ const OneDimensionalCalculator = () => {
     animationStateRef.current.params = { k, tau, epsilon };
   }, [k, tau, epsilon]);
 
-  // Box-Muller transform: standard normal sample
-  const randn = useCallback(() => {
-    let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-  }, []);
-
-  // RK4 integration for 1D system with delay support
+  // RK4 integration for 1D system with delay support. Delayed terms such as
+  // X(t - tau) are read from the ball's interpolated history
   const rk4Step = useCallback(
-    (history, dt, params) => {
-      const currentX = history[history.length - 1].x;
+    (delayHistory, dt, params) => {
+      const { t, y } = delayHistory.latest();
+      const currentX = y[0];
 
       // Always compute noise - must be outside the validity check so X'=0 still drifts
       const epsilon = params.epsilon || 0;
-      const noise = (epsilon / 2) * Math.sqrt(dt) * randn();
+      const noise =
+        (epsilon / 2) * Math.sqrt(dt) * randomNormal(animationStateRef.current.rng);
 
       if (!dynamicalSystem || !dynamicalSystem.isValidSystem()) {
+        delayHistory.push(t + dt, [currentX + noise]);
         return currentX + noise;
       }
 
-      const tau = params.tau || 0;
-
-      // Helper to get delayed value X(t - tau)
-      const getDelayedX = (currentHistory) => {
-        if (tau === 0) return currentX;
-
-        // Find the index that's approximately tau seconds ago
-        // Since dt = 0.05, we need to look back tau/dt steps
-        const stepsBack = Math.round(tau / dt);
-        const index = currentHistory.length - 1 - stepsBack;
-
-        if (index < 0) {
-          // If we don't have enough history, use the initial value
-          return currentHistory[0].x;
-        }
-
-        return currentHistory[index].x;
-      };
-
-      // For delay equations, we pass X_tau as a separate parameter
-      // The equation can use X_tau to refer to X(t - tau)
-      const xDelayed = getDelayedX(history);
-      const evalParams = { ...params, X_tau: xDelayed };
-
-      const k1 = dynamicalSystem.evaluateDerivative(currentX, evalParams);
-      const k2 = dynamicalSystem.evaluateDerivative(
-        currentX + 0.5 * dt * k1,
-        evalParams,
-      );
-      const k3 = dynamicalSystem.evaluateDerivative(
-        currentX + 0.5 * dt * k2,
-        evalParams,
-      );
-      const k4 = dynamicalSystem.evaluateDerivative(
-        currentX + dt * k3,
-        evalParams,
+      const [newX] = advanceDDE(
+        (time, [x], lagged) => [
+          dynamicalSystem.evaluateDelayedDerivative(
+            x,
+            lagged.map(([pastX]) => pastX),
+            params,
+          ),
+        ],
+        delayHistory,
+        dt,
+        dynamicalSystem.getDelays(params),
+        ([x]) => [x + noise],
       );
 
-      return currentX + (dt / 6) * (k1 + 2 * k2 + 2 * k3 + k4) + noise;
+      return newX;
     },
-    [dynamicalSystem, randn],
+    [dynamicalSystem],
   );
 
   // Draw balls on phase line (only those within extended bounds)
@@ -143,15 +141,12 @@ const OneDimensionalCalculator = () => {
 
       const state = animationStateRef.current;
       const tau = state.params.tau || 0;
-      const dt = 0.05;
 
       // Draw each ball as a shaded sphere - only if within extended viewport bounds
       state.balls.forEach((ball) => {
         // Draw ghost ball at X(t - tau) position if tau > 0 and ball is active
         if (tau > 0 && ball.active && ball.history.length > 1) {
-          const stepsBack = Math.round(tau / dt);
-          const delayedIndex = Math.max(0, ball.history.length - 1 - stepsBack);
-          const delayedX = ball.history[delayedIndex].x;
+          const [delayedX] = ball.delayHistory.evaluate(ball.t - tau);
 
           // Only draw ghost if within extended bounds
           if (delayedX >= xMinExtended && delayedX <= xMaxExtended) {
@@ -328,7 +323,7 @@ const OneDimensionalCalculator = () => {
         return ball;
       }
 
-      const newX = rk4Step(ball.history, dt, params);
+      const newX = rk4Step(ball.delayHistory, dt, params);
       const newT = ball.t + dt;
 
       // Check termination conditions
@@ -423,11 +418,15 @@ const OneDimensionalCalculator = () => {
       if (x < xMin - 0.3 * xRange || x > xMax + 0.3 * xRange) return;
 
       const state = animationStateRef.current;
+      if (state.balls.length === 0) state.rng = createRng();
+      const delayHistory = new DelayHistory([x], 0);
+      delayHistory.push(0, [x]);
       const newBall = {
         id: state.nextBallId++,
         x: x,
         t: 0,
         history: [{ t: 0, x: x }],
+        delayHistory,
         active: true,
       };
 
@@ -445,7 +444,7 @@ const OneDimensionalCalculator = () => {
         state.animationId = requestAnimationFrame(animationLoop);
       }
     },
-    [dynamicalSystem, xMin, xMax, animationLoop, drawBalls],
+    [dynamicalSystem, xMin, xMax, animationLoop, drawBalls, createRng],
   );
 
   // Clear all balls and trajectories
@@ -484,8 +483,8 @@ const OneDimensionalCalculator = () => {
   // Update dynamical system when equation changes
   useEffect(() => {
     try {
-      // Include X_tau as a potential parameter for delay equations
-      const system = new DynamicalSystem1D(equation, ["k", "X_tau"]);
+      // tau may appear in delayed terms such as X(t - tau)
+      const system = new DynamicalSystem1D(equation, ["k", "tau"]);
       setDynamicalSystem(system);
 
       if (system.isValidSystem()) {
@@ -502,11 +501,10 @@ const OneDimensionalCalculator = () => {
   // Update phase line analysis when system or parameters change
   useEffect(() => {
     if (dynamicalSystem && dynamicalSystem.isValidSystem()) {
-      // For equilibrium analysis, replace X_tau with X (equilibrium condition)
-      const equilibriumEquation = equation.replace(/X_tau/g, "X");
-
+      // Delayed terms evaluate to X when no history is given, which is the
+      // equilibrium condition X(t - tau) = X
       try {
-        const eqSystem = new DynamicalSystem1D(equilibriumEquation, ["k"]);
+        const eqSystem = new DynamicalSystem1D(equation, ["k", "tau"]);
         setEquilibriumSystem(eqSystem);
 
         if (eqSystem.isValidSystem()) {
@@ -537,6 +535,90 @@ const OneDimensionalCalculator = () => {
     }
   }, [dynamicalSystem, equation, k, xMin, xMax]);
 
+  // Bifurcation diagram: equilibria as k sweeps [kMin, kMax]. Uses its own
+  // system so moving the k slider does not trigger a new sweep.
+  const bifurcation = useMemo(() => {
+    if (!showBifurcation) return null;
+    const system = new DynamicalSystem1D(equation, ["k", "tau"]);
+    if (!system.isValidSystem()) return null;
+    return computeBifurcationDiagram1D(system, {}, "k", kMin, kMax, xMin, xMax);
+  }, [showBifurcation, equation, kMin, kMax, xMin, xMax]);
+
+  // Draw bifurcation branches: solid = stable, dashed = unstable
+  useEffect(() => {
+    const canvas = bifurcationCanvasRef.current;
+    const transform = bifurcationTransformRef.current;
+    if (!canvas || !transform) return;
+
+    const ctx = canvas.getContext("2d");
+    const { dataToPixel, plotHeight } = transform;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const isDark = currentTheme === "dark";
+
+    // Current k
+    const kPos = dataToPixel(k, 0);
+    ctx.strokeStyle = isDark ? "rgba(255,255,255,0.35)" : "rgba(0,0,0,0.25)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(kPos.x, 0);
+    ctx.lineTo(kPos.x, plotHeight);
+    ctx.stroke();
+
+    if (!bifurcation) return;
+
+    ctx.lineWidth = 2.5;
+    bifurcation.branches.forEach((branch) => {
+      if (branch.type === "semi-stable") {
+        // Only occur at isolated k values; mark as half-filled dots
+        ctx.fillStyle = isDark ? "#fbbf24" : "#d97706";
+        branch.points.forEach(({ param, x }) => {
+          const pos = dataToPixel(param, x);
+          ctx.beginPath();
+          ctx.arc(pos.x, pos.y, 3, 0, 2 * Math.PI);
+          ctx.fill();
+        });
+        return;
+      }
+
+      ctx.strokeStyle = branch.stable
+        ? isDark
+          ? "#60a5fa"
+          : "#2563eb"
+        : isDark
+          ? "#f87171"
+          : "#dc2626";
+      ctx.setLineDash(branch.stable ? [] : [6, 4]);
+      ctx.beginPath();
+      branch.points.forEach(({ param, x }, i) => {
+        const pos = dataToPixel(param, x);
+        if (i === 0) ctx.moveTo(pos.x, pos.y);
+        else ctx.lineTo(pos.x, pos.y);
+      });
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+  }, [bifurcation, k, currentTheme, showBifurcation]);
+
+  // Click on the bifurcation diagram to jump to that k
+  const handleBifurcationClick = useCallback(
+    (event) => {
+      const canvas = bifurcationCanvasRef.current;
+      const transform = bifurcationTransformRef.current;
+      if (!canvas || !transform) return;
+
+      const rect = canvas.getBoundingClientRect();
+      // Undo any CSS scaling of the tool canvas
+      const scale = rect.width / canvas.offsetWidth || 1;
+      const { x } = transform.pixelToData(
+        (event.clientX - rect.left) / scale,
+        (event.clientY - rect.top) / scale,
+      );
+      setK(Math.max(kMin, Math.min(kMax, x)));
+    },
+    [kMin, kMax, setK],
+  );
+
   // Draw background X' plot
   const drawDerivativePlot = useCallback(
     (canvas, ctx) => {
@@ -977,8 +1059,11 @@ const OneDimensionalCalculator = () => {
   return (
     <ToolContainer
       title="1D Dynamical System Explorer"
-      canvasWidth={9}
-      canvasHeight={6}
+      canvasWidth={10}
+      canvasHeight={showBifurcation ? 9 : 6}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
     >
       {/* Phase Line (6x3) */}
       <GridWindow x={0} y={0} w={6} h={3} theme={theme}>
@@ -1085,7 +1170,7 @@ const OneDimensionalCalculator = () => {
         label="Change equation for X"
         variable="X'"
         placeholder="e.g., k*X*(1-X)"
-        tooltip="Enter equation for X' = f(X, k). Use X_tau for X(t-τ)"
+        tooltip="Enter equation for X' = f(X, k). Use X(t - tau) for the delayed value"
         theme={theme}
         fontSize="sm"
       />
@@ -1096,11 +1181,11 @@ const OneDimensionalCalculator = () => {
         y={1}
         w={3}
         h={1}
-        value={k * 100}
-        onChange={(value) => setK(value / 100)}
+        value={((k - kMin) / (kMax - kMin)) * 200 - 100}
+        onChange={(value) => setK(kMin + ((value + 100) / 200) * (kMax - kMin))}
         variant="bipolar"
         label={`Parameter k = ${k.toFixed(2)}`}
-        tooltip="Parameter k"
+        tooltip={`Parameter k (${kMin} to ${kMax})`}
         theme={theme}
       />
 
@@ -1270,7 +1355,7 @@ const OneDimensionalCalculator = () => {
                           opacity: 0.8,
                         }}
                       >
-                        Use "X_tau" in formula for delay variable.
+                        Use "X(t - tau)" in formula for delay variable.
                       </div>
                     </>
                   )}
@@ -1286,6 +1371,143 @@ const OneDimensionalCalculator = () => {
             </div>
           </GridDisplay>
         )}
+
+      {/* Bifurcation diagram toggle */}
+      <GridButton
+        x={9}
+        y={0}
+        w={1}
+        h={1}
+        type="toggle"
+        variant="function"
+        active={showBifurcation}
+        onToggle={setShowBifurcation}
+        tooltip="Plot equilibria against k"
+        theme={theme}
+      >
+        <div style={{ textAlign: "center", lineHeight: "1.1" }}>
+          <div>{showBifurcation ? "Hide" : "Show"}</div>
+          <div>Bifurc.</div>
+        </div>
+      </GridButton>
+
+      {/* k range inputs */}
+      <GridInput
+        x={9}
+        y={1}
+        w={1}
+        h={1}
+        value={kMin}
+        onChange={(value) => {
+          const newValue = Math.max(-100, Math.min(100, value));
+          if (newValue < kMax) {
+            setKMin(newValue);
+            if (k < newValue) setK(newValue);
+          }
+        }}
+        min={-100}
+        max={100}
+        step={0.1}
+        variable="kmin"
+        title="Minimum k for the slider and bifurcation diagram"
+        theme={theme}
+      />
+
+      <GridInput
+        x={9}
+        y={2}
+        w={1}
+        h={1}
+        value={kMax}
+        onChange={(value) => {
+          const newValue = Math.max(-100, Math.min(100, value));
+          if (newValue > kMin) {
+            setKMax(newValue);
+            if (k > newValue) setK(newValue);
+          }
+        }}
+        min={-100}
+        max={100}
+        step={0.1}
+        variable="kmax"
+        title="Maximum k for the slider and bifurcation diagram"
+        theme={theme}
+      />
+
+      {/* Bifurcation Diagram (6x3) */}
+      {showBifurcation && (
+        <GridGraph
+          x={0}
+          y={6}
+          w={6}
+          h={3}
+          xLabel="k"
+          yLabel="X*"
+          xTicks={[kMin, (kMin + kMax) / 2, kMax]}
+          yTicks={[xMin, xMax]}
+          xRange={[kMin, kMax]}
+          yRange={(() => {
+            const xRange = xMax - xMin;
+            return [xMin - 0.1 * xRange, xMax + 0.1 * xRange];
+          })()}
+          leftAxisColor={currentTheme === "dark" ? "#ffffff" : "#000000"}
+          tooltip="Bifurcation diagram: click to set k"
+          theme={theme}
+        >
+          {(transform) => {
+            bifurcationTransformRef.current = transform;
+            return (
+              <canvas
+                ref={bifurcationCanvasRef}
+                className="absolute cursor-crosshair"
+                style={transform.plotStyle}
+                width={transform.plotWidth}
+                height={transform.plotHeight}
+                onClick={handleBifurcationClick}
+              />
+            );
+          }}
+        </GridGraph>
+      )}
+
+      {/* Bifurcation legend and detected bifurcation points */}
+      {showBifurcation && (
+        <GridDisplay
+          x={6}
+          y={6}
+          w={4}
+          h={3}
+          variant="info"
+          align="left"
+          fontSize="small"
+          theme={theme}
+        >
+          <div style={{ padding: "4px" }}>
+            <div style={{ fontWeight: "bold", marginBottom: "4px" }}>
+              Bifurcation Diagram
+            </div>
+            <div style={{ fontSize: "0.85em" }}>
+              Solid blue: stable · Dashed red: unstable
+            </div>
+            <div style={{ fontSize: "0.85em", marginTop: "6px" }}>
+              {!bifurcation ? (
+                <div>Enter a valid equation in X and k</div>
+              ) : bifurcation.bifurcations.length === 0 ? (
+                <div>
+                  No bifurcations for k in [{kMin}, {kMax}]
+                </div>
+              ) : (
+                bifurcation.bifurcations.map((b, i) => (
+                  <div key={i}>
+                    k ≈ {b.param.toFixed(2)}: {b.before} → {b.after} equilibria
+                    {b.before === b.after ? " (stability exchange)" : ""}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+        </GridDisplay>
+      )}
     </ToolContainer>
   );
 };
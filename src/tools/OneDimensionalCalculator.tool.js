@@ -0,0 +1,17 @@
+// src/tools/OneDimensionalCalculator.tool.js
+// Menu entry for OneDimensionalCalculator; the component itself loads on first use
+
+export default {
+  id: "one-dimensional-calculator",
+  name: "1D Dynamical System Calculator",
+  description:
+    "Explore single-variable dynamical systems with phase line analysis and time series visualization. Adjust parameters to see equilibria, stability, and flow dynamics.",
+  categories: {
+    topics: [],
+    toolType: "calculator",
+    lab: "lab3",
+  },
+  visibility: "student",
+  help: "one-dimensional-calculator.md",
+  load: () => import("./OneDimensionalCalculator"),
+};
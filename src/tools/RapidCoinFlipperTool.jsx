@@ -11,6 +11,8 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState } from "../hooks/useUrlState";
 
 // Precomputed vertical scale values for 90 frames of coin flip animation (3 full rotations)
 const COIN_FLIP_SCALES = Array.from({ length: 90 }, (_, i) => {
@@ -27,8 +29,13 @@ const RapidCoinFlipperTool = () => {
   const transformRef = useRef(null);
 
   // Parameters - linked probabilities
-  const [probHeads, setProbHeads] = useState(0.5);
-  const [numFlips, setNumFlips] = useState(100);
+  const [probHeads, setProbHeads] = useUrlState("probHeads", 0.5);
+  const [numFlips, setNumFlips] = useUrlState("numFlips", 100, {
+    min: 1,
+    max: 200,
+    integer: true,
+  });
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
 
   // Simulation results
   const [flipSequence, setFlipSequence] = useState([]);
@@ -43,10 +50,13 @@ const RapidCoinFlipperTool = () => {
   const animationRef = useRef(null);
 
   // Linked probability handler
-  const handleProbHeadsChange = useCallback((value) => {
-    // Slider gives 0-100, convert to 0-1
-    setProbHeads(value / 100);
-  }, []);
+  const handleProbHeadsChange = useCallback(
+    (value) => {
+      // Slider gives 0-100, convert to 0-1
+      setProbHeads(value / 100);
+    },
+    [setProbHeads],
+  );
 
   // Start coin flip animation
   const startAnimation = useCallback(() => {
@@ -85,12 +95,13 @@ const RapidCoinFlipperTool = () => {
     startAnimation();
 
     // Generate random flips
+    const rng = createRng();
     const flips = [];
     let cumulativeDiff = 0;
     const walkData = [{ flip: 0, diff: 0 }];
 
     for (let i = 0; i < numFlips; i++) {
-      const isHeads = Math.random() < probHeads;
+      const isHeads = rng() < probHeads;
       flips.push(isHeads ? "H" : "T");
 
       cumulativeDiff += isHeads ? 1 : -1;
@@ -170,7 +181,7 @@ const RapidCoinFlipperTool = () => {
     });
 
     setTimeout(() => setIsFlipping(false), 500);
-  }, [probHeads, numFlips, startAnimation]);
+  }, [probHeads, numFlips, startAnimation, createRng]);
 
   // Calculate dynamic y-range for random walk graph
   const getYRange = useCallback(() => {
@@ -347,7 +358,14 @@ const RapidCoinFlipperTool = () => {
   const probTails = 1 - probHeads;
 
   return (
-    <ToolContainer title="Rapid Coin Flipper" canvasWidth={9} canvasHeight={6}>
+    <ToolContainer
+      title="Rapid Coin Flipper"
+      canvasWidth={9}
+      canvasHeight={6}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
+    >
       {/* Flip sequence display (GridWindow) - top left 6x2 */}
       <GridWindow x={0} y={0} w={6} h={2} title="Flip Sequence" theme={theme}>
         <div
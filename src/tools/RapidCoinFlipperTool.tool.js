@@ -0,0 +1,17 @@
+// src/tools/RapidCoinFlipperTool.tool.js
+// Menu entry for RapidCoinFlipperTool; the component itself loads on first use
+
+export default {
+  id: "rapid-coin-flipper",
+  name: "Rapid Coin Flipper",
+  description:
+    "Simulate coin flips with adjustable probabilities. Visualize random walks and compare observed outcomes with expected values and standard deviations.",
+  categories: {
+    topics: [],
+    toolType: "explorer",
+    lab: "lab5",
+  },
+  visibility: "student",
+  help: "rapid-coin-flipper.md",
+  load: () => import("./RapidCoinFlipperTool"),
+};
@@ -9,6 +9,8 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState } from "../hooks/useUrlState";
 import { useSoundEffects } from "../hooks/useSoundEffects";
 
 // Constants
@@ -18,19 +20,19 @@ const DIRECTION_CHANGE_INTERVAL = 1000; // ms
 
 // Particle Class
 class Particle {
-  constructor(id, canvasRadius) {
+  constructor(id, canvasRadius, rng = Math.random) {
     this.id = id;
     this.canvasRadius = canvasRadius;
+    this.rng = rng; // Seeded source for positions and turns
     this.initializePosition();
-    this.angle = Math.random() * 2 * Math.PI;
+    this.angle = this.rng() * 2 * Math.PI;
     this.updateVelocity();
-    this.lastDirectionChange = Math.random() * DIRECTION_CHANGE_INTERVAL; // Random offset 0-1000ms
+    this.lastDirectionChange = this.rng() * DIRECTION_CHANGE_INTERVAL; // Random offset 0-1000ms
   }
 
   initializePosition() {
-    const r =
-      Math.sqrt(Math.random()) * (this.canvasRadius - PARTICLE_SIZE / 2);
-    const theta = Math.random() * 2 * Math.PI;
+    const r = Math.sqrt(this.rng()) * (this.canvasRadius - PARTICLE_SIZE / 2);
+    const theta = this.rng() * 2 * Math.PI;
     this.x = this.canvasRadius + r * Math.cos(theta);
     this.y = this.canvasRadius + r * Math.sin(theta);
   }
@@ -71,7 +73,7 @@ class Particle {
   }
 
   changeDirection() {
-    const change = Math.random() < 0.5 ? Math.PI / 4 : -Math.PI / 4;
+    const change = this.rng() < 0.5 ? Math.PI / 4 : -Math.PI / 4;
     this.angle += change;
     this.updateVelocity();
   }
@@ -144,7 +146,12 @@ const SelfInteractionSimulatorTool = () => {
     useSoundEffects();
 
   // State
-  const [numParticles, setNumParticles] = useState(10);
+  const [numParticles, setNumParticles] = useUrlState("numParticles", 10, {
+    min: 2,
+    max: 50,
+    integer: true,
+  });
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
   const [isRunning, setIsRunning] = useState(false);
   const [timer, setTimer] = useState(10.0);
   const [hits, setHits] = useState(0);
@@ -179,11 +186,12 @@ const SelfInteractionSimulatorTool = () => {
       hitsCountRef.current = 0;
 
       // Create particles with staggered initial direction change times
+      const rng = createRng();
       for (let i = 0; i < numParticles; i++) {
-        const particle = new Particle(i, canvasRadius);
+        const particle = new Particle(i, canvasRadius, rng);
         // Set lastDirectionChange relative to startTime with random offset
         particle.lastDirectionChange =
-          startTime - Math.random() * DIRECTION_CHANGE_INTERVAL;
+          startTime - rng() * DIRECTION_CHANGE_INTERVAL;
         particlesRef.current.push(particle);
       }
 
@@ -194,7 +202,7 @@ const SelfInteractionSimulatorTool = () => {
 
       setHits(0);
     },
-    [numParticles],
+    [numParticles, createRng],
   );
 
   // Check collisions
@@ -414,6 +422,9 @@ const SelfInteractionSimulatorTool = () => {
       title="Self-Interaction Explorer"
       canvasWidth={7}
       canvasHeight={4}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
     >
       {/* Circular Animation Window */}
       <GridWindow x={0} y={0} w={4} h={4} variant="circular" theme={theme}>
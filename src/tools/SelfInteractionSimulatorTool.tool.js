@@ -0,0 +1,17 @@
+// src/tools/SelfInteractionSimulatorTool.tool.js
+// Menu entry for SelfInteractionSimulatorTool; the component itself loads on first use
+
+export default {
+  id: "self-interaction-simulator",
+  name: "Self-Interaction Explorer",
+  description:
+    "Particle collision simulator showing random motion and interactions in a circular space. Track collision frequency over time.",
+  categories: {
+    topics: [],
+    toolType: "explorer",
+    lab: "lab3",
+  },
+  visibility: "student",
+  help: "self-interaction-simulator.md",
+  load: () => import("./SelfInteractionSimulatorTool"),
+};
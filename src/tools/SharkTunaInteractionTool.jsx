@@ -10,28 +10,43 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState } from "../hooks/useUrlState";
 
 const SharkTunaInteractionTool = () => {
   const { theme } = useTheme();
 
   // State for shark and tuna counts
-  const [numSharks, setNumSharks] = useState(10);
-  const [numTuna, setNumTuna] = useState(50);
+  const [numSharks, setNumSharks] = useUrlState("numSharks", 10, {
+    min: 0,
+    max: 50,
+    integer: true,
+  });
+  const [numTuna, setNumTuna] = useUrlState("numTuna", 50, {
+    min: 0,
+    max: 200,
+    integer: true,
+  });
   const [tunaEaten, setTunaEaten] = useState(0);
 
   // State for creatures on the grid
   const [sharks, setSharks] = useState([]);
   const [tuna, setTuna] = useState([]);
   const [eatenTuna, setEatenTuna] = useState([]);
-  const [showEatenMarkers, setShowEatenMarkers] = useState(false);
+  const [showEatenMarkers, setShowEatenMarkers] = useUrlState(
+    "showEatenMarkers",
+    false,
+  );
+
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
 
   // Grid dimensions for the 4x4 window
   const GRID_SIZE = 20; // 20x20 grid within the window
 
   // Generate random position within grid
-  const getRandomPosition = () => ({
-    x: Math.floor(Math.random() * GRID_SIZE),
-    y: Math.floor(Math.random() * GRID_SIZE),
+  const getRandomPosition = (rng) => ({
+    x: Math.floor(rng() * GRID_SIZE),
+    y: Math.floor(rng() * GRID_SIZE),
   });
 
   // Check if two positions are adjacent (within 1 grid unit)
@@ -44,6 +59,7 @@ const SharkTunaInteractionTool = () => {
   // Place sharks and tuna on the grid and count interactions
   const placeMarine = useCallback(() => {
     const occupiedPositions = new Set();
+    const rng = createRng();
 
     // Helper function to get a unique position
     const getUniquePosition = () => {
@@ -51,7 +67,7 @@ const SharkTunaInteractionTool = () => {
       const maxAttempts = 1000; // Prevent infinite loop
 
       while (attempts < maxAttempts) {
-        const pos = getRandomPosition();
+        const pos = getRandomPosition(rng);
         const key = `${pos.x},${pos.y}`;
 
         if (!occupiedPositions.has(key)) {
@@ -62,7 +78,7 @@ const SharkTunaInteractionTool = () => {
       }
 
       // Fallback: return a position even if occupied (shouldn't happen with reasonable numbers)
-      return getRandomPosition();
+      return getRandomPosition(rng);
     };
 
     // Generate unique positions for sharks
@@ -99,7 +115,7 @@ const SharkTunaInteractionTool = () => {
     setTimeout(() => {
       setShowEatenMarkers(true);
     }, 1000);
-  }, [numSharks, numTuna]);
+  }, [numSharks, numTuna, setShowEatenMarkers, createRng]);
 
   // Calculate positions for display
   const oceanStyle = {
@@ -115,6 +131,9 @@ const SharkTunaInteractionTool = () => {
       title="Shark and Tuna Interaction Counter"
       canvasWidth={7}
       canvasHeight={4}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
     >
       {/* Ocean Window (4x4 on left) */}
       <GridWindow
@@ -0,0 +1,17 @@
+// src/tools/SharkTunaInteractionTool.tool.js
+// Menu entry for SharkTunaInteractionTool; the component itself loads on first use
+
+export default {
+  id: "shark-tuna-interaction",
+  name: "Shark-Tuna Interactions",
+  description:
+    "Spatial predator-prey simulation showing real-time predation events in an ocean ecosystem.",
+  categories: {
+    topics: ["ecology"],
+    toolType: "explorer",
+    lab: "lab1",
+  },
+  visibility: "student",
+  help: "shark-tuna-interaction.md",
+  load: () => import("./SharkTunaInteractionTool"),
+};
@@ -16,12 +16,13 @@ import {
 import ToolContainer from "../components/ui/ToolContainer";
 import Equation from "../components/Equation";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlParams } from "../hooks/useUrlState";
 
 const SharkTunaTrajectoryTool = () => {
   const { theme } = useTheme();
 
   // UI State - only for React components
-  const [uiParams, setUiParams] = useState({
+  const [uiParams, setUiParams] = useUrlParams({
     p: 0.03,
     q: 0.04,
     beta: 0.6,
@@ -488,10 +489,13 @@ const SharkTunaTrajectoryTool = () => {
     }
   }, [stopAnimation, drawStaticElements]);
 
-  const updateParam = useCallback((param, value) => {
-    // Use callback to avoid re-renders
-    setUiParams((prev) => ({ ...prev, [param]: value }));
-  }, []);
+  const updateParam = useCallback(
+    (param, value) => {
+      // Use callback to avoid re-renders
+      setUiParams((prev) => ({ ...prev, [param]: value }));
+    },
+    [setUiParams],
+  );
 
   const killPopulation = useCallback((species, amount = 10) => {
     animationStateRef.current.trajectories =
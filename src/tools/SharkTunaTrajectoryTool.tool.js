@@ -0,0 +1,18 @@
+// src/tools/SharkTunaTrajectoryTool.tool.js
+// Menu entry for SharkTunaTrajectoryTool; the component itself loads on first use
+
+export default {
+  id: "shark-tuna-trajectory",
+  name: "Shark-Tuna Trajectories",
+  description:
+    "Phase space visualization of predator-prey dynamics with vector fields and trajectory plotting.",
+  categories: {
+    topics: ["ecology"],
+    toolType: "simulation",
+    lab: "lab1",
+  },
+  visibility: "student",
+  help: "shark-tuna-trajectory.md",
+  tutorial: "shark-tuna-trajectory.json",
+  load: () => import("./SharkTunaTrajectoryTool"),
+};
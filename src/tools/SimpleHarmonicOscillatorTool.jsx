@@ -18,12 +18,13 @@ import {
 import ToolContainer from "../components/ui/ToolContainer";
 import Equation from "../components/Equation";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState, useUrlParams } from "../hooks/useUrlState";
 
 const SimpleHarmonicOscillatorTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // UI State - only for React components
-  const [uiParams, setUiParams] = useState({
+  const [uiParams, setUiParams] = useUrlParams({
     u: 1.0, // Momentum coefficient
     k: 1.0, // Spring constant
     speed: 1, // Animation speed (default 1x for real-time)
@@ -31,8 +32,11 @@ const SimpleHarmonicOscillatorTool = () => {
 
   const [isAnimating, setIsAnimating] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
-  const [showNullclines, setShowNullclines] = useState(false);
-  const [showPeriod, setShowPeriod] = useState(false);
+  const [showNullclines, setShowNullclines] = useUrlState(
+    "showNullclines",
+    false,
+  );
+  const [showPeriod, setShowPeriod] = useUrlState("showPeriod", false);
   const [detectedPeriod, setDetectedPeriod] = useState(null);
 
   // Canvas refs - separate static and dynamic layers for performance
@@ -673,9 +677,12 @@ const SimpleHarmonicOscillatorTool = () => {
     }
   }, [stopAnimation, drawStaticElements]);
 
-  const updateParam = useCallback((param, value) => {
-    setUiParams((prev) => ({ ...prev, [param]: value }));
-  }, []);
+  const updateParam = useCallback(
+    (param, value) => {
+      setUiParams((prev) => ({ ...prev, [param]: value }));
+    },
+    [setUiParams],
+  );
 
   // Initialize canvases
   useEffect(() => {
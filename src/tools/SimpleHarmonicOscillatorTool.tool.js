@@ -0,0 +1,17 @@
+// src/tools/SimpleHarmonicOscillatorTool.tool.js
+// Menu entry for SimpleHarmonicOscillatorTool; the component itself loads on first use
+
+export default {
+  id: "simple-harmonic-oscillator",
+  name: "Simple Harmonic Oscillator",
+  description:
+    "Explore classical harmonic motion with position and momentum phase space visualization. Observe circular trajectories and perfect periodic oscillations.",
+  categories: {
+    topics: ["physical"],
+    toolType: "explorer",
+    lab: "lab4",
+  },
+  visibility: "student",
+  help: "simple-harmonic-oscillator.md",
+  load: () => import("./SimpleHarmonicOscillatorTool"),
+};
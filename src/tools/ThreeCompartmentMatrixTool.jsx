@@ -11,6 +11,7 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
 
 // Default matrix: M[i][j] = rate/fraction from compartment j to compartment i
 const DEFAULT_MATRIX = [
@@ -34,13 +35,16 @@ const ThreeCompartmentMatrixTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // ── UI State ──────────────────────────────────────────────────────────────
-  const [matrix, setMatrix] = useState(DEFAULT_MATRIX.map((r) => [...r]));
-  const [names, setNames] = useState([...DEFAULT_NAMES]);
-  const [pops, setPops] = useState([...DEFAULT_POPS]);
+  const [matrix, setMatrix] = useUrlState(
+    "matrix",
+    DEFAULT_MATRIX.map((r) => [...r]),
+  );
+  const [names, setNames] = useUrlState("names", [...DEFAULT_NAMES]);
+  const [pops, setPops] = useUrlState("pops", [...DEFAULT_POPS]);
 
   const [isRunning, setIsRunning] = useState(false);
   const [currentStep, setCurrentStep] = useState(0);
-  const [currentPops, setCurrentPops] = useState([...DEFAULT_POPS]);
+  const [currentPops, setCurrentPops] = useState(() => [...pops]);
 
   // ── Canvas / animation refs ───────────────────────────────────────────────
   const tsCanvasRef = useRef(null);
@@ -49,10 +53,10 @@ const ThreeCompartmentMatrixTool = () => {
     isRunning: false,
     animationId: null,
     step: 0,
-    pops: [...DEFAULT_POPS],
-    matrix: DEFAULT_MATRIX.map((r) => [...r]),
-    names: [...DEFAULT_NAMES],
-    history: [[...DEFAULT_POPS]],
+    pops: [...pops],
+    matrix: matrix.map((r) => [...r]),
+    names: [...names],
+    history: [[...pops]],
   });
 
   // ── Helpers ───────────────────────────────────────────────────────────────
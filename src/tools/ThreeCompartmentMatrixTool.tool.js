@@ -0,0 +1,17 @@
+// src/tools/ThreeCompartmentMatrixTool.tool.js
+// Menu entry for ThreeCompartmentMatrixTool; the component itself loads on first use
+
+export default {
+  id: "three-compartment-matrix",
+  name: "Three-Compartment Matrix Model",
+  description:
+    "Explore discrete-time dynamics of three interacting compartments using matrix multiplication. Set transition probabilities and initial populations, then watch the time series evolve.",
+  categories: {
+    topics: ["ecology", "physiology"],
+    toolType: "explorer",
+    lab: "lab6",
+  },
+  visibility: "student",
+  help: "three-compartment-matrix.md",
+  load: () => import("./ThreeCompartmentMatrixTool"),
+};
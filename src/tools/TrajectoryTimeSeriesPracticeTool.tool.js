@@ -0,0 +1,17 @@
+// src/tools/TrajectoryTimeSeriesPracticeTool.tool.js
+// Menu entry for TrajectoryTimeSeriesPracticeTool; the component itself loads on first use
+
+export default {
+  id: "trajectory-time-series-practice",
+  name: "Trajectory & Time Series Practice",
+  description:
+    "Interactive study aide for understanding the relationship between trajectory plots and time series plots in population dynamics.",
+  categories: {
+    topics: [],
+    toolType: "study",
+    lab: null,
+  },
+  visibility: "student",
+  help: "trajectory-time-series-practice.md",
+  load: () => import("./TrajectoryTimeSeriesPracticeTool"),
+};
@@ -10,15 +10,25 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState } from "../hooks/useUrlState";
 
 const TreeRingSimulatorTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // Parameters
-  const [minGrowth, setMinGrowth] = useState(1);
-  const [maxGrowth, setMaxGrowth] = useState(5);
-  const [numYears, setNumYears] = useState(20);
-  const [distributionType, setDistributionType] = useState("Uniform");
+  const [minGrowth, setMinGrowth] = useUrlState("minGrowth", 1);
+  const [maxGrowth, setMaxGrowth] = useUrlState("maxGrowth", 5);
+  const [numYears, setNumYears] = useUrlState("numYears", 20, {
+    min: 1,
+    max: 100,
+    integer: true,
+  });
+  const [distributionType, setDistributionType] = useUrlState(
+    "distributionType",
+    "Uniform",
+  );
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
 
   // Simulation results
   const [yearlyGrowths, setYearlyGrowths] = useState([]);
@@ -53,15 +63,15 @@ const TreeRingSimulatorTool = () => {
   };
 
   // Generate smooth periodic noise using multiple sine waves
-  const generateNoiseSeed = () => {
+  const generateNoiseSeed = (rng) => {
     // Generate random coefficients for a smooth periodic function
     const numHarmonics = 5;
     const harmonics = [];
     for (let i = 0; i < numHarmonics; i++) {
       harmonics.push({
-        amplitude: (Math.random() * 0.3) / (i + 1), // Decreasing amplitude for higher frequencies
-        frequency: i + 1 + Math.random() * 0.5, // Roughly integer frequencies with some variation
-        phase: Math.random() * Math.PI * 2,
+        amplitude: (rng() * 0.3) / (i + 1), // Decreasing amplitude for higher frequencies
+        frequency: i + 1 + rng() * 0.5, // Roughly integer frequencies with some variation
+        phase: rng() * Math.PI * 2,
       });
     }
     return harmonics;
@@ -351,19 +361,20 @@ const TreeRingSimulatorTool = () => {
     setAnimationProgress(0);
 
     // Generate random growths and noise seeds for each year
+    const rng = createRng();
     const growths = [];
     const noiseData = [];
     for (let i = 0; i < numYears; i++) {
       let growth;
       if (distributionType === "Uniform") {
         // Uniform random in [min, max]
-        growth = Math.random() * (maxGrowth - minGrowth) + minGrowth;
+        growth = rng() * (maxGrowth - minGrowth) + minGrowth;
       } else {
         // Binary: 50/50 choice between min and max
-        growth = Math.random() < 0.5 ? minGrowth : maxGrowth;
+        growth = rng() < 0.5 ? minGrowth : maxGrowth;
       }
       growths.push(growth);
-      noiseData.push(generateNoiseSeed());
+      noiseData.push(generateNoiseSeed(rng));
     }
 
     setYearlyGrowths(growths);
@@ -410,7 +421,7 @@ const TreeRingSimulatorTool = () => {
     };
 
     animationRef.current = requestAnimationFrame(animate);
-  }, [minGrowth, maxGrowth, numYears, distributionType, drawAll]);
+  }, [minGrowth, maxGrowth, numYears, distributionType, drawAll, createRng]);
 
   useEffect(() => {
     return () => {
@@ -425,6 +436,9 @@ const TreeRingSimulatorTool = () => {
       title="Tree Ring Simulator"
       canvasWidth={10}
       canvasHeight={3}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
     >
       {/* Circular cross-section view */}
       <GridWindow
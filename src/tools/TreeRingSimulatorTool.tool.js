@@ -0,0 +1,17 @@
+// src/tools/TreeRingSimulatorTool.tool.js
+// Menu entry for TreeRingSimulatorTool; the component itself loads on first use
+
+export default {
+  id: "tree-ring-simulator",
+  name: "Tree Ring Simulator",
+  description:
+    "Simulate annual tree ring growth with random variation. Visualize growth patterns and compare total growth with expected values using z-scores.",
+  categories: {
+    topics: ["ecology"],
+    toolType: "simulation",
+    lab: "lab5",
+  },
+  visibility: "student",
+  help: "tree-ring-simulator.md",
+  load: () => import("./TreeRingSimulatorTool"),
+};
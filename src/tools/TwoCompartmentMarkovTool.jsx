@@ -10,6 +10,8 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState } from "../hooks/useUrlState";
 
 // ---- Particle visual state (lightweight plain objects) ----
 // Each particle has:
@@ -115,17 +117,26 @@ const TwoCompartmentMarkovTool = () => {
   const tsTransformRef = useRef(null);
 
   // Parameters (UI state)
-  const [nameA, setNameA] = useState("A");
-  const [nameB, setNameB] = useState("B");
-  const [popA, setPopA] = useState(500);
-  const [popB, setPopB] = useState(500);
-  const [probAB, setProbAB] = useState(5);
-  const [probBA, setProbBA] = useState(5);
+  const [nameA, setNameA] = useUrlState("nameA", "A");
+  const [nameB, setNameB] = useUrlState("nameB", "B");
+  const [popA, setPopA] = useUrlState("popA", 500, {
+    min: 0,
+    max: 1000,
+    integer: true,
+  });
+  const [popB, setPopB] = useUrlState("popB", 500, {
+    min: 0,
+    max: 1000,
+    integer: true,
+  });
+  const [probAB, setProbAB] = useUrlState("probAB", 5);
+  const [probBA, setProbBA] = useUrlState("probBA", 5);
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
 
   // Simulation display state
   const [isRunning, setIsRunning] = useState(false);
-  const [displayPopA, setDisplayPopA] = useState(500);
-  const [displayPopB, setDisplayPopB] = useState(500);
+  const [displayPopA, setDisplayPopA] = useState(popA);
+  const [displayPopB, setDisplayPopB] = useState(popB);
   const [displayStep, setDisplayStep] = useState(0);
 
   // Markov steps per particle batch: run this many discrete steps per particle,
@@ -142,6 +153,7 @@ const TwoCompartmentMarkovTool = () => {
     particles: [],
     isRunning: false,
     animationId: null,
+    rng: Math.random,    // seeded source for Markov transitions (set on Start)
     markovStep: 0,       // discrete Markov step counter
     frameCount: 0,       // animation frame counter within current step
     history: { A: [], B: [] },
@@ -419,15 +431,17 @@ const TwoCompartmentMarkovTool = () => {
 
   // ---- Run a Markov batch for a single particle ----
   // Pure math: run STEPS_PER_BATCH coin flips. If net compartment changed,
-  // trigger a visual transition arc.
+  // trigger a visual transition arc. Coin flips use the run's seeded rng;
+  // the purely visual jitter keeps using Math.random.
   const runParticleBatch = useCallback((p, pAB, pBA, compA, compB, tunnelX, tunnelW, centerY) => {
     const before = p.compartment;
+    const rng = animRef.current.rng;
 
     for (let step = 0; step < STEPS_PER_BATCH; step++) {
       if (p.compartment === "A") {
-        if (Math.random() < pAB) p.compartment = "B";
+        if (rng() < pAB) p.compartment = "B";
       } else {
-        if (Math.random() < pBA) p.compartment = "A";
+        if (rng() < pBA) p.compartment = "A";
       }
     }
 
@@ -604,6 +618,8 @@ const TwoCompartmentMarkovTool = () => {
     anim.centerY = layout.centerY;
 
     // Create particles with staggered batch offsets
+    const rng = createRng();
+    anim.rng = rng;
     const particles = [];
     const { compA, compB } = layout;
     for (let i = 0; i < popA; i++) {
@@ -612,7 +628,7 @@ const TwoCompartmentMarkovTool = () => {
           compA.x + 10 + Math.random() * (compA.w - 20),
           compA.y + 10 + Math.random() * (compA.h - 20),
           "A",
-          Math.floor(Math.random() * FRAMES_PER_BATCH),
+          Math.floor(rng() * FRAMES_PER_BATCH),
         ),
       );
     }
@@ -622,7 +638,7 @@ const TwoCompartmentMarkovTool = () => {
           compB.x + 10 + Math.random() * (compB.w - 20),
           compB.y + 10 + Math.random() * (compB.h - 20),
           "B",
-          Math.floor(Math.random() * FRAMES_PER_BATCH),
+          Math.floor(rng() * FRAMES_PER_BATCH),
         ),
       );
     }
@@ -654,7 +670,7 @@ const TwoCompartmentMarkovTool = () => {
 
     // Start animation
     animationLoop();
-  }, [popA, popB, computeLayout, drawStaticElements, animationLoop]);
+  }, [popA, popB, computeLayout, drawStaticElements, animationLoop, createRng]);
 
   const handlePause = useCallback(() => {
     const anim = animRef.current;
@@ -717,6 +733,9 @@ const TwoCompartmentMarkovTool = () => {
       title="Two Compartment Markov Model"
       canvasWidth={10}
       canvasHeight={6}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
     >
       {/* Compartment Visualization */}
       <GridWindow
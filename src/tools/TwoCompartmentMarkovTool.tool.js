@@ -0,0 +1,17 @@
+// src/tools/TwoCompartmentMarkovTool.tool.js
+// Menu entry for TwoCompartmentMarkovTool; the component itself loads on first use
+
+export default {
+  id: "two-compartment-markov",
+  name: "Two Compartment Markov Model",
+  description:
+    "Visualize stochastic transitions between two compartments with particle animation and population tracking.",
+  categories: {
+    topics: ["physiology"],
+    toolType: "explorer",
+    lab: "lab6",
+  },
+  visibility: "student",
+  help: "two-compartment-markov.md",
+  load: () => import("./TwoCompartmentMarkovTool"),
+};
@@ -17,6 +17,7 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useUrlState } from "../hooks/useUrlState";
 
 // ── Mesh helpers ───────────────────────────────────────────────────────────────
 // Each shape returns an array of triangles: [ [v0, v1, v2], ... ]
@@ -217,10 +218,16 @@ const TwoDimensionalMatrixVisualizerTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // Matrix state
-  const [matrix, setMatrix] = useState(DEFAULT_MATRIX.map((r) => [...r]));
+  const [matrix, setMatrix] = useUrlState(
+    "matrix",
+    DEFAULT_MATRIX.map((r) => [...r]),
+  );
 
   // Shape selection
-  const [selectedShape, setSelectedShape] = useState(SHAPE_NAMES[0]);
+  const [selectedShape, setSelectedShape] = useUrlState(
+    "selectedShape",
+    SHAPE_NAMES[0],
+  );
 
   // Triangle mesh: array of [v0,v1,v2] where each vertex has orig/cur/angle/radius.
   // "Next State" applies M to .cur; .orig/.angle/.radius stay fixed for coloring.
@@ -228,10 +235,13 @@ const TwoDimensionalMatrixVisualizerTool = () => {
   const [stepCount, setStepCount] = useState(0);
 
   // Display options
-  const [showEigenvectors, setShowEigenvectors] = useState(false);
+  const [showEigenvectors, setShowEigenvectors] = useUrlState(
+    "showEigenvectors",
+    false,
+  );
 
   // View range: ±viewRange on both axes
-  const [viewRange, setViewRange] = useState(3);
+  const [viewRange, setViewRange] = useUrlState("viewRange", 3);
 
   // Tracked points: user-placed, transform with M each step
   const [trackedPoints, setTrackedPoints] = useState([]);
@@ -575,7 +585,7 @@ const TwoDimensionalMatrixVisualizerTool = () => {
 
   const handleResetMatrix = useCallback(() => {
     setMatrix(DEFAULT_MATRIX.map((r) => [...r]));
-  }, []);
+  }, [setMatrix]);
 
   const handleResetPoints = useCallback(() => {
     setTrackedPoints([]);
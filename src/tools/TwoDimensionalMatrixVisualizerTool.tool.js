@@ -0,0 +1,17 @@
+// src/tools/TwoDimensionalMatrixVisualizerTool.tool.js
+// Menu entry for TwoDimensionalMatrixVisualizerTool; the component itself loads on first use
+
+export default {
+  id: "2d-matrix-visualizer",
+  name: "2D Matrix Visualizer",
+  description:
+    "Visualize how a 2×2 matrix acts as a linear map on the plane. Choose a shape, watch it transform in real time, iterate M repeatedly, and explore eigenvectors and matrix properties.",
+  categories: {
+    topics: ["physical"],
+    toolType: "explorer",
+    lab: "lab6",
+  },
+  visibility: "student",
+  help: "2d-matrix-visualizer.md",
+  load: () => import("./TwoDimensionalMatrixVisualizerTool"),
+};
@@ -1,7 +1,8 @@
 // src/tools/VisualToolBuilder/index.jsx
 
-import React, { useState, useRef } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import { useTheme } from "../hooks/useTheme";
+import { downloadTextFile } from "../utils/dataExport";
 import {
   componentTypes,
   getDefaultProps,
@@ -9,24 +10,178 @@ import {
 import {
   isValidPlacement,
   getOverlappingCells,
+  generateCode,
+  moveComponents,
+  alignComponents,
+  duplicateComponents,
+  componentsInRect,
 } from "./VisualToolBuilder/utils";
+import { useLayoutHistory } from "./VisualToolBuilder/useLayoutHistory";
 import ComponentPalette from "./VisualToolBuilder/ComponentPalette";
 import PropertiesPanel from "./VisualToolBuilder/PropertiesPanel";
+import LayoutLibraryModal from "./VisualToolBuilder/LayoutLibraryModal";
+import LivePreview from "./VisualToolBuilder/LivePreview";
+import ModelPanel from "./VisualToolBuilder/ModelPanel";
+import { EMPTY_MODEL, compileModel } from "../utils/modelBinding";
+import {
+  serializeLayout,
+  parseLayoutText,
+  loadDraft,
+  saveDraft,
+  loadFromLibrary,
+} from "./VisualToolBuilder/layoutStorage";
+
+const EMPTY_LAYOUT = {
+  toolName: "MyCustomTool",
+  canvasWidth: 10,
+  canvasHeight: 5,
+  placedComponents: [],
+  model: EMPTY_MODEL,
+};
 
 const VisualToolBuilder = () => {
   const { theme } = useTheme();
-  const [placedComponents, setPlacedComponents] = useState([]);
-  const [selectedComponent, setSelectedComponent] = useState(null);
+  // Restore the layout that was being edited before the page was reloaded
+  const [initialLayout] = useState(() => loadDraft() || EMPTY_LAYOUT);
+  // Components and canvas size, with undo/redo
+  const {
+    present: layout,
+    update: updateLayout,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+  } = useLayoutHistory({
+    placedComponents: initialLayout.placedComponents,
+    canvasWidth: initialLayout.canvasWidth,
+    canvasHeight: initialLayout.canvasHeight,
+  });
+  const { placedComponents, canvasWidth, canvasHeight } = layout;
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectionBox, setSelectionBox] = useState(null);
   const [draggedComponent, setDraggedComponent] = useState(null);
   const [draggedExisting, setDraggedExisting] = useState(null);
   const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
-  const [toolName, setToolName] = useState("MyCustomTool");
-  const [canvasWidth, setCanvasWidth] = useState(10);
-  const [canvasHeight, setCanvasHeight] = useState(5);
+  const [toolName, setToolName] = useState(initialLayout.toolName);
   const [showResizeModal, setShowResizeModal] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [previewMode, setPreviewMode] = useState(false);
+  const [model, setModel] = useState(initialLayout.model || EMPTY_MODEL);
+  const [showModel, setShowModel] = useState(false);
   const [tempWidth, setTempWidth] = useState(10);
   const [tempHeight, setTempHeight] = useState(5);
   const gridRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const keyHandlerRef = useRef(null);
+
+  // Change the component list as one undo step (see useLayoutHistory for
+  // coalesceKey)
+  const setPlacedComponents = (updater, coalesceKey) =>
+    updateLayout((prev) => {
+      const next =
+        typeof updater === "function"
+          ? updater(prev.placedComponents)
+          : updater;
+      // Unchanged lists add no undo step
+      return next === prev.placedComponents
+        ? prev
+        : { ...prev, placedComponents: next };
+    }, coalesceKey);
+
+  // Selected components that still exist (undo can remove them)
+  const selection = selectedIds.filter((id) =>
+    placedComponents.some((comp) => comp.id === id),
+  );
+  const selectedComponent =
+    selection.length === 1
+      ? placedComponents.find((comp) => comp.id === selection[0])
+      : null;
+
+  const layoutState = {
+    toolName,
+    canvasWidth,
+    canvasHeight,
+    placedComponents,
+    model,
+  };
+
+  // Variable and parameter names offered for bindings
+  const modelInfo = useMemo(() => compileModel(model), [model]);
+
+  // Keep a draft in browser storage so a refresh does not lose work
+  useEffect(() => {
+    saveDraft({ toolName, canvasWidth, canvasHeight, placedComponents, model });
+  }, [toolName, canvasWidth, canvasHeight, placedComponents, model]);
+
+  // Replace the current layout (asks first if it has components)
+  const applyLayout = ({ layout, warnings }) => {
+    if (
+      placedComponents.length > 0 &&
+      !window.confirm("Replace the current layout? Unsaved changes are lost.")
+    ) {
+      return false;
+    }
+
+    setToolName(layout.toolName);
+    updateLayout({
+      placedComponents: layout.placedComponents,
+      canvasWidth: layout.canvasWidth,
+      canvasHeight: layout.canvasHeight,
+    });
+    setModel(layout.model);
+    setSelectedIds([]);
+
+    if (warnings.length > 0) {
+      alert(`Layout opened with changes:\n${warnings.join("\n")}`);
+    }
+    return true;
+  };
+
+  // Download the layout as a JSON file that Open File can read back
+  const handleSaveFile = () => {
+    downloadTextFile(
+      `${toolName || "layout"}.layout.json`,
+      JSON.stringify(serializeLayout(layoutState), null, 2),
+      "application/json",
+    );
+  };
+
+  const handleOpenFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow opening the same file again
+    if (!file) return;
+
+    try {
+      applyLayout(parseLayoutText(await file.text()));
+    } catch (error) {
+      alert(`Could not open ${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleOpenFromLibrary = (name) => {
+    try {
+      if (applyLayout(loadFromLibrary(name))) setShowLibrary(false);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleNewLayout = () => {
+    if (
+      placedComponents.length > 0 &&
+      !window.confirm("Start a new layout? Unsaved changes are lost.")
+    ) {
+      return;
+    }
+    setToolName(EMPTY_LAYOUT.toolName);
+    updateLayout({
+      placedComponents: [],
+      canvasWidth: EMPTY_LAYOUT.canvasWidth,
+      canvasHeight: EMPTY_LAYOUT.canvasHeight,
+    });
+    setModel(EMPTY_MODEL);
+    setSelectedIds([]);
+  };
 
   // Handle drag start from palette
   const handleDragStart = (e, componentType) => {
@@ -45,6 +200,8 @@ const VisualToolBuilder = () => {
 
     setDraggedExisting(component);
     setDragOffset({ x: offsetX, y: offsetY });
+    // Dragging an unselected component moves just that component
+    if (!selection.includes(component.id)) setSelectedIds([component.id]);
     e.dataTransfer.effectAllowed = "move";
     e.stopPropagation();
   };
@@ -108,7 +265,6 @@ const VisualToolBuilder = () => {
         setPlacedComponents((prev) => [...prev, newComponent]);
       }
     } else if (draggedExisting) {
-      // Existing component drag logic stays the same
       const mouseX = e.clientX - rect.left - dragOffset.x;
       const mouseY = e.clientY - rect.top - dragOffset.y;
 
@@ -127,15 +283,20 @@ const VisualToolBuilder = () => {
         ),
       );
 
-      const updatedComponent = { ...draggedExisting, x, y };
-
-      if (isValidPlacement(updatedComponent, canvasWidth, canvasHeight)) {
-        setPlacedComponents((prev) =>
-          prev.map((comp) =>
-            comp.id === draggedExisting.id ? updatedComponent : comp,
-          ),
-        );
-      }
+      // The rest of the selection moves along with the dragged component
+      const ids = selection.includes(draggedExisting.id)
+        ? selection
+        : [draggedExisting.id];
+      setPlacedComponents((prev) =>
+        moveComponents(
+          prev,
+          ids,
+          x - draggedExisting.x,
+          y - draggedExisting.y,
+          canvasWidth,
+          canvasHeight,
+        ),
+      );
     }
 
     setDraggedComponent(null);
@@ -146,39 +307,177 @@ const VisualToolBuilder = () => {
   // Remove component
   const removeComponent = (id) => {
     setPlacedComponents((prev) => prev.filter((comp) => comp.id !== id));
-    setSelectedComponent(null);
+    setSelectedIds([]);
   };
 
-  // Update component properties
+  // Update component properties; consecutive edits of one component are a
+  // single undo step
   const updateComponentProps = (id, newProps) => {
-    setPlacedComponents((prev) =>
-      prev.map((comp) =>
-        comp.id === id ? { ...comp, props: newProps } : comp,
-      ),
+    setPlacedComponents(
+      (prev) =>
+        prev.map((comp) =>
+          comp.id === id ? { ...comp, props: newProps } : comp,
+        ),
+      `props-${id}`,
     );
-
-    // Update selected component if it's the one being edited
-    if (selectedComponent?.id === id) {
-      setSelectedComponent((prev) => ({ ...prev, props: newProps }));
-    }
   };
 
   // Resize component
   const resizeComponent = (id, newW, newH) => {
-    setPlacedComponents((prev) =>
-      prev.map((comp) => {
-        if (comp.id === id) {
-          const updatedComp = { ...comp, w: newW, h: newH };
-          if (isValidPlacement(updatedComp, canvasWidth, canvasHeight)) {
-            return updatedComp;
+    setPlacedComponents(
+      (prev) =>
+        prev.map((comp) => {
+          if (comp.id === id) {
+            const updatedComp = { ...comp, w: newW, h: newH };
+            if (isValidPlacement(updatedComp, canvasWidth, canvasHeight)) {
+              return updatedComp;
+            }
+            return comp;
           }
           return comp;
-        }
-        return comp;
-      }),
+        }),
+      `size-${id}`,
+    );
+  };
+
+  // Multi-selection actions
+  const deleteSelected = () => {
+    if (selection.length === 0) return;
+    setPlacedComponents((prev) =>
+      prev.filter((comp) => !selection.includes(comp.id)),
+    );
+    setSelectedIds([]);
+  };
+
+  const duplicateSelected = () => {
+    if (selection.length === 0) return;
+    const { components, ids } = duplicateComponents(
+      placedComponents,
+      selection,
+      canvasWidth,
+      canvasHeight,
     );
+    setPlacedComponents(components);
+    setSelectedIds(ids);
   };
 
+  const alignSelected = (edge) => {
+    setPlacedComponents((prev) => alignComponents(prev, selection, edge));
+  };
+
+  const moveSelected = (dx, dy) => {
+    setPlacedComponents((prev) =>
+      moveComponents(prev, selection, dx, dy, canvasWidth, canvasHeight),
+    );
+  };
+
+  // Click selects one component; Shift/Ctrl/Cmd-click adds or removes it
+  const handleComponentClick = (e, component) => {
+    e.stopPropagation();
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      setSelectedIds(
+        selection.includes(component.id)
+          ? selection.filter((id) => id !== component.id)
+          : [...selection, component.id],
+      );
+    } else {
+      setSelectedIds([component.id]);
+    }
+  };
+
+  // Box selection: drag on empty canvas to select every component the box
+  // touches (Shift adds to the selection); a plain click clears it
+  const handleCanvasMouseDown = (e) => {
+    if (previewMode || e.button !== 0 || e.target !== gridRef.current) return;
+    e.preventDefault();
+
+    const rect = gridRef.current.getBoundingClientRect();
+    const start = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    const additive = e.shiftKey;
+    let box = { x0: start.x, y0: start.y, x1: start.x, y1: start.y };
+
+    const handleMouseMove = (e) => {
+      box = {
+        ...box,
+        x1: Math.max(0, Math.min(rect.width, e.clientX - rect.left)),
+        y1: Math.max(0, Math.min(rect.height, e.clientY - rect.top)),
+      };
+      setSelectionBox(box);
+    };
+
+    const handleMouseUp = () => {
+      document.removeEventListener("mousemove", handleMouseMove);
+      document.removeEventListener("mouseup", handleMouseUp);
+      setSelectionBox(null);
+
+      const dragged =
+        Math.abs(box.x1 - box.x0) > 4 || Math.abs(box.y1 - box.y0) > 4;
+      if (!dragged) {
+        if (!additive) setSelectedIds([]);
+        return;
+      }
+      const ids = componentsInRect(placedComponents, {
+        x0: box.x0 / 100,
+        y0: box.y0 / 100,
+        x1: box.x1 / 100,
+        y1: box.y1 / 100,
+      });
+      setSelectedIds((prev) =>
+        additive ? [...new Set([...prev, ...ids])] : ids,
+      );
+    };
+
+    document.addEventListener("mousemove", handleMouseMove);
+    document.addEventListener("mouseup", handleMouseUp);
+  };
+
+  // Keyboard shortcuts; ignored while typing in a field so text editing
+  // keeps its own undo
+  keyHandlerRef.current = (e) => {
+    const target = e.target;
+    if (
+      target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+    ) {
+      return;
+    }
+    if (previewMode || showResizeModal || showLibrary || showModel) return;
+
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    const arrows = {
+      arrowleft: [-1, 0],
+      arrowright: [1, 0],
+      arrowup: [0, -1],
+      arrowdown: [0, 1],
+    };
+
+    if (mod && key === "z") {
+      e.shiftKey ? redo() : undo();
+    } else if (mod && key === "y") {
+      redo();
+    } else if (mod && key === "d") {
+      duplicateSelected();
+    } else if (mod && key === "a") {
+      setSelectedIds(placedComponents.map((comp) => comp.id));
+    } else if (key === "delete" || key === "backspace") {
+      deleteSelected();
+    } else if (key === "escape") {
+      setSelectedIds([]);
+    } else if (arrows[key] && selection.length > 0) {
+      moveSelected(...arrows[key]);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => keyHandlerRef.current?.(e);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
   // Handle resize drag
   const handleResizeDrag = (e, component, direction) => {
     e.preventDefault();
@@ -188,6 +487,8 @@ const VisualToolBuilder = () => {
     const startY = e.clientY;
     const startW = component.w;
     const startH = component.h;
+    // The whole drag is one undo step
+    const gestureKey = `resize-${component.id}-${Date.now()}`;
 
     const handleMouseMove = (e) => {
       const deltaX = Math.round((e.clientX - startX) / 100);
@@ -201,8 +502,10 @@ const VisualToolBuilder = () => {
 
       const updatedComp = { ...component, w: newW, h: newH };
       if (isValidPlacement(updatedComp, canvasWidth, canvasHeight)) {
-        setPlacedComponents((prev) =>
-          prev.map((comp) => (comp.id === component.id ? updatedComp : comp)),
+        setPlacedComponents(
+          (prev) =>
+            prev.map((comp) => (comp.id === component.id ? updatedComp : comp)),
+          gestureKey,
         );
       }
     };
@@ -240,16 +543,16 @@ const VisualToolBuilder = () => {
     }
 
     // Filter out components that would be outside bounds
-    setPlacedComponents((prev) =>
-      prev.filter(
+    updateLayout((prev) => ({
+      canvasWidth: newWidth,
+      canvasHeight: newHeight,
+      placedComponents: prev.placedComponents.filter(
         (comp) => comp.x + comp.w <= newWidth && comp.y + comp.h <= newHeight,
       ),
-    );
+    }));
 
-    setCanvasWidth(newWidth);
-    setCanvasHeight(newHeight);
     setShowResizeModal(false);
-    setSelectedComponent(null);
+    setSelectedIds([]);
   };
 
   // Generate enhanced code export
@@ -269,6 +572,7 @@ const VisualToolBuilder = () => {
         description:
           comp.description || `${comp.type} component at (${comp.x},${comp.y})`,
       })),
+      model,
     };
 
     const exportText = `// ${toolName} - Visual Tool Builder Export
@@ -291,6 +595,31 @@ ${JSON.stringify(exportData, null, 2)}`;
       });
   };
 
+  // Copy a ready-to-edit React tool component built from the layout
+  const handleCopyJsx = () => {
+    const code = generateCode(
+      placedComponents,
+      toolName || "MyCustomTool",
+      model,
+    );
+    navigator.clipboard
+      .writeText(code)
+      .then(() => {
+        alert("Tool component code copied to clipboard!");
+      })
+      .catch(() => {
+        alert(
+          "Could not copy to clipboard. Please copy the text from the console.",
+        );
+        console.log(code);
+      });
+  };
+
+  const togglePreview = () => {
+    setPreviewMode((prev) => !prev);
+    setSelectedIds([]);
+  };
+
   const collisionCells = getOverlappingCells(placedComponents);
 
   return (
@@ -308,12 +637,59 @@ ${JSON.stringify(exportData, null, 2)}`;
             className={`px-3 py-2 border rounded text-lg font-medium ${theme.bg} ${theme.text} min-w-48`}
             placeholder="Tool Name"
           />
-          <button
-            onClick={handleGenerateCode}
-            className="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition-colors font-medium"
-          >
-            Generate Code
-          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={handleNewLayout}
+              className={`px-3 py-2 border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors`}
+            >
+              New
+            </button>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className={`px-3 py-2 border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors`}
+            >
+              Open File
+            </button>
+            <button
+              onClick={handleSaveFile}
+              className={`px-3 py-2 border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors`}
+            >
+              Save File
+            </button>
+            <button
+              onClick={() => setShowModel(true)}
+              className={`px-3 py-2 border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors`}
+            >
+              Model
+            </button>
+            <button
+              onClick={() => setShowLibrary(true)}
+              className={`px-3 py-2 border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors`}
+            >
+              Library
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={handleOpenFile}
+            />
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={handleCopyJsx}
+              className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors font-medium"
+            >
+              Copy JSX
+            </button>
+            <button
+              onClick={handleGenerateCode}
+              className="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition-colors font-medium"
+            >
+              Generate Code
+            </button>
+          </div>
         </div>
       </div>
 
@@ -325,11 +701,13 @@ ${JSON.stringify(exportData, null, 2)}`;
         <PropertiesPanel
           theme={theme}
           selectedComponent={selectedComponent}
+          selectedCount={selection.length}
           placedComponents={placedComponents}
           toolName={toolName}
           onRemoveComponent={removeComponent}
           onResizeComponent={resizeComponent}
           onUpdateComponentProps={updateComponentProps}
+          modelInfo={modelInfo}
         />
 
         {/* Main Grid Canvas - Right */}
@@ -338,16 +716,79 @@ ${JSON.stringify(exportData, null, 2)}`;
         >
           <div className="flex items-center justify-between mb-4">
             <h2 className={`text-lg font-semibold ${theme.text}`}>
-              Design Canvas ({canvasWidth}×{canvasHeight})
+              {previewMode ? "Live Preview" : "Design Canvas"} ({canvasWidth}×
+              {canvasHeight})
             </h2>
-            <button
-              onClick={handleResizeCanvas}
-              className={`px-3 py-1 text-sm border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors`}
-            >
-              Resize Canvas
-            </button>
+            <div className="flex gap-2">
+              <button
+                onClick={undo}
+                disabled={previewMode || !canUndo}
+                title="Undo (Ctrl+Z)"
+                className={`px-3 py-1 text-sm border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors disabled:opacity-50`}
+              >
+                Undo
+              </button>
+              <button
+                onClick={redo}
+                disabled={previewMode || !canRedo}
+                title="Redo (Ctrl+Shift+Z)"
+                className={`px-3 py-1 text-sm border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors disabled:opacity-50`}
+              >
+                Redo
+              </button>
+              <button
+                onClick={togglePreview}
+                className={`px-3 py-1 text-sm border rounded transition-colors ${
+                  previewMode
+                    ? "bg-blue-500 text-white hover:bg-blue-600"
+                    : `${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900`
+                }`}
+              >
+                {previewMode ? "Back to Design" : "Preview"}
+              </button>
+              <button
+                onClick={handleResizeCanvas}
+                disabled={previewMode}
+                className={`px-3 py-1 text-sm border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors disabled:opacity-50`}
+              >
+                Resize Canvas
+              </button>
+            </div>
           </div>
 
+          {/* Actions for the current selection */}
+          {!previewMode && selection.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+              <span className={`text-sm ${theme.text} opacity-70`}>
+                {selection.length} selected
+              </span>
+              <button
+                onClick={duplicateSelected}
+                title="Duplicate (Ctrl+D)"
+                className={`px-3 py-1 text-sm border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors disabled:opacity-50`}
+              >
+                Duplicate
+              </button>
+              {selection.length > 1 &&
+                ["left", "top", "right", "bottom"].map((edge) => (
+                  <button
+                    key={edge}
+                    onClick={() => alignSelected(edge)}
+                    className={`px-3 py-1 text-sm border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors disabled:opacity-50`}
+                  >
+                    Align {edge.charAt(0).toUpperCase() + edge.slice(1)}
+                  </button>
+                ))}
+              <button
+                onClick={deleteSelected}
+                title="Delete (Del)"
+                className="px-3 py-1 text-sm bg-red-500 text-white rounded hover:bg-red-600 transition-colors"
+              >
+                Delete
+              </button>
+            </div>
+          )}
+
           <div
             ref={gridRef}
             className="relative border-2 border-gray-600"
@@ -355,9 +796,9 @@ ${JSON.stringify(exportData, null, 2)}`;
               width: `${canvasWidth * 100}px`,
               height: `${canvasHeight * 100}px`,
             }}
-            onDragOver={(e) => e.preventDefault()}
+            onDragOver={(e) => !previewMode && e.preventDefault()}
             onDrop={handleDrop}
-            onClick={() => setSelectedComponent(null)} // Unselect when clicking empty grid
+            onMouseDown={handleCanvasMouseDown}
           >
             {/* Grid Lines */}
             <svg
@@ -389,84 +830,107 @@ ${JSON.stringify(exportData, null, 2)}`;
               ))}
             </svg>
 
+            {/* Live preview: real components, interactive */}
+            {previewMode && (
+              <LivePreview
+                theme={theme}
+                placedComponents={placedComponents}
+                model={model}
+              />
+            )}
+
+            {/* Box selection rectangle */}
+            {selectionBox && (
+              <div
+                className="absolute border-2 border-blue-400 bg-blue-400 bg-opacity-20 pointer-events-none"
+                style={{
+                  left: Math.min(selectionBox.x0, selectionBox.x1),
+                  top: Math.min(selectionBox.y0, selectionBox.y1),
+                  width: Math.abs(selectionBox.x1 - selectionBox.x0),
+                  height: Math.abs(selectionBox.y1 - selectionBox.y0),
+                  zIndex: 20,
+                }}
+              />
+            )}
+
             {/* Collision highlighting */}
-            {Array.from(collisionCells).map((cellKey) => {
-              const [x, y] = cellKey.split(",").map(Number);
-              return (
+            {!previewMode &&
+              Array.from(collisionCells).map((cellKey) => {
+                const [x, y] = cellKey.split(",").map(Number);
+                return (
+                  <div
+                    key={cellKey}
+                    className="absolute bg-red-500 bg-opacity-50 pointer-events-none"
+                    style={{
+                      left: x * 100,
+                      top: y * 100,
+                      width: 100,
+                      height: 100,
+                      zIndex: 5,
+                    }}
+                  />
+                );
+              })}
+
+            {/* Placed Components - NO MORE BORDERS */}
+            {!previewMode &&
+              placedComponents.map((component) => (
                 <div
-                  key={cellKey}
-                  className="absolute bg-red-500 bg-opacity-50 pointer-events-none"
+                  key={component.id}
+                  className={`absolute cursor-move flex items-center justify-center ${
+                    selection.includes(component.id)
+                      ? "ring-4 ring-blue-400"
+                      : ""
+                  }`}
                   style={{
-                    left: x * 100,
-                    top: y * 100,
-                    width: 100,
-                    height: 100,
-                    zIndex: 5,
+                    left: component.x * 100,
+                    top: component.y * 100,
+                    width: component.w * 100,
+                    height: component.h * 100,
+                    backgroundColor: "transparent",
+                    zIndex: selection.includes(component.id) ? 10 : 1,
                   }}
-                />
-              );
-            })}
+                  draggable
+                  onDragStart={(e) => handleExistingDragStart(e, component)}
+                  onClick={(e) => handleComponentClick(e, component)}
+                >
+                  {/* Render the properly sized grid icon; clicks go to the
+                    wrapper so components select instead of reacting */}
+                  <div className="flex items-center justify-center w-full h-full pointer-events-none">
+                    {componentTypes[component.type].gridIcon(
+                      theme,
+                      component.props,
+                      component.w,
+                      component.h,
+                    )}
+                  </div>
 
-            {/* Placed Components - NO MORE BORDERS */}
-            {placedComponents.map((component) => (
-              <div
-                key={component.id}
-                className={`absolute cursor-move flex items-center justify-center ${
-                  selectedComponent?.id === component.id
-                    ? "ring-4 ring-blue-400"
-                    : ""
-                }`}
-                style={{
-                  left: component.x * 100,
-                  top: component.y * 100,
-                  width: component.w * 100,
-                  height: component.h * 100,
-                  backgroundColor: "transparent",
-                  zIndex: selectedComponent?.id === component.id ? 10 : 1,
-                }}
-                draggable
-                onDragStart={(e) => handleExistingDragStart(e, component)}
-                onClick={(e) => {
-                  e.stopPropagation(); // Prevent grid deselection
-                  setSelectedComponent(component);
-                }}
-              >
-                {/* Render the properly sized grid icon */}
-                <div className="flex items-center justify-center w-full h-full">
-                  {componentTypes[component.type].gridIcon(
-                    theme,
-                    component.props,
-                    component.w,
-                    component.h,
-                  )}
+                  {/* Resize handles for resizable components */}
+                  {componentTypes[component.type].resizable &&
+                    selectedComponent?.id === component.id && (
+                      <>
+                        <div
+                          className="absolute right-0 top-0 w-2 h-full bg-blue-400 opacity-75 cursor-e-resize"
+                          onMouseDown={(e) =>
+                            handleResizeDrag(e, component, "right")
+                          }
+                        />
+                        <div
+                          className="absolute bottom-0 left-0 w-full h-2 bg-blue-400 opacity-75 cursor-s-resize"
+                          onMouseDown={(e) =>
+                            handleResizeDrag(e, component, "bottom")
+                          }
+                        />
+                        <div
+                          className="absolute right-0 bottom-0 w-4 h-4 bg-blue-400 cursor-se-resize"
+                          onMouseDown={(e) =>
+                            handleResizeDrag(e, component, "right bottom")
+                          }
+                        />
+                      </>
+                    )}
                 </div>
-
-                {/* Resize handles for resizable components */}
-                {componentTypes[component.type].resizable &&
-                  selectedComponent?.id === component.id && (
-                    <>
-                      <div
-                        className="absolute right-0 top-0 w-2 h-full bg-blue-400 opacity-75 cursor-e-resize"
-                        onMouseDown={(e) =>
-                          handleResizeDrag(e, component, "right")
-                        }
-                      />
-                      <div
-                        className="absolute bottom-0 left-0 w-full h-2 bg-blue-400 opacity-75 cursor-s-resize"
-                        onMouseDown={(e) =>
-                          handleResizeDrag(e, component, "bottom")
-                        }
-                      />
-                      <div
-                        className="absolute right-0 bottom-0 w-4 h-4 bg-blue-400 cursor-se-resize"
-                        onMouseDown={(e) =>
-                          handleResizeDrag(e, component, "right bottom")
-                        }
-                      />
-                    </>
-                  )}
-              </div>
-            ))}
+              ))}
           </div>
         </div>
       </div>
@@ -533,6 +997,26 @@ ${JSON.stringify(exportData, null, 2)}`;
         </div>
       )}
 
+      {/* Model Editor */}
+      {showModel && (
+        <ModelPanel
+          theme={theme}
+          model={model}
+          onChange={setModel}
+          onClose={() => setShowModel(false)}
+        />
+      )}
+
+      {/* Layout Library Modal */}
+      {showLibrary && (
+        <LayoutLibraryModal
+          theme={theme}
+          layoutState={layoutState}
+          onOpen={handleOpenFromLibrary}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
       {/* Instructions */}
       <div
         className={`mt-6 max-w-full mx-auto ${theme.container} border border-blue-200 rounded-lg p-4`}
@@ -541,11 +1025,42 @@ ${JSON.stringify(exportData, null, 2)}`;
         <ul className={`${theme.text} opacity-70 text-sm space-y-1`}>
           <li>• Drag components from the palette to the grid</li>
           <li>• Click components to select them (blue ring appears)</li>
-          <li>• Drag placed components to move them</li>
-          <li>• Resize Display and Graph components using blue drag handles</li>
+          <li>
+            • Shift-click components, or drag a box on empty canvas, to select
+            several; Ctrl+A selects everything
+          </li>
+          <li>
+            • Drag placed components to move them (the whole selection moves
+            together), or nudge the selection with the arrow keys
+          </li>
+          <li>
+            • With several selected, align their edges, duplicate them (Ctrl+D)
+            or delete them (Delete)
+          </li>
+          <li>• Undo with Ctrl+Z and redo with Ctrl+Shift+Z or Ctrl+Y</li>
+          <li>
+            • Resize displays, graphs, tables and other resizable components
+            using the blue drag handles
+          </li>
           <li>• Red highlights show overlapping areas</li>
           <li>
-            • Click "Generate Code" to copy the complete ToolContainer code
+            • Click "Preview" to try the layout with the real components: move
+            sliders, type equations and fill in tables
+          </li>
+          <li>
+            • Click "Model" to enter rate equations; then bind sliders, inputs
+            and staircases to parameters, and graphs, time series and displays
+            to variables, in the Properties panel
+          </li>
+          <li>
+            • Click "Copy JSX" to copy a React tool component that uses the real
+            Grid components and simulates the model, or "Generate Code" to copy
+            the layout as JSON
+          </li>
+          <li>
+            • Your layout is kept in this browser between visits; use "Save
+            File" and "Open File" to move it elsewhere, or "Library" to keep
+            several named layouts
           </li>
         </ul>
       </div>
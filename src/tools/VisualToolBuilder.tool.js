@@ -0,0 +1,15 @@
+// src/tools/VisualToolBuilder.tool.js
+// Menu entry for VisualToolBuilder; the component itself loads on first use
+
+export default {
+  id: "visual-tool-builder",
+  name: "Visual Tool Builder",
+  description: "Drag-and-drop interface for creating new modeling tools.",
+  categories: {
+    topics: [],
+    toolType: "development",
+    lab: null,
+  },
+  visibility: "dev",
+  load: () => import("./VisualToolBuilder"),
+};
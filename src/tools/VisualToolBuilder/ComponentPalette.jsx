@@ -72,11 +72,11 @@ const ComponentPalette = ({ theme, onDragStart }) => {
   const scale = 0.6;
   const cellSize = baseCellSize * scale + 1; // 61px
 
-  // Grid dimensions: 4 columns, 8 rows
+  // Grid dimensions: 4 columns; rows grow to fit every component and the
+  // palette scrolls past the first 8
   const gridCols = 4;
-  const gridRows = 8;
-  const gridWidth = gridCols * cellSize;
-  const gridHeight = gridRows * cellSize;
+  const maxRows = 64;
+  const visibleRows = 8;
 
   // Smart positioning to avoid overlaps
   const getComponentPositions = () => {
@@ -92,7 +92,7 @@ const ComponentPalette = ({ theme, onDragStart }) => {
           }
         }
       }
-      return x + w <= gridCols && y + h <= gridRows;
+      return x + w <= gridCols && y + h <= maxRows;
     };
 
     // Helper to mark cells as occupied
@@ -113,7 +113,7 @@ const ComponentPalette = ({ theme, onDragStart }) => {
       if (type === "graph") {
         // Try to place at x=0 first
         let placed = false;
-        for (let y = 0; y <= gridRows - h && !placed; y++) {
+        for (let y = 0; y <= maxRows - h && !placed; y++) {
           if (isPositionAvailable(0, y, w, h)) {
             positions.push({
               type,
@@ -148,7 +148,7 @@ const ComponentPalette = ({ theme, onDragStart }) => {
 
       // Find first available position for other components
       let placed = false;
-      for (let y = 0; y <= gridRows - h && !placed; y++) {
+      for (let y = 0; y <= maxRows - h && !placed; y++) {
         for (let x = 0; x <= gridCols - w && !placed; x++) {
           if (isPositionAvailable(x, y, w, h)) {
             positions.push({
@@ -171,6 +171,15 @@ const ComponentPalette = ({ theme, onDragStart }) => {
 
   const componentPositions = getComponentPositions();
 
+  const gridRows = Math.max(
+    visibleRows,
+    ...componentPositions.map(
+      ({ config, gridY }) => gridY + config.defaultSize.h,
+    ),
+  );
+  const gridWidth = gridCols * cellSize;
+  const gridHeight = gridRows * cellSize;
+
   return (
     <div
       className={`w-72 ${theme.container} rounded-xl p-4 border-2 border-gray-400 ${theme.shadow}`}
@@ -179,86 +188,92 @@ const ComponentPalette = ({ theme, onDragStart }) => {
         Component Palette
       </h2>
 
-      {/* 4x8 Grid Container */}
+      {/* 4-column Grid Container, scrolls beyond 8 rows */}
       <div
-        className="relative border border-gray-300 rounded"
-        style={{
-          width: gridWidth + "px",
-          height: gridHeight + "px",
-          backgroundColor: theme.bg === "bg-gray-100" ? "#f8f9fa" : "#374151",
-        }}
+        className="overflow-y-auto"
+        style={{ maxHeight: visibleRows * cellSize + 2 + "px" }}
       >
-        {/* Grid lines for visual reference */}
-        <svg
-          className="absolute inset-0 pointer-events-none opacity-20"
-          width={gridWidth}
-          height={gridHeight}
+        <div
+          className="relative border border-gray-300 rounded"
+          style={{
+            width: gridWidth + "px",
+            height: gridHeight + "px",
+            backgroundColor: theme.bg === "bg-gray-100" ? "#f8f9fa" : "#374151",
+          }}
         >
-          {/* Vertical lines */}
-          {Array.from({ length: gridCols + 1 }, (_, i) => (
-            <line
-              key={`v${i}`}
-              x1={i * cellSize}
-              y1={0}
-              x2={i * cellSize}
-              y2={gridHeight}
-              stroke="#666666"
-              strokeWidth="0.5"
-            />
-          ))}
-          {/* Horizontal lines */}
-          {Array.from({ length: gridRows + 1 }, (_, i) => (
-            <line
-              key={`h${i}`}
-              x1={0}
-              y1={i * cellSize}
-              x2={gridWidth}
-              y2={i * cellSize}
-              stroke="#666666"
-              strokeWidth="0.5"
-            />
-          ))}
-        </svg>
+          {/* Grid lines for visual reference */}
+          <svg
+            className="absolute inset-0 pointer-events-none opacity-20"
+            width={gridWidth}
+            height={gridHeight}
+          >
+            {/* Vertical lines */}
+            {Array.from({ length: gridCols + 1 }, (_, i) => (
+              <line
+                key={`v${i}`}
+                x1={i * cellSize}
+                y1={0}
+                x2={i * cellSize}
+                y2={gridHeight}
+                stroke="#666666"
+                strokeWidth="0.5"
+              />
+            ))}
+            {/* Horizontal lines */}
+            {Array.from({ length: gridRows + 1 }, (_, i) => (
+              <line
+                key={`h${i}`}
+                x1={0}
+                y1={i * cellSize}
+                x2={gridWidth}
+                y2={i * cellSize}
+                stroke="#666666"
+                strokeWidth="0.5"
+              />
+            ))}
+          </svg>
 
-        {/* Component slots */}
-        {componentPositions.map(({ type, config, x, y }) => {
-          const componentWidth = config.defaultSize.w * cellSize;
-          const componentHeight = config.defaultSize.h * cellSize;
+          {/* Component slots */}
+          {componentPositions.map(({ type, config, x, y }) => {
+            const componentWidth = config.defaultSize.w * cellSize;
+            const componentHeight = config.defaultSize.h * cellSize;
 
-          return (
-            <div
-              key={type}
-              draggable
-              onDragStart={(e) => handleDragStart(e, type)}
-              title={config.name} // Tooltip
-              className="absolute cursor-move hover:opacity-80 transition-opacity flex items-center justify-center"
-              style={{
-                left: x + "px",
-                top: y + "px",
-                width: componentWidth + "px",
-                height: componentHeight + "px",
-                zIndex: 1,
-              }}
-            >
-              {/* Hover background */}
+            return (
               <div
-                className="absolute inset-0 rounded bg-blue-100 opacity-0 hover:opacity-30 transition-opacity"
-                style={{ margin: "1px" }}
-              />
+                key={type}
+                draggable
+                onDragStart={(e) => handleDragStart(e, type)}
+                title={config.name} // Tooltip
+                className="absolute cursor-move hover:opacity-80 transition-opacity flex items-center justify-center"
+                style={{
+                  left: x + "px",
+                  top: y + "px",
+                  width: componentWidth + "px",
+                  height: componentHeight + "px",
+                  zIndex: 1,
+                }}
+              >
+                {/* Hover background */}
+                <div
+                  className="absolute inset-0 rounded bg-blue-100 opacity-0 hover:opacity-30 transition-opacity"
+                  style={{ margin: "1px" }}
+                />
 
-              {/* Component miniature */}
-              <div className="relative z-10 flex items-center justify-center">
-                {config.paletteIcon(theme)}
+                {/* Component miniature */}
+                <div className="relative z-10 flex items-center justify-center">
+                  {config.paletteIcon(theme)}
+                </div>
               </div>
-            </div>
-          );
-        })}
+            );
+          })}
+        </div>
       </div>
 
       {/* Instructions */}
       <div className={`mt-4 text-xs ${theme.textSecondary}`}>
         <p>Drag components to the canvas</p>
         <p>Hover for component names</p>
+        <p>Scroll for more components</p>
       </div>
     </div>
   );
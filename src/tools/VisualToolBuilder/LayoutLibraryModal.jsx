@@ -0,0 +1,117 @@
+// src/tools/VisualToolBuilder/LayoutLibraryModal.jsx
+
+import React, { useState } from "react";
+import {
+  listLibraryLayouts,
+  saveToLibrary,
+  deleteFromLibrary,
+} from "./layoutStorage";
+
+// Library of named layouts kept in browser storage
+const LayoutLibraryModal = ({ theme, layoutState, onOpen, onClose }) => {
+  const [entries, setEntries] = useState(listLibraryLayouts);
+  const [saveName, setSaveName] = useState(layoutState.toolName);
+
+  const handleSave = () => {
+    const name = saveName.trim();
+    if (!name) return;
+    if (
+      entries.some((entry) => entry.name === name) &&
+      !window.confirm(`Replace the saved layout "${name}"?`)
+    ) {
+      return;
+    }
+    if (!saveToLibrary(name, layoutState)) {
+      alert("Could not save to browser storage. Use Save File instead.");
+      return;
+    }
+    setEntries(listLibraryLayouts());
+  };
+
+  const handleDelete = (name) => {
+    if (!window.confirm(`Delete the saved layout "${name}"?`)) return;
+    deleteFromLibrary(name);
+    setEntries(listLibraryLayouts());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div
+        className={`${theme.container} rounded-xl p-6 border-2 border-gray-400 ${theme.shadow} max-w-lg w-full mx-4`}
+      >
+        <h3 className={`text-lg font-semibold mb-4 ${theme.text}`}>
+          Layout Library
+        </h3>
+
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={saveName}
+            onChange={(e) => setSaveName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleSave()}
+            className={`flex-1 px-3 py-2 border rounded ${theme.bg} ${theme.text}`}
+            placeholder="Layout name"
+          />
+          <button
+            onClick={handleSave}
+            disabled={!saveName.trim()}
+            className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50"
+          >
+            Save Current
+          </button>
+        </div>
+
+        <div className="max-h-80 overflow-y-auto space-y-2">
+          {entries.length === 0 && (
+            <p className={`text-sm ${theme.text} opacity-70`}>
+              No saved layouts yet. Layouts are stored in this browser only; use
+              Save File to move them to another computer.
+            </p>
+          )}
+          {entries.map((entry) => (
+            <div
+              key={entry.name}
+              className={`flex items-center gap-2 p-2 border rounded ${theme.bg}`}
+            >
+              <div className="flex-1 min-w-0">
+                <div className={`font-medium truncate ${theme.text}`}>
+                  {entry.name}
+                </div>
+                <div className={`text-xs ${theme.text} opacity-70`}>
+                  {entry.canvasSize?.width}×{entry.canvasSize?.height} ·{" "}
+                  {entry.componentCount} component
+                  {entry.componentCount === 1 ? "" : "s"}
+                  {entry.savedAt &&
+                    ` · ${new Date(entry.savedAt).toLocaleString()}`}
+                </div>
+              </div>
+              <button
+                onClick={() => onOpen(entry.name)}
+                className="px-3 py-1 text-sm bg-green-500 text-white rounded hover:bg-green-600 transition-colors"
+              >
+                Open
+              </button>
+              <button
+                onClick={() => handleDelete(entry.name)}
+                className="px-3 py-1 text-sm bg-red-500 text-white rounded hover:bg-red-600 transition-colors"
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex mt-6">
+          <button
+            onClick={onClose}
+            className={`flex-1 px-4 py-2 border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors`}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LayoutLibraryModal;
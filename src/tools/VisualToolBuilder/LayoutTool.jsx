@@ -0,0 +1,31 @@
+// src/tools/VisualToolBuilder/LayoutTool.jsx
+
+import React from "react";
+import ToolContainer from "../../components/ui/ToolContainer";
+import { useTheme } from "../../hooks/useTheme";
+import LivePreview from "./LivePreview";
+
+// Turn a saved builder layout (see layoutStorage.deserializeLayout) into a
+// tool component, so a layout file can be opened from the menu like any
+// other tool. It behaves like the builder's live preview.
+export const createLayoutTool = (layout, title) => {
+  const LayoutTool = () => {
+    const { theme } = useTheme();
+
+    return (
+      <ToolContainer
+        title={title}
+        canvasWidth={layout.canvasWidth}
+        canvasHeight={layout.canvasHeight}
+      >
+        <LivePreview
+          theme={theme}
+          placedComponents={layout.placedComponents}
+          model={layout.model}
+        />
+      </ToolContainer>
+    );
+  };
+
+  return LayoutTool;
+};
@@ -0,0 +1,72 @@
+// src/tools/VisualToolBuilder/LivePreview.jsx
+
+import React, { useState } from "react";
+import {
+  boundParameter,
+  initialValue,
+  renderGridComponent,
+} from "./gridRenderer";
+import { useModelSimulation } from "../../hooks/useModelSimulation";
+
+// Interactive preview of the layout using the real Grid components. Values
+// live only here, so switching back to design mode resets them. Controls
+// bound to the model drive a simulation that bound graphs and displays show.
+const LivePreview = ({ theme, placedComponents, model }) => {
+  const [values, setValues] = useState({});
+
+  const setValue = (id, value) =>
+    setValues((prev) => ({ ...prev, [id]: value }));
+
+  const valueOf = (component) =>
+    component.id in values
+      ? values[component.id]
+      : initialValue(component.type, component.props, model);
+
+  // Parameter values and edited equations coming from bound components.
+  // The first control bound to a name wins, as in generateCode.
+  const parameterValues = {};
+  const equations = {};
+  placedComponents.forEach((component) => {
+    const parameter = boundParameter(component, valueOf(component));
+    if (parameter && !(parameter.name in parameterValues)) {
+      parameterValues[parameter.name] = parameter.value;
+    }
+    const equation = component.props.bindEquation;
+    if (
+      component.type === "equationInput" &&
+      equation &&
+      !(equation in equations)
+    ) {
+      equations[equation] = valueOf(component);
+    }
+  });
+
+  const simulation = useModelSimulation(model, parameterValues, equations);
+
+  return (
+    <>
+      {placedComponents.map((component) => (
+        <React.Fragment key={component.id}>
+          {renderGridComponent(
+            component,
+            theme,
+            valueOf(component),
+            (value) => setValue(component.id, value),
+            simulation,
+          )}
+        </React.Fragment>
+      ))}
+
+      {simulation.error && (
+        <div
+          className="absolute left-0 bottom-0 m-2 px-2 py-1 text-xs text-white bg-red-500 rounded"
+          style={{ zIndex: 20 }}
+        >
+          Model error: {simulation.error}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default LivePreview;
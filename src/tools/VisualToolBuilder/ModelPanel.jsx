@@ -0,0 +1,220 @@
+// src/tools/VisualToolBuilder/ModelPanel.jsx
+
+import React from "react";
+import { compileModel } from "../../utils/modelBinding";
+
+// Starting point for a first model
+const EXAMPLE_MODEL = {
+  variables: [{ name: "N", equation: "r*N*(1 - N/K)", initial: 10 }],
+  parameters: { r: 0.5, K: 100 },
+  tEnd: 30,
+  dt: 0.05,
+};
+
+// Editor for the layout's model: state variables with their equations and
+// initial values, parameter defaults, and the simulated time span
+const ModelPanel = ({ theme, model, onChange, onClose }) => {
+  const { parameterNames, error } = compileModel(model);
+  const inputClass = `px-2 py-1 text-sm border rounded ${theme.bg} ${theme.text}`;
+
+  const updateVariable = (index, changes) => {
+    onChange({
+      ...model,
+      variables: model.variables.map((variable, i) =>
+        i === index ? { ...variable, ...changes } : variable,
+      ),
+    });
+  };
+
+  const addVariable = () => {
+    const used = model.variables.map((variable) => variable.name);
+    const name = ["X", "Y", "Z", "U", "V", "W"].find((n) => !used.includes(n));
+    onChange({
+      ...model,
+      variables: [
+        ...model.variables,
+        { name: name || `X${used.length + 1}`, equation: "", initial: 1 },
+      ],
+    });
+  };
+
+  const removeVariable = (index) => {
+    onChange({
+      ...model,
+      variables: model.variables.filter((_, i) => i !== index),
+    });
+  };
+
+  const loadExample = () => {
+    if (
+      model.variables.length > 0 &&
+      !window.confirm("Replace the current model with the logistic example?")
+    ) {
+      return;
+    }
+    onChange(EXAMPLE_MODEL);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div
+        className={`${theme.container} rounded-xl p-6 border-2 border-gray-400 ${theme.shadow} max-w-2xl w-full mx-4`}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className={`text-lg font-semibold ${theme.text}`}>Model</h3>
+          <button
+            onClick={loadExample}
+            className={`px-3 py-1 text-sm border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors`}
+          >
+            Load Logistic Example
+          </button>
+        </div>
+
+        {/* State variables */}
+        <div className="space-y-2 mb-4">
+          {model.variables.length === 0 && (
+            <p className={`text-sm ${theme.text} opacity-70`}>
+              No model yet. Add a state variable and its rate equation; then
+              bind sliders and inputs to parameters and graphs to variables in
+              the Properties panel.
+            </p>
+          )}
+          {model.variables.map((variable, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={variable.name}
+                onChange={(e) =>
+                  updateVariable(index, { name: e.target.value.trim() })
+                }
+                className={`${inputClass} w-16`}
+                aria-label="Variable name"
+              />
+              <span className={`text-sm ${theme.text} whitespace-nowrap`}>
+                ′ =
+              </span>
+              <input
+                type="text"
+                value={variable.equation}
+                onChange={(e) =>
+                  updateVariable(index, { equation: e.target.value })
+                }
+                className={`${inputClass} flex-1 font-mono`}
+                placeholder="e.g. r*N*(1 - N/K)"
+                aria-label={`Equation for ${variable.name}`}
+              />
+              <span className={`text-xs ${theme.text} whitespace-nowrap`}>
+                {variable.name}(0) =
+              </span>
+              <input
+                type="number"
+                value={variable.initial}
+                onChange={(e) =>
+                  updateVariable(index, {
+                    initial: parseFloat(e.target.value) || 0,
+                  })
+                }
+                className={`${inputClass} w-20`}
+                aria-label={`Initial value of ${variable.name}`}
+              />
+              <button
+                onClick={() => removeVariable(index)}
+                className="px-2 py-1 text-sm bg-red-500 text-white rounded hover:bg-red-600 transition-colors"
+                title="Remove variable"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={addVariable}
+            className={`px-3 py-1 text-sm border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors`}
+          >
+            + Add Variable
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-500 mb-4">{error}</p>}
+
+        {/* Parameters found in the equations */}
+        {parameterNames.length > 0 && (
+          <div className="mb-4">
+            <h4 className={`text-sm font-medium mb-2 ${theme.text}`}>
+              Parameter defaults
+            </h4>
+            <div className="grid grid-cols-4 gap-2">
+              {parameterNames.map((name) => (
+                <label
+                  key={name}
+                  className={`flex items-center gap-1 text-sm ${theme.text}`}
+                >
+                  <span className="font-mono">{name}</span>
+                  <input
+                    type="number"
+                    value={model.parameters[name] ?? 1}
+                    onChange={(e) =>
+                      onChange({
+                        ...model,
+                        parameters: {
+                          ...model.parameters,
+                          [name]: parseFloat(e.target.value) || 0,
+                        },
+                      })
+                    }
+                    className={`${inputClass} w-full`}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Time span */}
+        <div className="flex gap-4 mb-2">
+          <label className={`flex items-center gap-2 text-sm ${theme.text}`}>
+            Simulate until t =
+            <input
+              type="number"
+              min="0"
+              value={model.tEnd}
+              onChange={(e) =>
+                onChange({
+                  ...model,
+                  tEnd: Math.max(0.01, parseFloat(e.target.value) || 0),
+                })
+              }
+              className={`${inputClass} w-24`}
+            />
+          </label>
+          <label className={`flex items-center gap-2 text-sm ${theme.text}`}>
+            Step dt =
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={model.dt}
+              onChange={(e) =>
+                onChange({
+                  ...model,
+                  dt: Math.max(0.0001, parseFloat(e.target.value) || 0),
+                })
+              }
+              className={`${inputClass} w-24`}
+            />
+          </label>
+        </div>
+
+        <div className="flex mt-6">
+          <button
+            onClick={onClose}
+            className={`flex-1 px-4 py-2 border rounded ${theme.bg} ${theme.text} hover:bg-gray-100 hover:text-gray-900 transition-colors`}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModelPanel;
@@ -4,14 +4,20 @@ import React from "react";
 import { componentTypes } from "./componentRegistry.jsx";
 import { generateCode } from "./utils";
 
+// Bindings that set a value in the model, so only one control may use each
+// name (a graph or display can show the same output as another)
+const EXCLUSIVE_BINDINGS = ["bindParam", "bindEquation"];
+
 const PropertiesPanel = ({
   theme,
   selectedComponent,
+  selectedCount = 0,
   placedComponents,
   toolName,
   onRemoveComponent,
   onResizeComponent,
   onUpdateComponentProps,
+  modelInfo = { variableNames: [], parameterNames: [] },
 }) => {
   const handlePropertyChange = (propertyKey, newValue) => {
     if (!selectedComponent) return;
@@ -79,6 +85,57 @@ const PropertiesPanel = ({
           </select>
         );
 
+      // Model bindings: choices come from the current model
+      case "parameter":
+      case "variable":
+      case "output": {
+        const names =
+          propertyDef.type === "parameter"
+            ? modelInfo.parameterNames
+            : modelInfo.variableNames;
+        const taken = EXCLUSIVE_BINDINGS.includes(propertyKey)
+          ? placedComponents
+              .filter((comp) => comp.id !== selectedComponent.id)
+              .map((comp) => comp.props[propertyKey])
+          : [];
+        const options = [
+          ...(propertyDef.type === "output" && names.length > 1
+            ? [{ value: "all", label: "All variables" }]
+            : []),
+          ...names.map((name) =>
+            taken.includes(name) && name !== currentValue
+              ? {
+                  value: name,
+                  label: `${name} (bound elsewhere)`,
+                  disabled: true,
+                }
+              : { value: name, label: name },
+          ),
+        ];
+        // Keep a binding whose name is no longer in the model visible
+        if (currentValue && !options.some((o) => o.value === currentValue)) {
+          options.push({
+            value: currentValue,
+            label: `${currentValue} (not in model)`,
+          });
+        }
+        return (
+          <select
+            id={inputId}
+            value={currentValue || ""}
+            onChange={(e) => handlePropertyChange(propertyKey, e.target.value)}
+            className={`w-full px-2 py-1 text-sm border rounded ${theme.bg} ${theme.text}`}
+          >
+            <option value="">Not bound</option>
+            {options.map(({ value, label, disabled }) => (
+              <option key={value} value={value} disabled={disabled}>
+                {label}
+              </option>
+            ))}
+          </select>
+        );
+      }
+
       default:
         return (
           <span className={`text-xs ${theme.textSecondary}`}>
@@ -201,7 +258,11 @@ const PropertiesPanel = ({
         </div>
       ) : (
         <div className={`text-center ${theme.textSecondary} py-8`}>
-          <p className="text-sm">Select a component to edit its properties</p>
+          <p className="text-sm">
+            {selectedCount > 1
+              ? `${selectedCount} components selected. Use the toolbar above the canvas to align, duplicate or delete them.`
+              : "Select a component to edit its properties"}
+          </p>
         </div>
       )}
     </div>
@@ -4,10 +4,65 @@ import React from "react";
 import MiniatureComponent from "./MiniatureComponent";
 import { GridDisplay, GridGraph, GridLabel } from "../../components/grid";
 import { LIGHT_NOISE_TEXTURE, DARK_NOISE_TEXTURE } from "../../themes/textures";
+import { renderGridComponent } from "./gridRenderer";
+
+// Palette icon showing the real component at 60% scale with default props
+const scaledPaletteIcon = (type) => (theme) => {
+  const { w, h } = componentTypes[type].defaultSize;
+  return (
+    <div
+      style={{
+        width: `${w * 60}px`,
+        height: `${h * 60}px`,
+        overflow: "hidden",
+      }}
+    >
+      <div
+        style={{
+          position: "relative",
+          transform: "scale(0.6)",
+          transformOrigin: "top left",
+          width: `${w * 100}px`,
+          height: `${h * 100}px`,
+          pointerEvents: "none",
+        }}
+      >
+        {renderGridComponent(
+          { type, x: 0, y: 0, w, h, props: getDefaultProps(type) },
+          theme,
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Design canvas icon showing the real component with its chosen props
+const realGridIcon = (type) => (theme, props, w, h) =>
+  renderGridComponent({ type, x: 0, y: 0, w, h, props }, theme);
+
+// Model binding properties; their options come from the model (see
+// PropertiesPanel)
+const bindParamProperty = {
+  type: "parameter",
+  default: "",
+  label: "Bind to Parameter",
+};
+const parameterRangeProperties = {
+  paramMin: { type: "number", default: 0, label: "Parameter Min" },
+  paramMax: { type: "number", default: 1, label: "Parameter Max" },
+};
+
+// Reused help text properties
+const descriptionProperty = (text) => ({
+  type: "text",
+  default: text,
+  label: "Description",
+});
 
 export const componentTypes = {
   button: {
     name: "Button",
+    gridComponent: "GridButton",
     defaultSize: { w: 1, h: 1 },
     resizable: false,
     color: "#8B4513",
@@ -39,6 +94,7 @@ export const componentTypes = {
   },
   slider: {
     name: "Slider",
+    gridComponent: "GridSlider",
     defaultSize: { w: 1, h: 3 },
     resizable: false,
     color: "#228B22",
@@ -60,6 +116,8 @@ export const componentTypes = {
         default: "unipolar",
         label: "Slider Type",
       },
+      bindParam: bindParamProperty,
+      ...parameterRangeProperties,
       description: {
         type: "text",
         default: "Adjustable slider for numeric input",
@@ -69,6 +127,7 @@ export const componentTypes = {
   },
   display: {
     name: "Display",
+    gridComponent: "GridDisplay",
     defaultSize: { w: 2, h: 1 },
     resizable: true,
     color: "#8A2BE2",
@@ -104,25 +163,7 @@ export const componentTypes = {
         </div>
       </div>
     ),
-    gridIcon: (theme, props, w = 2, h = 1) => (
-      <GridDisplay
-        x={0}
-        y={0}
-        w={w}
-        h={h}
-        value={props.text || props.value || "Display"}
-        variant="default"
-        theme={theme}
-        style={{
-          backgroundColor:
-            props.background === "white"
-              ? "#ffffff"
-              : props.background === "black"
-                ? "#000000"
-                : "transparent",
-        }}
-      />
-    ),
+    gridIcon: realGridIcon("display"),
     properties: {
       text: { type: "text", default: "Display", label: "Default Text" },
       background: {
@@ -131,6 +172,11 @@ export const componentTypes = {
         default: "none",
         label: "Background Color",
       },
+      bindOutput: {
+        type: "variable",
+        default: "",
+        label: "Show Final Value of",
+      },
       description: {
         type: "text",
         default: "Text display area for showing values",
@@ -140,6 +186,7 @@ export const componentTypes = {
   },
   graph: {
     name: "Graph",
+    gridComponent: "GridGraph",
     defaultSize: { w: 4, h: 3 },
     resizable: true,
     color: "#FF8C00",
@@ -167,20 +214,19 @@ export const componentTypes = {
         </div>
       </div>
     ),
-    gridIcon: (theme, props, w = 4, h = 3) => (
-      <GridGraph
-        x={0}
-        y={0}
-        w={w}
-        h={h}
-        xLabel={props.xLabel || "x"}
-        yLabel={props.yLabel || "y"}
-        theme={theme}
-      />
-    ),
+    gridIcon: realGridIcon("graph"),
     properties: {
       xLabel: { type: "text", default: "x", label: "X-Axis Label" },
       yLabel: { type: "text", default: "y", label: "Y-Axis Label" },
+      xMin: { type: "number", default: 0, label: "X Min" },
+      xMax: { type: "number", default: 10, label: "X Max" },
+      yMin: { type: "number", default: 0, label: "Y Min" },
+      yMax: { type: "number", default: 10, label: "Y Max" },
+      bindOutput: {
+        type: "output",
+        default: "",
+        label: "Plot Model Output",
+      },
       description: {
         type: "text",
         default: "Interactive graph for plotting data",
@@ -190,6 +236,7 @@ export const componentTypes = {
   },
   timepicker: {
     name: "Time Picker",
+    gridComponent: "GridTimePicker",
     defaultSize: { w: 1, h: 1 },
     resizable: false,
     color: "#20B2AA",
@@ -215,6 +262,7 @@ export const componentTypes = {
   },
   staircase: {
     name: "Staircase",
+    gridComponent: "GridStaircase",
     defaultSize: { w: 1, h: 1 },
     resizable: false,
     color: "#DC143C",
@@ -237,6 +285,7 @@ export const componentTypes = {
       level3: { type: "number", default: 120, label: "Level 3" },
       level4: { type: "number", default: 160, label: "Level 4" },
       level5: { type: "number", default: 200, label: "Level 5" },
+      bindParam: bindParamProperty,
       description: {
         type: "text",
         default: "Multi-level selector with stepped values",
@@ -246,6 +295,7 @@ export const componentTypes = {
   },
   label: {
     name: "Label",
+    gridComponent: "GridLabel",
     defaultSize: { w: 1, h: 1 },
     resizable: true,
     color: "#808080",
@@ -313,6 +363,281 @@ export const componentTypes = {
       },
     },
   },
+  knob: {
+    name: "Knob",
+    gridComponent: "GridKnob",
+    defaultSize: { w: 1, h: 1 },
+    resizable: false,
+    color: "#B8860B",
+    paletteIcon: scaledPaletteIcon("knob"),
+    gridIcon: realGridIcon("knob"),
+    properties: {
+      value: { type: "number", default: 50, label: "Value" },
+      min: { type: "number", default: 0, label: "Minimum" },
+      max: { type: "number", default: 100, label: "Maximum" },
+      size: {
+        type: "select",
+        options: ["normal", "small"],
+        default: "normal",
+        label: "Knob Size",
+      },
+      description: descriptionProperty("Rotary indicator for a value"),
+    },
+  },
+  input: {
+    name: "Number Input",
+    gridComponent: "GridInput",
+    defaultSize: { w: 1, h: 1 },
+    resizable: false,
+    color: "#4682B4",
+    paletteIcon: scaledPaletteIcon("input"),
+    gridIcon: realGridIcon("input"),
+    properties: {
+      variable: { type: "text", default: "x", label: "Variable Name" },
+      value: { type: "number", default: 1, label: "Initial Value" },
+      min: { type: "number", default: 0, label: "Minimum" },
+      max: { type: "number", default: 100, label: "Maximum" },
+      step: { type: "number", default: 0.1, label: "Step" },
+      bindParam: bindParamProperty,
+      description: descriptionProperty("Numeric parameter entry"),
+    },
+  },
+  textInput: {
+    name: "Text Input",
+    gridComponent: "GridTextInput",
+    defaultSize: { w: 1, h: 1 },
+    resizable: true,
+    color: "#5F9EA0",
+    paletteIcon: scaledPaletteIcon("textInput"),
+    gridIcon: realGridIcon("textInput"),
+    properties: {
+      label: { type: "text", default: "Name", label: "Label" },
+      value: { type: "text", default: "", label: "Initial Text" },
+      placeholder: { type: "text", default: "", label: "Placeholder" },
+      maxLength: { type: "number", default: 12, label: "Max Length" },
+      description: descriptionProperty("Short free-text entry"),
+    },
+  },
+  sound: {
+    name: "Sound",
+    gridComponent: "GridSound",
+    defaultSize: { w: 1, h: 1 },
+    resizable: false,
+    color: "#9370DB",
+    paletteIcon: scaledPaletteIcon("sound"),
+    gridIcon: realGridIcon("sound"),
+    properties: {
+      description: descriptionProperty("Sound on/off and volume controls"),
+    },
+  },
+  panel: {
+    name: "Blank Panel",
+    gridComponent: "GridComponent",
+    defaultSize: { w: 1, h: 1 },
+    resizable: true,
+    color: "#A9A9A9",
+    paletteIcon: scaledPaletteIcon("panel"),
+    gridIcon: realGridIcon("panel"),
+    properties: {
+      description: descriptionProperty("Empty panel for spacing or grouping"),
+    },
+  },
+  sliderHorizontal: {
+    name: "Horizontal Slider",
+    gridComponent: "GridSliderHorizontal",
+    defaultSize: { w: 2, h: 1 },
+    resizable: true,
+    color: "#2E8B57",
+    paletteIcon: scaledPaletteIcon("sliderHorizontal"),
+    gridIcon: realGridIcon("sliderHorizontal"),
+    properties: {
+      label: { type: "text", default: "value", label: "Label" },
+      variant: {
+        type: "select",
+        options: ["unipolar", "bipolar"],
+        default: "unipolar",
+        label: "Slider Type",
+      },
+      bindParam: bindParamProperty,
+      ...parameterRangeProperties,
+      description: descriptionProperty("Horizontal slider with a label"),
+    },
+  },
+  wheelSelector: {
+    name: "Wheel Selector",
+    gridComponent: "GridWheelSelector",
+    defaultSize: { w: 2, h: 1 },
+    resizable: true,
+    color: "#CD853F",
+    paletteIcon: scaledPaletteIcon("wheelSelector"),
+    gridIcon: realGridIcon("wheelSelector"),
+    properties: {
+      title: { type: "text", default: "Model", label: "Title" },
+      options: {
+        type: "text",
+        default: "Option A, Option B, Option C",
+        label: "Options (comma-separated)",
+      },
+      description: descriptionProperty("Cycles through a list of choices"),
+    },
+  },
+  equationInput: {
+    name: "Equation Input",
+    gridComponent: "GridEquationInput",
+    defaultSize: { w: 4, h: 1 },
+    resizable: true,
+    color: "#6A5ACD",
+    paletteIcon: scaledPaletteIcon("equationInput"),
+    gridIcon: realGridIcon("equationInput"),
+    properties: {
+      label: { type: "text", default: "dx/dt", label: "Label" },
+      variable: { type: "text", default: "x", label: "Variable" },
+      value: { type: "text", default: "r*x*(1 - x/K)", label: "Equation" },
+      placeholder: {
+        type: "text",
+        default: "Enter equation...",
+        label: "Placeholder",
+      },
+      bindEquation: {
+        type: "variable",
+        default: "",
+        label: "Edits Equation of",
+      },
+      description: descriptionProperty("Equation entry with validation"),
+    },
+  },
+  matrixInput: {
+    name: "Matrix Input",
+    gridComponent: "GridMatrixInput",
+    defaultSize: { w: 2, h: 2 },
+    resizable: true,
+    color: "#708090",
+    paletteIcon: scaledPaletteIcon("matrixInput"),
+    gridIcon: realGridIcon("matrixInput"),
+    properties: {
+      label: { type: "text", default: "A", label: "Label" },
+      rows: { type: "number", default: 2, label: "Rows" },
+      cols: { type: "number", default: 2, label: "Columns" },
+      description: descriptionProperty("Editable matrix of numbers"),
+    },
+  },
+  window: {
+    name: "Window",
+    gridComponent: "GridWindow",
+    defaultSize: { w: 2, h: 2 },
+    resizable: true,
+    color: "#483D8B",
+    paletteIcon: scaledPaletteIcon("window"),
+    gridIcon: realGridIcon("window"),
+    properties: {
+      variant: {
+        type: "select",
+        options: ["rectangular", "circular"],
+        default: "rectangular",
+        label: "Shape",
+      },
+      description: descriptionProperty("Viewport for custom drawings"),
+    },
+  },
+  screen: {
+    name: "Screen",
+    gridComponent: "GridScreen",
+    defaultSize: { w: 2, h: 2 },
+    resizable: true,
+    color: "#2F4F4F",
+    paletteIcon: scaledPaletteIcon("screen"),
+    gridIcon: realGridIcon("screen"),
+    properties: {
+      text: { type: "text", default: "Screen", label: "Content Text" },
+      description: descriptionProperty(
+        "Framed area for text or custom content",
+      ),
+    },
+  },
+  tableInput: {
+    name: "Data Table",
+    gridComponent: "GridTableInput",
+    defaultSize: { w: 2, h: 3 },
+    resizable: true,
+    color: "#556B2F",
+    paletteIcon: scaledPaletteIcon("tableInput"),
+    gridIcon: realGridIcon("tableInput"),
+    properties: {
+      title: { type: "text", default: "Data Table", label: "Title" },
+      columns: {
+        type: "text",
+        default: "X, Y",
+        label: "Columns (comma-separated)",
+      },
+      description: descriptionProperty("Editable table of data points"),
+    },
+  },
+  graphDualY: {
+    name: "Dual-Axis Graph",
+    gridComponent: "GridGraphDualY",
+    defaultSize: { w: 4, h: 3 },
+    resizable: true,
+    color: "#D2691E",
+    paletteIcon: scaledPaletteIcon("graphDualY"),
+    gridIcon: realGridIcon("graphDualY"),
+    properties: {
+      xLabel: { type: "text", default: "time", label: "X-Axis Label" },
+      yLabelLeft: { type: "text", default: "left", label: "Left Axis Label" },
+      yLabelRight: {
+        type: "text",
+        default: "right",
+        label: "Right Axis Label",
+      },
+      xMin: { type: "number", default: 0, label: "X Min" },
+      xMax: { type: "number", default: 10, label: "X Max" },
+      yLeftMin: { type: "number", default: 0, label: "Left Min" },
+      yLeftMax: { type: "number", default: 10, label: "Left Max" },
+      yRightMin: { type: "number", default: 0, label: "Right Min" },
+      yRightMax: { type: "number", default: 10, label: "Right Max" },
+      description: descriptionProperty("Graph with two y-axes"),
+    },
+  },
+  timeSeries: {
+    name: "Time Series",
+    gridComponent: "GridTimeSeries",
+    defaultSize: { w: 4, h: 3 },
+    resizable: true,
+    color: "#FF7F50",
+    paletteIcon: scaledPaletteIcon("timeSeries"),
+    gridIcon: realGridIcon("timeSeries"),
+    properties: {
+      xLabel: { type: "text", default: "Time", label: "X-Axis Label" },
+      yLabel: { type: "text", default: "Population", label: "Y-Axis Label" },
+      tMin: { type: "number", default: 0, label: "Time Min" },
+      tMax: { type: "number", default: 20, label: "Time Max" },
+      yMin: { type: "number", default: 0, label: "Y Min" },
+      yMax: { type: "number", default: 100, label: "Y Max" },
+      bindOutput: {
+        type: "output",
+        default: "",
+        label: "Plot Model Output",
+      },
+      description: descriptionProperty("Plot of several series over time"),
+    },
+  },
+  vectorField: {
+    name: "Vector Field",
+    gridComponent: "GridVectorField",
+    defaultSize: { w: 4, h: 3 },
+    resizable: true,
+    color: "#E9967A",
+    paletteIcon: scaledPaletteIcon("vectorField"),
+    gridIcon: realGridIcon("vectorField"),
+    properties: {
+      xLabel: { type: "text", default: "x", label: "X-Axis Label" },
+      yLabel: { type: "text", default: "y", label: "Y-Axis Label" },
+      xMin: { type: "number", default: 0, label: "X Min" },
+      xMax: { type: "number", default: 50, label: "X Max" },
+      yMin: { type: "number", default: 0, label: "Y Min" },
+      yMax: { type: "number", default: 50, label: "Y Max" },
+      description: descriptionProperty("Phase plane with vectors"),
+    },
+  },
 };
 
 export const getDefaultProps = (type) => {
@@ -0,0 +1,435 @@
+// src/tools/VisualToolBuilder/gridRenderer.jsx
+
+import React from "react";
+import {
+  GridComponent,
+  GridButton,
+  GridKnob,
+  GridSlider,
+  GridSliderHorizontal,
+  GridScreen,
+  GridInput,
+  GridEquationInput,
+  GridDisplay,
+  GridGraph,
+  GridGraphDualY,
+  GridStaircase,
+  GridTimePicker,
+  GridLabel,
+  GridWindow,
+  GridVectorField,
+  GridTimeSeries,
+  GridTableInput,
+  GridWheelSelector,
+  GridSound,
+  GridTextInput,
+  GridMatrixInput,
+} from "../../components/grid";
+import ModelCurves from "../../components/ModelCurves";
+import {
+  finalValueText,
+  outputVariables,
+  parameterLabel,
+  sliderToValue,
+  timeSeriesFromPoints,
+  valueToSlider,
+} from "../../utils/modelBinding";
+
+// Split comma-separated property text ("X, Y, Z") into a list
+export const splitList = (text) =>
+  String(text ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Numeric property with a fallback for blank or invalid input
+const toNumber = (value, fallback) =>
+  Number.isFinite(Number(value)) && value !== "" ? Number(value) : fallback;
+
+// Matrix size clamped to something GridMatrixInput can lay out
+const matrixSize = (value) => Math.max(1, Math.min(6, toNumber(value, 2)));
+
+// Table columns from the comma-separated column labels
+export const tableColumns = (props) =>
+  splitList(props.columns || "X, Y").map((label, index) => ({
+    key: `c${index}`,
+    label,
+    type: "number",
+  }));
+
+// Staircase levels from the level0..level5 properties
+export const staircaseLevels = (props) =>
+  [0, 1, 2, 3, 4, 5].map((i) => toNumber(props[`level${i}`], i * 40));
+
+// Axis range from a pair of min/max properties
+export const axisRange = (props, minKey, maxKey, fallback = [0, 10]) => [
+  toNumber(props[minKey], fallback[0]),
+  toNumber(props[maxKey], fallback[1]),
+];
+
+// Components whose value drives a model parameter
+export const PARAMETER_CONTROLS = [
+  "slider",
+  "sliderHorizontal",
+  "input",
+  "staircase",
+];
+
+// Slider end points for a bound parameter
+export const parameterRange = (props) => [
+  toNumber(props.paramMin, 0),
+  toNumber(props.paramMax, 1),
+];
+
+// Default value of a model parameter (1 when the model does not set one)
+const parameterDefault = (model, name) =>
+  toNumber(model?.parameters?.[name], 1);
+
+// Model parameter set by a bound control: {name, value}, or null if the
+// component is not bound
+export const boundParameter = (component, value) => {
+  const { type, props } = component;
+  if (!PARAMETER_CONTROLS.includes(type) || !props.bindParam) return null;
+
+  switch (type) {
+    case "slider":
+    case "sliderHorizontal":
+      return {
+        name: props.bindParam,
+        value: sliderToValue(value, ...parameterRange(props), props.variant),
+      };
+    case "staircase":
+      return { name: props.bindParam, value: staircaseLevels(props)[value] };
+    default:
+      return { name: props.bindParam, value: toNumber(value, 0) };
+  }
+};
+
+// Starting value of an interactive component, shared by the live preview and
+// the generated code. Controls bound to the model start at the parameter's
+// default; undefined for components that hold no value.
+export const initialValue = (type, props, model = null) => {
+  const bound = model && props.bindParam;
+  switch (type) {
+    case "button":
+      return false;
+    case "slider":
+    case "sliderHorizontal":
+      return bound
+        ? valueToSlider(
+            parameterDefault(model, props.bindParam),
+            ...parameterRange(props),
+            props.variant,
+          )
+        : 0;
+    case "staircase": {
+      if (!bound) return 0;
+      // Level closest to the parameter's default
+      const target = parameterDefault(model, props.bindParam);
+      const levels = staircaseLevels(props);
+      return levels.reduce(
+        (best, level, i) =>
+          Math.abs(level - target) < Math.abs(levels[best] - target) ? i : best,
+        0,
+      );
+    }
+    case "input":
+      return bound
+        ? parameterDefault(model, props.bindParam)
+        : toNumber(props.value, 0);
+    case "textInput":
+      return String(props.value ?? "");
+    case "equationInput": {
+      const variable = model?.variables?.find(
+        (v) => v.name === props.bindEquation,
+      );
+      return variable ? variable.equation : String(props.value ?? "");
+    }
+    case "display":
+      return props.text ?? props.value ?? "";
+    case "timepicker":
+      return props.defaultTime || "12:00 PM";
+    case "wheelSelector":
+      return splitList(props.options)[0] ?? "";
+    case "tableInput":
+      return [];
+    case "matrixInput":
+      return Array.from({ length: matrixSize(props.rows) }, () =>
+        Array(matrixSize(props.cols)).fill(0),
+      );
+    default:
+      return undefined;
+  }
+};
+
+// Render a builder component as the real Grid component with its chosen
+// props. Pass value/onChange to make it interactive (live preview); without
+// onChange it is a static picture for the design canvas. With a simulation
+// result, graphs and displays bound to model outputs show it.
+export const renderGridComponent = (
+  component,
+  theme,
+  value = initialValue(component.type, component.props),
+  onChange,
+  simulation = null,
+) => {
+  const { type, x, y, w, h, props } = component;
+  const base = { x, y, w, h, theme, tooltip: props.tooltip };
+  const outputs =
+    simulation && props.bindOutput
+      ? outputVariables(simulation.variableNames, props.bindOutput)
+      : [];
+
+  switch (type) {
+    case "button":
+      return (
+        <GridButton
+          {...base}
+          type={props.type}
+          variant={props.variant || "default"}
+          active={value}
+          onToggle={onChange}
+        >
+          {props.text}
+        </GridButton>
+      );
+
+    case "slider":
+      return (
+        <GridSlider
+          {...base}
+          value={value}
+          onChange={onChange}
+          variant={props.variant}
+        />
+      );
+
+    case "sliderHorizontal":
+      return (
+        <GridSliderHorizontal
+          {...base}
+          value={value}
+          onChange={onChange}
+          variant={props.variant}
+          label={
+            props.bindParam && simulation
+              ? parameterLabel(
+                  props.bindParam,
+                  simulation.params[props.bindParam],
+                )
+              : props.label
+          }
+        />
+      );
+
+    case "knob":
+      return (
+        <GridKnob
+          {...base}
+          value={toNumber(props.value, 50)}
+          min={toNumber(props.min, 0)}
+          max={toNumber(props.max, 100)}
+          size={props.size}
+        />
+      );
+
+    case "input":
+      return (
+        <GridInput
+          {...base}
+          title={props.tooltip}
+          value={value}
+          onChange={onChange}
+          variable={props.variable}
+          min={toNumber(props.min, 0)}
+          max={toNumber(props.max, 100)}
+          step={toNumber(props.step, 0.1)}
+        />
+      );
+
+    case "textInput":
+      return (
+        <GridTextInput
+          {...base}
+          title={props.tooltip}
+          value={value}
+          onChange={onChange}
+          label={props.label}
+          placeholder={props.placeholder}
+          maxLength={toNumber(props.maxLength, 12)}
+        />
+      );
+
+    case "equationInput":
+      return (
+        <GridEquationInput
+          {...base}
+          value={value}
+          onChange={onChange}
+          label={props.label}
+          variable={props.variable}
+          placeholder={props.placeholder}
+        />
+      );
+
+    case "display":
+      return (
+        <GridDisplay
+          {...base}
+          value={
+            outputs.length > 0
+              ? finalValueText(simulation.points, outputs[0])
+              : value
+          }
+          variant={props.variant || "default"}
+          style={{
+            backgroundColor:
+              props.background === "white"
+                ? "#ffffff"
+                : props.background === "black"
+                  ? "#000000"
+                  : "transparent",
+          }}
+        />
+      );
+
+    case "label":
+      return (
+        <GridLabel
+          {...base}
+          text={props.text || "Label"}
+          fontSize={props.fontSize || "auto"}
+          textAlign={props.textAlign || "center"}
+          verticalAlign={props.verticalAlign || "middle"}
+        />
+      );
+
+    case "graph":
+      return (
+        <GridGraph
+          {...base}
+          xLabel={props.xLabel || "x"}
+          yLabel={props.yLabel || "y"}
+          xRange={axisRange(props, "xMin", "xMax")}
+          yRange={axisRange(props, "yMin", "yMax")}
+        >
+          {outputs.length > 0 &&
+            ((transform) => (
+              <ModelCurves
+                transform={transform}
+                points={simulation.points}
+                names={outputs}
+                allNames={simulation.variableNames}
+              />
+            ))}
+        </GridGraph>
+      );
+
+    case "graphDualY":
+      return (
+        <GridGraphDualY
+          {...base}
+          xLabel={props.xLabel}
+          yLabelLeft={props.yLabelLeft}
+          yLabelRight={props.yLabelRight}
+          xRange={axisRange(props, "xMin", "xMax")}
+          yRangeLeft={axisRange(props, "yLeftMin", "yLeftMax")}
+          yRangeRight={axisRange(props, "yRightMin", "yRightMax")}
+        />
+      );
+
+    case "timeSeries":
+      return (
+        <GridTimeSeries
+          {...base}
+          xLabel={props.xLabel}
+          yLabel={props.yLabel}
+          timeRange={axisRange(props, "tMin", "tMax", [0, 20])}
+          populationRange={axisRange(props, "yMin", "yMax", [0, 100])}
+          series={timeSeriesFromPoints(
+            simulation?.points ?? [],
+            outputs,
+            simulation?.variableNames,
+          )}
+        />
+      );
+
+    case "vectorField":
+      return (
+        <GridVectorField
+          {...base}
+          xLabel={props.xLabel}
+          yLabel={props.yLabel}
+          xRange={axisRange(props, "xMin", "xMax", [0, 50])}
+          yRange={axisRange(props, "yMin", "yMax", [0, 50])}
+        />
+      );
+
+    case "timepicker":
+      return <GridTimePicker {...base} value={value} onChange={onChange} />;
+
+    case "staircase":
+      return (
+        <GridStaircase
+          {...base}
+          value={value}
+          onChange={onChange}
+          customLevels={staircaseLevels(props)}
+        />
+      );
+
+    case "wheelSelector":
+      return (
+        <GridWheelSelector
+          {...base}
+          value={value}
+          onChange={onChange}
+          options={splitList(props.options)}
+          title={props.title}
+        />
+      );
+
+    case "tableInput":
+      return (
+        <GridTableInput
+          {...base}
+          data={value}
+          onDataChange={onChange}
+          columns={tableColumns(props)}
+          title={props.title}
+        />
+      );
+
+    case "matrixInput":
+      return (
+        <GridMatrixInput
+          {...base}
+          rows={matrixSize(props.rows)}
+          cols={matrixSize(props.cols)}
+          values={value}
+          onChange={onChange}
+          label={props.label}
+          readOnly={!onChange}
+        />
+      );
+
+    case "sound":
+      return <GridSound {...base} title={props.tooltip} />;
+
+    case "window":
+      return <GridWindow {...base} variant={props.variant} />;
+
+    case "screen":
+      return (
+        <GridScreen {...base} title={props.tooltip}>
+          {props.text}
+        </GridScreen>
+      );
+
+    case "panel":
+      return <GridComponent {...base} title={props.tooltip} />;
+
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,199 @@
+// src/tools/VisualToolBuilder/layoutStorage.js
+
+import { componentTypes } from "./componentRegistry.jsx";
+import { isValidPlacement } from "./utils";
+import { normalizeModel } from "../../utils/modelBinding";
+
+// Identifies builder layout files; bump the version when the shape changes
+export const LAYOUT_FORMAT = "visual-tool-builder-layout";
+export const LAYOUT_VERSION = 1;
+
+const MAX_CANVAS_SIZE = 12;
+
+// Browser storage keys: the layout being edited, and the named library
+const DRAFT_KEY = "visualToolBuilder.draft";
+const LIBRARY_KEY = "visualToolBuilder.library";
+
+// Convert the builder state to a plain JSON-ready layout object. Uses the
+// same toolName/canvasSize/components shape as the "Generate Code" export.
+export const serializeLayout = ({
+  toolName,
+  canvasWidth,
+  canvasHeight,
+  placedComponents,
+  model,
+}) => ({
+  format: LAYOUT_FORMAT,
+  version: LAYOUT_VERSION,
+  savedAt: new Date().toISOString(),
+  toolName,
+  canvasSize: { width: canvasWidth, height: canvasHeight },
+  components: placedComponents.map((comp) => ({
+    id: comp.id,
+    type: comp.type,
+    position: { x: comp.x, y: comp.y },
+    size: { w: comp.w, h: comp.h },
+    properties: comp.props,
+  })),
+  model: normalizeModel(model),
+});
+
+// Turn a layout object back into builder state. Unknown component types and
+// components outside the canvas are dropped and reported in warnings.
+// Layouts saved before models existed get an empty model.
+// Throws an Error with a readable message if the data is not a layout.
+export const deserializeLayout = (data) => {
+  if (!data || typeof data !== "object" || !Array.isArray(data.components)) {
+    throw new Error("Not a Visual Tool Builder layout (no component list)");
+  }
+  if (data.version > LAYOUT_VERSION) {
+    throw new Error(
+      `Layout was saved by a newer version of the builder (v${data.version})`,
+    );
+  }
+
+  const clampSize = (value, fallback) => {
+    const size = Math.round(Number(value));
+    return Number.isFinite(size)
+      ? Math.max(1, Math.min(MAX_CANVAS_SIZE, size))
+      : fallback;
+  };
+  const canvasWidth = clampSize(data.canvasSize?.width, 10);
+  const canvasHeight = clampSize(data.canvasSize?.height, 5);
+
+  const warnings = [];
+  const usedIds = new Set();
+  let nextId = Date.now();
+  const placedComponents = [];
+
+  data.components.forEach((entry, index) => {
+    const type = entry?.type;
+    if (!componentTypes[type]) {
+      warnings.push(`Skipped component ${index + 1}: unknown type "${type}"`);
+      return;
+    }
+
+    const defaultSize = componentTypes[type].defaultSize;
+    const component = {
+      id: entry.id,
+      type,
+      x: Math.round(Number(entry.position?.x) || 0),
+      y: Math.round(Number(entry.position?.y) || 0),
+      w: Math.max(1, Math.round(Number(entry.size?.w) || defaultSize.w)),
+      h: Math.max(1, Math.round(Number(entry.size?.h) || defaultSize.h)),
+      props: { ...(entry.properties || {}) },
+    };
+
+    // Ids must be unique for selection and React keys
+    if (component.id === undefined || usedIds.has(component.id)) {
+      while (usedIds.has(nextId)) nextId++;
+      component.id = nextId;
+    }
+    usedIds.add(component.id);
+
+    if (!isValidPlacement(component, canvasWidth, canvasHeight)) {
+      warnings.push(
+        `Skipped ${componentTypes[type].name} at (${component.x},${component.y}): outside the ${canvasWidth}×${canvasHeight} canvas`,
+      );
+      return;
+    }
+
+    placedComponents.push(component);
+  });
+
+  return {
+    layout: {
+      toolName:
+        typeof data.toolName === "string" && data.toolName.trim()
+          ? data.toolName
+          : "MyCustomTool",
+      canvasWidth,
+      canvasHeight,
+      placedComponents,
+      model: normalizeModel(data.model),
+    },
+    warnings,
+  };
+};
+
+// Parse layout file text. Accepts saved layout files and the text copied by
+// "Generate Code" (JSON after a few "//" comment lines).
+export const parseLayoutText = (text) => {
+  const json = text
+    .split("\n")
+    .filter((line) => !line.trim().startsWith("//"))
+    .join("\n");
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+  return deserializeLayout(data);
+};
+
+// localStorage can be unavailable (private browsing) or full; storage
+// failures should never break the builder
+const readStorage = (key, fallback) => {
+  try {
+    const text = window.localStorage.getItem(key);
+    return text ? JSON.parse(text) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Draft: the layout currently being edited, restored after a page refresh
+export const saveDraft = (state) =>
+  writeStorage(DRAFT_KEY, serializeLayout(state));
+
+export const loadDraft = () => {
+  const data = readStorage(DRAFT_KEY, null);
+  if (!data) return null;
+  try {
+    return deserializeLayout(data).layout;
+  } catch {
+    return null;
+  }
+};
+
+// Library: named layouts, newest first
+export const listLibraryLayouts = () => {
+  const library = readStorage(LIBRARY_KEY, {});
+  return Object.entries(library)
+    .map(([name, data]) => ({
+      name,
+      savedAt: data.savedAt,
+      canvasSize: data.canvasSize,
+      componentCount: data.components?.length || 0,
+    }))
+    .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+};
+
+export const saveToLibrary = (name, state) => {
+  const library = readStorage(LIBRARY_KEY, {});
+  library[name] = serializeLayout(state);
+  return writeStorage(LIBRARY_KEY, library);
+};
+
+export const loadFromLibrary = (name) => {
+  const library = readStorage(LIBRARY_KEY, {});
+  if (!library[name]) throw new Error(`No saved layout named "${name}"`);
+  return deserializeLayout(library[name]);
+};
+
+export const deleteFromLibrary = (name) => {
+  const library = readStorage(LIBRARY_KEY, {});
+  delete library[name];
+  return writeStorage(LIBRARY_KEY, library);
+};
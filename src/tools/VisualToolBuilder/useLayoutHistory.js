@@ -0,0 +1,70 @@
+// src/tools/VisualToolBuilder/useLayoutHistory.js
+
+import { useState, useCallback } from "react";
+
+// Most undo steps kept
+const HISTORY_LIMIT = 100;
+
+// Layout state with an undo/redo history. Every update is one undo step,
+// except updates sharing a coalesce key with the previous update (a resize
+// drag, typing into one property), which merge into a single step.
+export const useLayoutHistory = (initial) => {
+  const [history, setHistory] = useState({
+    past: [],
+    present: initial,
+    future: [],
+    lastKey: null,
+  });
+
+  const update = useCallback((updater, coalesceKey = null) => {
+    setHistory((h) => {
+      const next = typeof updater === "function" ? updater(h.present) : updater;
+      if (next === h.present) return h;
+
+      if (coalesceKey && coalesceKey === h.lastKey) {
+        return { ...h, present: next, future: [] };
+      }
+      return {
+        past: [...h.past, h.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        lastKey: coalesceKey,
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((h) =>
+      h.past.length === 0
+        ? h
+        : {
+            past: h.past.slice(0, -1),
+            present: h.past[h.past.length - 1],
+            future: [h.present, ...h.future],
+            lastKey: null,
+          },
+    );
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((h) =>
+      h.future.length === 0
+        ? h
+        : {
+            past: [...h.past, h.present],
+            present: h.future[0],
+            future: h.future.slice(1),
+            lastKey: null,
+          },
+    );
+  }, []);
+
+  return {
+    present: history.present,
+    update,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+};
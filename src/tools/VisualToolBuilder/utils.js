@@ -1,5 +1,17 @@
 // src/tools/VisualToolBuilder/utils.js
 
+import { componentTypes } from "./componentRegistry.jsx";
+import {
+  initialValue,
+  splitList,
+  tableColumns,
+  staircaseLevels,
+  axisRange,
+  parameterRange,
+  PARAMETER_CONTROLS,
+} from "./gridRenderer";
+import { normalizeModel } from "../../utils/modelBinding";
+
 // Check if component placement is valid (within bounds)
 export const isValidPlacement = (
   component,
@@ -40,101 +52,506 @@ export const getOverlappingCells = (placedComponents) => {
   return collisionCells;
 };
 
-// Generate tool code
-export const generateCode = (placedComponents, toolName) => {
-  const imports = `import React, { useState } from 'react';
-import {
-  GridButton,
-  GridSlider,
-  GridDisplay,
-  GridGraph,
-  GridTimePicker,
-  GridStaircase
-} from '../components/grid';
-import ToolContainer from '../components/ui/ToolContainer';
-import { useTheme } from '../hooks/useTheme';`;
+// Ids for new components that do not clash with existing ones
+const newIds = (components, count) => {
+  const used = new Set(components.map((comp) => comp.id));
+  const ids = [];
+  let id = Date.now();
+  while (ids.length < count) {
+    if (!used.has(id)) ids.push(id);
+    id++;
+  }
+  return ids;
+};
+
+// Move the selected components together by (dx, dy) cells. The shift is
+// clamped so the whole group stays on the canvas.
+export const moveComponents = (
+  components,
+  ids,
+  dx,
+  dy,
+  canvasWidth,
+  canvasHeight,
+) => {
+  const selected = components.filter((comp) => ids.includes(comp.id));
+  if (selected.length === 0) return components;
+
+  const minX = Math.min(...selected.map((comp) => comp.x));
+  const minY = Math.min(...selected.map((comp) => comp.y));
+  const maxX = Math.max(...selected.map((comp) => comp.x + comp.w));
+  const maxY = Math.max(...selected.map((comp) => comp.y + comp.h));
+  const shiftX = Math.max(-minX, Math.min(canvasWidth - maxX, dx));
+  const shiftY = Math.max(-minY, Math.min(canvasHeight - maxY, dy));
+  if (shiftX === 0 && shiftY === 0) return components;
+
+  return components.map((comp) =>
+    ids.includes(comp.id)
+      ? { ...comp, x: comp.x + shiftX, y: comp.y + shiftY }
+      : comp,
+  );
+};
+
+// Line up the selected components on one edge of their bounding box:
+// "left", "right", "top" or "bottom"
+export const alignComponents = (components, ids, edge) => {
+  const selected = components.filter((comp) => ids.includes(comp.id));
+  if (selected.length < 2) return components;
+
+  const target = {
+    left: Math.min(...selected.map((comp) => comp.x)),
+    right: Math.max(...selected.map((comp) => comp.x + comp.w)),
+    top: Math.min(...selected.map((comp) => comp.y)),
+    bottom: Math.max(...selected.map((comp) => comp.y + comp.h)),
+  }[edge];
+
+  return components.map((comp) => {
+    if (!ids.includes(comp.id)) return comp;
+    switch (edge) {
+      case "left":
+        return { ...comp, x: target };
+      case "right":
+        return { ...comp, x: target - comp.w };
+      case "top":
+        return { ...comp, y: target };
+      case "bottom":
+        return { ...comp, y: target - comp.h };
+      default:
+        return comp;
+    }
+  });
+};
+
+// Copy the selected components one cell down and right (less where the
+// canvas edge is in the way). Returns the new list and the copies' ids.
+export const duplicateComponents = (
+  components,
+  ids,
+  canvasWidth,
+  canvasHeight,
+) => {
+  const selected = components.filter((comp) => ids.includes(comp.id));
+  const copyIds = newIds(components, selected.length);
+  const copies = selected.map((comp, i) => ({
+    ...comp,
+    id: copyIds[i],
+    props: { ...comp.props },
+  }));
+  const withCopies = [...components, ...copies];
+
+  return {
+    components: moveComponents(
+      withCopies,
+      copyIds,
+      1,
+      1,
+      canvasWidth,
+      canvasHeight,
+    ),
+    ids: copyIds,
+  };
+};
+
+// Ids of the components overlapping a rectangle given in cell units
+// ({x0, y0, x1, y1}, fractional cells allowed)
+export const componentsInRect = (components, rect) => {
+  const left = Math.min(rect.x0, rect.x1);
+  const right = Math.max(rect.x0, rect.x1);
+  const top = Math.min(rect.y0, rect.y1);
+  const bottom = Math.max(rect.y0, rect.y1);
+
+  return components
+    .filter(
+      (comp) =>
+        comp.x < right &&
+        comp.x + comp.w > left &&
+        comp.y < bottom &&
+        comp.y + comp.h > top,
+    )
+    .map((comp) => comp.id);
+};
+
+// Format one JSX attribute: plain strings as key="...", anything else (or
+// strings with quotes) as key={...}
+const jsxProp = (key, value) =>
+  typeof value === "string" && !/["{}]/.test(value)
+    ? `${key}="${value}"`
+    : `${key}={${JSON.stringify(value)}}`;
+
+// State variable names for a component's interactive value
+const stateNames = (comp, index) => {
+  const base =
+    {
+      button: `button${index}Active`,
+      timepicker: `time${index}Value`,
+      staircase: `staircase${index}Level`,
+    }[comp.type] || `${comp.type}${index}Value`;
+  return {
+    value: base,
+    setter: `set${base.charAt(0).toUpperCase()}${base.slice(1)}`,
+  };
+};
+
+// Expression for the variables an output binding shows in generated code
+const outputExpression = (output) =>
+  output === "all" ? "variableNames" : JSON.stringify([output]);
+
+// Expression for the parameter value set by a bound control
+const parameterExpression = (comp, index) => {
+  const { value } = stateNames(comp, index);
+  switch (comp.type) {
+    case "slider":
+    case "sliderHorizontal": {
+      const [min, max] = parameterRange(comp.props);
+      return `sliderToValue(${value}, ${min}, ${max}, "${comp.props.variant}")`;
+    }
+    case "staircase":
+      return `${JSON.stringify(staircaseLevels(comp.props))}[${value}]`;
+    default:
+      return value;
+  }
+};
+
+// Component-specific JSX attributes. Every type in the component registry
+// (and so every component exported from components/grid) has a case here.
+// With a model, bound components read the simulation results.
+const componentProps = (comp, index, hasModel) => {
+  const { props } = comp;
+  const { value, setter } = stateNames(comp, index);
+  const controlled = [`value={${value}}`, `onChange={${setter}}`];
+  const output = hasModel ? props.bindOutput : "";
+
+  switch (comp.type) {
+    case "button":
+      return props.type === "toggle"
+        ? [
+            jsxProp("type", "toggle"),
+            jsxProp("variant", props.variant || "default"),
+            `active={${value}}`,
+            `onToggle={${setter}}`,
+          ]
+        : [
+            jsxProp("variant", props.variant || "default"),
+            `onPress={() => {}}`,
+          ];
+    case "slider":
+      return [...controlled, jsxProp("variant", props.variant)];
+    case "sliderHorizontal":
+      return [
+        ...controlled,
+        jsxProp("variant", props.variant),
+        hasModel && props.bindParam
+          ? `label={parameterLabel("${props.bindParam}", params.${props.bindParam})}`
+          : jsxProp("label", props.label),
+      ];
+    case "knob":
+      return [
+        jsxProp("value", Number(props.value)),
+        jsxProp("min", Number(props.min)),
+        jsxProp("max", Number(props.max)),
+        jsxProp("size", props.size),
+      ];
+    case "input":
+      return [
+        ...controlled,
+        jsxProp("variable", props.variable),
+        jsxProp("min", Number(props.min)),
+        jsxProp("max", Number(props.max)),
+        jsxProp("step", Number(props.step)),
+      ];
+    case "textInput":
+      return [
+        ...controlled,
+        jsxProp("label", props.label),
+        jsxProp("placeholder", props.placeholder),
+        jsxProp("maxLength", Number(props.maxLength)),
+      ];
+    case "equationInput":
+      return [
+        ...controlled,
+        jsxProp("label", props.label),
+        jsxProp("variable", props.variable),
+        jsxProp("placeholder", props.placeholder),
+      ];
+    case "display":
+      return [
+        output
+          ? `value={finalValueText(points, "${output}")}`
+          : `value={${value}}`,
+        jsxProp("variant", props.variant),
+      ];
+    case "label":
+      return [
+        jsxProp("text", props.text),
+        jsxProp("fontSize", props.fontSize),
+        jsxProp("textAlign", props.textAlign),
+        jsxProp("verticalAlign", props.verticalAlign),
+      ];
+    case "graph":
+      return [
+        jsxProp("xLabel", props.xLabel),
+        jsxProp("yLabel", props.yLabel),
+        jsxProp("xRange", axisRange(props, "xMin", "xMax")),
+        jsxProp("yRange", axisRange(props, "yMin", "yMax")),
+      ];
+    case "graphDualY":
+      return [
+        jsxProp("xLabel", props.xLabel),
+        jsxProp("yLabelLeft", props.yLabelLeft),
+        jsxProp("yLabelRight", props.yLabelRight),
+        jsxProp("xRange", axisRange(props, "xMin", "xMax")),
+        jsxProp("yRangeLeft", axisRange(props, "yLeftMin", "yLeftMax")),
+        jsxProp("yRangeRight", axisRange(props, "yRightMin", "yRightMax")),
+      ];
+    case "timeSeries":
+      return [
+        jsxProp("xLabel", props.xLabel),
+        jsxProp("yLabel", props.yLabel),
+        jsxProp("timeRange", axisRange(props, "tMin", "tMax", [0, 20])),
+        jsxProp("populationRange", axisRange(props, "yMin", "yMax", [0, 100])),
+        output
+          ? `series={timeSeriesFromPoints(points, ${outputExpression(output)}, variableNames)}`
+          : "series={[]}",
+      ];
+    case "vectorField":
+      return [
+        jsxProp("xLabel", props.xLabel),
+        jsxProp("yLabel", props.yLabel),
+        jsxProp("xRange", axisRange(props, "xMin", "xMax", [0, 50])),
+        jsxProp("yRange", axisRange(props, "yMin", "yMax", [0, 50])),
+        "vectorField={[]}",
+      ];
+    case "timepicker":
+      return controlled;
+    case "staircase":
+      return [...controlled, jsxProp("customLevels", staircaseLevels(props))];
+    case "wheelSelector":
+      return [
+        ...controlled,
+        jsxProp("options", splitList(props.options)),
+        jsxProp("title", props.title),
+      ];
+    case "tableInput":
+      return [
+        `data={${value}}`,
+        `onDataChange={${setter}}`,
+        jsxProp("columns", tableColumns(props)),
+        jsxProp("title", props.title),
+      ];
+    case "matrixInput":
+      return [
+        jsxProp("rows", Number(props.rows)),
+        jsxProp("cols", Number(props.cols)),
+        `values={${value}}`,
+        `onChange={${setter}}`,
+        jsxProp("label", props.label),
+      ];
+    case "sound":
+      return ["onVolumeChange={() => {}}", "onEnabledChange={() => {}}"];
+    case "window":
+      return [jsxProp("variant", props.variant)];
+    case "screen":
+    case "panel":
+      return [jsxProp("title", props.tooltip)];
+    default:
+      return [];
+  }
+};
+
+// Content placed between the opening and closing tags, if any
+const componentChildren = (comp, hasModel) => {
+  switch (comp.type) {
+    case "button":
+    case "screen":
+      return comp.props.text;
+    case "graph":
+      return hasModel && comp.props.bindOutput
+        ? `{(transform) => (
+          <ModelCurves
+            transform={transform}
+            points={points}
+            names={${outputExpression(comp.props.bindOutput)}}
+            allNames={variableNames}
+          />
+        )}`
+        : null;
+    default:
+      return null;
+  }
+};
+
+// Model helpers the generated component calls, with their import paths
+const MODEL_IMPORTS = [
+  ["sliderToValue", "../utils/modelBinding"],
+  ["parameterLabel", "../utils/modelBinding"],
+  ["timeSeriesFromPoints", "../utils/modelBinding"],
+  ["finalValueText", "../utils/modelBinding"],
+];
+
+// Simulation hook call: bound controls supply parameters, bound equation
+// inputs replace equations. If a layout binds a name twice (PropertiesPanel
+// prevents it, but older layouts may), only the first control is used, as in
+// LivePreview; a second key would be a duplicate object key.
+const simulationCode = (placedComponents, usedNames) => {
+  const bindingLines = (isBound, nameOf, valueOf) => {
+    const seen = new Set();
+    return placedComponents
+      .map((comp, index) => {
+        if (!isBound(comp) || seen.has(nameOf(comp))) return "";
+        seen.add(nameOf(comp));
+        return `      ${nameOf(comp)}: ${valueOf(comp, index)},`;
+      })
+      .filter(Boolean);
+  };
+  const parameters = bindingLines(
+    (comp) => PARAMETER_CONTROLS.includes(comp.type) && comp.props.bindParam,
+    (comp) => comp.props.bindParam,
+    parameterExpression,
+  );
+  const equations = bindingLines(
+    (comp) => comp.type === "equationInput" && comp.props.bindEquation,
+    (comp) => comp.props.bindEquation,
+    (comp, index) => stateNames(comp, index).value,
+  );
+
+  const results = ["points", "variableNames", "params"].filter((name) =>
+    usedNames.includes(name),
+  );
+  const call = `useModelSimulation(
+    MODEL,
+    {
+${parameters.join("\n")}
+    },
+    {
+${equations.join("\n")}
+    },
+  );`;
+  return results.length > 0
+    ? `  // Simulate the model with the current control values
+  const { ${results.join(", ")} } = ${call}`
+    : `  // Simulate the model with the current control values
+  ${call}`;
+};
+
+// Generate tool code. With a model (see ModelPanel), the component simulates
+// it with useModelSimulation and bound components use the results.
+export const generateCode = (placedComponents, toolName, model = null) => {
+  const normalizedModel = normalizeModel(model);
+  const hasModel = normalizedModel.variables.length > 0;
+
+  // Import only the Grid components the layout uses
+  const usedComponents = [
+    ...new Set(
+      placedComponents
+        .map((comp) => componentTypes[comp.type]?.gridComponent)
+        .filter(Boolean),
+    ),
+  ];
 
   const stateVariables = placedComponents
     .map((comp, index) => {
-      switch (comp.type) {
-        case "button":
-          return `  const [button${index}Active, setButton${index}Active] = useState(false);`;
-        case "slider":
-          return `  const [slider${index}Value, setSlider${index}Value] = useState(0);`;
-        case "display":
-          return `  const [display${index}Value, setDisplay${index}Value] = useState('${comp.props.value}');`;
-        case "timepicker":
-          return `  const [time${index}Value, setTime${index}Value] = useState('12:00 PM');`;
-        case "staircase":
-          return `  const [staircase${index}Level, setStaircase${index}Level] = useState(0);`;
-        default:
-          return "";
+      const initial = initialValue(
+        comp.type,
+        comp.props,
+        hasModel ? normalizedModel : null,
+      );
+      if (initial === undefined) return "";
+      if (comp.type === "button" && comp.props.type !== "toggle") return "";
+      if (comp.type === "display" && hasModel && comp.props.bindOutput) {
+        return "";
       }
+      const { value, setter } = stateNames(comp, index);
+      return `  const [${value}, ${setter}] = useState(${JSON.stringify(initial)});`;
     })
     .filter(Boolean)
     .join("\n");
 
   const components = placedComponents
     .map((comp, index) => {
-      const baseProps = `
-        x={${comp.x}} y={${comp.y}}${comp.w > 1 ? ` w={${comp.w}}` : ""}${comp.h > 1 ? ` h={${comp.h}}` : ""}
-        tooltip="${comp.props.tooltip}"
-        theme={theme}`;
-
-      switch (comp.type) {
-        case "button":
-          return `      <GridButton${baseProps}
-        type="toggle"
-        variant="${comp.props.variant}"
-        active={button${index}Active}
-        onToggle={setButton${index}Active}
+      const name = componentTypes[comp.type]?.gridComponent;
+      if (!name) return "";
+
+      const attributes = [
+        `x={${comp.x}} y={${comp.y}}${comp.w > 1 ? ` w={${comp.w}}` : ""}${comp.h > 1 ? ` h={${comp.h}}` : ""}`,
+        jsxProp("tooltip", comp.props.tooltip),
+        "theme={theme}",
+        ...componentProps(comp, index, hasModel),
+      ]
+        .map((line) => `        ${line}`)
+        .join("\n");
+      const children = componentChildren(comp, hasModel);
+
+      return children
+        ? `      <${name}
+${attributes}
       >
-        ${comp.props.children}
-      </GridButton>`;
-
-        case "slider":
-          return `      <GridSlider${baseProps}
-        value={slider${index}Value}
-        onChange={setSlider${index}Value}
-        variant="${comp.props.variant}"
+        ${children}
+      </${name}>`
+        : `      <${name}
+${attributes}
       />`;
+    })
+    .filter(Boolean)
+    .join("\n\n");
 
-        case "display":
-          return `      <GridDisplay${baseProps}
-        value={display${index}Value}
-        variant="${comp.props.variant}"
-      />`;
+  // Import only what the generated code uses
+  const uses = (name) => new RegExp(`\\b${name}\\b`).test(components);
+  const modelHelpers = MODEL_IMPORTS.filter(
+    ([name]) =>
+      uses(name) ||
+      (name === "sliderToValue" &&
+        hasModel &&
+        placedComponents.some(
+          (comp) =>
+            ["slider", "sliderHorizontal"].includes(comp.type) &&
+            comp.props.bindParam,
+        )),
+  ).map(([name]) => name);
 
-        case "graph":
-          return `      <GridGraph${baseProps}
-        xLabel="${comp.props.xLabel}"
-        yLabel="${comp.props.yLabel}"
-      />`;
+  const imports = [
+    "import React, { useState } from 'react';",
+    `import {
+${usedComponents.map((name) => `  ${name}`).join(",\n")}
+} from '../components/grid';`,
+    "import ToolContainer from '../components/ui/ToolContainer';",
+    "import { useTheme } from '../hooks/useTheme';",
+    ...(hasModel
+      ? [
+          "import { useModelSimulation } from '../hooks/useModelSimulation';",
+          ...(modelHelpers.length > 0
+            ? [
+                `import { ${modelHelpers.join(", ")} } from '../utils/modelBinding';`,
+              ]
+            : []),
+          ...(uses("ModelCurves")
+            ? ["import ModelCurves from '../components/ModelCurves';"]
+            : []),
+        ]
+      : []),
+  ].join("\n");
 
-        case "timepicker":
-          return `      <GridTimePicker${baseProps}
-        value={time${index}Value}
-        onChange={setTime${index}Value}
-      />`;
+  const modelCode = hasModel
+    ? `
 
-        case "staircase":
-          return `      <GridStaircase${baseProps}
-        value={staircase${index}Level}
-        onChange={setStaircase${index}Level}
-      />`;
+// Model: rate equations, parameter defaults and time span
+const MODEL = ${JSON.stringify(normalizedModel, null, 2)};`
+    : "";
 
-        default:
-          return "";
-      }
-    })
-    .join("\n\n");
+  const simulation = hasModel
+    ? `
+
+${simulationCode(
+  placedComponents,
+  ["points", "variableNames", "params"].filter(uses),
+)}`
+    : "";
 
-  return `${imports}
+  return `${imports}${modelCode}
 
 const ${toolName} = () => {
   const { theme } = useTheme();
 
-${stateVariables}
+${stateVariables}${simulation}
 
   return (
     <ToolContainer title="${toolName}">
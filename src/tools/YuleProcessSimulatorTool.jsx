@@ -1,6 +1,12 @@
 // src/tools/YuleProcessSimulatorTool.jsx
 
-import React, { useState, useCallback, useEffect, useRef } from "react";
+import React, {
+  useState,
+  useCallback,
+  useEffect,
+  useRef,
+  useMemo,
+} from "react";
 import {
   GridSliderHorizontal,
   GridButton,
@@ -10,22 +16,41 @@ import {
 } from "../components/grid";
 import ToolContainer from "../components/ui/ToolContainer";
 import { useTheme } from "../hooks/useTheme";
+import { useRandomSeed } from "../hooks/useRandomSeed";
+import { useUrlState } from "../hooks/useUrlState";
 
 const YuleProcessSimulatorTool = () => {
   const { theme, currentTheme } = useTheme();
 
   // Parameters
-  const [divisionProb, setDivisionProb] = useState(5.0); // B% - division probability (0-10%)
-  const [deathProb, setDeathProb] = useState(2.0); // D% - death probability (0-10%)
-  const [startingPop, setStartingPop] = useState(10); // Starting population
-  const [timeElapsed, setTimeElapsed] = useState(50); // Time steps (max 100)
-  const [numTrials, setNumTrials] = useState(20); // Number of trials
+  const [divisionProb, setDivisionProb] = useUrlState("divisionProb", 5.0); // B% - division probability (0-10%)
+  const [deathProb, setDeathProb] = useUrlState("deathProb", 2.0); // D% - death probability (0-10%)
+  // Starting population
+  const [startingPop, setStartingPop] = useUrlState("startingPop", 10, {
+    min: 1,
+    max: 100,
+    integer: true,
+  });
+  // Time steps (max 100)
+  const [timeElapsed, setTimeElapsed] = useUrlState("timeElapsed", 50, {
+    min: 1,
+    max: 100,
+    integer: true,
+  });
+  // Number of trials
+  const [numTrials, setNumTrials] = useUrlState("numTrials", 20, {
+    min: 1,
+    max: 50,
+    integer: true,
+  });
+  const { seed, setSeed, lastSeed, createRng } = useRandomSeed();
 
   // Display options
-  const [logScale, setLogScale] = useState(false);
+  const [logScale, setLogScale] = useUrlState("logScale", false);
 
   // Simulation results
   const [trials, setTrials] = useState([]);
+  const [runParameters, setRunParameters] = useState(null); // Settings that produced trials
   const [isRunning, setIsRunning] = useState(false);
   const [statistics, setStatistics] = useState(null);
 
@@ -65,6 +90,7 @@ const YuleProcessSimulatorTool = () => {
   // Run simulation
   const runSimulation = useCallback(() => {
     setIsRunning(true);
+    const rng = createRng();
 
     setTimeout(() => {
       const allTrials = [];
@@ -86,7 +112,7 @@ const YuleProcessSimulatorTool = () => {
           // Process deaths first
           let survivors = 0;
           for (let i = 0; i < pop; i++) {
-            if (Math.random() >= D) {
+            if (rng() >= D) {
               survivors++;
             }
           }
@@ -94,7 +120,7 @@ const YuleProcessSimulatorTool = () => {
           // Process births among survivors
           let births = 0;
           for (let i = 0; i < survivors; i++) {
-            if (Math.random() < B) {
+            if (rng() < B) {
               births++;
             }
           }
@@ -115,6 +141,13 @@ const YuleProcessSimulatorTool = () => {
       }
 
       setTrials(allTrials);
+      setRunParameters({
+        "division probability (%)": divisionProb,
+        "death probability (%)": deathProb,
+        startingPop,
+        timeElapsed,
+        numTrials,
+      });
 
       // Calculate statistics
       const finalPops = allTrials.map((t) => t.finalPop);
@@ -137,7 +170,7 @@ const YuleProcessSimulatorTool = () => {
 
       setIsRunning(false);
     }, 50);
-  }, [divisionProb, deathProb, startingPop, timeElapsed, numTrials]);
+  }, [divisionProb, deathProb, startingPop, timeElapsed, numTrials, createRng]);
 
   // Calculate max population across all trials for scaling
   const getMaxPop = useCallback(() => {
@@ -367,6 +400,30 @@ const YuleProcessSimulatorTool = () => {
     drawTrajectories();
   }, [trials, logScale, drawTrajectories]);
 
+  // One row per time step, one column per trial, for the export button
+  const exportData = useMemo(() => {
+    if (trials.length === 0 || !runParameters) return null;
+    return {
+      columns: [
+        { key: "time", label: "time" },
+        ...trials.map((_, index) => ({
+          key: `trial${index + 1}`,
+          label: `trial ${index + 1}`,
+        })),
+      ],
+      rows: trials[0].trajectory.map((_, t) => ({
+        time: t,
+        ...Object.fromEntries(
+          trials.map((trial, index) => [
+            `trial${index + 1}`,
+            trial.trajectory[t],
+          ]),
+        ),
+      })),
+      parameters: { ...runParameters, seed: lastSeed },
+    };
+  }, [trials, runParameters, lastSeed]);
+
   // yRange for GridGraph - use log space for log scale so ticks position correctly
   const yRange = getYRange();
   const yTicks = getYTicks();
@@ -381,6 +438,10 @@ const YuleProcessSimulatorTool = () => {
       title="Yule Process Simulator"
       canvasWidth={9}
       canvasHeight={6}
+      seed={seed}
+      lastSeed={lastSeed}
+      onSeedChange={setSeed}
+      exportData={exportData}
     >
       {/* Main graph */}
       <GridGraph
@@ -0,0 +1,16 @@
+// src/tools/YuleProcessSimulatorTool.tool.js
+// Menu entry for YuleProcessSimulatorTool; the component itself loads on first use
+
+export default {
+  id: "yule-process-simulator",
+  name: "Yule Process Simulator",
+  description:
+    "Simulate stochastic birth-death branching processes. Watch multiple population trajectories with adjustable division and death probabilities.",
+  categories: {
+    topics: ["ecology"],
+    toolType: "simulation",
+    lab: "lab5",
+  },
+  visibility: "student",
+  load: () => import("./YuleProcessSimulatorTool"),
+};
@@ -0,0 +1,101 @@
+// src/utils/assignments.js
+// Instructor-authored assignments: an ordered list of tools with preset
+// parameters and a prompt for each step
+
+import { fetchJson, resolveSiteUrl } from "./toolPlugins";
+import {
+  RESERVED_URL_PARAMS,
+  encodeUrlValue,
+  getShellParams,
+} from "./urlState";
+
+/**
+ * Check and tidy an assignment file
+ * Format: {title, description, steps: [{tool, title, params, prompt}]}
+ * where description and prompt are markdown and params holds the tool's URL
+ * parameters (e.g. {"beta": 3.2}). Only `steps` and each step's `tool` are
+ * required.
+ *
+ * @param {Object} data - Parsed assignment JSON
+ * @returns {Object} - {title, description, steps}
+ * @throws {Error} - If the data is not an assignment
+ */
+export const parseAssignment = (data) => {
+  if (!data || typeof data !== "object" || !Array.isArray(data.steps)) {
+    throw new Error("Not an assignment (no list of steps)");
+  }
+  if (data.steps.length === 0) {
+    throw new Error("Assignment has no steps");
+  }
+
+  const steps = data.steps.map((step, index) => {
+    if (!step || typeof step.tool !== "string" || !step.tool) {
+      throw new Error(`Step ${index + 1} does not name a tool`);
+    }
+    const params =
+      step.params && typeof step.params === "object" ? step.params : {};
+    const reserved = Object.keys(params).filter((key) =>
+      RESERVED_URL_PARAMS.includes(key),
+    );
+    if (reserved.length > 0) {
+      throw new Error(
+        `Step ${index + 1} sets reserved parameter "${reserved[0]}"`,
+      );
+    }
+
+    return {
+      tool: step.tool,
+      title: typeof step.title === "string" ? step.title : "",
+      params,
+      prompt: typeof step.prompt === "string" ? step.prompt : "",
+    };
+  });
+
+  return {
+    title: typeof data.title === "string" ? data.title : "Assignment",
+    description: typeof data.description === "string" ? data.description : "",
+    steps,
+  };
+};
+
+/**
+ * Fetch an assignment file
+ * @param {string} path - Path relative to the site (e.g. "assignments/lab2.json") or URL
+ * @returns {Promise<Object>} - Parsed assignment (see parseAssignment)
+ */
+export const loadAssignment = async (path) =>
+  parseAssignment(await fetchJson(resolveSiteUrl(path)));
+
+/**
+ * Read the current step from the `step` URL parameter (1-based)
+ * @param {URLSearchParams} urlParams - Current page parameters
+ * @param {Object} assignment - Parsed assignment
+ * @returns {number|null} - Step index (0-based), or null when not on a step
+ */
+export const getAssignmentStep = (urlParams, assignment) => {
+  const step = parseInt(urlParams.get("step"), 10);
+  return Number.isInteger(step) && step >= 1 && step <= assignment.steps.length
+    ? step - 1
+    : null;
+};
+
+/**
+ * Query string that opens a step: its tool with its preset parameters.
+ * Keeps the shell parameters (theme, dev, assignment, ...) and drops the
+ * previous tool's settings.
+ *
+ * @param {URLSearchParams} urlParams - Current page parameters
+ * @param {Object} assignment - Parsed assignment
+ * @param {number} index - Step index (0-based)
+ * @returns {URLSearchParams} - Parameters for the step
+ */
+export const getAssignmentStepParams = (urlParams, assignment, index) => {
+  const step = assignment.steps[index];
+  const stepParams = getShellParams(urlParams);
+  stepParams.set("tool", step.tool);
+  stepParams.set("step", String(index + 1));
+  Object.entries(step.params).forEach(([key, value]) =>
+    stepParams.set(key, encodeUrlValue(value)),
+  );
+  return stepParams;
+};
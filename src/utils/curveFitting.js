@@ -0,0 +1,505 @@
+// src/utils/curveFitting.js
+// Nonlinear least squares: Levenberg-Marquardt fitting of models with named
+// parameters to data, with standard errors and confidence intervals
+
+import { CompiledEquationND, detectParameters } from "./equationParser";
+import { solveLinearSystem } from "./odeSolver";
+
+// ----------------------------------------------------------------------------
+// Small dense linear algebra (row-major arrays of arrays)
+// ----------------------------------------------------------------------------
+
+/**
+ * Invert a square matrix
+ * @param {Array<Array<number>>} A - Square matrix
+ * @returns {Array<Array<number>>|null} - Inverse, or null if A is singular
+ */
+const invert = (A) => {
+  const n = A.length;
+  const columns = [];
+  for (let j = 0; j < n; j++) {
+    const unit = new Array(n).fill(0);
+    unit[j] = 1;
+    const column = solveLinearSystem(A, unit);
+    if (!column) return null;
+    columns.push(column);
+  }
+  return A.map((_, i) => columns.map((column) => column[i]));
+};
+
+// J^T J and J^T r for a Jacobian stored as one row per residual
+const normalEquations = (J, r) => {
+  const p = J[0]?.length ?? 0;
+  const JtJ = Array.from({ length: p }, () => new Array(p).fill(0));
+  const Jtr = new Array(p).fill(0);
+  J.forEach((row, i) => {
+    for (let a = 0; a < p; a++) {
+      Jtr[a] += row[a] * r[i];
+      for (let b = a; b < p; b++) JtJ[a][b] += row[a] * row[b];
+    }
+  });
+  for (let a = 0; a < p; a++) {
+    for (let b = 0; b < a; b++) JtJ[a][b] = JtJ[b][a];
+  }
+  return { JtJ, Jtr };
+};
+
+const sumOfSquares = (values) =>
+  values.reduce((sum, value) => sum + value * value, 0);
+
+// ----------------------------------------------------------------------------
+// Student's t distribution (for confidence intervals)
+// ----------------------------------------------------------------------------
+
+// Natural log of the gamma function (Lanczos approximation)
+const logGamma = (x) => {
+  const c = [
+    76.18009172947146, -86.5053203294168, 24.01409824083091, -1.231739572450155,
+    0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  c.forEach((coef) => {
+    y += 1;
+    series += coef / y;
+  });
+  return -tmp + Math.log((2.506628274631 * series) / x);
+};
+
+// Continued fraction for the incomplete beta function
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return h;
+};
+
+// Regularized incomplete beta function I_x(a, b)
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x),
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+/**
+ * Cumulative distribution function of Student's t distribution
+ * @param {number} t - Value
+ * @param {number} dof - Degrees of freedom (> 0)
+ * @returns {number} - P(T <= t)
+ */
+export const studentTCdf = (t, dof) => {
+  const tail = 0.5 * incompleteBeta(dof / (dof + t * t), dof / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+};
+
+/**
+ * Quantile of Student's t distribution, found by bisection on the CDF
+ * @param {number} p - Probability, 0 < p < 1
+ * @param {number} dof - Degrees of freedom (> 0)
+ * @returns {number} - t with P(T <= t) = p
+ */
+export const studentTQuantile = (p, dof) => {
+  if (p === 0.5) return 0;
+  if (p < 0.5) return -studentTQuantile(1 - p, dof);
+
+  let low = 0;
+  let high = 1;
+  while (studentTCdf(high, dof) < p && high < 1e12) high *= 2;
+  for (let i = 0; i < 200 && high - low > 1e-12 * high; i++) {
+    const mid = (low + high) / 2;
+    if (studentTCdf(mid, dof) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// ----------------------------------------------------------------------------
+// Levenberg-Marquardt
+// ----------------------------------------------------------------------------
+
+/**
+ * Minimize the sum of squared residuals with the Levenberg-Marquardt method
+ * The Jacobian is estimated with forward differences. Steps that make the
+ * residuals non-finite are rejected like steps that increase the sum.
+ *
+ * @param {Function} residualFn - Parameter array => array of residuals
+ * @param {Array<number>} initial - Starting parameter values
+ * @param {Object} options
+ * @param {number} options.maxIterations - Iteration limit (default: 200)
+ * @param {number} options.tolerance - Stop when the relative decrease of
+ *   the sum of squares falls below this (default: 1e-10)
+ * @param {Array<Array<number>>} options.bounds - Optional [min, max] per
+ *   parameter (null entries for no bound); steps are clamped into them
+ * @returns {Object} - {params, residuals, rss, jacobian, iterations, converged}
+ * @throws {Error} - If the residuals cannot be evaluated at the start
+ */
+export const levenbergMarquardt = (
+  residualFn,
+  initial,
+  { maxIterations = 200, tolerance = 1e-10, bounds = null } = {},
+) => {
+  const clampToBounds = (params) =>
+    params.map((value, j) => {
+      const [min, max] = bounds?.[j] ?? [];
+      if (min != null && value < min) return min;
+      if (max != null && value > max) return max;
+      return value;
+    });
+
+  const jacobianAt = (params, residuals) =>
+    params
+      .map((value, j) => {
+        const h = 1e-7 * Math.max(Math.abs(value), 1e-4);
+        const shifted = [...params];
+        shifted[j] = value + h;
+        const moved = residualFn(shifted);
+        return moved.map((r, i) => (r - residuals[i]) / h);
+      })
+      // Transpose to one row per residual
+      .reduce(
+        (rows, column, j) => {
+          column.forEach((value, i) => {
+            rows[i][j] = isFinite(value) ? value : 0;
+          });
+          return rows;
+        },
+        residuals.map(() => new Array(params.length).fill(0)),
+      );
+
+  let params = clampToBounds([...initial]);
+  let residuals = residualFn(params);
+  let rss = sumOfSquares(residuals);
+  if (!isFinite(rss)) {
+    throw new Error("The model cannot be evaluated at the starting values");
+  }
+
+  let lambda = 1e-3;
+  let iterations = 0;
+  let converged = false;
+  let jacobian = jacobianAt(params, residuals);
+
+  while (iterations < maxIterations && !converged) {
+    iterations++;
+    const { JtJ, Jtr } = normalEquations(jacobian, residuals);
+
+    let accepted = false;
+    while (lambda < 1e12) {
+      const damped = JtJ.map((row, a) =>
+        row.map((value, b) =>
+          a === b ? value + lambda * Math.max(value, 1e-12) : value,
+        ),
+      );
+      const step = solveLinearSystem(
+        damped,
+        Jtr.map((value) => -value),
+      );
+      if (step) {
+        const trial = clampToBounds(params.map((value, j) => value + step[j]));
+        const trialResiduals = residualFn(trial);
+        const trialRss = sumOfSquares(trialResiduals);
+        if (isFinite(trialRss) && trialRss <= rss) {
+          const decrease = rss - trialRss;
+          const moved = trial.some((value, j) => value !== params[j]);
+          params = trial;
+          residuals = trialResiduals;
+          converged = !moved || decrease <= tolerance * Math.max(rss, 1e-300);
+          rss = trialRss;
+          lambda = Math.max(lambda / 10, 1e-12);
+          accepted = true;
+          break;
+        }
+      }
+      lambda *= 10;
+    }
+
+    // No step reduces the sum of squares: we are at a minimum
+    if (!accepted) converged = true;
+    jacobian = jacobianAt(params, residuals);
+  }
+
+  return { params, residuals, rss, jacobian, iterations, converged };
+};
+
+/**
+ * Standard errors and confidence intervals from the Jacobian at the optimum
+ * Covariance = s^2 (J^T J)^-1 with s^2 = RSS / (n - p).
+ *
+ * @param {Object} solution - Result of levenbergMarquardt
+ * @param {Array<string>} parameterNames - Names in parameter order
+ * @param {number} level - Confidence level (default: 0.95)
+ * @returns {Object} - {estimates, standardErrors, confidenceIntervals,
+ *   covariance, dof, sigma}; errors are NaN when they cannot be estimated
+ *   (too few points, or parameters that the data cannot tell apart)
+ */
+const summarizeFit = (solution, parameterNames, level = 0.95) => {
+  const n = solution.residuals.length;
+  const p = parameterNames.length;
+  const dof = n - p;
+  const sigma2 = dof > 0 ? solution.rss / dof : NaN;
+
+  const { JtJ } = normalEquations(solution.jacobian, solution.residuals);
+  const inverse = dof > 0 ? invert(JtJ) : null;
+  const covariance = inverse
+    ? inverse.map((row) => row.map((value) => value * sigma2))
+    : parameterNames.map(() => parameterNames.map(() => NaN));
+
+  const tValue = dof > 0 ? studentTQuantile(1 - (1 - level) / 2, dof) : NaN;
+  const estimates = {};
+  const standardErrors = {};
+  const confidenceIntervals = {};
+  parameterNames.forEach((name, j) => {
+    const estimate = solution.params[j];
+    const variance = covariance[j][j];
+    const se = variance >= 0 ? Math.sqrt(variance) : NaN;
+    estimates[name] = estimate;
+    standardErrors[name] = se;
+    confidenceIntervals[name] = [
+      estimate - tValue * se,
+      estimate + tValue * se,
+    ];
+  });
+
+  return {
+    estimates,
+    standardErrors,
+    confidenceIntervals,
+    covariance,
+    dof,
+    sigma: Math.sqrt(sigma2),
+  };
+};
+
+/**
+ * Fit a model y = f(x; params) to data points by least squares
+ *
+ * @param {Function} predict - (x, params) => y, with params an object keyed
+ *   by parameter name
+ * @param {Array<Object>} points - [{x, y}, ...]
+ * @param {Object} initial - Starting value for each parameter to fit, e.g.
+ *   {C: 100, b: 0.5}
+ * @param {Object} options - levenbergMarquardt options, plus:
+ * @param {Object} options.bounds - Optional {name: [min, max]}
+ * @param {Object} options.fixed - Parameters held at fixed values
+ * @param {number} options.level - Confidence level (default: 0.95)
+ * @returns {Object} - {estimates, standardErrors, confidenceIntervals,
+ *   covariance, dof, sigma, rss, rSquared, residuals: [{x, y, predicted,
+ *   residual}], iterations, converged}
+ * @throws {Error} - If the model cannot be evaluated at the starting values
+ */
+export const fitCurve = (predict, points, initial, options = {}) => {
+  const { bounds = {}, fixed = {}, level = 0.95, ...solverOptions } = options;
+  const names = Object.keys(initial);
+  const toParams = (values) => ({
+    ...fixed,
+    ...Object.fromEntries(names.map((name, j) => [name, values[j]])),
+  });
+
+  const solution = levenbergMarquardt(
+    (values) => {
+      const params = toParams(values);
+      return points.map(({ x, y }) => y - predict(x, params));
+    },
+    names.map((name) => initial[name]),
+    { ...solverOptions, bounds: names.map((name) => bounds[name] ?? null) },
+  );
+
+  const mean = points.reduce((sum, { y }) => sum + y, 0) / points.length;
+  const tss = points.reduce((sum, { y }) => sum + (y - mean) ** 2, 0);
+
+  return {
+    ...summarizeFit(solution, names, level),
+    rss: solution.rss,
+    rSquared: tss > 0 ? 1 - solution.rss / tss : NaN,
+    residuals: points.map(({ x, y }, i) => ({
+      x,
+      y,
+      predicted: y - solution.residuals[i],
+      residual: solution.residuals[i],
+    })),
+    iterations: solution.iterations,
+    converged: solution.converged,
+  };
+};
+
+/**
+ * Akaike and Bayesian information criteria of a least-squares fit with
+ * normally distributed errors. The variance counts as a parameter, so a
+ * model with p fitted parameters has k = p + 1. Only differences between
+ * models fitted to the same data are meaningful; lower is better.
+ *
+ * @param {number} rss - Residual sum of squares
+ * @param {number} n - Number of data points
+ * @param {number} p - Number of fitted parameters
+ * @returns {Object} - {aic, bic}; -Infinity for a perfect fit
+ */
+export const informationCriteria = (rss, n, p) => {
+  const k = p + 1;
+  const logLikelihoodTerm = n * Math.log(rss / n);
+  return {
+    aic: logLikelihoodTerm + 2 * k,
+    bic: logLikelihoodTerm + k * Math.log(n),
+  };
+};
+
+/**
+ * Compile a model expression such as "C*exp(b*(t-t0))/(1+exp(b*(t-t0)))"
+ * for fitting. Every name other than the independent variable and math.js
+ * functions and constants is a parameter.
+ *
+ * @param {string} expression - Model right-hand side
+ * @param {string} xName - Independent variable (default: "x")
+ * @returns {Object} - {isValid, error, parameterNames, predict(x, params)}
+ */
+export const compileFitModel = (expression, xName = "x") => {
+  const parameterNames = detectParameters([expression], [xName]).filter(
+    (name) => name !== xName,
+  );
+  const equation = new CompiledEquationND(expression, [xName], parameterNames);
+  return {
+    isValid: equation.isValid,
+    error: equation.getError(),
+    parameterNames,
+    predict: (x, params) => equation.evaluate({ ...params, [xName]: x }),
+  };
+};
+
+/**
+ * Value of a variable at time t, interpolated linearly in a time series
+ * @param {Array<Object>} series - [{t, [name]: value}, ...] in time order,
+ *   as returned by DynamicalSystemND.generateTimeSeries
+ * @param {number} t - Time
+ * @param {string} variable - Variable name
+ * @returns {number} - Interpolated value, or NaN if t is outside the series
+ */
+export const interpolateTimeSeries = (series, t, variable) => {
+  if (series.length === 0 || t < series[0].t) return NaN;
+
+  // Last point at or before t
+  let low = 0;
+  let high = series.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (series[mid].t <= t) low = mid;
+    else high = mid;
+  }
+  const before = series[low];
+  const after = series[high];
+  if (after.t < t - 1e-9) return NaN;
+  if (after.t === before.t) return before[variable];
+  const fraction = (t - before.t) / (after.t - before.t);
+  return before[variable] + fraction * (after[variable] - before[variable]);
+};
+
+/**
+ * Fit a system of ODEs to observed values of its state variables
+ * The system is integrated once per evaluation to one step past the last
+ * observation, since observation times rarely fall on the dt grid, and the
+ * solution is interpolated linearly at the observation times.
+ *
+ * @param {Object} system - DynamicalSystemND
+ * @param {Array<Object>} observations - [{t, variable, value}, ...]
+ * @param {Object} setup
+ * @param {Array<number>} setup.initialState - In system.variableNames order
+ * @param {Object} setup.params - Values of every parameter
+ * @param {Array<string>} setup.fitNames - Parameters to estimate
+ * @param {number} setup.dt - Integration step
+ * @param {Object} options - As for fitCurve
+ * @returns {Object} - As fitCurve, with residuals [{t, variable, y,
+ *   predicted, residual}]
+ * @throws {Error} - If an observation lies outside the time range solved
+ *   at the starting values, or the fit cannot start there
+ */
+export const fitODEModel = (
+  system,
+  observations,
+  { initialState, params, fitNames, dt },
+  options = {},
+) => {
+  const tEnd = Math.max(...observations.map((o) => o.t)) + dt;
+  const predictAll = (values) => {
+    const series = system.generateTimeSeries(initialState, values, tEnd, dt);
+    return observations.map(({ t, variable }) =>
+      interpolateTimeSeries(series, t, variable),
+    );
+  };
+
+  // Each parameter set needs one solve of the whole system, so cache it
+  // for the observations of every variable
+  let cachedKey = null;
+  let cachedValues = null;
+  const predict = (index, values) => {
+    const key = JSON.stringify(values);
+    if (key !== cachedKey) {
+      cachedKey = key;
+      cachedValues = predictAll(values);
+    }
+    return cachedValues[index];
+  };
+
+  // A NaN prediction means the solution does not reach that observation
+  // (before t = 0, or after the solution blew up)
+  const startIndex = predictAll(params).findIndex((value) => isNaN(value));
+  if (startIndex >= 0) {
+    throw new Error(
+      `The observation at t = ${observations[startIndex].t} is outside the solved time range`,
+    );
+  }
+
+  const initial = Object.fromEntries(
+    fitNames.map((name) => [name, params[name]]),
+  );
+  const fixed = Object.fromEntries(
+    Object.entries(params).filter(([name]) => !fitNames.includes(name)),
+  );
+  const fit = fitCurve(
+    predict,
+    observations.map((o, index) => ({ x: index, y: o.value })),
+    initial,
+    { ...options, fixed },
+  );
+
+  return {
+    ...fit,
+    residuals: fit.residuals.map((r, i) => ({
+      t: observations[i].t,
+      variable: observations[i].variable,
+      y: r.y,
+      predicted: r.predicted,
+      residual: r.residual,
+    })),
+  };
+};
@@ -0,0 +1,176 @@
+// src/utils/dataExport.js
+// Export simulation output as CSV or JSON files for spreadsheets and R, and
+// read CSV files back in
+
+/**
+ * Dataset shape shared by all export helpers
+ * @typedef {Object} ExportDataset
+ * @property {Array<{key: string, label: string}>} columns - Columns in order;
+ *   key picks the value from each row, label is the header (include units)
+ * @property {Array<Object>} rows - One object per row, keyed by column key
+ * @property {Object} [parameters] - Parameter values that produced the data
+ */
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} - CSV-safe field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "number" && !isFinite(value) ? "NA" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a dataset as CSV
+ * Parameters are written first as "# name: value" comment lines, which
+ * read.csv(..., comment.char = "#") in R skips and spreadsheets show as notes.
+ *
+ * @param {ExportDataset} dataset - Data to export
+ * @param {string} toolId - Tool identifier recorded in the header
+ * @returns {string} - CSV text
+ */
+export const formatCsv = ({ columns, rows, parameters = {} }, toolId) => {
+  const lines = [
+    `# tool: ${toolId}`,
+    `# exported: ${new Date().toISOString()}`,
+    ...Object.entries(parameters).map(
+      ([name, value]) =>
+        `# ${name}: ${typeof value === "object" ? JSON.stringify(value) : value}`,
+    ),
+    columns.map((column) => csvField(column.label)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => csvField(row[column.key])).join(","),
+    ),
+  ];
+  return lines.join("\n") + "\n";
+};
+
+/**
+ * Format a dataset as JSON
+ * @param {ExportDataset} dataset - Data to export
+ * @param {string} toolId - Tool identifier recorded in the file
+ * @returns {string} - Pretty-printed JSON text
+ */
+export const formatJson = ({ columns, rows, parameters = {} }, toolId) =>
+  JSON.stringify(
+    {
+      tool: toolId,
+      exported: new Date().toISOString(),
+      parameters,
+      columns,
+      data: rows.map((row) =>
+        Object.fromEntries(
+          columns.map((column) => [column.key, row[column.key]]),
+        ),
+      ),
+    },
+    null,
+    2,
+  );
+
+/**
+ * Save a Blob as a file through the browser's download mechanism
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File contents
+ */
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Save text as a file through the browser's download mechanism
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} mimeType - MIME type of the contents
+ */
+export const downloadTextFile = (filename, text, mimeType) =>
+  downloadBlob(filename, new Blob([text], { type: mimeType }));
+
+/**
+ * Download a dataset as "<toolId>-data.csv" or "<toolId>-data.json"
+ * @param {ExportDataset} dataset - Data to export
+ * @param {string} toolId - Tool identifier used in the file name
+ * @param {string} format - "csv" or "json"
+ */
+export const exportDataset = (dataset, toolId, format = "csv") => {
+  const name = toolId || "simulation";
+  if (format === "json") {
+    downloadTextFile(
+      `${name}-data.json`,
+      formatJson(dataset, name),
+      "application/json",
+    );
+  } else {
+    downloadTextFile(`${name}-data.csv`, formatCsv(dataset, name), "text/csv");
+  }
+};
+
+/**
+ * Parse CSV text into a header and rows of fields
+ * Handles quoted fields (with "" for a quote) and skips blank lines and the
+ * "#" comment lines written by formatCsv.
+ *
+ * @param {string} text - CSV text
+ * @returns {{columns: Array<string>, rows: Array<Array<string>>}} - Header
+ *   fields and the remaining rows
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let lineStart = true;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (lineStart && char === "#") {
+      // Comment line: skip to its end
+      while (i < text.length && text[i] !== "\n") i++;
+      continue;
+    }
+    lineStart = false;
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      if (record.some((value) => value.trim() !== "")) records.push(record);
+      record = [];
+      field = "";
+      lineStart = true;
+    } else {
+      field += char;
+    }
+  }
+  record.push(field);
+  if (record.some((value) => value.trim() !== "")) records.push(record);
+
+  const [columns = [], ...rows] = records;
+  return { columns: columns.map((column) => column.trim()), rows };
+};
@@ -0,0 +1,176 @@
+// src/utils/ddeSolver.js
+// Delay differential equations: y'(t) = f(t, y(t), y(t - tau_1), ..., y(t - tau_m))
+
+/**
+ * Solution history of a delay differential equation
+ * Stores accepted steps (t, y, dy/dt) and evaluates the state at any earlier
+ * time: before the start it uses the initial history, between steps it
+ * interpolates with cubic Hermite polynomials (same order as RK4), and just
+ * past the last step it extrapolates along the last derivative.
+ */
+export class DelayHistory {
+  /**
+   * @param {Array<number>|Function} initial - State for t < t0, either a
+   *   constant array or a function t => array
+   * @param {number} t0 - Start time
+   * @param {number} maxDelay - Longest delay that will be looked up; older
+   *   points are dropped to bound memory (Infinity keeps everything)
+   */
+  constructor(initial, t0 = 0, maxDelay = Infinity) {
+    this.initial = initial;
+    this.t0 = t0;
+    this.maxDelay = maxDelay;
+    this.points = []; // {t, y, dy}, in increasing t
+  }
+
+  /**
+   * Record an accepted step
+   * @param {number} t - Time
+   * @param {Array<number>} y - State
+   * @param {Array<number>} dy - Derivative at (t, y), if known
+   */
+  push(t, y, dy = null) {
+    this.points.push({ t, y: [...y], dy });
+
+    // Keep twice the window so removal happens in occasional batches
+    if (isFinite(this.maxDelay) && this.points.length > 2) {
+      const cutoff = t - 2 * this.maxDelay;
+      if (this.points[1].t < cutoff) {
+        const keepFrom = this.points.findIndex((p) => p.t >= t - this.maxDelay);
+        this.points.splice(0, Math.max(0, keepFrom - 1));
+      }
+    }
+  }
+
+  /**
+   * Most recent point
+   * @returns {Object|undefined} - {t, y, dy}
+   */
+  latest() {
+    return this.points[this.points.length - 1];
+  }
+
+  /**
+   * State at time t
+   * @param {number} t - Time to look up, usually t - tau
+   * @returns {Array<number>} - Interpolated state
+   */
+  evaluate(t) {
+    const points = this.points;
+    if (t < this.t0 || points.length === 0) {
+      return typeof this.initial === "function"
+        ? this.initial(t)
+        : [...this.initial];
+    }
+
+    const last = points[points.length - 1];
+    if (t >= last.t) {
+      return last.dy
+        ? last.y.map((value, i) => value + (t - last.t) * last.dy[i])
+        : [...last.y];
+    }
+    if (t <= points[0].t) return [...points[0].y];
+
+    // Binary search for the step containing t
+    let lo = 0;
+    let hi = points.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].t <= t) lo = mid;
+      else hi = mid;
+    }
+
+    const a = points[lo];
+    const b = points[hi];
+    const h = b.t - a.t;
+    const s = (t - a.t) / h;
+
+    if (!a.dy || !b.dy) {
+      return a.y.map((value, i) => value + s * (b.y[i] - value));
+    }
+
+    const h00 = (1 + 2 * s) * (1 - s) * (1 - s);
+    const h10 = s * (1 - s) * (1 - s);
+    const h01 = s * s * (3 - 2 * s);
+    const h11 = s * s * (s - 1);
+    return a.y.map(
+      (value, i) =>
+        h00 * value + h10 * h * a.dy[i] + h01 * b.y[i] + h11 * h * b.dy[i],
+    );
+  }
+}
+
+/**
+ * Delayed states for each delay at time t
+ * A zero delay uses the current stage value, so tau = 0 reduces the model to
+ * an ordinary ODE.
+ */
+const laggedStates = (history, t, y, delays) =>
+  delays.map((tau) => (tau > 0 ? history.evaluate(t - tau) : y));
+
+/**
+ * Advance a delay differential equation by one RK4 step (method of steps)
+ * Steps from the latest point in the history and records the new point.
+ *
+ * @param {Function} f - Derivative function (t, y, lagged) => dy/dt array,
+ *   where lagged[j] is the state at t - delays[j]
+ * @param {DelayHistory} history - Solution so far; must hold at least the
+ *   initial point
+ * @param {number} h - Step size
+ * @param {Array<number>} delays - Delays tau_1..tau_m (constant, >= 0)
+ * @param {Function} adjust - Optional post-step map y => y, e.g. to clamp to
+ *   a physical range or add noise; the stored point uses the adjusted state
+ * @returns {Array<number>} - New state
+ */
+export const advanceDDE = (f, history, h, delays, adjust = null) => {
+  const current = history.latest();
+  const { t, y } = current;
+  const stage = (k, scale) => y.map((value, i) => value + scale * k[i]);
+
+  const k1 = f(t, y, laggedStates(history, t, y, delays));
+  // The first derivative at the latest point doubles as its Hermite slope
+  if (!current.dy) current.dy = k1;
+
+  const y2 = stage(k1, h / 2);
+  const k2 = f(t + h / 2, y2, laggedStates(history, t + h / 2, y2, delays));
+  const y3 = stage(k2, h / 2);
+  const k3 = f(t + h / 2, y3, laggedStates(history, t + h / 2, y3, delays));
+  const y4 = stage(k3, h);
+  const k4 = f(t + h, y4, laggedStates(history, t + h, y4, delays));
+
+  let yNew = y.map(
+    (value, i) => value + (h / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]),
+  );
+  if (adjust) yNew = adjust(yNew);
+
+  history.push(t + h, yNew);
+  return yNew;
+};
+
+/**
+ * Solve a delay differential equation with fixed RK4 steps
+ * @param {Function} f - Derivative function (t, y, lagged) => dy/dt array
+ * @param {Array<number>|Function} initial - History for t <= t0: a constant
+ *   state or a function t => state (its value at t0 is the initial state)
+ * @param {number} t0 - Start time
+ * @param {number} tEnd - End time
+ * @param {number} dt - Step size
+ * @param {Array<number>} delays - Delays tau_1..tau_m (constant, >= 0)
+ * @param {Object} options - {adjust}: post-step map, see advanceDDE
+ * @returns {DelayHistory} - Full solution; history.points holds the steps
+ *   and history.evaluate(t) interpolates between them
+ */
+export const solveDDE = (f, initial, t0, tEnd, dt, delays, options = {}) => {
+  const { adjust = null } = options;
+  const history = new DelayHistory(initial, t0);
+  const y0 = typeof initial === "function" ? initial(t0) : initial;
+  history.push(t0, y0);
+
+  const steps = Math.round((tEnd - t0) / dt);
+  for (let i = 0; i < steps; i++) {
+    const y = advanceDDE(f, history, dt, delays, adjust);
+    if (!y.every(isFinite)) break;
+  }
+
+  return history;
+};
@@ -3,6 +3,7 @@
 // Maintains same API as legacy parser for backward compatibility
 
 import { create, all } from "mathjs/number";
+import { solveDDE } from "./ddeSolver";
 
 // Create lightweight math.js instance (numbers only, no complex/BigNumber/units/matrices)
 const math = create(all);
@@ -12,9 +13,10 @@ const math = create(all);
  * Parse once, evaluate thousands of times
  */
 class CompiledEquation {
-  constructor(equationString, variables = ["X", "Y"]) {
+  constructor(equationString, variables = ["X", "Y"], parameterNames = []) {
     this.rawEquation = equationString.trim();
     this.variables = variables;
+    this.parameterNames = parameterNames; // e.g., ["a", "b"]
     this.isValid = false;
     this.errorMessage = "";
     this.compiledNode = null;
@@ -82,18 +84,19 @@ class CompiledEquation {
       "max",
     ];
 
-    // Find all identifiers (letter sequences not followed by parentheses)
-    const identifierPattern = /\b([a-zA-Z]+)\b(?!\s*\()/g;
+    // Find all identifiers (names not followed by parentheses)
+    const identifierPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\b(?!\s*\()/g;
     let match;
     const foundIdentifiers = [];
 
     while ((match = identifierPattern.exec(equation)) !== null) {
       const identifier = match[1];
 
-      // Skip known math.js functions and constants
+      // Skip known math.js functions, constants and declared parameters
       if (
         mathConstants.includes(identifier) ||
-        mathFunctions.includes(identifier)
+        mathFunctions.includes(identifier) ||
+        this.parameterNames.includes(identifier)
       ) {
         continue;
       }
@@ -176,9 +179,14 @@ class CompiledEquation {
       [-5, 5],
     ];
 
+    // Parameters are set to 1 for the test evaluations
+    const testParams = Object.fromEntries(
+      this.parameterNames.map((name) => [name, 1]),
+    );
+
     for (const [x, y] of testPoints) {
       try {
-        const scope = { X: x, Y: y };
+        const scope = { ...testParams, X: x, Y: y };
         const result = this.compiledNode.evaluate(scope);
 
         // Result can be NaN (domain errors), Infinity, but should be a number
@@ -199,14 +207,19 @@ class CompiledEquation {
   /**
    * Evaluate equation at given point
    * Returns NaN for domain errors instead of throwing
+   * @param {number} x - The value of X
+   * @param {number} y - The value of Y
+   * @param {Object} params - Parameter values, e.g., {a: 1, b: 0.5}
    */
-  evaluate(x, y) {
+  evaluate(x, y, params = {}) {
     if (!this.isValid || !this.compiledNode) {
       return NaN;
     }
 
     try {
-      const scope = { X: x, Y: y };
+      const scope = this.parameterNames.length
+        ? { ...params, X: x, Y: y }
+        : { X: x, Y: y };
       const result = this.compiledNode.evaluate(scope);
 
       // Return NaN for invalid results (Infinity, etc.)
@@ -230,9 +243,18 @@ class CompiledEquation {
  * Handles X' = f(X,Y) and Y' = g(X,Y) with RK4 integration
  */
 class DynamicalSystem {
-  constructor(xPrimeEquation, yPrimeEquation) {
-    this.xPrimeEq = new CompiledEquation(xPrimeEquation);
-    this.yPrimeEq = new CompiledEquation(yPrimeEquation);
+  constructor(xPrimeEquation, yPrimeEquation, parameterNames = []) {
+    this.parameterNames = parameterNames;
+    this.xPrimeEq = new CompiledEquation(
+      xPrimeEquation,
+      ["X", "Y"],
+      parameterNames,
+    );
+    this.yPrimeEq = new CompiledEquation(
+      yPrimeEquation,
+      ["X", "Y"],
+      parameterNames,
+    );
 
     this.isValid = this.xPrimeEq.isValid && this.yPrimeEq.isValid;
     this.errorMessage = this.getErrorMessage();
@@ -255,15 +277,16 @@ class DynamicalSystem {
   /**
    * Evaluate vector field at point (x, y)
    * Returns {vx, vy} or {vx: NaN, vy: NaN} if invalid
+   * @param {Object} params - Parameter values, e.g., {a: 1, b: 0.5}
    */
-  evaluateField(x, y) {
+  evaluateField(x, y, params = {}) {
     if (!this.isValid) {
       return { vx: NaN, vy: NaN };
     }
 
     return {
-      vx: this.xPrimeEq.evaluate(x, y),
-      vy: this.yPrimeEq.evaluate(x, y),
+      vx: this.xPrimeEq.evaluate(x, y, params),
+      vy: this.yPrimeEq.evaluate(x, y, params),
     };
   }
 
@@ -271,36 +294,40 @@ class DynamicalSystem {
    * RK4 integration step
    * Returns new position {x, y} or {x: NaN, y: NaN} if integration fails
    */
-  rk4Step(x, y, dt) {
+  rk4Step(x, y, dt, params = {}) {
     if (!this.isValid) {
       return { x: NaN, y: NaN };
     }
 
     try {
       // RK4 coefficients
-      const k1x = this.xPrimeEq.evaluate(x, y);
-      const k1y = this.yPrimeEq.evaluate(x, y);
+      const k1x = this.xPrimeEq.evaluate(x, y, params);
+      const k1y = this.yPrimeEq.evaluate(x, y, params);
 
       const k2x = this.xPrimeEq.evaluate(
         x + 0.5 * dt * k1x,
         y + 0.5 * dt * k1y,
+        params,
       );
       const k2y = this.yPrimeEq.evaluate(
         x + 0.5 * dt * k1x,
         y + 0.5 * dt * k1y,
+        params,
       );
 
       const k3x = this.xPrimeEq.evaluate(
         x + 0.5 * dt * k2x,
         y + 0.5 * dt * k2y,
+        params,
       );
       const k3y = this.yPrimeEq.evaluate(
         x + 0.5 * dt * k2x,
         y + 0.5 * dt * k2y,
+        params,
       );
 
-      const k4x = this.xPrimeEq.evaluate(x + dt * k3x, y + dt * k3y);
-      const k4y = this.yPrimeEq.evaluate(x + dt * k3x, y + dt * k3y);
+      const k4x = this.xPrimeEq.evaluate(x + dt * k3x, y + dt * k3y, params);
+      const k4y = this.yPrimeEq.evaluate(x + dt * k3x, y + dt * k3y, params);
 
       // Check for NaN in any coefficient
       if ([k1x, k1y, k2x, k2y, k3x, k3y, k4x, k4y].some((k) => !isFinite(k))) {
@@ -322,15 +349,83 @@ class DynamicalSystem {
     }
   }
 
+  /**
+   * Compile symbolic partial derivatives of both equations
+   * Returns [[dX'/dX, dX'/dY], [dY'/dX, dY'/dY]] compiled nodes, or null if
+   * math.js cannot differentiate an equation (e.g. floor, min)
+   */
+  compileDerivatives() {
+    try {
+      return [this.xPrimeEq, this.yPrimeEq].map((eq) =>
+        ["X", "Y"].map((variable) =>
+          math.derivative(eq.rawEquation, variable).compile(),
+        ),
+      );
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Jacobian matrix at point (x, y)
+   * Uses exact symbolic derivatives where available and central differences
+   * otherwise. Returns [[a, b], [c, d]] or null if the system is invalid
+   */
+  jacobian(x, y, params = {}) {
+    if (!this.isValid) {
+      return null;
+    }
+
+    if (this.derivativeNodes === undefined) {
+      this.derivativeNodes = this.compileDerivatives();
+    }
+
+    const hx = 1e-6 * Math.max(1, Math.abs(x));
+    const hy = 1e-6 * Math.max(1, Math.abs(y));
+    const numeric = (eq, variable) =>
+      variable === "X"
+        ? (eq.evaluate(x + hx, y, params) - eq.evaluate(x - hx, y, params)) /
+          (2 * hx)
+        : (eq.evaluate(x, y + hy, params) - eq.evaluate(x, y - hy, params)) /
+          (2 * hy);
+
+    return [this.xPrimeEq, this.yPrimeEq].map((eq, row) =>
+      ["X", "Y"].map((variable, col) => {
+        if (this.derivativeNodes) {
+          try {
+            const value = this.derivativeNodes[row][col].evaluate({
+              ...params,
+              X: x,
+              Y: y,
+            });
+            if (isFinite(value)) return value;
+          } catch {
+            // Fall back to finite differences below
+          }
+        }
+        return numeric(eq, variable);
+      }),
+    );
+  }
+
   /**
    * Update equations (re-compile)
    */
   updateEquations(xPrimeEquation, yPrimeEquation) {
-    this.xPrimeEq = new CompiledEquation(xPrimeEquation);
-    this.yPrimeEq = new CompiledEquation(yPrimeEquation);
+    this.xPrimeEq = new CompiledEquation(
+      xPrimeEquation,
+      ["X", "Y"],
+      this.parameterNames,
+    );
+    this.yPrimeEq = new CompiledEquation(
+      yPrimeEquation,
+      ["X", "Y"],
+      this.parameterNames,
+    );
 
     this.isValid = this.xPrimeEq.isValid && this.yPrimeEq.isValid;
     this.errorMessage = this.getErrorMessage();
+    this.derivativeNodes = undefined;
   }
 
   /**
@@ -348,6 +443,87 @@ class DynamicalSystem {
   }
 }
 
+/**
+ * Find delayed terms such as X(t - tau) or Y(t - 2) in an equation
+ * Each distinct term is replaced by a plain symbol (X_tau, or X_delay1 when
+ * the delay is not a single name) that the compiled equation reads from its
+ * scope, and X(t) is rewritten to X. Delay expressions may use numbers and
+ * parameters but no parentheses.
+ * @param {string} equation - Equation string
+ * @param {Array<string>} variableNames - State variables that may be delayed
+ * @param {Array<Object>} knownTerms - Terms already found in other equations
+ *   of the same system; new terms are appended so symbols stay unique
+ * @returns {Object} - {equation, delayTerms} with the rewritten equation and
+ *   the terms it uses, each {symbol, variable, delay}
+ */
+const parseDelayTerms = (equation, variableNames, knownTerms = []) => {
+  const delayTerms = [];
+  let rewritten = equation;
+
+  variableNames.forEach((variable) => {
+    const pattern = new RegExp(
+      `\\b${variable}\\s*\\(\\s*t\\s*(?:-\\s*([^()]+?))?\\s*\\)`,
+      "g",
+    );
+    rewritten = rewritten.replace(pattern, (match, delay) => {
+      if (delay === undefined) return variable;
+
+      const normalized = delay.replace(/\s+/g, "");
+      let term = knownTerms.find(
+        (known) => known.variable === variable && known.delay === normalized,
+      );
+      if (!term) {
+        const symbol = /^[A-Za-z_][A-Za-z0-9_]*$/.test(normalized)
+          ? `${variable}_${normalized}`
+          : `${variable}_delay${knownTerms.length + 1}`;
+        term = { symbol, variable, delay: normalized };
+        knownTerms.push(term);
+      }
+      if (!delayTerms.includes(term)) delayTerms.push(term);
+      return term.symbol;
+    });
+  });
+
+  return { equation: rewritten, delayTerms };
+};
+
+/**
+ * Compile the delay expressions of delayed terms
+ * @param {Array<Object>} delayTerms - Terms from parseDelayTerms
+ * @param {Array<string>} parameterNames - Parameters a delay may use
+ * @returns {Array} - Compiled math.js nodes, one per term
+ */
+const compileDelays = (delayTerms, parameterNames) =>
+  delayTerms.map(({ variable, delay }) => {
+    const unknown = (delay.match(/[A-Za-z_][A-Za-z0-9_]*/g) || []).filter(
+      (name) =>
+        name === "t" ||
+        (!parameterNames.includes(name) && !RESERVED_NAMES_ND.includes(name)),
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown symbol in delay ${variable}(t - ${delay}): ${unknown.join(", ")}. Use numbers and parameters.`,
+      );
+    }
+    return math.compile(delay);
+  });
+
+/**
+ * Evaluate compiled delays for the current parameter values
+ * @param {Array} delayNodes - Nodes from compileDelays
+ * @param {Object} params - Parameter values
+ * @returns {Array<number>} - Delays; negative or invalid delays count as 0
+ */
+const evaluateDelays = (delayNodes, params) =>
+  delayNodes.map((node) => {
+    try {
+      const delay = node.evaluate({ ...params });
+      return isFinite(delay) && delay > 0 ? delay : 0;
+    } catch {
+      return 0;
+    }
+  });
+
 /**
  * Compiled equation for 1D dynamical systems with parameters
  * Single variable X with adjustable parameters (k, r, a, etc.)
@@ -359,6 +535,8 @@ class CompiledEquation1D {
     this.isValid = false;
     this.errorMessage = "";
     this.compiledNode = null;
+    this.delayTerms = []; // Delayed terms such as X(t - tau)
+    this.delayNodes = [];
 
     try {
       this.compile();
@@ -378,12 +556,21 @@ class CompiledEquation1D {
       throw new Error("Equation cannot be empty");
     }
 
+    // Delayed terms become plain symbols; X_tau is the older spelling of
+    // X(t - tau)
+    const { equation, delayTerms } = parseDelayTerms(
+      this.rawEquation.replace(/\bX_tau\b/g, "X(t - tau)"),
+      ["X"],
+    );
+    this.delayTerms = delayTerms;
+    this.delayNodes = compileDelays(delayTerms, this.parameterNames);
+
     // Validate variables and parameters before compilation
-    this.validateVariablesAndParameters(this.rawEquation);
+    this.validateVariablesAndParameters(equation);
 
     try {
       // Parse and compile the equation using math.js
-      this.compiledNode = math.compile(this.rawEquation);
+      this.compiledNode = math.compile(equation);
     } catch (error) {
       throw new Error(this.formatMathJsError(error));
     }
@@ -512,7 +699,7 @@ class CompiledEquation1D {
 
     for (const x of testValues) {
       try {
-        const scope = { X: x, ...paramScope };
+        const scope = { ...this.currentDelayScope(x), ...paramScope };
         const result = this.compiledNode.evaluate(scope);
 
         if (typeof result !== "number") {
@@ -527,10 +714,23 @@ class CompiledEquation1D {
     }
   }
 
+  /**
+   * Scope with X and every delayed term set to x (the value they take at an
+   * equilibrium)
+   */
+  currentDelayScope(x) {
+    const scope = { X: x };
+    this.delayTerms.forEach((term) => {
+      scope[term.symbol] = x;
+    });
+    return scope;
+  }
+
   /**
    * Evaluate equation at given X with parameter values
    * @param {number} x - The value of X
-   * @param {Object} params - Parameter values, e.g., {k: 0.5, r: 1.2}
+   * @param {Object} params - Parameter values, e.g., {k: 0.5, r: 1.2}, plus
+   *   delayed values by symbol (e.g. X_tau); missing delayed values are X
    * @returns {number} - f(X, params) or NaN if invalid
    */
   evaluate(x, params = {}) {
@@ -539,7 +739,7 @@ class CompiledEquation1D {
     }
 
     try {
-      const scope = { X: x, ...params };
+      const scope = { ...this.currentDelayScope(x), ...params };
       const result = this.compiledNode.evaluate(scope);
 
       return isFinite(result) ? result : NaN;
@@ -568,8 +768,42 @@ class DynamicalSystem1D {
     this.errorMessage = this.xPrimeEq.getError();
   }
 
+  /**
+   * Delayed terms in the equation, e.g. [{symbol: "X_tau", variable: "X",
+   * delay: "tau"}] for X(t - tau)
+   */
+  get delayTerms() {
+    return this.xPrimeEq.delayTerms;
+  }
+
+  /**
+   * Delay of each term in delayTerms for the given parameters
+   * @param {Object} params - Parameter values, e.g., {tau: 0.5}
+   * @returns {Array<number>} - Delays (>= 0)
+   */
+  getDelays(params = {}) {
+    return evaluateDelays(this.xPrimeEq.delayNodes, params);
+  }
+
+  /**
+   * Evaluate derivative with values for the delayed terms
+   * @param {number} x - Current value of X
+   * @param {Array<number>} lagged - Value of each term in delayTerms
+   * @param {Object} params - Parameter values
+   * @returns {number} - X' or NaN if invalid
+   */
+  evaluateDelayedDerivative(x, lagged, params = {}) {
+    const scope = { ...params };
+    this.delayTerms.forEach((term, i) => {
+      scope[term.symbol] = lagged[i];
+    });
+    return this.evaluateDerivative(x, scope);
+  }
+
   /**
    * Evaluate derivative at point X with given parameters
+   * Delayed terms take the value X, which gives the equilibria of delay
+   * equations.
    * @param {number} x - The value of X
    * @param {Object} params - Parameter values, e.g., {k: 0.5}
    * @returns {number} - X' = f(X, params) or NaN if invalid
@@ -691,11 +925,475 @@ class DynamicalSystem1D {
   }
 }
 
+/**
+ * Names that cannot be used for state variables or parameters in
+ * N-dimensional systems (math.js functions and constants, and time t)
+ */
+const RESERVED_NAMES_ND = [
+  "t",
+  "pi",
+  "e",
+  "PI",
+  "E",
+  "sin",
+  "cos",
+  "tan",
+  "sqrt",
+  "exp",
+  "log",
+  "abs",
+  "pow",
+  "asin",
+  "acos",
+  "atan",
+  "sinh",
+  "cosh",
+  "tanh",
+  "ln",
+  "log10",
+  "floor",
+  "ceil",
+  "round",
+  "sign",
+  "min",
+  "max",
+];
+
+/**
+ * Check a list of user-chosen names for N-dimensional systems
+ * @param {Array<string>} names - State variable and parameter names
+ * @returns {string} - Error message, or "" if all names are usable
+ */
+const validateNamesND = (names) => {
+  const seen = new Set();
+  for (const name of names) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      return `Invalid name "${name}". Use letters, digits and _ (starting with a letter).`;
+    }
+    if (RESERVED_NAMES_ND.includes(name)) {
+      return `"${name}" is reserved. Choose another name.`;
+    }
+    if (seen.has(name)) {
+      return `"${name}" is declared twice.`;
+    }
+    seen.add(name);
+  }
+  return "";
+};
+
+/**
+ * Find the parameter names used in a set of equations
+ * Every identifier that is not a state variable (in either case), a math.js
+ * function or constant counts as a parameter, e.g. a and b in a*X - b*X*Y.
+ * @param {Array<string>} equations - Equation strings
+ * @param {Array<string>} variableNames - State variables, e.g., ["X", "Y"]
+ * @returns {Array<string>} - Parameter names in order of first appearance
+ */
+const detectParameters = (equations, variableNames = ["X", "Y"]) => {
+  const excluded = [
+    ...RESERVED_NAMES_ND,
+    ...variableNames,
+    ...variableNames.map((name) => name.toLowerCase()),
+  ];
+  const found = [];
+  const identifierPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\b(?!\s*\()/g;
+
+  equations.forEach((equation) => {
+    let match;
+    while ((match = identifierPattern.exec(equation)) !== null) {
+      const identifier = match[1];
+      if (!excluded.includes(identifier) && !found.includes(identifier)) {
+        found.push(identifier);
+      }
+    }
+  });
+
+  return found;
+};
+
+/**
+ * Compiled equation for N-dimensional systems
+ * Any number of named state variables and parameters (e.g. S, I, R and
+ * b, g, N), plus time t for forced systems and delayed states such as
+ * I(t - tau)
+ */
+class CompiledEquationND {
+  /**
+   * @param {string} equationString - Right-hand side
+   * @param {Array<string>} variableNames - State variable names
+   * @param {Array<string>} parameterNames - Parameter names
+   * @param {Array<Object>} knownDelayTerms - Delayed terms shared by the
+   *   equations of one system (see parseDelayTerms)
+   */
+  constructor(
+    equationString,
+    variableNames = [],
+    parameterNames = [],
+    knownDelayTerms = [],
+  ) {
+    this.rawEquation = equationString.trim();
+    this.variableNames = variableNames; // e.g., ["S", "I", "R"]
+    this.parameterNames = parameterNames; // e.g., ["b", "g", "N"]
+    this.isValid = false;
+    this.errorMessage = "";
+    this.compiledNode = null;
+    this.knownDelayTerms = knownDelayTerms;
+    this.delayTerms = []; // Delayed terms used by this equation
+
+    try {
+      this.compile();
+      this.validate();
+      this.isValid = true;
+    } catch (error) {
+      this.errorMessage = this.formatError(error);
+      this.isValid = false;
+    }
+  }
+
+  /**
+   * Compile equation string to optimized math.js node
+   */
+  compile() {
+    if (!this.rawEquation) {
+      throw new Error("Equation cannot be empty");
+    }
+
+    // Delayed terms become plain symbols
+    const { equation, delayTerms } = parseDelayTerms(
+      this.rawEquation,
+      this.variableNames,
+      this.knownDelayTerms,
+    );
+    this.delayTerms = delayTerms;
+    compileDelays(delayTerms, this.parameterNames);
+
+    // Validate symbols before compilation
+    this.validateSymbols(equation);
+
+    try {
+      this.compiledNode = math.compile(equation);
+    } catch (error) {
+      throw new Error(this.formatMathJsError(error));
+    }
+  }
+
+  /**
+   * Validate that every symbol is a declared variable, parameter, t,
+   * or a math.js constant
+   */
+  validateSymbols(equation) {
+    // Find all identifiers (not followed by parentheses)
+    const identifierPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\b(?!\s*\()/g;
+    const known = [
+      ...this.variableNames,
+      ...this.parameterNames,
+      ...this.delayTerms.map((term) => term.symbol),
+    ];
+    const unknown = [];
+    let match;
+
+    while ((match = identifierPattern.exec(equation)) !== null) {
+      const identifier = match[1];
+      if (
+        !known.includes(identifier) &&
+        !RESERVED_NAMES_ND.includes(identifier) &&
+        !unknown.includes(identifier)
+      ) {
+        unknown.push(identifier);
+      }
+    }
+
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown symbol: ${unknown.join(", ")}. Declare it as a variable or parameter.`,
+      );
+    }
+  }
+
+  /**
+   * Format math.js errors to be user-friendly
+   */
+  formatMathJsError(error) {
+    const message = error.message || String(error);
+
+    if (message.includes("Unexpected")) {
+      return `Invalid syntax: ${message}`;
+    }
+    if (message.includes("Undefined symbol")) {
+      return `Unknown function or variable: ${message}`;
+    }
+    if (message.includes("parenthesis")) {
+      return "Invalid syntax: mismatched parentheses";
+    }
+
+    return message;
+  }
+
+  /**
+   * Format error message for display
+   */
+  formatError(error) {
+    return error.message || String(error);
+  }
+
+  /**
+   * Validate compiled function with test values (all symbols set alike)
+   */
+  validate() {
+    if (!this.compiledNode) {
+      throw new Error("Function compilation failed");
+    }
+
+    const testValues = [0, 1, -1, 0.1, Math.PI, 10, -5];
+
+    for (const value of testValues) {
+      const scope = { t: value };
+      [
+        ...this.variableNames,
+        ...this.parameterNames,
+        ...this.delayTerms.map((term) => term.symbol),
+      ].forEach((name) => {
+        scope[name] = value;
+      });
+
+      try {
+        const result = this.compiledNode.evaluate(scope);
+
+        if (typeof result !== "number") {
+          throw new Error("Function must return a number");
+        }
+      } catch (error) {
+        const msg = error.message || String(error);
+        if (!msg.includes("domain") && !msg.includes("range")) {
+          throw new Error(`Validation failed at ${value}: ${msg}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Evaluate equation in a scope holding variables, parameters and t
+   * @param {Object} scope - e.g., {S: 990, I: 10, R: 0, b: 0.3, t: 0}
+   * @returns {number} - Result or NaN if invalid
+   */
+  evaluate(scope) {
+    if (!this.isValid || !this.compiledNode) {
+      return NaN;
+    }
+
+    try {
+      const result = this.compiledNode.evaluate(scope);
+      return isFinite(result) ? result : NaN;
+    } catch {
+      return NaN;
+    }
+  }
+
+  /**
+   * Get user-friendly error message
+   */
+  getError() {
+    return this.errorMessage;
+  }
+}
+
+/**
+ * Dynamical system with any number of named state variables
+ * Handles X_i' = f_i(X_1, ..., X_n, params, t) with RK4 integration, and
+ * delay equations that use past states such as X(t - tau)
+ */
+class DynamicalSystemND {
+  /**
+   * @param {Array<string>} equations - Right-hand side for each variable
+   * @param {Array<string>} variableNames - State variable names, same order
+   * @param {Array<string>} parameterNames - Parameter names
+   */
+  constructor(equations, variableNames, parameterNames = []) {
+    this.variableNames = variableNames;
+    this.parameterNames = parameterNames;
+    this.equations = [];
+    this.delayTerms = []; // Delayed terms across all equations
+    this.delayNodes = [];
+    this.errorMessage = validateNamesND([...variableNames, ...parameterNames]);
+
+    if (variableNames.length === 0) {
+      this.errorMessage = "Add at least one state variable";
+    }
+
+    if (!this.errorMessage) {
+      this.equations = variableNames.map(
+        (name, i) =>
+          new CompiledEquationND(
+            equations[i] || "",
+            variableNames,
+            parameterNames,
+            this.delayTerms,
+          ),
+      );
+      const invalidIndex = this.equations.findIndex((eq) => !eq.isValid);
+      if (invalidIndex >= 0) {
+        this.errorMessage = `${variableNames[invalidIndex]}': ${this.equations[invalidIndex].getError()}`;
+      } else {
+        this.delayNodes = compileDelays(this.delayTerms, parameterNames);
+      }
+    }
+
+    this.isValid = !this.errorMessage;
+  }
+
+  /**
+   * Delay of each term in delayTerms for the given parameters
+   * @param {Object} params - Parameter values
+   * @returns {Array<number>} - Delays (>= 0)
+   */
+  getDelays(params = {}) {
+    return evaluateDelays(this.delayNodes, params);
+  }
+
+  /**
+   * Evaluate all derivatives at a state
+   * @param {Array<number>} state - Values in variableNames order
+   * @param {Object} params - Parameter values, e.g., {b: 0.3, g: 0.1}
+   * @param {number} t - Time (for equations that use t)
+   * @param {Array<number>} lagged - Value of each term in delayTerms; when
+   *   omitted, delayed terms take their current value
+   * @returns {Array<number>} - Derivatives (NaN entries if evaluation fails)
+   */
+  evaluateDerivatives(state, params = {}, t = 0, lagged = null) {
+    if (!this.isValid) {
+      return state.map(() => NaN);
+    }
+
+    const scope = { ...params, t };
+    this.variableNames.forEach((name, i) => {
+      scope[name] = state[i];
+    });
+    this.delayTerms.forEach((term, i) => {
+      scope[term.symbol] = lagged ? lagged[i] : scope[term.variable];
+    });
+
+    return this.equations.map((eq) => eq.evaluate(scope));
+  }
+
+  /**
+   * RK4 integration step
+   * @param {Array<number>} state - Current state
+   * @param {Object} params - Parameter values
+   * @param {number} dt - Time step
+   * @param {number} t - Current time
+   * @returns {Array<number>|null} - New state or null if integration fails
+   */
+  rk4Step(state, params, dt, t = 0) {
+    if (!this.isValid) {
+      return null;
+    }
+
+    const offset = (k, h) => state.map((value, i) => value + h * k[i]);
+
+    const k1 = this.evaluateDerivatives(state, params, t);
+    const k2 = this.evaluateDerivatives(
+      offset(k1, 0.5 * dt),
+      params,
+      t + dt / 2,
+    );
+    const k3 = this.evaluateDerivatives(
+      offset(k2, 0.5 * dt),
+      params,
+      t + dt / 2,
+    );
+    const k4 = this.evaluateDerivatives(offset(k3, dt), params, t + dt);
+
+    const newState = state.map(
+      (value, i) => value + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]),
+    );
+
+    return newState.every(isFinite) ? newState : null;
+  }
+
+  /**
+   * Generate time series data
+   * @param {Array<number>} initialState - Initial values in variableNames order
+   * @param {Object} params - Parameter values
+   * @param {number} tMax - Maximum time
+   * @param {number} dt - Time step
+   * @returns {Array} - Array of {t, [name]: value} points; stops early if
+   *   the solution blows up. Delay equations are solved with solveDDE, taking
+   *   the initial state as the history before t = 0.
+   */
+  generateTimeSeries(initialState, params, tMax, dt = 0.01) {
+    if (!this.isValid || !initialState.every(isFinite)) {
+      return [];
+    }
+
+    const toPoint = (t, state) => {
+      const point = { t };
+      this.variableNames.forEach((name, i) => {
+        point[name] = state[i];
+      });
+      return point;
+    };
+
+    if (this.delayTerms.length > 0) {
+      const delays = this.getDelays(params);
+      const variableIndex = this.delayTerms.map((term) =>
+        this.variableNames.indexOf(term.variable),
+      );
+      const history = solveDDE(
+        (t, state, lagged) =>
+          this.evaluateDerivatives(
+            state,
+            params,
+            t,
+            lagged.map((past, j) => past[variableIndex[j]]),
+          ),
+        initialState,
+        0,
+        tMax,
+        dt,
+        delays,
+      );
+      return history.points
+        .filter((point) => point.y.every(isFinite))
+        .map((point) => toPoint(point.t, point.y));
+    }
+
+    const steps = Math.round(tMax / dt);
+    const data = [toPoint(0, initialState)];
+    let state = initialState;
+
+    for (let step = 0; step < steps; step++) {
+      state = this.rk4Step(state, params, dt, step * dt);
+      if (!state) break; // Stop if integration fails
+      data.push(toPoint((step + 1) * dt, state));
+    }
+
+    return data;
+  }
+
+  /**
+   * Check if system is valid for simulation
+   */
+  isValidSystem() {
+    return this.isValid;
+  }
+
+  /**
+   * Get error message for debugging
+   */
+  getError() {
+    return this.errorMessage;
+  }
+}
+
 // Export math.js instance for advanced usage if needed
 export {
   CompiledEquation,
   DynamicalSystem,
   CompiledEquation1D,
   DynamicalSystem1D,
+  CompiledEquationND,
+  DynamicalSystemND,
+  detectParameters,
+  parseDelayTerms,
   math,
 };
@@ -0,0 +1,260 @@
+// src/utils/figureExport.js
+// Save a rendered graph panel (axes, labels, data layers) as SVG or PNG
+
+import { downloadBlob } from "./dataExport";
+
+/**
+ * Elements marked with this attribute (and their children) are left out of
+ * exported figures, e.g. the export button itself
+ */
+export const FIGURE_IGNORE_ATTRIBUTE = "data-figure-ignore";
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {*} text - Text to escape
+ * @returns {string} - XML-safe text
+ */
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Check whether a computed CSS color paints anything
+ * @param {string} color - Computed color, e.g. "rgba(0, 0, 0, 0)"
+ * @returns {boolean} - True for fully transparent colors
+ */
+const isTransparent = (color) =>
+  !color ||
+  color === "transparent" ||
+  /^rgba\(.*,\s*0\)$/.test(color.replace(/\s+/g, " "));
+
+/**
+ * Total CSS rotation (degrees) applied to an element below the figure root
+ * @param {Element} element - Element inside the figure
+ * @param {Element} root - Figure root element
+ * @returns {number} - Rotation in degrees
+ */
+const rotationWithin = (element, root) => {
+  let angle = 0;
+  for (let node = element; node && node !== root; node = node.parentElement) {
+    const match = window
+      .getComputedStyle(node)
+      .transform.match(/^matrix\(([^,]+),\s*([^,]+)/);
+    if (match) {
+      angle += (Math.atan2(Number(match[2]), Number(match[1])) * 180) / Math.PI;
+    }
+  }
+  return angle;
+};
+
+/**
+ * Describe a zero-size element drawn with CSS borders (an arrow head) as a
+ * polygon. The colored side's two corners plus the box's inner point form
+ * the triangle.
+ * @param {CSSStyleDeclaration} style - Computed style of the element
+ * @param {Object} box - {x, y, width, height} in figure coordinates
+ * @returns {string|null} - SVG polygon markup, or null if not a triangle
+ */
+const borderTriangle = (style, box) => {
+  const widths = {
+    top: parseFloat(style.borderTopWidth) || 0,
+    right: parseFloat(style.borderRightWidth) || 0,
+    bottom: parseFloat(style.borderBottomWidth) || 0,
+    left: parseFloat(style.borderLeftWidth) || 0,
+  };
+  const side = Object.keys(widths).find(
+    (name) =>
+      widths[name] > 0 &&
+      !isTransparent(
+        style[`border${name[0].toUpperCase()}${name.slice(1)}Color`],
+      ),
+  );
+  if (!side) return null;
+
+  const { x, y, width, height } = box;
+  const inner = [x + widths.left, y + widths.top];
+  const corners = {
+    top: [
+      [x, y],
+      [x + width, y],
+    ],
+    right: [
+      [x + width, y],
+      [x + width, y + height],
+    ],
+    bottom: [
+      [x + width, y + height],
+      [x, y + height],
+    ],
+    left: [
+      [x, y + height],
+      [x, y],
+    ],
+  }[side];
+  const color = style[`border${side[0].toUpperCase()}${side.slice(1)}Color`];
+  const points = [...corners, inner].map((p) => p.join(",")).join(" ");
+  return `<polygon points="${points}" fill="${color}"/>`;
+};
+
+/**
+ * Convert a rendered graph panel into standalone SVG markup
+ * Axis lines, ticks, grid lines and arrow heads become vector shapes, text
+ * stays selectable text, nested SVG overlays are copied as vectors, and
+ * canvas layers (where tools draw their data) are embedded as images.
+ *
+ * @param {HTMLElement} root - Graph area element to capture
+ * @returns {{svg: string, width: number, height: number}} - Figure markup and size
+ */
+export const buildFigureSvg = (root) => {
+  const rootRect = root.getBoundingClientRect();
+  const width = root.offsetWidth;
+  const height = root.offsetHeight;
+  // The tool canvas may be CSS-scaled to fit the window; undo that here
+  const scale = rootRect.width / width || 1;
+
+  const toFigureBox = (rect) => ({
+    x: (rect.left - rootRect.left) / scale,
+    y: (rect.top - rootRect.top) / scale,
+    width: rect.width / scale,
+    height: rect.height / scale,
+  });
+
+  const shapes = [];
+  const elements = [root, ...root.querySelectorAll("*")];
+
+  elements.forEach((element) => {
+    if (element.closest(`[${FIGURE_IGNORE_ATTRIBUTE}]`)) return;
+    if (element instanceof SVGElement && element.ownerSVGElement) return;
+
+    const style = window.getComputedStyle(element);
+    if (style.display === "none" || style.visibility === "hidden") return;
+    const box = toFigureBox(element.getBoundingClientRect());
+    const opacity = parseFloat(style.opacity);
+    const opacityAttr = opacity < 1 ? ` opacity="${opacity}"` : "";
+
+    if (element instanceof HTMLCanvasElement) {
+      if (element.width === 0 || element.height === 0) return;
+      shapes.push(
+        `<image x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" preserveAspectRatio="none"${opacityAttr} href="${element.toDataURL("image/png")}"/>`,
+      );
+      return;
+    }
+
+    if (element instanceof SVGSVGElement) {
+      const copy = element.cloneNode(true);
+      copy.setAttribute("x", box.x);
+      copy.setAttribute("y", box.y);
+      copy.setAttribute("width", box.width);
+      copy.setAttribute("height", box.height);
+      copy.removeAttribute("style");
+      copy.removeAttribute("class");
+      shapes.push(new XMLSerializer().serializeToString(copy));
+      return;
+    }
+
+    // Boxes: backgrounds, axis lines, ticks and grid lines
+    if (box.width === 0 || box.height === 0) return;
+    if (
+      parseFloat(style.width) === 0 &&
+      parseFloat(style.height) === 0 &&
+      style.borderStyle.includes("solid")
+    ) {
+      const triangle = borderTriangle(style, box);
+      if (triangle) shapes.push(triangle);
+      return;
+    }
+    if (!isTransparent(style.backgroundColor)) {
+      const radius = parseFloat(style.borderTopLeftRadius) || 0;
+      const borderWidth = parseFloat(style.borderTopWidth) || 0;
+      const stroke =
+        borderWidth > 0 && !isTransparent(style.borderTopColor)
+          ? ` stroke="${style.borderTopColor}" stroke-width="${borderWidth}"`
+          : "";
+      shapes.push(
+        `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}"${radius ? ` rx="${radius}"` : ""} fill="${style.backgroundColor}"${stroke}${opacityAttr}/>`,
+      );
+    }
+
+    // Text: axis labels and tick labels
+    element.childNodes.forEach((node) => {
+      if (node.nodeType !== Node.TEXT_NODE || !node.textContent.trim()) return;
+      const range = document.createRange();
+      range.selectNodeContents(node);
+      const textBox = toFigureBox(range.getBoundingClientRect());
+      const cx = textBox.x + textBox.width / 2;
+      const cy = textBox.y + textBox.height / 2;
+      const angle = rotationWithin(element, root);
+      const rotate = angle ? ` transform="rotate(${angle} ${cx} ${cy})"` : "";
+      shapes.push(
+        `<text x="${cx}" y="${cy}" text-anchor="middle" dominant-baseline="central" font-family="${escapeXml(style.fontFamily)}" font-size="${style.fontSize}" font-weight="${style.fontWeight}" fill="${style.color}"${opacityAttr}${rotate}>${escapeXml(node.textContent.trim())}</text>`,
+      );
+    });
+  });
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...shapes,
+    "</svg>",
+  ].join("\n");
+
+  return { svg, width, height };
+};
+
+/**
+ * Rasterize SVG markup to a PNG
+ * @param {string} svg - SVG markup
+ * @param {number} width - Figure width in CSS pixels
+ * @param {number} height - Figure height in CSS pixels
+ * @param {number} pixelRatio - Output resolution multiplier
+ * @returns {Promise<Blob>} - PNG image data
+ */
+export const svgToPng = (svg, width, height, pixelRatio = 2) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * pixelRatio);
+      canvas.height = Math.round(height * pixelRatio);
+      const ctx = canvas.getContext("2d");
+      ctx.scale(pixelRatio, pixelRatio);
+      ctx.drawImage(image, 0, 0, width, height);
+      canvas.toBlob((blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not encode PNG")),
+      );
+    };
+    image.onerror = () => reject(new Error("Could not render figure"));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+
+/**
+ * Turn axis labels into a file-name-friendly slug
+ * @param {string} text - Text such as "population vs time"
+ * @returns {string} - Slug such as "population-vs-time"
+ */
+const slugify = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Download a rendered graph panel as "<toolId>-<name>.svg" or ".png"
+ * @param {HTMLElement} root - Graph area element to capture
+ * @param {string} format - "svg" or "png"
+ * @param {string} name - Short description used in the file name
+ * @returns {Promise<void>}
+ */
+export const exportFigure = async (root, format, name = "graph") => {
+  const toolId = new URLSearchParams(window.location.search).get("tool");
+  const filename = [toolId, slugify(name) || "graph"].filter(Boolean).join("-");
+  const { svg, width, height } = buildFigureSvg(root);
+
+  if (format === "svg") {
+    downloadBlob(`${filename}.svg`, new Blob([svg], { type: "image/svg+xml" }));
+  } else {
+    downloadBlob(`${filename}.png`, await svgToPng(svg, width, height));
+  }
+};
@@ -0,0 +1,59 @@
+// src/utils/helpMarkdown.js
+// Markdown extensions for help pages and assignment prompts
+
+import { defaultUrlTransform } from "react-markdown";
+import { RESERVED_URL_PARAMS } from "./urlState";
+
+/**
+ * Link target prefix for "try this" links that set the current tool's
+ * parameters, written like a settings link:
+ *   [See chaos](try:beta=2.7&initialPopulation=0.2)
+ */
+export const TRY_LINK_PREFIX = "try:";
+
+/**
+ * Image source prefix for equations from src/equations:
+ *   ![logistic equation](equation:logistic-differential)
+ */
+export const EQUATION_PREFIX = "equation:";
+
+/**
+ * Read the parameters of a "try this" link
+ * Values stay as text; each tool decodes them like values in its own URL.
+ * Reserved app parameters (tool, theme, ...) are ignored.
+ *
+ * @param {string} href - Link target
+ * @returns {Object|null} - {name: value} pairs, or null for ordinary links
+ */
+export const parseTryLink = (href) => {
+  if (typeof href !== "string" || !href.startsWith(TRY_LINK_PREFIX)) {
+    return null;
+  }
+  const params = new URLSearchParams(href.slice(TRY_LINK_PREFIX.length));
+  return Object.fromEntries(
+    Array.from(params.entries()).filter(
+      ([key]) => !RESERVED_URL_PARAMS.includes(key),
+    ),
+  );
+};
+
+/**
+ * Equation name of an embedded equation image
+ * @param {string} src - Image source
+ * @returns {string|null} - Equation file name without .mathml, or null
+ */
+export const parseEquationSource = (src) =>
+  typeof src === "string" && src.startsWith(EQUATION_PREFIX)
+    ? src.slice(EQUATION_PREFIX.length)
+    : null;
+
+/**
+ * URL filter for react-markdown that keeps try: and equation: targets and
+ * otherwise applies react-markdown's usual safe-URL check
+ * @param {string} url - Link or image URL
+ * @returns {string} - URL to render
+ */
+export const helpUrlTransform = (url) =>
+  url.startsWith(TRY_LINK_PREFIX) || url.startsWith(EQUATION_PREFIX)
+    ? url
+    : defaultUrlTransform(url);
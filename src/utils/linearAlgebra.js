@@ -43,16 +43,14 @@ export const vecAdd = (v, w) => v.map((row, i) => [row[0] + w[i][0]]);
 export const scalarVecMul = (s, v) => v.map((row) => [s * row[0]]);
 
 // Resize matrix, preserving overlapping values, filling new cells from defaultMat
+// (as well as cells of a ragged or malformed oldMat that are not numbers)
 export const resizeMatrix = (oldMat, newRows, newCols, defaultMat) => {
   const result = [];
   for (let i = 0; i < newRows; i++) {
     result[i] = [];
     for (let j = 0; j < newCols; j++) {
-      if (i < oldMat.length && j < oldMat[0].length) {
-        result[i][j] = oldMat[i][j];
-      } else {
-        result[i][j] = defaultMat[i][j];
-      }
+      const value = Array.isArray(oldMat[i]) ? oldMat[i][j] : undefined;
+      result[i][j] = Number.isFinite(value) ? value : defaultMat[i][j];
     }
   }
   return result;
@@ -62,11 +60,8 @@ export const resizeMatrix = (oldMat, newRows, newCols, defaultMat) => {
 export const resizeVector = (oldVec, newDim, defaultVec) => {
   const result = [];
   for (let i = 0; i < newDim; i++) {
-    if (i < oldVec.length) {
-      result[i] = [oldVec[i][0]];
-    } else {
-      result[i] = [defaultVec[i][0]];
-    }
+    const value = Array.isArray(oldVec[i]) ? oldVec[i][0] : undefined;
+    result[i] = [Number.isFinite(value) ? value : defaultVec[i][0]];
   }
   return result;
 };
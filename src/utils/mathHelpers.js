@@ -1,36 +1,111 @@
 // src/utils/mathHelpers.js
 
+import {
+  createPKModel,
+  concentrationAt,
+  steadyStateConcentrationAt,
+} from "./pharmacokinetics";
+
 // Caffeine metabolism calculations
-export const calculateCaffeineLevels = (doses, metabolicRate) => {
-  const data = new Array(72 * 60).fill(0); // 72 hours * 60 minutes
-  const startTime = new Date();
-  startTime.setHours(0, 0, 0, 0);
-
-  for (let day = 0; day < 3; day++) {
-    doses.forEach(({ time, dose }) => {
-      const [hours, minutes] = time.split(":").map(Number);
-      const doseTime = new Date(
-        startTime.getTime() + day * 24 * 60 * 60 * 1000,
-      );
-      doseTime.setHours(hours, minutes);
-      const startIndex = Math.floor((doseTime - startTime) / (1000 * 60));
 
-      for (let j = 0; j < 60; j++) {
-        if (startIndex + j < data.length) {
-          data[startIndex + j] += dose / 60;
-        }
-      }
-    });
-  }
+/**
+ * Caffeine in the body over a dose schedule with first-order elimination,
+ * C' = -mu C. Each dose is absorbed from the gut over about an hour,
+ * peaking CAFFEINE_PEAK_HOURS after it is taken.
+ *
+ * @param {Array<Object>} doses - [{timeHours, mg}, ...] with times in hours
+ *   from the start of the run
+ * @param {number} metabolicRate - Elimination rate mu (per hour)
+ * @param {number} hours - Length of the run (default: 72)
+ * @param {number} stepHours - Time between samples (default: 0.25)
+ * @returns {Array<Object>} - [{time, level}, ...] with level in mg
+ */
+export const calculateCaffeineLevels = (
+  doses,
+  metabolicRate,
+  hours = 72,
+  stepHours = 0.25,
+) => {
+  const data = [];
+  const steps = Math.round(hours / stepHours);
 
-  for (let i = 1; i < data.length; i++) {
-    data[i] += data[i - 1] * Math.exp(-metabolicRate / 60);
+  for (let i = 0; i <= steps; i++) {
+    const time = i * stepHours;
+    data.push({ time, level: caffeineLevelAt(doses, metabolicRate, time) });
   }
 
   return data;
 };
 
-// Canvas plotting utilities
+// Hours from drinking a dose to its highest level
+const CAFFEINE_PEAK_HOURS = 1;
+
+// Absorption rate ka that puts the peak of an oral dose, at
+// ln(ka / mu) / (ka - mu) hours, CAFFEINE_PEAK_HOURS after the dose. The
+// peak comes sooner as ka grows, so bisection finds it; if even ka = mu
+// peaks too early (mu of 1 per hour or more) absorption is as slow as it
+// can be.
+const caffeineAbsorptionRate = (metabolicRate) => {
+  const mu = Math.max(metabolicRate, 1e-6);
+  const peakTime = (ka) => Math.log(ka / mu) / (ka - mu);
+  let low = mu;
+  let high = 100;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (peakTime(mid) > CAFFEINE_PEAK_HOURS) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// Caffeine is modeled as one compartment of unit volume dosed by mouth, so
+// "concentrations" from the pharmacokinetics engine are amounts in mg
+const caffeineModel = (metabolicRate) =>
+  createPKModel({
+    volume: 1,
+    eliminationRate: metabolicRate,
+    absorptionRate: caffeineAbsorptionRate(metabolicRate),
+  });
+
+const caffeineDoses = (doses) =>
+  doses.map(({ timeHours, mg }) => ({
+    time: timeHours,
+    amount: mg,
+    route: "oral",
+  }));
+
+/**
+ * Caffeine level at one time (see calculateCaffeineLevels)
+ *
+ * @param {Array<Object>} doses - [{timeHours, mg}, ...]
+ * @param {number} metabolicRate - Elimination rate mu (per hour)
+ * @param {number} time - Hours from the start of the run; a dose taken at
+ *   this exact moment does not count yet
+ * @returns {number} - Level in mg
+ */
+export const caffeineLevelAt = (doses, metabolicRate, time) =>
+  concentrationAt(caffeineModel(metabolicRate), caffeineDoses(doses), time);
+
+/**
+ * Steady-state caffeine level of a schedule that repeats every `period`
+ * hours, reached once the same pattern has been kept up for many half-lives
+ * (see steadyStateConcentrationAt)
+ *
+ * @param {Array<Object>} doses - [{timeHours, mg}, ...] in one period,
+ *   0 <= timeHours < period
+ * @param {number} metabolicRate - Elimination rate mu (per hour)
+ * @param {number} period - Hours after which the schedule repeats
+ * @param {number} time - Time of interest in hours (any repeat)
+ * @returns {number} - Level in mg, or Infinity with no elimination
+ */
+export const steadyStateCaffeineLevel = (doses, metabolicRate, period, time) =>
+  steadyStateConcentrationAt(
+    caffeineModel(metabolicRate),
+    caffeineDoses(doses),
+    period,
+    time,
+  );
+
 export const drawCaffeineGraph = (canvas, data) => {
   if (!canvas) return;
 
@@ -776,3 +851,213 @@ export const filterEquilibriaFromDegenerateIntervals = (
     return !inDegenerateInterval;
   });
 };
+
+/**
+ * Pair equilibria with those at the previous parameter value
+ * Each one takes the nearest unclaimed previous equilibrium of the same type
+ * within maxJump.
+ *
+ * @param {Array<Object>} previous - [{x, type}, ...]
+ * @param {Array<Object>} equilibria - [{x, type}, ...]
+ * @param {number} maxJump - Largest distance to pair across
+ * @returns {Array<number>} - Index into previous for each equilibrium, or -1
+ */
+const matchEquilibria = (previous, equilibria, maxJump) => {
+  const claimed = new Set();
+  return equilibria.map((eq) => {
+    let best = -1;
+    let bestDistance = maxJump;
+    previous.forEach((candidate, index) => {
+      if (claimed.has(index) || candidate.type !== eq.type) return;
+      const distance = Math.abs(candidate.x - eq.x);
+      if (distance <= bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+    if (best >= 0) claimed.add(best);
+    return best;
+  });
+};
+
+/**
+ * Sweep a parameter and track equilibria for a bifurcation diagram
+ * Equilibria at neighbouring parameter values are joined into branches when
+ * they are close and have the same stability, so each branch can be drawn
+ * solid (stable) or dashed (unstable). Parameter values where X' vanishes
+ * over a whole interval (e.g. k = 0 in k*X*(1-X)) are skipped.
+ *
+ * @param {DynamicalSystem1D} system - The 1D dynamical system
+ * @param {Object} params - Values of the other parameters
+ * @param {string} paramName - Parameter to sweep, e.g. "k"
+ * @param {number} paramMin - Start of the sweep
+ * @param {number} paramMax - End of the sweep
+ * @param {number} xMin - Minimum X value
+ * @param {number} xMax - Maximum X value
+ * @param {number} steps - Number of parameter intervals (default: 200)
+ * @returns {Object} - Bifurcation diagram
+ *   {
+ *     branches: [{stable: boolean, type: string, points: [{param, x}, ...]}, ...],
+ *     bifurcations: [{param: number, before: number, after: number}, ...]
+ *   }
+ *   bifurcations lists parameter values where equilibria appear, collide or
+ *   change stability inside the X range (before/after are equilibrium
+ *   counts). Equilibria that only cross the edge of the range are ignored.
+ */
+export const computeBifurcationDiagram1D = (
+  system,
+  params,
+  paramName,
+  paramMin,
+  paramMax,
+  xMin,
+  xMax,
+  steps = 200,
+) => {
+  if (!system || !system.isValidSystem()) {
+    return { branches: [], bifurcations: [] };
+  }
+
+  const branches = [];
+  const bifurcations = [];
+  const maxJump = 0.05 * (xMax - xMin);
+  const nearEdge = (x) => x - xMin < maxJump || xMax - x < maxJump;
+  let active = []; // Branches that reached the previous parameter value
+  let previousEquilibria = null;
+  let previousParam = null;
+  let lastEventStep = -Infinity;
+
+  for (let i = 0; i <= steps; i++) {
+    const param = paramMin + (i / steps) * (paramMax - paramMin);
+    const stepParams = { ...params, [paramName]: param };
+
+    if (findDegenerateIntervals1D(system, stepParams, xMin, xMax).length > 0) {
+      active = [];
+      continue;
+    }
+
+    const { equilibria } = analyzePhaseLine1D(system, stepParams, xMin, xMax);
+
+    // Record where an equilibrium appears, disappears or changes stability
+    // away from the edges of the range. Changes a few steps apart are one
+    // event: close equilibria can slip between grid points just before they
+    // collide.
+    if (previousEquilibria !== null) {
+      const matches = matchEquilibria(previousEquilibria, equilibria, maxJump);
+      const started = equilibria.filter((eq, j) => matches[j] < 0);
+      const ended = previousEquilibria.filter(
+        (eq, index) => !matches.includes(index),
+      );
+      if ([...started, ...ended].some((eq) => !nearEdge(eq.x))) {
+        const midpoint = (param + previousParam) / 2;
+        const last = bifurcations[bifurcations.length - 1];
+        if (last && i - lastEventStep <= 3) {
+          last.param = (last.param + midpoint) / 2;
+          last.after = equilibria.length;
+        } else {
+          bifurcations.push({
+            param: midpoint,
+            before: previousEquilibria.length,
+            after: equilibria.length,
+          });
+        }
+        lastEventStep = i;
+      }
+    }
+    previousEquilibria = equilibria;
+    previousParam = param;
+
+    // Continue the nearest matching branch, or start a new one
+    const matches = matchEquilibria(
+      active.map((branch) => ({
+        type: branch.type,
+        x: branch.points[branch.points.length - 1].x,
+      })),
+      equilibria,
+      maxJump,
+    );
+    active = equilibria.map((eq, j) => {
+      let branch = active[matches[j]];
+      if (!branch) {
+        branch = { stable: eq.stable, type: eq.type, points: [] };
+        branches.push(branch);
+      }
+      branch.points.push({ param, x: eq.x });
+      return branch;
+    });
+  }
+
+  return { branches, bifurcations };
+};
+
+// ============================================================================
+// 1D Discrete Maps
+// ============================================================================
+
+/**
+ * Slope f'(X) of a 1D map by central difference
+ *
+ * @param {CompiledEquation1D} map - The map X(n+1) = f(X(n))
+ * @param {number} x - Point to evaluate at
+ * @param {Object} params - Parameter values
+ * @param {number} h - Step size (default: 1e-6)
+ * @returns {number} - Slope, or NaN where the map is undefined
+ */
+export const mapSlope1D = (map, x, params, h = 1e-6) =>
+  (map.evaluate(x + h, params) - map.evaluate(x - h, params)) / (2 * h);
+
+/**
+ * Find the fixed points f(X) = X of a 1D map and their stability
+ * A fixed point is stable when |f'(X)| < 1; f' < 0 means the orbit
+ * overshoots and approaches (or leaves) it in alternating steps.
+ *
+ * @param {CompiledEquation1D} map - The map X(n+1) = f(X(n))
+ * @param {Object} params - Parameter values
+ * @param {number} xMin - Minimum X value to search
+ * @param {number} xMax - Maximum X value to search
+ * @returns {Array<Object>} - [{x, slope, stable}, ...], sorted by x
+ */
+export const findFixedPoints1D = (map, params, xMin, xMax) => {
+  // Fixed points of f are the zeros of f(X) - X
+  const system = {
+    isValidSystem: () => map.isValid,
+    evaluateDerivative: (x, p) => map.evaluate(x, p) - x,
+  };
+
+  return findEquilibria1D(system, params, xMin, xMax, 400).map((x) => {
+    const slope = mapSlope1D(map, x, params);
+    return { x, slope, stable: Math.abs(slope) < 1 };
+  });
+};
+
+/**
+ * Find the 2-cycles of a 1D map: pairs X1 != X2 with f(X1) = X2 and
+ * f(X2) = X1. A cycle is stable when |f'(X1) f'(X2)| < 1.
+ *
+ * @param {CompiledEquation1D} map - The map X(n+1) = f(X(n))
+ * @param {Object} params - Parameter values
+ * @param {number} xMin - Minimum X value to search
+ * @param {number} xMax - Maximum X value to search
+ * @returns {Array<Object>} - [{points: [X1, X2], slope, stable}, ...] with
+ *   X1 < X2, where slope is the cycle's multiplier f'(X1) f'(X2)
+ */
+export const findTwoCycles1D = (map, params, xMin, xMax) => {
+  // Points of a 2-cycle are zeros of f(f(X)) - X that are not fixed points
+  const system = {
+    isValidSystem: () => map.isValid,
+    evaluateDerivative: (x, p) => map.evaluate(map.evaluate(x, p), p) - x,
+  };
+  const tolerance = 1e-4 * Math.max(1, Math.abs(xMax - xMin));
+
+  const cycles = [];
+  findEquilibria1D(system, params, xMin, xMax, 400).forEach((x) => {
+    const partner = map.evaluate(x, params);
+    // Each cycle is found from both of its points; keep it once
+    if (!isFinite(partner) || partner - x <= tolerance) return;
+
+    const slope = mapSlope1D(map, x, params) * mapSlope1D(map, partner, params);
+    cycles.push({ points: [x, partner], slope, stable: Math.abs(slope) < 1 });
+  });
+
+  return cycles;
+};
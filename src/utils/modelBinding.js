@@ -0,0 +1,230 @@
+// src/utils/modelBinding.js
+// Declarative ODE models for tools built with the Visual Tool Builder: the
+// equations, parameter defaults and time span live in a plain object, and
+// controls and graphs are bound to parameter and variable names
+
+import { DynamicalSystemND, detectParameters } from "./equationParser";
+
+/**
+ * Line colors for model outputs, in variable order
+ */
+export const MODEL_COLORS = [
+  "#4a90e2",
+  "#ff6b35",
+  "#00d4aa",
+  "#f5a623",
+  "#bd10e0",
+  "#7ed321",
+];
+
+/**
+ * Empty model: no state variables, so nothing is simulated
+ */
+export const EMPTY_MODEL = {
+  variables: [], // [{name, equation, initial}]
+  parameters: {}, // Default value of each parameter, e.g. {r: 0.5}
+  tEnd: 50,
+  dt: 0.05,
+};
+
+// Longest run, in steps, so a tiny dt cannot freeze the page
+const MAX_STEPS = 20000;
+
+/**
+ * Fill in missing fields of a (possibly older or hand-edited) model
+ * @param {Object} model - Model object
+ * @returns {Object} - Model with variables, parameters, tEnd and dt
+ */
+export const normalizeModel = (model) => {
+  const source = model && typeof model === "object" ? model : {};
+  const positive = (value, fallback) =>
+    Number.isFinite(Number(value)) && Number(value) > 0
+      ? Number(value)
+      : fallback;
+
+  return {
+    variables: Array.isArray(source.variables)
+      ? source.variables.map((variable) => ({
+          name: String(variable?.name ?? "").trim(),
+          equation: String(variable?.equation ?? ""),
+          initial: Number(variable?.initial) || 0,
+        }))
+      : [],
+    parameters:
+      source.parameters && typeof source.parameters === "object"
+        ? { ...source.parameters }
+        : {},
+    tEnd: positive(source.tEnd, EMPTY_MODEL.tEnd),
+    dt: positive(source.dt, EMPTY_MODEL.dt),
+  };
+};
+
+/**
+ * Replace some equations of a model, e.g. with text typed into an
+ * equation input at run time
+ * @param {Object} model - Model object
+ * @param {Object} equations - New right-hand sides by variable name
+ * @returns {Object} - Model with the equations replaced
+ */
+export const withEquations = (model, equations = {}) => ({
+  ...model,
+  variables: model.variables.map((variable) =>
+    variable.name in equations
+      ? { ...variable, equation: equations[variable.name] }
+      : variable,
+  ),
+});
+
+/**
+ * Compile a model's equations
+ * Parameters are every non-variable symbol in the equations, as in the ODE
+ * system calculator.
+ * @param {Object} model - Model object
+ * @returns {Object} - {system, variableNames, parameterNames, error}; system
+ *   is null when there are no variables
+ */
+export const compileModel = (model) => {
+  const { variables } = normalizeModel(model);
+  const variableNames = variables.map((variable) => variable.name);
+  if (variables.length === 0) {
+    return { system: null, variableNames, parameterNames: [], error: "" };
+  }
+
+  const equations = variables.map((variable) => variable.equation);
+  const parameterNames = detectParameters(equations, variableNames);
+  const system = new DynamicalSystemND(
+    equations,
+    variableNames,
+    parameterNames,
+  );
+
+  return {
+    system,
+    variableNames,
+    parameterNames,
+    error: system.isValidSystem() ? "" : system.getError(),
+  };
+};
+
+/**
+ * Parameter values for a run: model defaults (1 when unset), overridden by
+ * the values coming from bound controls
+ * @param {Object} model - Model object
+ * @param {Array<string>} parameterNames - Parameters used by the equations
+ * @param {Object} values - Values from controls, by parameter name
+ * @returns {Object} - Value of every parameter
+ */
+export const resolveParameters = (model, parameterNames, values = {}) => {
+  const params = {};
+  parameterNames.forEach((name) => {
+    const value = Number(values[name] ?? model.parameters?.[name]);
+    params[name] = Number.isFinite(value) ? value : 1;
+  });
+  return params;
+};
+
+/**
+ * Simulate a model from its initial values over [0, tEnd]
+ * The step is enlarged if needed to keep the run under MAX_STEPS steps.
+ * @param {Object} model - Model object
+ * @param {Object} values - Parameter values from controls
+ * @returns {Object} - {points, variableNames, parameterNames, params, error};
+ *   points are {t, [variable]: value} as from DynamicalSystemND
+ */
+export const simulateModel = (model, values = {}) => {
+  const normalized = normalizeModel(model);
+  const { system, variableNames, parameterNames, error } =
+    compileModel(normalized);
+  const params = resolveParameters(normalized, parameterNames, values);
+
+  if (!system || error) {
+    return { points: [], variableNames, parameterNames, params, error };
+  }
+
+  const initialState = normalized.variables.map((variable) => variable.initial);
+  const points = system.generateTimeSeries(
+    initialState,
+    params,
+    normalized.tEnd,
+    Math.max(normalized.dt, normalized.tEnd / MAX_STEPS),
+  );
+  return { points, variableNames, parameterNames, params, error: "" };
+};
+
+/**
+ * Variables shown by an output binding
+ * @param {Array<string>} variableNames - Model variables
+ * @param {string} output - "all", one variable name, or "" for none
+ * @returns {Array<string>} - Variables to show
+ */
+export const outputVariables = (variableNames, output) => {
+  if (output === "all") return variableNames;
+  return variableNames.includes(output) ? [output] : [];
+};
+
+/**
+ * Map a slider position to a parameter value
+ * @param {number} sliderValue - 0..100 (unipolar) or -100..100 (bipolar)
+ * @param {number} min - Parameter value at the left/bottom end
+ * @param {number} max - Parameter value at the right/top end
+ * @param {string} variant - "unipolar" or "bipolar"
+ * @returns {number} - Parameter value
+ */
+export const sliderToValue = (sliderValue, min, max, variant = "unipolar") => {
+  const fraction =
+    variant === "bipolar" ? (sliderValue + 100) / 200 : sliderValue / 100;
+  return min + fraction * (max - min);
+};
+
+/**
+ * Map a parameter value to a slider position (inverse of sliderToValue)
+ * @param {number} value - Parameter value
+ * @param {number} min - Parameter value at the left/bottom end
+ * @param {number} max - Parameter value at the right/top end
+ * @param {string} variant - "unipolar" or "bipolar"
+ * @returns {number} - Slider position, clamped to the slider's range
+ */
+export const valueToSlider = (value, min, max, variant = "unipolar") => {
+  const fraction =
+    max === min ? 0 : Math.max(0, Math.min(1, (value - min) / (max - min)));
+  return variant === "bipolar" ? fraction * 200 - 100 : fraction * 100;
+};
+
+/**
+ * Slider label showing a parameter's current value
+ * @param {string} name - Parameter name
+ * @param {number} value - Current value
+ * @returns {string} - e.g. "r = 0.52"
+ */
+export const parameterLabel = (name, value) =>
+  Number.isFinite(value) ? `${name} = ${Number(value.toPrecision(3))}` : name;
+
+/**
+ * Series for GridTimeSeries from simulated points
+ * @param {Array<Object>} points - Simulated points {t, [variable]: value}
+ * @param {Array<string>} names - Variables to include
+ * @param {Array<string>} allNames - All model variables (fixes each
+ *   variable's color)
+ * @returns {Array<Object>} - [{name, data: [{t, value}], color, visible}]
+ */
+export const timeSeriesFromPoints = (points, names, allNames = names) =>
+  names.map((name) => ({
+    name,
+    data: points.map((point) => ({ t: point.t, value: point[name] })),
+    color: MODEL_COLORS[allNames.indexOf(name) % MODEL_COLORS.length],
+    visible: true,
+  }));
+
+/**
+ * Last simulated value of a variable, formatted for a display
+ * @param {Array<Object>} points - Simulated points
+ * @param {string} name - Variable name
+ * @param {number} digits - Significant digits
+ * @returns {string} - e.g. "N = 99.87", or "—" if there is no value
+ */
+export const finalValueText = (points, name, digits = 4) => {
+  const value = points[points.length - 1]?.[name];
+  return Number.isFinite(value)
+    ? `${name} = ${Number(value.toPrecision(digits))}`
+    : "—";
+};
@@ -1,8 +1,9 @@
 // src/utils/odeSolver.js
 
 /**
- * Generic Runge-Kutta ODE solver for systems of differential equations
- * Supports RK4 (4th order) method for high accuracy
+ * Generic ODE solvers for systems of differential equations
+ * Explicit RK4 and adaptive Runge-Kutta, plus implicit methods for stiff
+ * models; advanceODE/solveODE select a method by name
  */
 
 /**
@@ -134,6 +135,447 @@ const vectorSubtract = (v1, v2) => v1.map((val, i) => val - v2[i]);
 const vectorScale = (v, scalar) => v.map(val => val * scalar);
 const vectorNorm = (v) => Math.sqrt(v.reduce((sum, val) => sum + val * val, 0));
 
+/**
+ * Stiff and adaptive integrators
+ *
+ * Explicit methods such as RK4 need steps shorter than the fastest time scale
+ * in the model, or they blow up. Stiff models (fast enzyme kinetics, the
+ * fast variable of a relaxation oscillator) are better served by implicit
+ * methods, which stay stable at any step size, or by an adaptive method that
+ * shrinks its steps automatically.
+ */
+
+/**
+ * Jacobian matrix of an N-dimensional system by central differences
+ * @param {Function} f - Function that takes (t, y) and returns dy/dt array
+ * @param {number} t - Time
+ * @param {Array} y - State vector
+ * @returns {Array} Matrix J with J[i][j] = d f_i / d y_j
+ */
+export const numericalJacobianND = (f, t, y) => {
+  const n = y.length;
+  const J = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (let j = 0; j < n; j++) {
+    const h = 1e-6 * Math.max(1, Math.abs(y[j]));
+    const yPlus = [...y];
+    const yMinus = [...y];
+    yPlus[j] += h;
+    yMinus[j] -= h;
+    const fPlus = f(t, yPlus);
+    const fMinus = f(t, yMinus);
+    for (let i = 0; i < n; i++) {
+      J[i][j] = (fPlus[i] - fMinus[i]) / (2 * h);
+    }
+  }
+
+  return J;
+};
+
+/**
+ * Solve the linear system A x = b by Gaussian elimination with partial pivoting
+ * Singularity is judged relative to the largest entry of A, so badly scaled
+ * systems (such as least-squares normal equations) still solve.
+ * @param {Array} A - Square matrix (not modified)
+ * @param {Array} b - Right-hand side (not modified)
+ * @returns {Array|null} Solution x, or null if A is singular or the
+ *   solution is not finite
+ */
+export const solveLinearSystem = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  const scale = A.reduce(
+    (max, row) => row.reduce((rowMax, value) => Math.max(rowMax, Math.abs(value)), max),
+    0
+  );
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (!(Math.abs(M[pivot][col]) > 1e-14 * scale)) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) {
+        M[row][k] -= factor * M[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x.every(isFinite) ? x : null;
+};
+
+/**
+ * Identity minus a scaled matrix: I - s * J
+ */
+const identityMinus = (J, s) =>
+  J.map((row, i) => row.map((value, j) => (i === j ? 1 : 0) - s * value));
+
+/**
+ * Single backward (implicit) Euler step: solves y1 = y + h f(t + h, y1)
+ * with Newton's method. First order accurate, but stable for any step size,
+ * so stiff transients decay instead of exploding.
+ * @param {Function} f - Derivative function
+ * @param {number} t - Current time
+ * @param {Array} y - Current state
+ * @param {number} h - Step size
+ * @returns {Array} New state (NaN entries if Newton's method fails)
+ */
+export const backwardEulerStep = (f, t, y, h) => {
+  const tNext = t + h;
+  // Explicit Euler predictor as the starting guess
+  let z = vectorAdd(y, vectorScale(f(t, y), h));
+
+  for (let iter = 0; iter < 20; iter++) {
+    // Residual G(z) = z - y - h f(t + h, z), Jacobian I - h J(z)
+    const residual = vectorSubtract(vectorSubtract(z, y), vectorScale(f(tNext, z), h));
+    const delta = solveLinearSystem(
+      identityMinus(numericalJacobianND(f, tNext, z), h),
+      residual.map(r => -r)
+    );
+    if (!delta) break;
+
+    z = vectorAdd(z, delta);
+    if (vectorNorm(delta) <= 1e-10 * (1 + vectorNorm(z))) return z;
+  }
+
+  return z.every(isFinite) ? z : y.map(() => NaN);
+};
+
+/**
+ * Single step of the two-stage Rosenbrock method ROS2 (gamma = 1 + 1/sqrt(2))
+ * Second order, L-stable and linearly implicit: each step solves two linear
+ * systems with the Jacobian instead of iterating, so it is cheap and robust
+ * for stiff problems. Time is treated as an extra state variable so forced
+ * (non-autonomous) systems keep second order accuracy.
+ * @param {Function} f - Derivative function
+ * @param {number} t - Current time
+ * @param {Array} y - Current state
+ * @param {number} h - Step size
+ * @returns {Object} {y, error}: new state (NaN entries if the linear solve
+ *   fails) and its difference from the embedded first order solution
+ */
+const ros2Step = (f, t, y, h) => {
+  const gamma = 1 + 1 / Math.sqrt(2);
+  const n = y.length;
+  // Autonomous form: z = [y, t], z' = [f(t, y), 1]
+  const g = (_, z) => [...f(z[n], z.slice(0, n)), 1];
+  const z = [...y, t];
+  const W = identityMinus(numericalJacobianND(g, 0, z), gamma * h);
+
+  const failed = { y: y.map(() => NaN), error: y.map(() => NaN) };
+  const k1 = solveLinearSystem(W, g(0, z));
+  if (!k1) return failed;
+  const g2 = g(0, vectorAdd(z, vectorScale(k1, h)));
+  const k2 = solveLinearSystem(W, vectorSubtract(g2, vectorScale(k1, 2)));
+  if (!k2) return failed;
+
+  const zNext = vectorAdd(z, vectorAdd(vectorScale(k1, 1.5 * h), vectorScale(k2, 0.5 * h)));
+  return {
+    y: zNext.slice(0, n),
+    error: vectorScale(vectorAdd(k1, k2), 0.5 * h).slice(0, n)
+  };
+};
+
+/**
+ * Single fixed-size ROS2 step (see ros2Step)
+ * @returns {Array} New state (NaN entries if the linear solve fails)
+ */
+export const rosenbrockStep = (f, t, y, h) => ros2Step(f, t, y, h).y;
+
+/**
+ * Adaptive ROS2 integration for stiff systems
+ * Takes large steps where the solution is smooth and shortens them in fast
+ * nonlinear transients, where a single linearized step could overshoot
+ * (e.g. drive a concentration negative).
+ * @param {Function} f - Function that takes (t, y) and returns dy/dt array
+ * @param {number} t0 - Initial time
+ * @param {Array} y0 - Initial values array
+ * @param {number} tEnd - End time
+ * @param {Object} options - {h0, rtol, atol, maxSteps}
+ * @returns {Array} Array of {t, y} objects at the accepted steps
+ */
+export const rosenbrock = (f, t0, y0, tEnd, options = {}) => {
+  const { h0 = (tEnd - t0) / 100, rtol = 1e-4, atol = 1e-7, maxSteps = 10000 } = options;
+  const solution = [{ t: t0, y: [...y0] }];
+  let t = t0;
+  let y = [...y0];
+  let h = Math.min(h0, tEnd - t0);
+
+  for (let step = 0; step < maxSteps && t < tEnd; step++) {
+    h = Math.min(h, tEnd - t);
+    if (h < 1e-12 * Math.max(1, Math.abs(t))) break;
+
+    const result = ros2Step(f, t, y, h);
+    const errorNorm = Math.sqrt(
+      result.error.reduce((sum, e, i) => {
+        const scale = atol + rtol * Math.max(Math.abs(y[i]), Math.abs(result.y[i]));
+        return sum + (e / scale) ** 2;
+      }, 0) / y.length
+    );
+
+    if (!isFinite(errorNorm)) {
+      h /= 10;
+      continue;
+    }
+
+    if (errorNorm <= 1) {
+      t += h;
+      y = result.y;
+      solution.push({ t, y: [...y] });
+    }
+
+    // The embedded estimate is first order, hence the square root
+    const factor = errorNorm === 0 ? 5 : 0.9 / Math.sqrt(errorNorm);
+    h *= Math.min(5, Math.max(0.2, factor));
+  }
+
+  return solution;
+};
+
+// Dormand-Prince 5(4) coefficients
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+// Difference between the 5th and 4th order weights (error estimate)
+const DP_E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+// Continuous extension weights for 4th order dense output (Hairer & Wanner)
+const DP_D = [
+  -12715105075 / 11282082432, 0, 87487479700 / 32700410799,
+  -10690763975 / 1880347072, 701980252875 / 199316789632,
+  -1453857185 / 822651844, 69997945 / 29380423
+];
+
+/**
+ * Single Dormand-Prince step with error estimate and dense output
+ * @param {Function} f - Derivative function
+ * @param {number} t - Current time
+ * @param {Array} y - Current state
+ * @param {number} h - Step size
+ * @param {Array} k1 - f(t, y), reused from the previous step (FSAL)
+ * @returns {Object} {y, error, k7, interpolate} where error is the
+ *   difference between the 5th and 4th order solutions, k7 = f(t + h, y1),
+ *   and interpolate(s) gives the state at time s within [t, t + h]
+ */
+const dormandPrinceStep = (f, t, y, h, k1) => {
+  const k = [k1];
+  for (let stage = 1; stage < 7; stage++) {
+    let yStage = y;
+    DP_A[stage].forEach((a, j) => {
+      if (a !== 0) yStage = vectorAdd(yStage, vectorScale(k[j], h * a));
+    });
+    k.push(f(t + DP_C[stage] * h, yStage));
+  }
+
+  // The last stage is evaluated at the 5th order solution
+  let yNext = y;
+  DP_A[6].forEach((a, j) => {
+    if (a !== 0) yNext = vectorAdd(yNext, vectorScale(k[j], h * a));
+  });
+
+  const error = y.map((_, i) =>
+    h * DP_E.reduce((sum, e, j) => sum + e * k[j][i], 0)
+  );
+
+  const interpolate = (s) => {
+    const theta = (s - t) / h;
+    const theta1 = 1 - theta;
+    return y.map((y0, i) => {
+      const yDiff = yNext[i] - y0;
+      const bspl = h * k[0][i] - yDiff;
+      const r4 = yDiff - h * k[6][i] - bspl;
+      const r5 = h * DP_D.reduce((sum, d, j) => sum + d * k[j][i], 0);
+      return y0 + theta * (yDiff + theta1 * (bspl + theta * (r4 + theta1 * r5)));
+    });
+  };
+
+  return { y: yNext, error, k7: k[6], interpolate };
+};
+
+/**
+ * Adaptive Dormand-Prince RK45 integration with dense output
+ * Step sizes are chosen so the local error stays below atol + rtol * |y|.
+ * Returns the accepted steps, or, when outputTimes is given, the solution
+ * interpolated at exactly those times (4th order dense output), which is
+ * how to get evenly spaced samples without forcing small steps.
+ * @param {Function} f - Function that takes (t, y) and returns dy/dt array
+ * @param {number} t0 - Initial time
+ * @param {Array} y0 - Initial values array
+ * @param {number} tEnd - End time
+ * @param {Object} options - {h0, rtol, atol, maxSteps, outputTimes}
+ * @returns {Array} Array of {t, y} objects; stops early (with the last good
+ *   state) if the step size underflows or maxSteps is reached
+ */
+export const dormandPrince = (f, t0, y0, tEnd, options = {}) => {
+  const {
+    h0 = (tEnd - t0) / 100,
+    rtol = 1e-6,
+    atol = 1e-9,
+    maxSteps = 100000,
+    outputTimes = null
+  } = options;
+
+  const solution = [];
+  let nextOutput = 0;
+  const emit = (t, y) => solution.push({ t, y: [...y] });
+
+  let t = t0;
+  let y = [...y0];
+  let h = Math.min(h0, tEnd - t0);
+  let k1 = f(t, y);
+
+  if (outputTimes) {
+    while (nextOutput < outputTimes.length && outputTimes[nextOutput] <= t0) {
+      emit(outputTimes[nextOutput++], y);
+    }
+  } else {
+    emit(t, y);
+  }
+
+  for (let step = 0; step < maxSteps && t < tEnd; step++) {
+    h = Math.min(h, tEnd - t);
+    if (h < 1e-12 * Math.max(1, Math.abs(t))) break;
+
+    const result = dormandPrinceStep(f, t, y, h, k1);
+    const errorNorm = Math.sqrt(
+      result.error.reduce((sum, e, i) => {
+        const scale = atol + rtol * Math.max(Math.abs(y[i]), Math.abs(result.y[i]));
+        return sum + (e / scale) ** 2;
+      }, 0) / y.length
+    );
+
+    if (!isFinite(errorNorm)) {
+      h /= 10;
+      continue;
+    }
+
+    if (errorNorm <= 1) {
+      // Accept step
+      const tNext = t + h;
+      if (outputTimes) {
+        while (nextOutput < outputTimes.length && outputTimes[nextOutput] <= tNext) {
+          emit(outputTimes[nextOutput], result.interpolate(outputTimes[nextOutput]));
+          nextOutput++;
+        }
+      } else {
+        emit(tNext, result.y);
+      }
+      t = tNext;
+      y = result.y;
+      k1 = result.k7;
+    }
+
+    // Standard step size controller with safety factor
+    const factor = errorNorm === 0 ? 5 : 0.9 * errorNorm ** -0.2;
+    h *= Math.min(5, Math.max(0.2, factor));
+  }
+
+  return solution;
+};
+
+/**
+ * Integration methods available through advanceODE and solveODE
+ * Tools can offer these in a solver selector (label) with a short
+ * explanation (description).
+ */
+export const ODE_METHODS = {
+  rk4: {
+    label: "RK4",
+    description: "Classic 4th order Runge-Kutta, fixed step. Fast and accurate for non-stiff models.",
+    implicit: false
+  },
+  rk45: {
+    label: "RK45",
+    description: "Dormand-Prince 5(4) with adaptive steps. Accurate; slows down on stiff models.",
+    implicit: false
+  },
+  backwardEuler: {
+    label: "Backward Euler",
+    description: "Implicit 1st order method. Never blows up, but damps oscillations.",
+    implicit: true
+  },
+  rosenbrock: {
+    label: "Rosenbrock",
+    description: "Linearly implicit 2nd order ROS2 with adaptive steps. Stable and accurate for stiff models.",
+    implicit: true
+  }
+};
+
+/**
+ * Advance a system from t to t + dt with the chosen method
+ * This is the one entry point tools use for time stepping, so switching
+ * methods is a matter of passing a different name. RK4 and backward Euler
+ * take a single step of size dt; RK45 and Rosenbrock take as many adaptive
+ * sub-steps as needed.
+ * @param {Function} f - Function that takes (t, y) and returns dy/dt array
+ * @param {number} t - Current time
+ * @param {Array} y - Current state
+ * @param {number} dt - Time to advance
+ * @param {string} method - Key of ODE_METHODS (default "rk4")
+ * @param {Object} options - Passed to dormandPrince or rosenbrock
+ * @returns {Array} State at t + dt (NaN entries if integration failed)
+ */
+export const advanceODE = (f, t, y, dt, method = 'rk4', options = {}) => {
+  switch (method) {
+    case 'backwardEuler':
+      return backwardEulerStep(f, t, y, dt);
+    case 'rk45':
+    case 'rosenbrock': {
+      const solver = method === 'rk45' ? dormandPrince : rosenbrock;
+      const solution = solver(f, t, y, t + dt, { h0: dt, maxSteps: 5000, ...options });
+      const last = solution[solution.length - 1];
+      return last.t >= t + dt * (1 - 1e-9) ? last.y : y.map(() => NaN);
+    }
+    default:
+      return rungeKutta4Step(f, t, y, dt);
+  }
+};
+
+/**
+ * Solve a system on [t0, tEnd] with output every dt
+ * @param {Function} f - Function that takes (t, y) and returns dy/dt array
+ * @param {number} t0 - Initial time
+ * @param {Array} y0 - Initial values array
+ * @param {number} tEnd - End time
+ * @param {number} dt - Output spacing (and step size for fixed-step methods)
+ * @param {string} method - Key of ODE_METHODS (default "rk4")
+ * @returns {Array} Array of {t, y} objects; stops at the first failed step
+ */
+export const solveODE = (f, t0, y0, tEnd, dt, method = 'rk4') => {
+  const steps = Math.round((tEnd - t0) / dt);
+  const times = Array.from({ length: steps + 1 }, (_, i) => t0 + i * dt);
+
+  // RK45 takes its own steps and fills in the output times by interpolation
+  if (method === 'rk45') {
+    return dormandPrince(f, t0, y0, tEnd, { h0: dt, outputTimes: times });
+  }
+
+  const solution = [{ t: t0, y: [...y0] }];
+  let y = [...y0];
+  for (let i = 1; i <= steps; i++) {
+    y = advanceODE(f, times[i - 1], y, dt, method);
+    if (!y.every(isFinite)) break;
+    solution.push({ t: times[i], y: [...y] });
+  }
+  return solution;
+};
+
 /**
  * Predefined ODE systems for common models
  */
@@ -231,41 +673,298 @@ export const computeVectorField = (f, xRange, yRange, gridSize = 20) => {
   return field;
 };
 
+/**
+ * Jacobian matrix of a 2D system by central differences
+ * @param {Function} f - ODE function (t, [x, y]) => [dx, dy]
+ * @param {number} x - Point x coordinate
+ * @param {number} y - Point y coordinate
+ * @returns {Array} [[df1/dx, df1/dy], [df2/dx, df2/dy]]
+ */
+export const numericalJacobian = (f, x, y) => {
+  const hx = 1e-6 * Math.max(1, Math.abs(x));
+  const hy = 1e-6 * Math.max(1, Math.abs(y));
+  const [fxp, gxp] = f(0, [x + hx, y]);
+  const [fxm, gxm] = f(0, [x - hx, y]);
+  const [fyp, gyp] = f(0, [x, y + hy]);
+  const [fym, gym] = f(0, [x, y - hy]);
+
+  return [
+    [(fxp - fxm) / (2 * hx), (fyp - fym) / (2 * hy)],
+    [(gxp - gxm) / (2 * hx), (gyp - gym) / (2 * hy)]
+  ];
+};
+
+/**
+ * Refine a guess to an equilibrium with Newton's method
+ * @param {Function} f - ODE function
+ * @param {number} x0 - Starting x
+ * @param {number} y0 - Starting y
+ * @param {Function} jacobian - (x, y) => 2x2 Jacobian matrix
+ * @param {number} tolerance - Required |f| at the root
+ * @returns {Object|null} {x, y, multipleRoot} or null if Newton's method did
+ *   not converge. multipleRoot is true when the steps were still shrinking
+ *   only linearly at the end, as they do near a root where J is singular.
+ */
+const newtonEquilibrium = (f, x0, y0, jacobian, tolerance) => {
+  let x = x0;
+  let y = y0;
+  let lastStep = 0;
+  let stepRatio = 0;
+  let root = null;
+
+  for (let iter = 0; iter < 50; iter++) {
+    const [fx, fy] = f(0, [x, y]);
+    if (!isFinite(fx) || !isFinite(fy)) return root;
+    if (root) {
+      root = { ...root, x, y };
+    } else if (Math.sqrt(fx * fx + fy * fy) < tolerance) {
+      // Quadratic convergence makes the ratio tiny; a double root halves the
+      // step each time
+      root = { x, y, multipleRoot: stepRatio > 0.25 };
+      if (!root.multipleRoot) return root;
+      // A multiple root is only within about sqrt(tolerance) by now, so keep
+      // stepping while Newton's method still can
+    }
+
+    const [[a, b], [c, d]] = jacobian(x, y);
+    const det = a * d - b * c;
+    if (!isFinite(det) || Math.abs(det) < 1e-14) return root;
+
+    // Solve J * delta = -f
+    const dx = (d * fx - b * fy) / det;
+    const dy = (a * fy - c * fx) / det;
+    x -= dx;
+    y -= dy;
+    if (!isFinite(x) || !isFinite(y)) return root;
+
+    const step = Math.sqrt(dx * dx + dy * dy);
+    stepRatio = lastStep > 0 ? step / lastStep : 0;
+    lastStep = step;
+  }
+
+  return root;
+};
+
 /**
  * Find equilibrium points numerically
+ * Runs Newton's method from a grid of starting points, keeps roots inside
+ * the search range and merges duplicates.
  * @param {Function} f - ODE function
  * @param {Array} xRange - Search range for x
  * @param {Array} yRange - Search range for y
  * @param {number} tolerance - Tolerance for equilibrium detection
- * @returns {Array} Array of equilibrium points {x, y}
+ * @param {Function} jacobian - Optional (x, y) => Jacobian; numerical if omitted
+ * @returns {Array} Array of equilibrium points {x, y, multipleRoot}; a
+ *   multiple root is only as accurate as Newton's method's slow convergence
+ *   allows in 50 steps
  */
-export const findEquilibria = (f, xRange, yRange, tolerance = 1e-6) => {
+export const findEquilibria = (
+  f,
+  xRange,
+  yRange,
+  tolerance = 1e-6,
+  jacobian = (x, y) => numericalJacobian(f, x, y)
+) => {
   const equilibria = [];
   const [xMin, xMax] = xRange;
   const [yMin, yMax] = yRange;
-  const gridSize = 50;
+  const gridSize = 12;
+  const mergeDistance = 1e-4 * Math.max(xMax - xMin, yMax - yMin);
 
   for (let i = 0; i <= gridSize; i++) {
     for (let j = 0; j <= gridSize; j++) {
-      const x = xMin + (i / gridSize) * (xMax - xMin);
-      const y = yMin + (j / gridSize) * (yMax - yMin);
+      const x0 = xMin + (i / gridSize) * (xMax - xMin);
+      const y0 = yMin + (j / gridSize) * (yMax - yMin);
 
-      const [dx, dy] = f(0, [x, y]);
-      const magnitude = Math.sqrt(dx * dx + dy * dy);
+      const root = newtonEquilibrium(f, x0, y0, jacobian, tolerance);
+      if (!root) continue;
+      if (root.x < xMin || root.x > xMax || root.y < yMin || root.y > yMax) {
+        continue;
+      }
 
-      if (magnitude < tolerance) {
-        // Check if this is a new equilibrium (not too close to existing ones)
-        const isNew = equilibria.every(eq => {
-          const dist = Math.sqrt((eq.x - x) ** 2 + (eq.y - y) ** 2);
-          return dist > tolerance * 10;
-        });
+      // Check if this is a new equilibrium (not too close to existing ones)
+      const match = equilibria.find(eq => {
+        const dist = Math.sqrt((eq.x - root.x) ** 2 + (eq.y - root.y) ** 2);
+        return dist <= mergeDistance;
+      });
 
-        if (isNew) {
-          equilibria.push({ x, y, stability: 'unknown' });
-        }
+      if (match) {
+        // Some starting points can land on a multiple root in one lucky step
+        match.multipleRoot = match.multipleRoot || root.multipleRoot;
+      } else {
+        // Snap values like 1e-17 to zero for display, allowing for the
+        // lower accuracy of a multiple root
+        const snap = root.multipleRoot ? Math.sqrt(tolerance) : tolerance;
+        const clean = (v) => (Math.abs(v) < snap ? 0 : v);
+        equilibria.push({
+          x: clean(root.x),
+          y: clean(root.y),
+          stability: 'unknown',
+          multipleRoot: root.multipleRoot
+        });
       }
     }
   }
 
   return equilibria;
 };
+
+/**
+ * Eigenvalues and real eigenvectors of a 2x2 matrix
+ * @param {Array} J - [[a, b], [c, d]]
+ * @returns {Object} {eigenvalues: [{re, im}, {re, im}], eigenvectors}
+ *   eigenvectors are unit [vx, vy] arrays for real eigenvalues, else null
+ */
+export const eigen2x2 = (J) => {
+  const [[a, b], [c, d]] = J;
+  const trace = a + d;
+  const det = a * d - b * c;
+  const discriminant = trace * trace - 4 * det;
+
+  if (discriminant < 0) {
+    const im = Math.sqrt(-discriminant) / 2;
+    return {
+      eigenvalues: [
+        { re: trace / 2, im },
+        { re: trace / 2, im: -im }
+      ],
+      eigenvectors: null
+    };
+  }
+
+  // Order from largest to smallest
+  const root = Math.sqrt(discriminant);
+  const lambdas = [(trace + root) / 2, (trace - root) / 2];
+  const eigenvectors = lambdas.map((lambda) => {
+    // (J - lambda I) v = 0; pick the better-conditioned row
+    let v;
+    if (Math.abs(b) > 1e-12 || Math.abs(a - lambda) > 1e-12) {
+      v = Math.abs(b) >= Math.abs(c) ? [b, lambda - a] : [lambda - d, c];
+    } else {
+      v = [lambda - d, c];
+    }
+    if (Math.hypot(v[0], v[1]) < 1e-12) {
+      // J is already diagonal in this direction
+      v = Math.abs(a - lambda) < Math.abs(d - lambda) ? [1, 0] : [0, 1];
+    }
+    const norm = Math.hypot(v[0], v[1]);
+    return [v[0] / norm, v[1] / norm];
+  });
+
+  return {
+    eigenvalues: lambdas.map((re) => ({ re, im: 0 })),
+    eigenvectors
+  };
+};
+
+/**
+ * Classify an equilibrium from its Jacobian (linear stability analysis)
+ * @param {Array} J - 2x2 Jacobian matrix at the equilibrium
+ * @param {number} tolerance - Eigenvalue real parts smaller than this, relative
+ *   to the size of J, count as zero
+ * @param {boolean} multipleRoot - The equilibrium was found as a multiple root
+ *   (see findEquilibria), so J is singular there however large its computed
+ *   eigenvalues are
+ * @returns {Object} {type, stable, trace, determinant, eigenvalues, eigenvectors}
+ *   type is one of 'saddle', 'stable node', 'unstable node', 'stable spiral',
+ *   'unstable spiral', 'center' or 'degenerate'
+ */
+export const classifyEquilibrium = (J, tolerance = 1e-8, multipleRoot = false) => {
+  const { eigenvalues, eigenvectors } = eigen2x2(J);
+  const trace = J[0][0] + J[1][1];
+  const determinant = J[0][0] * J[1][1] - J[0][1] * J[1][0];
+  const [l1, l2] = eigenvalues;
+  const scale = Math.max(1, Math.hypot(J[0][0], J[0][1], J[1][0], J[1][1]));
+  const isZero = (v) => Math.abs(v) < tolerance * scale;
+
+  let type;
+  if (multipleRoot) {
+    type = 'degenerate';
+  } else if (l1.im !== 0) {
+    if (isZero(l1.re)) type = 'center';
+    else type = l1.re < 0 ? 'stable spiral' : 'unstable spiral';
+  } else if (isZero(l1.re) || isZero(l2.re)) {
+    type = 'degenerate';
+  } else if (l1.re > 0 && l2.re < 0) {
+    type = 'saddle';
+  } else {
+    type = l1.re < 0 ? 'stable node' : 'unstable node';
+  }
+
+  return {
+    type,
+    stable: type === 'stable node' || type === 'stable spiral',
+    trace,
+    determinant,
+    eigenvalues,
+    eigenvectors
+  };
+};
+
+/**
+ * Trace the stable and unstable manifolds of a saddle point
+ * Each manifold has two branches, started a small step along the eigenvector
+ * on either side of the saddle. Unstable branches are integrated forward in
+ * time, stable branches backward.
+ * @param {Function} f - ODE function
+ * @param {Object} point - Saddle {x, y}
+ * @param {Object} classification - Result of classifyEquilibrium
+ * @param {Array} xRange - Branches stop when they leave this range (padded)
+ * @param {Array} yRange - Branches stop when they leave this range (padded)
+ * @param {number} maxSteps - Maximum integration steps per branch
+ * @returns {Object} {stable: [branch, branch], unstable: [branch, branch]}
+ *   where each branch is an array of [x, y] points
+ */
+export const traceSaddleManifolds = (
+  f,
+  point,
+  classification,
+  xRange,
+  yRange,
+  maxSteps = 2000
+) => {
+  const [xMin, xMax] = xRange;
+  const [yMin, yMax] = yRange;
+  const span = Math.max(xMax - xMin, yMax - yMin);
+  const pad = 0.1 * span;
+  const offset = 1e-3 * span;
+  // Arc-length steps keep point spacing even whatever the flow speed
+  const ds = span / 400;
+  const [unstableVector, stableVector] = classification.eigenvectors;
+
+  const traceBranch = (vector, sign, direction) => {
+    const branch = [[point.x, point.y]];
+    let state = [point.x + sign * offset * vector[0], point.y + sign * offset * vector[1]];
+    const field = (t, s) => {
+      const [dx, dy] = f(t, s);
+      const speed = Math.hypot(dx, dy);
+      return speed > 0 ? [direction * dx / speed, direction * dy / speed] : [0, 0];
+    };
+
+    for (let i = 0; i < maxSteps; i++) {
+      branch.push(state);
+      if (
+        state[0] < xMin - pad || state[0] > xMax + pad ||
+        state[1] < yMin - pad || state[1] > yMax + pad
+      ) {
+        break;
+      }
+      const next = rungeKutta4Step(field, 0, state, ds);
+      if (!next.every(isFinite)) break;
+      // Stop when the branch settles onto another equilibrium: fixed-length
+      // steps start jumping back and forth across it
+      const previous = branch[branch.length - 2];
+      if (previous && Math.hypot(next[0] - previous[0], next[1] - previous[1]) < ds / 2) {
+        break;
+      }
+      state = next;
+    }
+
+    return branch;
+  };
+
+  return {
+    unstable: [traceBranch(unstableVector, 1, 1), traceBranch(unstableVector, -1, 1)],
+    stable: [traceBranch(stableVector, 1, -1), traceBranch(stableVector, -1, -1)]
+  };
+};
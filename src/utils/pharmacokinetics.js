@@ -0,0 +1,426 @@
+// src/utils/pharmacokinetics.js
+// Linear pharmacokinetic models: one or two compartments, dosed by IV bolus,
+// IV infusion or oral absorption. Concentrations are sums of exponentials,
+// so repeated doses and steady states are computed exactly by superposition.
+
+export const PK_ROUTES = ["bolus", "infusion", "oral"];
+
+/**
+ * Build a pharmacokinetic model, filling in defaults
+ * Rates are per hour and volumes in liters, so a dose in mg gives mg/L.
+ *
+ * @param {Object} options
+ * @param {number} options.compartments - 1 or 2 (default: 1)
+ * @param {number} options.volume - Central volume of distribution V1 (default: 1)
+ * @param {number} options.eliminationRate - k10, elimination from the
+ *   central compartment
+ * @param {number} options.k12 - Central to peripheral transfer (2 compartments)
+ * @param {number} options.k21 - Peripheral to central transfer (2 compartments)
+ * @param {number} options.absorptionRate - ka for oral doses (default: 1)
+ * @param {number} options.bioavailability - Fraction F of an oral dose that
+ *   reaches the circulation (default: 1)
+ * @returns {Object} - Model
+ */
+export const createPKModel = ({
+  compartments = 1,
+  volume = 1,
+  eliminationRate,
+  k12 = 0,
+  k21 = 0,
+  absorptionRate = 1,
+  bioavailability = 1,
+}) => ({
+  compartments: compartments === 2 ? 2 : 1,
+  volume,
+  eliminationRate,
+  k12: compartments === 2 ? k12 : 0,
+  k21: compartments === 2 ? k21 : 0,
+  absorptionRate,
+  bioavailability,
+});
+
+/**
+ * Concentration after a unit IV bolus as a sum of exponentials
+ * One compartment: e^(-k t) / V. Two compartments: (A e^(-alpha t) +
+ * B e^(-beta t)) / V1, with alpha and beta the hybrid rate constants.
+ *
+ * @param {Object} model - See createPKModel
+ * @returns {Array<Object>} - [{coef, rate}, ...]
+ */
+export const unitBolusResponse = (model) => {
+  const { volume, eliminationRate: k10, k12, k21 } = model;
+  if (model.compartments === 1) {
+    return [{ coef: 1 / volume, rate: k10 }];
+  }
+
+  const sum = k10 + k12 + k21;
+  const root = Math.sqrt(Math.max(0, sum * sum - 4 * k10 * k21));
+  const alpha = (sum + root) / 2;
+  const beta = (sum - root) / 2;
+  if (alpha - beta < 1e-12) {
+    return [{ coef: 1 / volume, rate: alpha }];
+  }
+  return [
+    { coef: (alpha - k21) / (alpha - beta) / volume, rate: alpha },
+    { coef: (k21 - beta) / (alpha - beta) / volume, rate: beta },
+  ];
+};
+
+/**
+ * Slowest rate of decline, as a half-life
+ * @param {Object} model - See createPKModel
+ * @returns {number} - Terminal half-life in hours (Infinity with no elimination)
+ */
+export const terminalHalfLife = (model) => {
+  const slowest = Math.min(...unitBolusResponse(model).map((t) => t.rate));
+  return slowest > 0 ? Math.LN2 / slowest : Infinity;
+};
+
+/**
+ * Clearance, the volume of plasma cleared of drug per hour
+ * @param {Object} model - See createPKModel
+ * @returns {number} - CL = k10 * V1 in L/h
+ */
+export const clearance = (model) => model.eliminationRate * model.volume;
+
+/**
+ * Concentration after one dose, once it has been fully given, as a sum of
+ * exponentials in the time since the dose started
+ *
+ * @param {Object} model - See createPKModel
+ * @param {Object} dose - {amount, route, duration}; duration in hours is
+ *   used by infusions
+ * @returns {Array<Object>} - [{coef, rate}, ...]
+ */
+const doseTerms = (model, dose) => {
+  const unit = unitBolusResponse(model);
+
+  if (dose.route === "infusion" && dose.duration > 0) {
+    // Integrating the bolus response over the infusion leaves each term
+    // scaled by (e^(rate T) - 1) / (rate T)
+    const T = dose.duration;
+    return unit.map(({ coef, rate }) => ({
+      coef:
+        dose.amount * coef * (rate > 0 ? Math.expm1(rate * T) / (rate * T) : 1),
+      rate,
+    }));
+  }
+
+  if (dose.route === "oral") {
+    // First-order absorption from the gut adds an e^(-ka t) term; a ka equal
+    // to a disposition rate is nudged to keep the terms finite
+    const absorbed = dose.amount * model.bioavailability;
+    const terms = unit.map(({ coef, rate }) => {
+      let ka = model.absorptionRate;
+      if (Math.abs(ka - rate) < 1e-9 * Math.max(1, ka)) ka *= 1 + 1e-6;
+      return { coef: (absorbed * coef * ka) / (ka - rate), rate };
+    });
+    terms.push({
+      coef: -terms.reduce((sum, term) => sum + term.coef, 0),
+      rate: model.absorptionRate,
+    });
+    return terms;
+  }
+
+  return unit.map(({ coef, rate }) => ({ coef: dose.amount * coef, rate }));
+};
+
+// Sum of exponentials at time t
+const sumTerms = (terms, t) =>
+  terms.reduce((sum, { coef, rate }) => sum + coef * Math.exp(-rate * t), 0);
+
+/**
+ * Concentration from one dose at a time after it started
+ * @param {Object} model - See createPKModel
+ * @param {Object} dose - {amount, route, duration}
+ * @param {number} elapsed - Hours since the dose started; a bolus given at
+ *   this exact moment does not count yet
+ * @returns {number} - Concentration
+ */
+const singleDoseConcentration = (model, dose, elapsed) => {
+  if (elapsed <= 0) return 0;
+
+  if (dose.route === "infusion" && elapsed < dose.duration) {
+    // Still running: each term rises as (1 - e^(-rate t)) / rate
+    const ratePerHour = dose.amount / dose.duration;
+    return unitBolusResponse(model).reduce(
+      (sum, { coef, rate }) =>
+        sum +
+        ratePerHour *
+          coef *
+          (rate > 0 ? -Math.expm1(-rate * elapsed) / rate : elapsed),
+      0,
+    );
+  }
+
+  return sumTerms(doseTerms(model, dose), elapsed);
+};
+
+/**
+ * Concentration at one time from a list of doses
+ * @param {Object} model - See createPKModel
+ * @param {Array<Object>} doses - [{time, amount, route, duration}, ...]
+ *   with times in hours
+ * @param {number} time - Hours
+ * @returns {number} - Concentration
+ */
+export const concentrationAt = (model, doses, time) =>
+  doses.reduce(
+    (sum, dose) => sum + singleDoseConcentration(model, dose, time - dose.time),
+    0,
+  );
+
+/**
+ * Concentration curve for a list of doses
+ * @param {Object} model - See createPKModel
+ * @param {Array<Object>} doses - [{time, amount, route, duration}, ...]
+ * @param {number} hours - Length of the run
+ * @param {number} stepHours - Time between samples (default: 0.25)
+ * @returns {Array<Object>} - [{time, concentration}, ...]
+ */
+export const simulateConcentrations = (
+  model,
+  doses,
+  hours,
+  stepHours = 0.25,
+) => {
+  const data = [];
+  const steps = Math.round(hours / stepHours);
+  for (let i = 0; i <= steps; i++) {
+    const time = i * stepHours;
+    data.push({ time, concentration: concentrationAt(model, doses, time) });
+  }
+  return data;
+};
+
+/**
+ * Steady-state concentration of doses repeated every `period` hours, once
+ * they have been kept up for many half-lives. Each earlier repeat of a dose
+ * has fully run, so its terms sum as a geometric series:
+ * coef * e^(-rate (elapsed + period)) / (1 - e^(-rate period)).
+ *
+ * @param {Object} model - See createPKModel
+ * @param {Array<Object>} doses - Doses in one period, 0 <= time < period,
+ *   each lasting no longer than the period
+ * @param {number} period - Hours after which the doses repeat
+ * @param {number} time - Time of interest in hours (any repeat)
+ * @returns {number} - Concentration, or Infinity with no elimination
+ */
+export const steadyStateConcentrationAt = (model, doses, period, time) =>
+  doses.reduce((sum, dose) => {
+    if (dose.amount === 0) return sum;
+
+    // Time since the dose last started; one starting at this exact moment
+    // has not been given yet, matching concentrationAt
+    let elapsed = (((time - dose.time) % period) + period) % period;
+    if (elapsed === 0) elapsed = period;
+
+    const earlier = doseTerms(model, dose).reduce((total, { coef, rate }) => {
+      if (rate <= 0) return Infinity;
+      return (
+        total +
+        (coef * Math.exp(-rate * (elapsed + period))) /
+          -Math.expm1(-rate * period)
+      );
+    }, 0);
+    return sum + singleDoseConcentration(model, dose, elapsed) + earlier;
+  }, 0);
+
+/**
+ * Doses of a regular regimen
+ * @param {Object} regimen - {dose, interval, route, duration}; dose in mg,
+ *   interval and infusion duration in hours
+ * @param {number} hours - Length of the run; doses start at 0
+ * @returns {Array<Object>} - [{time, amount, route, duration}, ...]
+ */
+export const regimenDoses = (regimen, hours) => {
+  const doses = [];
+  for (let time = 0; time < hours; time += regimen.interval) {
+    doses.push({
+      time,
+      amount: regimen.dose,
+      route: regimen.route,
+      duration: regimen.duration,
+    });
+  }
+  return doses;
+};
+
+// Is a value inside an optional [min, max] target (either end may be null)?
+const inRange = (value, range) =>
+  !range ||
+  ((range[0] == null || value >= range[0]) &&
+    (range[1] == null || value <= range[1]));
+
+/**
+ * Steady-state peak, trough and exposure of a regular regimen
+ * The trough is the level just before a dose; the AUC over one interval at
+ * steady state equals the exposure of a single dose, F * dose / CL.
+ *
+ * @param {Object} model - See createPKModel
+ * @param {Object} regimen - {dose, interval, route, duration}
+ * @param {Object} targets - Optional {peak, trough, auc24}, each [min, max]
+ *   with null for an open end
+ * @returns {Object} - {peak, peakTime, trough, auc, auc24, meets, meetsAll};
+ *   meets holds true/false per target given
+ */
+export const regimenMetrics = (model, regimen, targets = {}) => {
+  const { interval } = regimen;
+  const doses = [{ ...regimen, time: 0, amount: regimen.dose }];
+  const level = (t) => steadyStateConcentrationAt(model, doses, interval, t);
+
+  // Peaks fall at the end of a bolus or infusion; oral peaks need a search
+  const samples = 200;
+  const times = [1e-9, regimen.route === "infusion" ? regimen.duration : 0];
+  for (let i = 1; i <= samples; i++) times.push((interval * i) / samples);
+
+  let peak = -Infinity;
+  let peakTime = 0;
+  times.forEach((t) => {
+    if (t <= 0 || t > interval) return;
+    const value = level(t);
+    if (value > peak) {
+      peak = value;
+      peakTime = t;
+    }
+  });
+
+  const bioavailability = regimen.route === "oral" ? model.bioavailability : 1;
+  const cl = clearance(model);
+  const auc = cl > 0 ? (bioavailability * regimen.dose) / cl : Infinity;
+  const result = {
+    peak,
+    peakTime,
+    trough: level(interval),
+    auc,
+    auc24: (auc * 24) / interval,
+  };
+
+  const meets = {};
+  ["peak", "trough", "auc24"].forEach((key) => {
+    if (targets[key]) meets[key] = inRange(result[key], targets[key]);
+  });
+  return {
+    ...result,
+    meets,
+    meetsAll: Object.values(meets).every(Boolean),
+  };
+};
+
+// How far a value lies outside a target, relative to the target
+const targetMiss = (value, range) => {
+  if (!range) return 0;
+  const [min, max] = range;
+  if (min != null && value < min) return (min - value) / Math.max(min, 1e-9);
+  if (max != null && value > max) return (value - max) / Math.max(max, 1e-9);
+  return 0;
+};
+
+/**
+ * Suggest a regimen that meets therapeutic targets
+ * Concentrations scale with the dose, so for each candidate interval the
+ * dose is scaled to put the peak (or else the AUC) in the middle of its
+ * target and rounded. Among regimens meeting every target the one with the
+ * fewest doses a day is returned; if none do, the one closest to the
+ * targets.
+ *
+ * @param {Object} model - See createPKModel
+ * @param {Object} targets - {peak, trough, auc24}, as in regimenMetrics
+ * @param {Object} options
+ * @param {string} options.route - Dose route (default: "infusion")
+ * @param {number} options.duration - Infusion time in hours (default: 0.5)
+ * @param {Array<number>} options.intervals - Candidate intervals in hours
+ * @param {number} options.doseStep - Doses are rounded to this (default: 10)
+ * @param {number} options.maxDose - Largest dose considered
+ * @returns {Object|null} - {regimen, metrics}, or null if no candidate works
+ */
+export const suggestRegimen = (
+  model,
+  targets,
+  {
+    route = "infusion",
+    duration = 0.5,
+    intervals = [6, 8, 12, 24, 36, 48],
+    doseStep = 10,
+    maxDose = Infinity,
+  } = {},
+) => {
+  const midpoint = (range) => {
+    if (!range) return null;
+    const [min, max] = range;
+    if (min != null && max != null) return (min + max) / 2;
+    return min ?? max;
+  };
+  const peakGoal = midpoint(targets.peak);
+  const aucGoal = midpoint(targets.auc24);
+
+  let best = null;
+  intervals.forEach((interval) => {
+    const base = { dose: 1, interval, route, duration };
+    const unitMetrics = regimenMetrics(model, base);
+    const scale =
+      peakGoal != null
+        ? peakGoal / unitMetrics.peak
+        : aucGoal != null
+          ? aucGoal / unitMetrics.auc24
+          : null;
+    if (!(scale > 0) || !isFinite(scale)) return;
+
+    const dose = Math.min(
+      maxDose,
+      Math.max(doseStep, Math.round(scale / doseStep) * doseStep),
+    );
+    const regimen = { ...base, dose };
+    const metrics = regimenMetrics(model, regimen, targets);
+    const miss =
+      targetMiss(metrics.peak, targets.peak) +
+      targetMiss(metrics.trough, targets.trough) +
+      targetMiss(metrics.auc24, targets.auc24);
+
+    const better =
+      !best ||
+      (metrics.meetsAll && !best.metrics.meetsAll) ||
+      (metrics.meetsAll && best.metrics.meetsAll && interval > best.interval) ||
+      (!metrics.meetsAll && !best.metrics.meetsAll && miss < best.miss);
+    if (better) best = { regimen, metrics, miss, interval };
+  });
+
+  return best ? { regimen: best.regimen, metrics: best.metrics } : null;
+};
+
+/**
+ * Creatinine clearance estimated from serum creatinine (Cockcroft-Gault)
+ * @param {Object} patient - {age (years), weight (kg), serumCreatinine
+ *   (mg/dL), female}
+ * @returns {number} - CrCl in mL/min
+ */
+export const cockcroftGault = ({ age, weight, serumCreatinine, female }) =>
+  (((140 - age) * weight) / (72 * serumCreatinine)) * (female ? 0.85 : 1);
+
+/**
+ * Elimination half-life of a renally cleared drug from creatinine
+ * clearance, with the elimination rate linear in CrCl:
+ * k = renalSlope * CrCl + nonRenal. The defaults are for aminoglycosides
+ * such as gentamicin.
+ *
+ * @param {number} creatinineClearance - CrCl in mL/min
+ * @param {Object} coefficients - {renalSlope, nonRenal} (per hour)
+ * @returns {number} - Half-life in hours
+ */
+export const halfLifeFromCreatinineClearance = (
+  creatinineClearance,
+  { renalSlope = 0.00293, nonRenal = 0.014 } = {},
+) => Math.LN2 / (renalSlope * Math.max(0, creatinineClearance) + nonRenal);
+
+/**
+ * Creatinine clearance that gives a half-life (inverse of
+ * halfLifeFromCreatinineClearance)
+ * @param {number} halfLife - Hours
+ * @param {Object} coefficients - {renalSlope, nonRenal} (per hour)
+ * @returns {number} - CrCl in mL/min (0 if the half-life is longer than
+ *   non-renal elimination alone allows)
+ */
+export const creatinineClearanceFromHalfLife = (
+  halfLife,
+  { renalSlope = 0.00293, nonRenal = 0.014 } = {},
+) => Math.max(0, (Math.LN2 / halfLife - nonRenal) / renalSlope);
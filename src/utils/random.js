@@ -0,0 +1,74 @@
+// src/utils/random.js
+// Seedable pseudo-random number generation for stochastic simulators
+
+/**
+ * Largest seed produced by randomSeed (seeds are 32-bit unsigned integers)
+ */
+const MAX_SEED = 0xffffffff;
+
+/**
+ * Create a seeded uniform random number generator (mulberry32)
+ * The returned function is a drop-in replacement for Math.random: it
+ * returns numbers in [0, 1), and the same seed always gives the same stream.
+ *
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} - rng() returning a number in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick a fresh seed for runs where the user did not choose one
+ * @returns {number} - Integer seed in [1, 2^32 - 1]
+ */
+export const randomSeed = () => 1 + Math.floor(Math.random() * MAX_SEED);
+
+/**
+ * Convert a user-entered seed to an integer
+ * Whole numbers are used directly; any other text (e.g. "homework3") is
+ * hashed with FNV-1a so that words work as seeds too.
+ *
+ * @param {string|number} value - Seed as typed by the user
+ * @returns {number|null} - Integer seed, or null if the field is blank
+ */
+export const parseSeed = (value) => {
+  const text = String(value ?? "").trim();
+  if (text === "") return null;
+  if (/^\d+$/.test(text)) return Number(text) % (MAX_SEED + 1);
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Standard normal random variate (Box-Muller transform)
+ * @param {Function} rng - Uniform generator, e.g. from createRandom
+ * @returns {number} - Sample from N(0, 1)
+ */
+export const randomNormal = (rng = Math.random) => {
+  let u = 0;
+  let v = 0;
+  while (u === 0) u = rng();
+  while (v === 0) v = rng();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+};
+
+/**
+ * Random integer in [0, n)
+ * @param {Function} rng - Uniform generator
+ * @param {number} n - Exclusive upper bound
+ * @returns {number} - Integer sample
+ */
+export const randomInt = (rng, n) => Math.floor(rng() * n);
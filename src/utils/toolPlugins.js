@@ -0,0 +1,220 @@
+// src/utils/toolPlugins.js
+// Register extra tools at runtime from tool bundles and builder layout files
+
+import React from "react";
+import { getToolById, registerTool } from "../data/tools";
+import { useTheme } from "../hooks/useTheme";
+import { useUrlState, useUrlParams } from "../hooks/useUrlState";
+
+/**
+ * Site path the app is served from; plugin paths are relative to it
+ */
+const APP_BASE = "/modeling-synthesizer/";
+
+/**
+ * Plugin list an instructor can edit on a deployed copy of the site
+ */
+export const PLUGIN_MANIFEST = "plugins.json";
+
+/**
+ * Resolve a plugin or assignment path against the site
+ * @param {string} path - Relative path (e.g. "plugins/my-tools.js") or URL
+ * @returns {string} - Absolute URL
+ */
+export const resolveSiteUrl = (path) =>
+  new URL(path, `${window.location.origin}${APP_BASE}`).href;
+
+/**
+ * Fetch and parse a JSON file, rejecting the HTML page some servers send
+ * for missing files
+ * @param {string} url - File URL
+ * @returns {Promise<Object>} - Parsed JSON
+ */
+export const fetchJson = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: ${response.status} ${response.statusText}`);
+  }
+  const text = await response.text();
+  if (text.trim().startsWith("<")) {
+    throw new Error(`${url}: got HTML instead of JSON`);
+  }
+  return JSON.parse(text);
+};
+
+/**
+ * Make a tool id from a tool name ("My Tool!" -> "my-tool")
+ * @param {string} name - Tool name
+ * @returns {string} - Lowercase id with dashes
+ */
+export const slugify = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Keep only the menu details a layout file may set. Layouts can come from
+// any URL, so everything else (component, load, visibility, tutorial)
+// stays under the site's control.
+const layoutMenuDetails = (info) => {
+  const text = (value) =>
+    typeof value === "string" && value.trim() ? value : undefined;
+  const categories =
+    info.categories && typeof info.categories === "object"
+      ? info.categories
+      : {};
+  const lab = text(categories.lab) ?? null;
+  const labs = Array.isArray(categories.labs)
+    ? categories.labs.filter((value) => text(value))
+    : undefined;
+
+  return {
+    name: text(info.name),
+    description:
+      text(info.description) ?? "Built with the Visual Tool Builder.",
+    categories: {
+      topics: Array.isArray(categories.topics)
+        ? categories.topics.filter((value) => text(value))
+        : [],
+      toolType: text(categories.toolType) ?? "explorer",
+      lab,
+      ...(labs ? { labs } : {}),
+    },
+    help: text(info.help),
+  };
+};
+
+/**
+ * Register a layout saved or exported by the Visual Tool Builder as a tool.
+ * Menu details come from an optional "tool" object in the file
+ * ({id, name, description, categories, help}); otherwise the layout's
+ * toolName is used. Ids always start with "layout-", and a layout cannot
+ * replace a tool registered from somewhere else. The layout is rendered
+ * with the real Grid components and simulates its model, like the
+ * builder's preview.
+ *
+ * @param {Object} data - Parsed layout file
+ * @param {string} source - Where the layout came from, for error messages
+ * @returns {string} - Registered tool id
+ * @throws {Error} - If the file is not a layout or its id is taken
+ */
+export const registerLayoutTool = (data, source = "layout") => {
+  if (!data || typeof data !== "object" || !Array.isArray(data.components)) {
+    throw new Error(`${source}: not a Visual Tool Builder layout`);
+  }
+
+  const info = data.tool && typeof data.tool === "object" ? data.tool : {};
+  const details = layoutMenuDetails(info);
+  const name = details.name || data.toolName || "Custom Tool";
+  const slug = slugify(info.id || name) || "tool";
+  const id = slug.startsWith("layout-") ? slug : `layout-${slug}`;
+
+  // The same file may be registered again (e.g. on a reload of the plugin
+  // list), but never over another tool
+  const existing = getToolById(id);
+  if (existing && existing.layoutSource !== source) {
+    throw new Error(`${source}: tool id "${id}" is already in use`);
+  }
+
+  return registerTool({
+    ...details,
+    id,
+    name,
+    layoutSource: source,
+    load: async () => {
+      const [{ deserializeLayout }, { createLayoutTool }] = await Promise.all([
+        import("../tools/VisualToolBuilder/layoutStorage"),
+        import("../tools/VisualToolBuilder/LayoutTool"),
+      ]);
+      const { layout, warnings } = deserializeLayout(data);
+      warnings.forEach((warning) => console.warn(`${source}: ${warning}`));
+      return createLayoutTool(layout, name);
+    },
+  });
+};
+
+/**
+ * Fetch a layout file and register it as a tool
+ * @param {string} path - Layout file path or URL
+ * @returns {Promise<string>} - Registered tool id
+ */
+export const loadLayoutTool = async (path) => {
+  const url = resolveSiteUrl(path);
+  return registerLayoutTool(await fetchJson(url), url);
+};
+
+/**
+ * Import a tool bundle: an ES module whose default export is a function
+ * register(api). Bundles must use api.React rather than their own copy so
+ * hooks work. api holds registerTool, React, ToolContainer, useTheme,
+ * useUrlState, useUrlParams and grid (all Grid components).
+ *
+ * @param {string} path - Bundle path or URL
+ * @returns {Promise<void>}
+ */
+export const loadToolBundle = async (path) => {
+  const url = resolveSiteUrl(path);
+  const [bundle, grid, { default: ToolContainer }] = await Promise.all([
+    import(/* @vite-ignore */ url),
+    import("../components/grid"),
+    import("../components/ui/ToolContainer"),
+  ]);
+
+  const register = bundle.default || bundle.register;
+  if (typeof register !== "function") {
+    throw new Error(`${url}: bundle has no default register function`);
+  }
+  await register({
+    registerTool,
+    React,
+    ToolContainer,
+    useTheme,
+    useUrlState,
+    useUrlParams,
+    grid,
+  });
+};
+
+/**
+ * Load every plugin listed in public/plugins.json ({bundles: [...],
+ * layouts: [...]}) plus layout files named by `layout` URL parameters.
+ * Only layouts can come from the URL: they are data, while a bundle runs
+ * code and must be installed on the site by whoever deploys it.
+ * Failures are reported and do not stop the other plugins.
+ *
+ * @param {URLSearchParams} urlParams - Current page parameters
+ * @returns {Promise<Object>} - {layoutIds, errors}
+ *   - layoutIds: ids of tools registered from `layout` URL parameters
+ *   - errors: messages for plugins that failed to load
+ */
+export const loadToolPlugins = async (urlParams) => {
+  let manifest = {};
+  try {
+    manifest = await fetchJson(resolveSiteUrl(PLUGIN_MANIFEST));
+  } catch {
+    // No manifest on this deployment
+  }
+
+  const bundles = Array.isArray(manifest.bundles) ? manifest.bundles : [];
+  const layouts = Array.isArray(manifest.layouts) ? manifest.layouts : [];
+  const urlLayouts = urlParams.getAll("layout");
+
+  const results = await Promise.allSettled([
+    ...bundles.map(loadToolBundle),
+    ...layouts.map(loadLayoutTool),
+    ...urlLayouts.map(loadLayoutTool),
+  ]);
+
+  const errors = results
+    .filter((result) => result.status === "rejected")
+    .map((result) => result.reason?.message || String(result.reason));
+  errors.forEach((error) => console.warn("Tool plugin failed:", error));
+
+  return {
+    layoutIds: results
+      .slice(bundles.length + layouts.length)
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => result.value),
+    errors,
+  };
+};
@@ -0,0 +1,135 @@
+// src/utils/tutorials.js
+// Guided tutorials: steps that highlight part of a tool, explain it, and
+// wait for the student to act before moving on
+
+import { fetchJson } from "./toolPlugins";
+
+/**
+ * Check a highlight or click region given in grid cells
+ * @param {*} rect - Candidate {x, y, w, h}
+ * @returns {boolean} - True for a usable region
+ */
+const isCellRect = (rect) =>
+  Boolean(rect) &&
+  ["x", "y", "w", "h"].every((key) => Number.isFinite(rect[key])) &&
+  rect.w > 0 &&
+  rect.h > 0;
+
+/**
+ * Check and tidy a tutorial file
+ * Format: {title, steps: [{text, highlight, waitFor}]}
+ *   - text: markdown shown in the callout
+ *   - highlight: optional {x, y, w, h} in grid cells, the same numbers as the
+ *     component's props in the tool
+ *   - waitFor: optional action that moves the tutorial on:
+ *     {param, above | below | equals | changed} - a URL parameter of the tool
+ *       ("default" gives the value to assume while the parameter is at its
+ *       default and therefore missing from the URL)
+ *     {click: true} - a click inside the highlight
+ *     {click: {x, y, w, h}} - a click inside other cells
+ *   Steps without waitFor get a Next button.
+ *
+ * @param {Object} data - Parsed tutorial JSON
+ * @returns {Object} - {title, steps}
+ * @throws {Error} - If the data is not a tutorial
+ */
+export const parseTutorial = (data) => {
+  if (!data || !Array.isArray(data.steps) || data.steps.length === 0) {
+    throw new Error("Not a tutorial (no list of steps)");
+  }
+
+  const steps = data.steps.map((step, index) => {
+    const where = `Tutorial step ${index + 1}`;
+    if (!step || typeof step.text !== "string") {
+      throw new Error(`${where} has no text`);
+    }
+    if (step.highlight !== undefined && !isCellRect(step.highlight)) {
+      throw new Error(`${where}: highlight must be {x, y, w, h}`);
+    }
+
+    const waitFor = step.waitFor || null;
+    if (waitFor) {
+      if (waitFor.click !== undefined) {
+        const region = waitFor.click === true ? step.highlight : waitFor.click;
+        if (!isCellRect(region)) {
+          throw new Error(`${where}: click needs a highlight or {x, y, w, h}`);
+        }
+      } else if (typeof waitFor.param !== "string") {
+        throw new Error(`${where}: waitFor needs "param" or "click"`);
+      } else if (
+        !["above", "below", "equals", "changed"].some((key) => key in waitFor)
+      ) {
+        throw new Error(
+          `${where}: waitFor needs "above", "below", "equals" or "changed"`,
+        );
+      }
+    }
+
+    return { text: step.text, highlight: step.highlight || null, waitFor };
+  });
+
+  return {
+    title: typeof data.title === "string" ? data.title : "Tutorial",
+    steps,
+  };
+};
+
+/**
+ * Fetch a tutorial file
+ * @param {string} url - Tutorial file URL (see data/tools getTutorialUrl)
+ * @returns {Promise<Object>} - Parsed tutorial (see parseTutorial)
+ */
+export const loadTutorial = async (url) => parseTutorial(await fetchJson(url));
+
+/**
+ * Cells a step waits for the student to click, if any
+ * @param {Object} step - Tutorial step
+ * @returns {Object|null} - {x, y, w, h} in cells
+ */
+export const getClickRegion = (step) => {
+  const click = step.waitFor?.click;
+  if (click === undefined) return null;
+  return click === true ? step.highlight : click;
+};
+
+/**
+ * Whether the tool's URL parameters satisfy a step's waitFor condition
+ * @param {Object} waitFor - {param, above | below | equals | changed, default}
+ * @param {URLSearchParams} urlParams - Current parameters
+ * @param {URLSearchParams} startParams - Parameters when the step began
+ * @returns {boolean} - True once the condition holds
+ */
+export const isParamConditionMet = (waitFor, urlParams, startParams) => {
+  const raw = urlParams.get(waitFor.param);
+  if (waitFor.changed) return raw !== startParams.get(waitFor.param);
+
+  const text = raw ?? (waitFor.default !== undefined ? waitFor.default : null);
+  if (text === null) return false;
+  const value = parseFloat(text);
+
+  if ("equals" in waitFor) {
+    return typeof waitFor.equals === "number"
+      ? Math.abs(value - waitFor.equals) < 1e-9
+      : String(text) === String(waitFor.equals);
+  }
+  if (!isFinite(value)) return false;
+  if ("above" in waitFor && !(value > waitFor.above)) return false;
+  if ("below" in waitFor && !(value < waitFor.below)) return false;
+  return true;
+};
+
+/**
+ * Short description of what a step is waiting for
+ * @param {Object} waitFor - Step condition
+ * @returns {string} - Text for the callout
+ */
+export const describeCondition = (waitFor) => {
+  if (waitFor.click === true) return "Click the highlighted area";
+  if (waitFor.click !== undefined) return "Click the outlined area";
+  if (waitFor.changed) return `Change ${waitFor.param}`;
+  if ("equals" in waitFor) return `Set ${waitFor.param} to ${waitFor.equals}`;
+  const parts = [];
+  if ("above" in waitFor) parts.push(`above ${waitFor.above}`);
+  if ("below" in waitFor) parts.push(`below ${waitFor.below}`);
+  return `Move ${waitFor.param} ${parts.join(" and ")}`;
+};
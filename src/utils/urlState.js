@@ -0,0 +1,157 @@
+// src/utils/urlState.js
+// Encode and decode tool parameters in the page query string
+
+/**
+ * Query parameters owned by the app shell. Tools must not use these names
+ * for their own parameters.
+ */
+export const RESERVED_URL_PARAMS = [
+  "tool",
+  "theme",
+  "dev",
+  "layout",
+  "assignment",
+  "step",
+];
+
+/**
+ * Event dispatched on window when parameters are changed from outside a tool
+ * (e.g. by a link), so mounted tools can re-read their state from the URL
+ */
+export const URL_STATE_EVENT = "urlstatechange";
+
+/**
+ * Event dispatched on window after a tool writes its parameters to the URL,
+ * so observers such as tutorials can react to the student's changes
+ */
+export const URL_WRITE_EVENT = "urlparamswrite";
+
+/**
+ * Strip floating-point noise (0.30000000000000004) so URLs stay readable
+ * @param {number} value - Number to tidy
+ * @returns {number} - Value rounded to 12 significant digits
+ */
+const tidyNumber = (value) => Number(value.toPrecision(12));
+
+/**
+ * Encode a parameter value as a query string value
+ * Numbers, booleans and strings are written as-is; arrays and objects as JSON
+ * @param {*} value - Parameter value
+ * @returns {string} - Encoded value
+ */
+export const encodeUrlValue = (value) => {
+  if (typeof value === "number") {
+    return String(isFinite(value) ? tidyNumber(value) : value);
+  }
+  if (typeof value === "boolean" || typeof value === "string") {
+    return String(value);
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Decode a query string value using the type of the default value
+ * Falls back to the default when the raw value cannot be interpreted
+ * @param {string|null} raw - Raw query string value
+ * @param {*} fallback - Default value (also determines the expected type)
+ * @param {Object} limits - Optional bounds for a number, so a crafted link
+ *   cannot ask for a size the tool cannot handle
+ * @param {number} limits.min - Smallest allowed value
+ * @param {number} limits.max - Largest allowed value
+ * @param {boolean} limits.integer - Round to the nearest whole number
+ * @returns {*} - Decoded value
+ */
+export const decodeUrlValue = (raw, fallback, limits = {}) => {
+  if (raw === null || raw === undefined) return fallback;
+
+  switch (typeof fallback) {
+    case "number": {
+      const { min = -Infinity, max = Infinity, integer = false } = limits;
+      const value = parseFloat(raw);
+      if (!isFinite(value)) return fallback;
+      return Math.max(min, Math.min(max, integer ? Math.round(value) : value));
+    }
+    case "boolean":
+      if (raw === "true" || raw === "1") return true;
+      if (raw === "false" || raw === "0") return false;
+      return fallback;
+    case "string":
+      return raw;
+    default:
+      try {
+        const value = JSON.parse(raw);
+        if (Array.isArray(fallback) && !Array.isArray(value)) return fallback;
+        return value;
+      } catch {
+        return fallback;
+      }
+  }
+};
+
+/**
+ * Read a single tool parameter from the current URL
+ * @param {string} key - Query parameter name
+ * @param {*} fallback - Default value
+ * @param {Object} limits - Optional {min, max, integer} (see decodeUrlValue)
+ * @returns {*} - Decoded value, or the default if absent
+ */
+export const readUrlParam = (key, fallback, limits) => {
+  const urlParams = new URLSearchParams(window.location.search);
+  return decodeUrlValue(urlParams.get(key), fallback, limits);
+};
+
+/**
+ * Write tool parameters into the URL without reloading the page
+ * Values equal to their defaults are removed to keep links short.
+ * @param {Object} values - {key: value} pairs to write
+ * @param {Object} defaults - {key: default} pairs used to omit unchanged values
+ */
+export const writeUrlParams = (values, defaults = {}) => {
+  const urlParams = new URLSearchParams(window.location.search);
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (RESERVED_URL_PARAMS.includes(key)) {
+      throw new Error(`"${key}" is a reserved URL parameter`);
+    }
+
+    const encoded = encodeUrlValue(value);
+    if (key in defaults && encoded === encodeUrlValue(defaults[key])) {
+      urlParams.delete(key);
+    } else {
+      urlParams.set(key, encoded);
+    }
+  });
+
+  const query = urlParams.toString();
+  if (query === window.location.search.replace(/^\?/, "")) return;
+
+  window.history.replaceState(
+    window.history.state,
+    "",
+    `${window.location.pathname}${query ? `?${query}` : ""}`,
+  );
+  window.dispatchEvent(new Event(URL_WRITE_EVENT));
+};
+
+/**
+ * Set tool parameters from outside the tool and notify mounted tools
+ * @param {Object} values - {key: value} pairs to apply
+ */
+export const applyUrlParams = (values) => {
+  writeUrlParams(values);
+  window.dispatchEvent(new Event(URL_STATE_EVENT));
+};
+
+/**
+ * Build a query string holding only the app-shell parameters
+ * (tool, theme, dev, layout, assignment, step), dropping any tool parameters
+ * @param {URLSearchParams} urlParams - Current parameters
+ * @returns {URLSearchParams} - Parameters without tool state
+ */
+export const getShellParams = (urlParams) => {
+  const shellParams = new URLSearchParams();
+  RESERVED_URL_PARAMS.forEach((key) => {
+    urlParams.getAll(key).forEach((value) => shellParams.append(key, value));
+  });
+  return shellParams;
+};